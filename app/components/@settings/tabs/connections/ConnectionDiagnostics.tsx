@@ -82,7 +82,7 @@ export default function ConnectionDiagnostics() {
 
       // === Netlify Checks ===
       const netlifyConnectionParsed = safeJsonParse(localStorageChecks.netlifyConnection);
-      const netlifyToken = netlifyConnectionParsed?.token;
+      const netlifyToken = netlifyConnectionParsed?.credentials?.token ?? netlifyConnectionParsed?.token;
       let netlifyUserCheck = null;
 
       if (netlifyToken) {
@@ -101,7 +101,7 @@ export default function ConnectionDiagnostics() {
 
       // === Vercel Checks ===
       const vercelConnectionParsed = safeJsonParse(localStorageChecks.vercelConnection);
-      const vercelToken = vercelConnectionParsed?.token;
+      const vercelToken = vercelConnectionParsed?.credentials?.token ?? vercelConnectionParsed?.token;
       let vercelUserCheck = null;
 
       if (vercelToken) {
@@ -337,7 +337,8 @@ export default function ConnectionDiagnostics() {
                   <div className="text-xs text-bolt-elements-textSecondary dark:text-bolt-elements-textSecondary mt-2 flex items-center gap-1.5">
                     <div className="i-ph:user w-3.5 h-3.5 text-bolt-elements-item-contentAccent dark:text-bolt-elements-item-contentAccent" />
                     User:{' '}
-                    {diagnosticResults.localStorage.netlifyConnectionParsed?.user?.full_name ||
+                    {diagnosticResults.localStorage.netlifyConnectionParsed?.user?.name ||
+                      diagnosticResults.localStorage.netlifyConnectionParsed?.user?.full_name ||
                       diagnosticResults.localStorage.netlifyConnectionParsed?.user?.email ||
                       'N/A'}
                   </div>
@@ -402,7 +403,8 @@ export default function ConnectionDiagnostics() {
                   <div className="text-xs text-bolt-elements-textSecondary dark:text-bolt-elements-textSecondary mt-2 flex items-center gap-1.5">
                     <div className="i-ph:user w-3.5 h-3.5 text-bolt-elements-item-contentAccent dark:text-bolt-elements-item-contentAccent" />
                     User:{' '}
-                    {diagnosticResults.localStorage.vercelConnectionParsed?.user?.username ||
+                    {diagnosticResults.localStorage.vercelConnectionParsed?.user?.name ||
+                      diagnosticResults.localStorage.vercelConnectionParsed?.user?.username ||
                       diagnosticResults.localStorage.vercelConnectionParsed?.user?.user?.username ||
                       'N/A'}
                   </div>
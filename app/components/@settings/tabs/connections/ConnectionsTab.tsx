@@ -3,11 +3,12 @@ import React, { Suspense, useState } from 'react';
 import { classNames } from '~/utils/classNames';
 import ConnectionDiagnostics from './ConnectionDiagnostics';
 import { Button } from '~/components/ui/Button';
-import VercelConnection from './VercelConnection';
+import DeployConnection from './DeployConnection';
+import McpConnection from './McpConnection';
+import { DeployManager } from '~/lib/modules/deploy/manager';
 
 // Use React.lazy for dynamic imports
 const GitHubConnection = React.lazy(() => import('./GithubConnection'));
-const NetlifyConnection = React.lazy(() => import('./NetlifyConnection'));
 
 // Loading fallback component
 const LoadingFallback = () => (
@@ -23,6 +24,11 @@ export default function ConnectionsTab() {
   const [isEnvVarsExpanded, setIsEnvVarsExpanded] = useState(false);
   const [showDiagnostics, setShowDiagnostics] = useState(false);
 
+  // deploy providers without connection fields, like the self-host bundle, need no card
+  const deployProviders = DeployManager.getInstance()
+    .getAllProviders()
+    .filter((provider) => provider.connectionFields.length > 0);
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -116,12 +122,20 @@ export default function ConnectionsTab() {
                 <div className="text-bolt-elements-textPrimary dark:text-bolt-elements-textPrimary">
                   VITE_GITHUB_TOKEN_TYPE=classic|fine-grained
                 </div>
-                <div className="text-bolt-elements-textSecondary dark:text-bolt-elements-textSecondary mt-2">
-                  # Netlify Authentication
-                </div>
-                <div className="text-bolt-elements-textPrimary dark:text-bolt-elements-textPrimary">
-                  VITE_NETLIFY_ACCESS_TOKEN=your_token_here
-                </div>
+                {deployProviders.map((provider) =>
+                  provider.connectionFields
+                    .filter((field) => field.envKey)
+                    .map((field) => (
+                      <React.Fragment key={`${provider.name}-${field.key}`}>
+                        <div className="text-bolt-elements-textSecondary dark:text-bolt-elements-textSecondary mt-2">
+                          # {provider.label} {field.label}
+                        </div>
+                        <div className="text-bolt-elements-textPrimary dark:text-bolt-elements-textPrimary">
+                          {field.envKey}=your_token_here
+                        </div>
+                      </React.Fragment>
+                    )),
+                )}
               </div>
               <div className="mt-3 text-xs text-bolt-elements-textSecondary dark:text-bolt-elements-textSecondary space-y-1">
                 <p>
@@ -153,12 +167,10 @@ export default function ConnectionsTab() {
         <Suspense fallback={<LoadingFallback />}>
           <GitHubConnection />
         </Suspense>
-        <Suspense fallback={<LoadingFallback />}>
-          <NetlifyConnection />
-        </Suspense>
-        <Suspense fallback={<LoadingFallback />}>
-          <VercelConnection />
-        </Suspense>
+        {deployProviders.map((provider) => (
+          <DeployConnection key={provider.name} provider={provider} />
+        ))}
+        <McpConnection />
       </div>
 
       {/* Additional help text */}
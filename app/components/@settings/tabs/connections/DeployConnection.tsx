@@ -0,0 +1,391 @@
+import React, { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { toast } from 'react-toastify';
+import { useStore } from '@nanostores/react';
+import { classNames } from '~/utils/classNames';
+import { logStore } from '~/lib/stores/logs';
+import { deployConnections, getDeployCredentials, updateDeployConnection } from '~/lib/stores/deploy';
+import type { BaseDeployProvider } from '~/lib/modules/deploy/base-provider';
+import { listDeploys, listDeployTargets, runDeployAction, verifyDeployConnection } from '~/lib/modules/deploy/client';
+import type { DeployAction, DeployHistoryEntry, DeployTarget } from '~/lib/modules/deploy/types';
+import { DeployProviderLogo } from '~/components/deploy/DeployProviderLogo';
+
+interface DeployConnectionProps {
+  provider: BaseDeployProvider;
+}
+
+interface DeployTargetCardProps {
+  provider: BaseDeployProvider;
+  credentials: Record<string, string>;
+  target: DeployTarget;
+  onRemoved: () => void;
+}
+
+const actionButtonClassName = classNames(
+  'px-2 py-1 rounded-md text-xs flex items-center gap-1',
+  'border border-bolt-elements-borderColor text-bolt-elements-textPrimary',
+  'hover:border-bolt-elements-borderColorActive disabled:opacity-50 disabled:cursor-not-allowed',
+);
+
+/**
+ * A site or project of the connected account, with the management actions its provider offers
+ */
+function DeployTargetCard({ provider, credentials, target, onRemoved }: DeployTargetCardProps) {
+  const [deploys, setDeploys] = useState<DeployHistoryEntry[] | null>(null);
+  const [isDeploysExpanded, setIsDeploysExpanded] = useState(false);
+  const [running, setRunning] = useState<string | undefined>(undefined);
+
+  const targetActions = provider.actions.filter((action) => action.on === 'target');
+  const deployActions = provider.actions.filter((action) => action.on === 'deploy');
+
+  const refreshDeploys = () =>
+    listDeploys(provider, credentials, target.id)
+      .then(setDeploys)
+      .catch((error) => {
+        logStore.logError(`Failed to fetch ${provider.label} deploys`, { error });
+        setDeploys([]);
+      });
+
+  useEffect(() => {
+    if (isDeploysExpanded && deploys === null) {
+      refreshDeploys();
+    }
+  }, [isDeploysExpanded]);
+
+  const runAction = async (action: DeployAction, deployId?: string) => {
+    if (action.confirm && !confirm(action.confirm)) {
+      return;
+    }
+
+    setRunning(`${action.id}:${deployId ?? ''}`);
+
+    try {
+      await runDeployAction(provider, credentials, action.id, target.id, deployId);
+      toast.success(`${action.label}: done`);
+
+      if (action.on === 'deploy') {
+        await refreshDeploys();
+      } else if (action.id === 'delete') {
+        onRemoved();
+      }
+    } catch (error) {
+      logStore.logError(`${provider.label} ${action.label} failed`, { error });
+      toast.error(`${action.label} failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setRunning(undefined);
+    }
+  };
+
+  return (
+    <div className="p-4 rounded-lg border border-bolt-elements-borderColor hover:border-bolt-elements-borderColorActive transition-colors">
+      <a href={target.url} target="_blank" rel="noopener noreferrer" className="block">
+        <h5 className="text-sm font-medium text-bolt-elements-textPrimary flex items-center gap-2">
+          <div className="i-ph:globe w-4 h-4 text-bolt-elements-borderColorActive" />
+          {target.name}
+        </h5>
+        <div className="flex items-center gap-2 mt-2 text-xs text-bolt-elements-textSecondary">
+          {target.url && <span>{target.url}</span>}
+          {target.updatedAt && (
+            <>
+              <span>•</span>
+              <span className="flex items-center gap-1">
+                <div className="i-ph:clock w-3 h-3" />
+                {new Date(target.updatedAt).toLocaleDateString()}
+              </span>
+            </>
+          )}
+        </div>
+      </a>
+
+      {(targetActions.length > 0 || provider.listDeploys) && (
+        <div className="flex flex-wrap items-center gap-2 mt-3">
+          {targetActions.map((action) => (
+            <button
+              key={action.id}
+              onClick={() => runAction(action)}
+              disabled={!!running}
+              className={actionButtonClassName}
+            >
+              <div className={classNames(action.icon, 'w-3 h-3')} />
+              {action.label}
+            </button>
+          ))}
+          {provider.listDeploys && (
+            <button onClick={() => setIsDeploysExpanded(!isDeploysExpanded)} className={actionButtonClassName}>
+              <div className="i-ph:stack w-3 h-3" />
+              Deploys
+              <div className={classNames('i-ph:caret-down w-3 h-3', isDeploysExpanded ? 'rotate-180' : '')} />
+            </button>
+          )}
+        </div>
+      )}
+
+      {isDeploysExpanded &&
+        (deploys === null ? (
+          <div className="flex items-center gap-2 mt-3 text-xs text-bolt-elements-textSecondary">
+            <div className="i-ph:spinner-gap w-3 h-3 animate-spin" />
+            Fetching deploys...
+          </div>
+        ) : (
+          <div className="mt-3 space-y-2">
+            {deploys.length === 0 && <div className="text-xs text-bolt-elements-textSecondary">No deploys yet</div>}
+            {deploys.map((deploy) => (
+              <div key={deploy.id} className="flex items-center gap-2 text-xs text-bolt-elements-textSecondary">
+                <span className="text-bolt-elements-textPrimary">{deploy.state}</span>
+                {deploy.locked && <div className="i-ph:lock w-3 h-3" title="Locked" />}
+                {deploy.createdAt && <span>{new Date(deploy.createdAt).toLocaleString()}</span>}
+                {deploy.url && (
+                  <a href={deploy.url} target="_blank" rel="noopener noreferrer" className="truncate hover:underline">
+                    {deploy.url}
+                  </a>
+                )}
+                <div className="ml-auto flex gap-1">
+                  {deployActions
+                    .filter((action) => !action.isAvailable || action.isAvailable(deploy))
+                    .map((action) => (
+                      <button
+                        key={action.id}
+                        onClick={() => runAction(action, deploy.id)}
+                        disabled={!!running}
+                        className={actionButtonClassName}
+                      >
+                        <div
+                          className={classNames(
+                            running === `${action.id}:${deploy.id}` ? 'i-ph:spinner-gap animate-spin' : action.icon,
+                            'w-3 h-3',
+                          )}
+                        />
+                        {action.label}
+                      </button>
+                    ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        ))}
+    </div>
+  );
+}
+
+/**
+ * Connection card of a deploy provider, generated from the fields it declares
+ */
+export default function DeployConnection({ provider }: DeployConnectionProps) {
+  const connection = useStore(deployConnections)[provider.name];
+  const [inputs, setInputs] = useState<Record<string, string>>({});
+  const [connecting, setConnecting] = useState(false);
+  const [targets, setTargets] = useState<DeployTarget[] | null>(null);
+  const [isTargetsExpanded, setIsTargetsExpanded] = useState(false);
+
+  const envFields = provider.connectionFields.filter((field) => field.envKey && import.meta.env[field.envKey]);
+
+  useEffect(() => {
+    if (!connection?.user || !provider.listTargets) {
+      setTargets(null);
+      return;
+    }
+
+    listDeployTargets(provider, connection.credentials)
+      .then(setTargets)
+      .catch((error) => {
+        logStore.logError(`Failed to fetch ${provider.label} projects`, { error });
+        setTargets([]);
+      });
+  }, [provider, connection?.user, connection?.credentials]);
+
+  const handleConnect = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setConnecting(true);
+
+    // entered values win over the ones from the environment
+    const entered = Object.fromEntries(Object.entries(inputs).filter(([, value]) => value.trim()));
+    const credentials = { ...getDeployCredentials(provider), ...entered };
+
+    try {
+      const user = await verifyDeployConnection(provider, credentials);
+      updateDeployConnection(provider.name, { user, credentials });
+      setInputs({});
+      toast.success(`Successfully connected to ${provider.label}`);
+    } catch (error) {
+      console.error('Auth error:', error);
+      logStore.logError(`Failed to authenticate with ${provider.label}`, { error });
+      toast.error(
+        `Failed to connect to ${provider.label}: ${error instanceof Error ? error.message : 'Unknown error'}`,
+      );
+    } finally {
+      setConnecting(false);
+    }
+  };
+
+  const handleDisconnect = () => {
+    updateDeployConnection(provider.name, null);
+    toast.success(`Disconnected from ${provider.label}`);
+  };
+
+  const canConnect = provider.isConnected({ ...getDeployCredentials(provider), ...inputs });
+
+  return (
+    <motion.div
+      className="bg-[#FFFFFF] dark:bg-[#0A0A0A] rounded-lg border border-[#E5E5E5] dark:border-[#1A1A1A]"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.3 }}
+    >
+      <div className="p-6 space-y-6">
+        <div className="flex items-center gap-2">
+          <DeployProviderLogo provider={provider} />
+          <h3 className="text-base font-medium text-bolt-elements-textPrimary">{provider.label} Connection</h3>
+        </div>
+
+        {!connection?.user ? (
+          <form className="space-y-4" onSubmit={handleConnect}>
+            {provider.connectionFields.map((field) => (
+              <div key={field.key}>
+                <label className="block text-sm text-bolt-elements-textSecondary mb-2">{field.label}</label>
+                <input
+                  type={field.type}
+                  value={inputs[field.key] ?? ''}
+                  onChange={(e) => setInputs({ ...inputs, [field.key]: e.target.value })}
+                  disabled={connecting}
+                  placeholder={
+                    envFields.includes(field) ? `Using ${field.envKey} from the environment` : field.placeholder
+                  }
+                  className={classNames(
+                    'w-full px-3 py-2 rounded-lg text-sm',
+                    'bg-[#F8F8F8] dark:bg-[#1A1A1A]',
+                    'border border-[#E5E5E5] dark:border-[#333333]',
+                    'text-bolt-elements-textPrimary placeholder-bolt-elements-textTertiary',
+                    'focus:outline-none focus:ring-1 focus:ring-bolt-elements-borderColorActive',
+                    'disabled:opacity-50',
+                  )}
+                />
+              </div>
+            ))}
+
+            {provider.getTokenLink && (
+              <div className="text-sm text-bolt-elements-textSecondary">
+                <a
+                  href={provider.getTokenLink}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-bolt-elements-borderColorActive hover:underline inline-flex items-center gap-1"
+                >
+                  Get your token
+                  <div className="i-ph:arrow-square-out w-4 h-4" />
+                </a>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={connecting || !canConnect}
+              className={classNames(
+                'px-4 py-2 rounded-lg text-sm flex items-center gap-2',
+                'bg-[#303030] text-white',
+                'hover:bg-[#5E41D0] hover:text-white',
+                'disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200',
+                'transform active:scale-95',
+              )}
+            >
+              {connecting ? (
+                <>
+                  <div className="i-ph:spinner-gap animate-spin" />
+                  Connecting...
+                </>
+              ) : (
+                <>
+                  <div className="i-ph:plug-charging w-4 h-4" />
+                  Connect
+                </>
+              )}
+            </button>
+          </form>
+        ) : (
+          <div className="space-y-6">
+            <div className="flex items-center gap-3">
+              <button
+                onClick={handleDisconnect}
+                className={classNames(
+                  'px-4 py-2 rounded-lg text-sm flex items-center gap-2',
+                  'bg-red-500 text-white',
+                  'hover:bg-red-600',
+                )}
+              >
+                <div className="i-ph:plug w-4 h-4" />
+                Disconnect
+              </button>
+              <span className="text-sm text-bolt-elements-textSecondary flex items-center gap-1">
+                <div className="i-ph:check-circle w-4 h-4 text-green-500" />
+                Connected to {provider.label}
+              </span>
+            </div>
+
+            <div className="flex items-center gap-4 p-4 bg-[#F8F8F8] dark:bg-[#1A1A1A] rounded-lg">
+              {connection.user.avatarUrl ? (
+                <img
+                  src={connection.user.avatarUrl}
+                  referrerPolicy="no-referrer"
+                  crossOrigin="anonymous"
+                  alt="User Avatar"
+                  className="w-12 h-12 rounded-full border-2 border-bolt-elements-borderColorActive"
+                />
+              ) : (
+                <div className="w-12 h-12 rounded-full border-2 border-bolt-elements-borderColorActive flex items-center justify-center">
+                  <div className="i-ph:user w-6 h-6 text-bolt-elements-textSecondary" />
+                </div>
+              )}
+              <div>
+                <h4 className="text-sm font-medium text-bolt-elements-textPrimary">{connection.user.name}</h4>
+                <p className="text-sm text-bolt-elements-textSecondary">
+                  {connection.user.email || 'No email available'}
+                </p>
+              </div>
+            </div>
+
+            {provider.listTargets &&
+              (targets === null ? (
+                <div className="flex items-center gap-2 text-sm text-bolt-elements-textSecondary">
+                  <div className="i-ph:spinner-gap w-4 h-4 animate-spin" />
+                  Fetching {provider.label} projects...
+                </div>
+              ) : (
+                <div>
+                  <button
+                    onClick={() => setIsTargetsExpanded(!isTargetsExpanded)}
+                    className="w-full bg-transparent text-left text-sm font-medium text-bolt-elements-textPrimary mb-3 flex items-center gap-2"
+                  >
+                    <div className="i-ph:buildings w-4 h-4" />
+                    Your Projects ({targets.length})
+                    <div
+                      className={classNames(
+                        'i-ph:caret-down w-4 h-4 ml-auto transition-transform',
+                        isTargetsExpanded ? 'rotate-180' : '',
+                      )}
+                    />
+                  </button>
+                  {isTargetsExpanded && targets.length > 0 ? (
+                    <div className="grid gap-3">
+                      {targets.map((target) => (
+                        <DeployTargetCard
+                          key={target.id}
+                          provider={provider}
+                          credentials={connection.credentials}
+                          target={target}
+                          onRemoved={() => setTargets(targets.filter(({ id }) => id !== target.id))}
+                        />
+                      ))}
+                    </div>
+                  ) : isTargetsExpanded ? (
+                    <div className="text-sm text-bolt-elements-textSecondary flex items-center gap-2">
+                      <div className="i-ph:info w-4 h-4" />
+                      No projects found in your {provider.label} account
+                    </div>
+                  ) : null}
+                </div>
+              ))}
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,250 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { toast } from 'react-toastify';
+import { Switch } from '~/components/ui/Switch';
+import { useSettings } from '~/lib/hooks/useSettings';
+import { logStore } from '~/lib/stores/logs';
+import { listMCPServerTools } from '~/lib/modules/mcp/client';
+import { getMCPToolName } from '~/lib/modules/mcp/tools';
+import type { MCPServerConfig, MCPTool, MCPTransport } from '~/lib/modules/mcp/types';
+import { classNames } from '~/utils/classNames';
+import { generateId } from '~/utils/fileUtils';
+
+const inputClassName = classNames(
+  'w-full px-3 py-2 rounded-lg text-sm',
+  'bg-[#F8F8F8] dark:bg-[#1A1A1A]',
+  'border border-[#E5E5E5] dark:border-[#333333]',
+  'text-bolt-elements-textPrimary placeholder-bolt-elements-textTertiary',
+  'focus:outline-none focus:ring-1 focus:ring-bolt-elements-borderColorActive',
+);
+
+const EMPTY_FORM = { name: '', url: '', transport: 'streamable-http' as MCPTransport, headers: '' };
+
+// `Name: value` per line
+function parseHeaders(text: string): Record<string, string> | undefined {
+  const entries = text
+    .split('\n')
+    .map((line) => line.match(/^\s*([^:]+?)\s*:\s*(.*?)\s*$/))
+    .filter((match): match is RegExpMatchArray => !!match && !!match[2])
+    .map((match) => [match[1], match[2]]);
+
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+}
+
+/**
+ * Model Context Protocol servers whose tools are offered to the model
+ */
+export default function McpConnection() {
+  const { mcpSettings, setMCPSettings } = useSettings();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [testing, setTesting] = useState<string | null>(null);
+  const [serverTools, setServerTools] = useState<Record<string, MCPTool[]>>({});
+
+  const updateServer = (id: string, update: Partial<MCPServerConfig>) => {
+    setMCPSettings({
+      servers: mcpSettings.servers.map((server) => (server.id === id ? { ...server, ...update } : server)),
+    });
+  };
+
+  const handleAdd = (event: React.FormEvent) => {
+    event.preventDefault();
+
+    const name = form.name.trim();
+
+    // tools are exposed to the model prefixed with the server name, two servers can't share it
+    if (mcpSettings.servers.some((server) => getMCPToolName(server, '') === getMCPToolName({ name }, ''))) {
+      toast.error(`An MCP server named ${name} already exists`);
+      return;
+    }
+
+    try {
+      new URL(form.url);
+    } catch {
+      toast.error('Enter a valid server URL');
+      return;
+    }
+
+    const server: MCPServerConfig = {
+      id: generateId(),
+      name,
+      url: form.url.trim(),
+      transport: form.transport,
+      headers: parseHeaders(form.headers),
+      enabled: true,
+      alwaysAllow: false,
+    };
+
+    setMCPSettings({ servers: [...mcpSettings.servers, server] });
+    setForm(EMPTY_FORM);
+    toast.success(`Added MCP server ${name}`);
+  };
+
+  const handleRemove = (server: MCPServerConfig) => {
+    setMCPSettings({ servers: mcpSettings.servers.filter((item) => item.id !== server.id) });
+    toast.success(`Removed MCP server ${server.name}`);
+  };
+
+  const handleTest = async (server: MCPServerConfig) => {
+    setTesting(server.id);
+
+    try {
+      const tools = await listMCPServerTools(server);
+      setServerTools((current) => ({ ...current, [server.id]: tools }));
+      toast.success(`${server.name} offers ${tools.length} tools`);
+    } catch (error) {
+      logStore.logError(`Failed to connect to MCP server ${server.name}`, { error });
+      toast.error(`Failed to connect to ${server.name}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setTesting(null);
+    }
+  };
+
+  return (
+    <motion.div
+      className="bg-[#FFFFFF] dark:bg-[#0A0A0A] rounded-lg border border-[#E5E5E5] dark:border-[#1A1A1A]"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.4 }}
+    >
+      <div className="p-6 space-y-6">
+        <div className="flex items-center gap-2">
+          <div className="i-ph:plugs-connected w-5 h-5 text-bolt-elements-textPrimary" />
+          <h3 className="text-base font-medium text-bolt-elements-textPrimary">MCP Servers</h3>
+        </div>
+        <p className="text-sm text-bolt-elements-textSecondary">
+          The model can call the tools of these servers while answering. Every call waits for your approval unless the
+          server is always allowed.
+        </p>
+
+        {mcpSettings.servers.length > 0 && (
+          <div className="space-y-3">
+            {mcpSettings.servers.map((server) => (
+              <div key={server.id} className="p-4 rounded-lg border border-bolt-elements-borderColor space-y-3">
+                <div className="flex items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <h5 className="text-sm font-medium text-bolt-elements-textPrimary">{server.name}</h5>
+                    <p className="text-xs text-bolt-elements-textSecondary truncate">
+                      {server.url} · {server.transport === 'sse' ? 'SSE' : 'Streamable HTTP'}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleTest(server)}
+                    disabled={testing === server.id}
+                    className="px-3 py-1.5 rounded-lg text-xs flex items-center gap-1 bg-[#F8F8F8] dark:bg-[#1A1A1A] text-bolt-elements-textPrimary disabled:opacity-50"
+                  >
+                    <div className={testing === server.id ? 'i-ph:spinner-gap animate-spin' : 'i-ph:plug-charging'} />
+                    Test
+                  </button>
+                  <button
+                    onClick={() => handleRemove(server)}
+                    title="Remove server"
+                    className="bg-transparent text-bolt-elements-textSecondary hover:text-red-500"
+                  >
+                    <div className="i-ph:trash w-4 h-4" />
+                  </button>
+                </div>
+
+                <div className="flex flex-wrap items-center gap-6 text-xs text-bolt-elements-textSecondary">
+                  <label className="flex items-center gap-2">
+                    <Switch
+                      checked={server.enabled}
+                      onCheckedChange={(checked) => updateServer(server.id, { enabled: checked })}
+                    />
+                    Enabled
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <Switch
+                      checked={server.alwaysAllow}
+                      onCheckedChange={(checked) => updateServer(server.id, { alwaysAllow: checked })}
+                    />
+                    Always allow tool calls
+                  </label>
+                </div>
+
+                {serverTools[server.id] && (
+                  <div className="flex flex-wrap gap-1">
+                    {serverTools[server.id].map((tool) => (
+                      <span
+                        key={tool.name}
+                        title={tool.description}
+                        className="px-2 py-0.5 rounded text-xs bg-[#F8F8F8] dark:bg-[#1A1A1A] text-bolt-elements-textSecondary"
+                      >
+                        {tool.name}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+
+            <label className="flex items-center gap-2 text-xs text-bolt-elements-textSecondary">
+              Tool steps per response
+              <input
+                type="number"
+                min={1}
+                value={mcpSettings.maxSteps}
+                onChange={(e) => {
+                  const value = Number(e.target.value);
+
+                  if (Number.isInteger(value) && value >= 1) {
+                    setMCPSettings({ maxSteps: value });
+                  }
+                }}
+                className={classNames(inputClassName, 'w-20')}
+              />
+            </label>
+          </div>
+        )}
+
+        <form className="space-y-3" onSubmit={handleAdd}>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <input
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Name"
+              className={inputClassName}
+            />
+            <select
+              value={form.transport}
+              onChange={(e) => setForm({ ...form, transport: e.target.value as MCPTransport })}
+              className={inputClassName}
+            >
+              <option value="streamable-http">Streamable HTTP</option>
+              <option value="sse">SSE</option>
+            </select>
+          </div>
+          <input
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            placeholder="https://example.com/mcp"
+            className={inputClassName}
+          />
+          <div className="text-xs text-bolt-elements-textTertiary">
+            Servers on plain http or a private address have to be listed in <code>MCP_SERVER_HOSTS</code> on the server.
+          </div>
+          <textarea
+            value={form.headers}
+            onChange={(e) => setForm({ ...form, headers: e.target.value })}
+            placeholder="Authorization: Bearer ... (optional, one header per line)"
+            rows={2}
+            className={classNames(inputClassName, 'resize-y font-mono')}
+          />
+          <button
+            type="submit"
+            disabled={!form.name.trim() || !form.url.trim()}
+            className={classNames(
+              'px-4 py-2 rounded-lg text-sm flex items-center gap-2',
+              'bg-[#303030] text-white',
+              'hover:bg-[#5E41D0] hover:text-white',
+              'disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200',
+              'transform active:scale-95',
+            )}
+          >
+            <div className="i-ph:plus w-4 h-4" />
+            Add Server
+          </button>
+        </form>
+      </div>
+    </motion.div>
+  );
+}
@@ -1,11 +1,22 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
 import { Button } from '~/components/ui/Button';
-import { ConfirmationDialog, SelectionDialog } from '~/components/ui/Dialog';
+import {
+  ConfirmationDialog,
+  Dialog,
+  DialogDescription,
+  DialogRoot,
+  DialogTitle,
+  SelectionDialog,
+} from '~/components/ui/Dialog';
+import { Checkbox } from '~/components/ui/Checkbox';
 import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '~/components/ui/Card';
 import { motion } from 'framer-motion';
 import { useDataOperations } from '~/lib/hooks/useDataOperations';
 import { openDatabase } from '~/lib/persistence/db';
 import { getAllChats, type Chat } from '~/lib/persistence/chats';
+import { readBundle, type ProjectBundle } from '~/lib/persistence/bundle';
+import { findBundleConflict, type BundleConflictPolicy } from '~/lib/persistence/projectBundles';
+import type { ChatHistoryItem } from '~/lib/persistence/useChatHistory';
 import { DataVisualization } from './DataVisualization';
 import { classNames } from '~/utils/classNames';
 import { toast } from 'react-toastify';
@@ -79,12 +90,22 @@ export function DataTab() {
   const fileInputRef = useRef<HTMLInputElement>(null);
   const apiKeyFileInputRef = useRef<HTMLInputElement>(null);
   const chatFileInputRef = useRef<HTMLInputElement>(null);
+  const bundleFileInputRef = useRef<HTMLInputElement>(null);
 
   // State for confirmation dialogs
   const [showResetInlineConfirm, setShowResetInlineConfirm] = useState(false);
   const [showDeleteInlineConfirm, setShowDeleteInlineConfirm] = useState(false);
   const [showSettingsSelection, setShowSettingsSelection] = useState(false);
   const [showChatsSelection, setShowChatsSelection] = useState(false);
+  const [showBundleSelection, setShowBundleSelection] = useState(false);
+
+  // State for project bundles
+  const [includeCheckpoints, setIncludeCheckpoints] = useState(false);
+  const [includeBundleSettings, setIncludeBundleSettings] = useState(true);
+  const [applyBundleSettings, setApplyBundleSettings] = useState(false);
+  const [bundleConflict, setBundleConflict] = useState<{ bundle: ProjectBundle; existing: ChatHistoryItem } | null>(
+    null,
+  );
 
   // State for settings categories and available chats
   const [settingsCategories] = useState<SettingsCategory[]>([
@@ -112,6 +133,8 @@ export function DataTab() {
     handleExportSelectedChats,
     handleImportSettings,
     handleImportChats,
+    handleExportProjectBundles,
+    handleImportProjectBundle,
     handleResetSettings,
     handleResetChats,
     handleDownloadTemplate,
@@ -200,6 +223,54 @@ export function DataTab() {
     [handleImportChats],
   );
 
+  const importBundle = useCallback(
+    async (bundle: ProjectBundle, conflict?: BundleConflictPolicy) => {
+      const urlId = await handleImportProjectBundle(bundle, { conflict, applySettings: applyBundleSettings });
+
+      if (urlId) {
+        window.location.href = `/chat/${urlId}`;
+      }
+    },
+    [handleImportProjectBundle, applyBundleSettings],
+  );
+
+  const handleBundleFileInputChange = useCallback(
+    async (event: React.ChangeEvent<HTMLInputElement>) => {
+      const file = event.target.files?.[0];
+
+      // allow picking the same file again after a failed or cancelled import
+      event.target.value = '';
+
+      if (!file || !db) {
+        return;
+      }
+
+      try {
+        const bundle = await readBundle(file);
+        const existing = await findBundleConflict(db, bundle);
+
+        if (existing) {
+          setBundleConflict({ bundle, existing });
+        } else {
+          await importBundle(bundle);
+        }
+      } catch (error) {
+        console.error('Error reading project bundle:', error);
+        toast.error(`Failed to read project bundle: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      }
+    },
+    [db, importBundle],
+  );
+
+  const resolveBundleConflict = useCallback(
+    (conflict: BundleConflictPolicy) => {
+      if (bundleConflict) {
+        importBundle(bundleConflict.bundle, conflict).finally(() => setBundleConflict(null));
+      }
+    },
+    [bundleConflict, importBundle],
+  );
+
   // Wrapper for reset chats to handle loading state
   const handleResetChatsWithState = useCallback(() => {
     setIsDeleting(true);
@@ -224,6 +295,13 @@ export function DataTab() {
         onChange={handleChatFileInputChange}
         className="hidden"
       />
+      <input
+        ref={bundleFileInputRef}
+        type="file"
+        accept=".zip,.json"
+        onChange={handleBundleFileInputChange}
+        className="hidden"
+      />
 
       {/* Reset Settings Confirmation Dialog */}
       <ConfirmationDialog
@@ -277,6 +355,56 @@ export function DataTab() {
         confirmLabel="Export Selected"
       />
 
+      {/* Project Bundles Selection Dialog */}
+      <SelectionDialog
+        isOpen={showBundleSelection}
+        onClose={() => setShowBundleSelection(false)}
+        title="Select Chats to Bundle"
+        items={chatItems}
+        onConfirm={(selectedIds) => {
+          handleExportProjectBundles(selectedIds, {
+            checkpoints: includeCheckpoints,
+            settings: includeBundleSettings,
+          });
+          setShowBundleSelection(false);
+        }}
+        confirmLabel="Export Bundles"
+      />
+
+      {/* Project Bundle Conflict Dialog */}
+      <DialogRoot open={!!bundleConflict} onOpenChange={(open) => !open && setBundleConflict(null)}>
+        <Dialog showCloseButton={false}>
+          <div className="p-6 bg-white dark:bg-gray-950 relative z-10">
+            <DialogTitle>Chat Already Exists</DialogTitle>
+            <DialogDescription className="mb-4">
+              This bundle was exported from "{bundleConflict?.existing.description || 'Untitled chat'}", which is
+              already in your history. Replace it with the bundle, or import the bundle as a new chat?
+            </DialogDescription>
+            <div className="flex justify-end space-x-2">
+              <Button variant="outline" onClick={() => setBundleConflict(null)} disabled={isImporting}>
+                Cancel
+              </Button>
+              <Button
+                variant="outline"
+                onClick={() => resolveBundleConflict('copy')}
+                disabled={isImporting}
+                className="bg-bolt-elements-item-backgroundAccent text-bolt-elements-item-contentAccent hover:bg-bolt-elements-button-primary-backgroundHover"
+              >
+                Import as Copy
+              </Button>
+              <Button
+                variant="destructive"
+                onClick={() => resolveBundleConflict('replace')}
+                disabled={isImporting}
+                className="bg-red-500 text-white hover:bg-red-600"
+              >
+                Replace
+              </Button>
+            </div>
+          </div>
+        </Dialog>
+      </DialogRoot>
+
       {/* Chats Section */}
       <div>
         <h2 className="text-xl font-semibold mb-4 text-bolt-elements-textPrimary">Chats</h2>
@@ -425,6 +553,107 @@ export function DataTab() {
               </CardFooter>
             </Card>
 
+            <Card>
+              <CardHeader>
+                <div className="flex items-center mb-2">
+                  <motion.div className="text-accent-500 mr-2" whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.9 }}>
+                    <div className="i-ph:package w-5 h-5" />
+                  </motion.div>
+                  <CardTitle className="text-lg group-hover:text-bolt-elements-item-contentAccent transition-colors">
+                    Export Project Bundles
+                  </CardTitle>
+                </div>
+                <CardDescription>
+                  Export chats with their files and locks as zips to continue elsewhere.
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-2 text-sm text-bolt-elements-textSecondary">
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <Checkbox
+                    checked={includeCheckpoints}
+                    onCheckedChange={(checked) => setIncludeCheckpoints(checked === true)}
+                  />
+                  Include checkpoints
+                </label>
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <Checkbox
+                    checked={includeBundleSettings}
+                    onCheckedChange={(checked) => setIncludeBundleSettings(checked === true)}
+                  />
+                  Include model and prompt
+                </label>
+              </CardContent>
+              <CardFooter>
+                <motion.div whileHover={{ scale: 1.03 }} whileTap={{ scale: 0.97 }} className="w-full">
+                  <Button
+                    onClick={() => setShowBundleSelection(true)}
+                    disabled={isExporting || chatItems.length === 0}
+                    variant="outline"
+                    size="sm"
+                    className={classNames(
+                      'hover:text-bolt-elements-item-contentAccent hover:border-bolt-elements-item-backgroundAccent hover:bg-bolt-elements-item-backgroundAccent transition-colors w-full justify-center',
+                      isExporting || chatItems.length === 0 ? 'cursor-not-allowed' : '',
+                    )}
+                  >
+                    {isExporting ? (
+                      <>
+                        <div className="i-ph-spinner-gap-bold animate-spin w-4 h-4 mr-2" />
+                        Exporting...
+                      </>
+                    ) : (
+                      'Select Chats'
+                    )}
+                  </Button>
+                </motion.div>
+              </CardFooter>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <div className="flex items-center mb-2">
+                  <motion.div className="text-accent-500 mr-2" whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.9 }}>
+                    <div className="i-ph:package-duotone w-5 h-5" />
+                  </motion.div>
+                  <CardTitle className="text-lg group-hover:text-bolt-elements-item-contentAccent transition-colors">
+                    Import Project Bundle
+                  </CardTitle>
+                </div>
+                <CardDescription>Import a project bundle, or a chat exported from the sidebar.</CardDescription>
+              </CardHeader>
+              <CardContent className="text-sm text-bolt-elements-textSecondary">
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <Checkbox
+                    checked={applyBundleSettings}
+                    onCheckedChange={(checked) => setApplyBundleSettings(checked === true)}
+                  />
+                  Use the model and prompt of the bundle
+                </label>
+              </CardContent>
+              <CardFooter>
+                <motion.div whileHover={{ scale: 1.03 }} whileTap={{ scale: 0.97 }} className="w-full">
+                  <Button
+                    onClick={() => bundleFileInputRef.current?.click()}
+                    disabled={isImporting}
+                    variant="outline"
+                    size="sm"
+                    className={classNames(
+                      'hover:text-bolt-elements-item-contentAccent hover:border-bolt-elements-item-backgroundAccent hover:bg-bolt-elements-item-backgroundAccent transition-colors w-full justify-center',
+                      isImporting ? 'cursor-not-allowed' : '',
+                    )}
+                  >
+                    {isImporting ? (
+                      <>
+                        <div className="i-ph-spinner-gap-bold animate-spin w-4 h-4 mr-2" />
+                        Importing...
+                      </>
+                    ) : (
+                      'Import Bundle'
+                    )}
+                  </Button>
+                </motion.div>
+              </CardFooter>
+            </Card>
+
             <Card>
               <CardHeader>
                 <div className="flex items-center mb-2">
@@ -0,0 +1,80 @@
+import { motion } from 'framer-motion';
+import { toast } from 'react-toastify';
+import { Switch } from '~/components/ui/Switch';
+import { useSettings } from '~/lib/hooks/useSettings';
+import { classNames } from '~/utils/classNames';
+
+export default function AutoFixCard() {
+  const { autoFix, setAutoFix } = useSettings();
+
+  const setMaxIterations = (value: string) => {
+    const number = Number(value);
+
+    if (Number.isInteger(number) && number >= 1) {
+      setAutoFix({ maxIterations: number });
+    }
+  };
+
+  return (
+    <motion.div
+      layout
+      className={classNames(
+        'bg-bolt-elements-background-depth-2',
+        'hover:bg-bolt-elements-background-depth-3',
+        'transition-all duration-200',
+        'rounded-lg p-4',
+        'group',
+      )}
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.5 }}
+    >
+      <div className="flex items-center gap-4">
+        <div
+          className={classNames(
+            'p-2 rounded-lg text-xl',
+            'bg-bolt-elements-background-depth-3 group-hover:bg-bolt-elements-background-depth-4',
+            'transition-colors duration-200',
+            'text-purple-500',
+          )}
+        >
+          <div className="i-ph:wrench" />
+        </div>
+        <div className="flex-1">
+          <h4 className="text-sm font-medium text-bolt-elements-textPrimary group-hover:text-purple-500 transition-colors">
+            Automatic Fixes
+          </h4>
+          <p className="text-xs text-bolt-elements-textSecondary mt-0.5">
+            After each response, run the project's typecheck, lint and test scripts and send the failures back to the
+            model until they pass or the repair limit is reached.
+          </p>
+        </div>
+        <Switch
+          checked={autoFix.enabled}
+          onCheckedChange={(checked) => {
+            setAutoFix({ enabled: checked });
+            toast.success(`Automatic fixes ${checked ? 'enabled' : 'disabled'}`);
+          }}
+        />
+      </div>
+
+      <label className="mt-4 flex items-center gap-2 text-xs text-bolt-elements-textSecondary">
+        Repair attempts in a row
+        <input
+          type="number"
+          min={1}
+          value={autoFix.maxIterations}
+          disabled={!autoFix.enabled}
+          onChange={(e) => setMaxIterations(e.target.value)}
+          className={classNames(
+            'p-2 rounded-lg text-sm w-20',
+            'bg-bolt-elements-background-depth-3 border border-bolt-elements-borderColor',
+            'text-bolt-elements-textPrimary',
+            'focus:outline-none focus:ring-2 focus:ring-purple-500/30',
+            'disabled:opacity-50',
+          )}
+        />
+      </label>
+    </motion.div>
+  );
+}
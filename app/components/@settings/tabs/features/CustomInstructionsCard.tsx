@@ -0,0 +1,167 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { toast } from 'react-toastify';
+import { Switch } from '~/components/ui/Switch';
+import { useSettings } from '~/lib/hooks/useSettings';
+import type { PromptTemplate } from '~/types/rules';
+import { classNames } from '~/utils/classNames';
+import { generateId } from '~/utils/fileUtils';
+
+const inputClassName = classNames(
+  'p-2 rounded-lg text-sm',
+  'bg-bolt-elements-background-depth-3 border border-bolt-elements-borderColor',
+  'text-bolt-elements-textPrimary',
+  'focus:outline-none focus:ring-2 focus:ring-purple-500/30',
+  'transition-all duration-200',
+);
+
+export default function CustomInstructionsCard() {
+  const { customInstructions, setCustomInstructions } = useSettings();
+  const [editingId, setEditingId] = useState<string | null>(null);
+
+  const setMaxTokens = (value: string) => {
+    const number = Number(value);
+
+    if (Number.isInteger(number) && number >= 100) {
+      setCustomInstructions({ maxTokens: number });
+    }
+  };
+
+  const updateTemplate = (id: string, update: Partial<PromptTemplate>) => {
+    setCustomInstructions({
+      templates: customInstructions.templates.map((template) =>
+        template.id === id ? { ...template, ...update } : template,
+      ),
+    });
+  };
+
+  const addTemplate = () => {
+    const template: PromptTemplate = { id: generateId(), name: 'New template', content: '', enabled: true };
+    setCustomInstructions({ templates: [...customInstructions.templates, template] });
+    setEditingId(template.id);
+  };
+
+  const removeTemplate = (id: string) => {
+    setCustomInstructions({ templates: customInstructions.templates.filter((template) => template.id !== id) });
+    toast.success('Template removed');
+  };
+
+  return (
+    <motion.div
+      layout
+      className={classNames(
+        'bg-bolt-elements-background-depth-2',
+        'hover:bg-bolt-elements-background-depth-3',
+        'transition-all duration-200',
+        'rounded-lg p-4',
+        'group',
+      )}
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.6 }}
+    >
+      <div className="flex items-center gap-4">
+        <div
+          className={classNames(
+            'p-2 rounded-lg text-xl',
+            'bg-bolt-elements-background-depth-3 group-hover:bg-bolt-elements-background-depth-4',
+            'transition-colors duration-200',
+            'text-purple-500',
+          )}
+        >
+          <div className="i-ph:scroll" />
+        </div>
+        <div className="flex-1">
+          <h4 className="text-sm font-medium text-bolt-elements-textPrimary group-hover:text-purple-500 transition-colors">
+            Project Rules
+          </h4>
+          <p className="text-xs text-bolt-elements-textSecondary mt-0.5">
+            Add the instructions of <code>.kodora/rules.md</code> and <code>.kodora/rules/*.md</code> to the system
+            prompt. Rule files in a subdirectory only apply when the response touches files of that directory.
+          </p>
+        </div>
+        <Switch
+          checked={customInstructions.projectRules}
+          onCheckedChange={(checked) => {
+            setCustomInstructions({ projectRules: checked });
+            toast.success(`Project rules ${checked ? 'enabled' : 'disabled'}`);
+          }}
+        />
+      </div>
+
+      <label className="mt-4 flex items-center gap-2 text-xs text-bolt-elements-textSecondary">
+        Token limit for rules and templates
+        <input
+          type="number"
+          min={100}
+          step={100}
+          value={customInstructions.maxTokens}
+          onChange={(e) => setMaxTokens(e.target.value)}
+          className={classNames(inputClassName, 'w-24')}
+        />
+      </label>
+
+      <div className="mt-4 space-y-2">
+        <div className="flex items-center justify-between">
+          <span className="text-xs font-medium text-bolt-elements-textPrimary">Prompt templates</span>
+          <button
+            onClick={addTemplate}
+            className="flex items-center gap-1 text-xs text-purple-500 bg-transparent hover:underline"
+          >
+            <div className="i-ph:plus" />
+            Add template
+          </button>
+        </div>
+
+        {customInstructions.templates.length === 0 && (
+          <p className="text-xs text-bolt-elements-textTertiary">
+            Templates are sent with every request while enabled, e.g. coding conventions you always want followed.
+          </p>
+        )}
+
+        {customInstructions.templates.map((template) => (
+          <div key={template.id} className="rounded-lg border border-bolt-elements-borderColor p-2 space-y-2">
+            <div className="flex items-center gap-2">
+              {editingId === template.id ? (
+                <input
+                  value={template.name}
+                  onChange={(e) => updateTemplate(template.id, { name: e.target.value })}
+                  className={classNames(inputClassName, 'flex-1')}
+                />
+              ) : (
+                <span className="flex-1 text-sm text-bolt-elements-textPrimary truncate">{template.name}</span>
+              )}
+              <Switch
+                checked={template.enabled}
+                onCheckedChange={(checked) => updateTemplate(template.id, { enabled: checked })}
+              />
+              <button
+                onClick={() => setEditingId(editingId === template.id ? null : template.id)}
+                title={editingId === template.id ? 'Done' : 'Edit template'}
+                className="bg-transparent text-bolt-elements-textSecondary hover:text-bolt-elements-textPrimary"
+              >
+                <div className={editingId === template.id ? 'i-ph:check' : 'i-ph:pencil-simple'} />
+              </button>
+              <button
+                onClick={() => removeTemplate(template.id)}
+                title="Remove template"
+                className="bg-transparent text-bolt-elements-textSecondary hover:text-red-500"
+              >
+                <div className="i-ph:trash" />
+              </button>
+            </div>
+            {editingId === template.id && (
+              <textarea
+                value={template.content}
+                rows={5}
+                placeholder="Always use named exports..."
+                onChange={(e) => updateTemplate(template.id, { content: e.target.value })}
+                className={classNames(inputClassName, 'w-full resize-y font-mono')}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+    </motion.div>
+  );
+}
@@ -6,6 +6,16 @@ import { useSettings } from '~/lib/hooks/useSettings';
 import { classNames } from '~/utils/classNames';
 import { toast } from 'react-toastify';
 import { PromptLibrary } from '~/lib/common/prompt-library';
+import type { ContextMode } from '~/types/context';
+import ModelFallbackCard from './ModelFallbackCard';
+import AutoFixCard from './AutoFixCard';
+import CustomInstructionsCard from './CustomInstructionsCard';
+
+const CONTEXT_MODES: { id: ContextMode; label: string }[] = [
+  { id: 'llm', label: 'Model selects files' },
+  { id: 'bm25', label: 'Local search (BM25)' },
+  { id: 'hybrid', label: 'Local search + embeddings' },
+];
 
 interface FeatureToggle {
   id: string;
@@ -117,6 +127,8 @@ export default function FeaturesTab() {
     setEventLogs,
     setPromptId,
     promptId,
+    contextMode,
+    setContextMode,
   } = useSettings();
 
   // Enable features by default on first load
@@ -225,6 +237,64 @@ export default function FeaturesTab() {
         onToggleFeature={handleToggleFeature}
       />
 
+      <motion.div
+        layout
+        className={classNames(
+          'bg-bolt-elements-background-depth-2',
+          'hover:bg-bolt-elements-background-depth-3',
+          'transition-all duration-200',
+          'rounded-lg p-4',
+          'group',
+        )}
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: contextOptimizationEnabled ? 1 : 0.6, y: 0 }}
+        transition={{ delay: 0.2 }}
+      >
+        <div className="flex items-center gap-4">
+          <div
+            className={classNames(
+              'p-2 rounded-lg text-xl',
+              'bg-bolt-elements-background-depth-3 group-hover:bg-bolt-elements-background-depth-4',
+              'transition-colors duration-200',
+              'text-purple-500',
+            )}
+          >
+            <div className="i-ph:magnifying-glass" />
+          </div>
+          <div className="flex-1">
+            <h4 className="text-sm font-medium text-bolt-elements-textPrimary group-hover:text-purple-500 transition-colors">
+              Context Selection
+            </h4>
+            <p className="text-xs text-bolt-elements-textSecondary mt-0.5">
+              How Context Optimization picks files for the current chat. Local search skips the extra model call;
+              embeddings are used with OpenAI, Ollama and LMStudio.
+            </p>
+          </div>
+          <select
+            value={contextMode}
+            disabled={!contextOptimizationEnabled}
+            onChange={(e) => {
+              setContextMode(e.target.value as ContextMode);
+              toast.success('Context selection updated');
+            }}
+            className={classNames(
+              'p-2 rounded-lg text-sm min-w-[200px]',
+              'bg-bolt-elements-background-depth-3 border border-bolt-elements-borderColor',
+              'text-bolt-elements-textPrimary',
+              'focus:outline-none focus:ring-2 focus:ring-purple-500/30',
+              'group-hover:border-purple-500/30',
+              'transition-all duration-200',
+            )}
+          >
+            {CONTEXT_MODES.map((x) => (
+              <option key={x.id} value={x.id}>
+                {x.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </motion.div>
+
       {features.beta.length > 0 && (
         <FeatureSection
           title="Beta Features"
@@ -290,6 +360,12 @@ export default function FeaturesTab() {
           </select>
         </div>
       </motion.div>
+
+      <ModelFallbackCard />
+
+      <AutoFixCard />
+
+      <CustomInstructionsCard />
     </div>
   );
 }
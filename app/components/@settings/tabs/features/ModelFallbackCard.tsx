@@ -0,0 +1,212 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { toast } from 'react-toastify';
+import { useSettings } from '~/lib/hooks/useSettings';
+import { isSameCandidate, type RetryPolicy } from '~/lib/modules/llm/fallback';
+import { classNames } from '~/utils/classNames';
+
+const RETRY_CLASSES: { id: RetryPolicy['retryOn'][number]; label: string }[] = [
+  { id: 'rate_limit', label: 'Rate limits (429)' },
+  { id: 'server', label: 'Server errors (5xx)' },
+  { id: 'network', label: 'Network errors' },
+  { id: 'auth', label: 'Auth errors (401/403)' },
+];
+
+const inputClassName = classNames(
+  'p-2 rounded-lg text-sm',
+  'bg-bolt-elements-background-depth-3 border border-bolt-elements-borderColor',
+  'text-bolt-elements-textPrimary',
+  'focus:outline-none focus:ring-2 focus:ring-purple-500/30',
+  'transition-all duration-200',
+);
+
+export default function ModelFallbackCard() {
+  const { activeProviders, fallbackChain, setFallbackChain, retryPolicy, setRetryPolicy } = useSettings();
+  const [provider, setProvider] = useState('');
+  const [model, setModel] = useState('');
+
+  const selectedProvider = provider || activeProviders[0]?.name || '';
+
+  const addCandidate = () => {
+    const candidate = { provider: selectedProvider, model: model.trim() };
+
+    if (!candidate.provider || !candidate.model) {
+      return;
+    }
+
+    if (fallbackChain.some((other) => isSameCandidate(other, candidate))) {
+      toast.info('This model is already in the fallback chain');
+      return;
+    }
+
+    setFallbackChain([...fallbackChain, candidate]);
+    setModel('');
+  };
+
+  const moveCandidate = (index: number, offset: number) => {
+    const chain = [...fallbackChain];
+    const [candidate] = chain.splice(index, 1);
+    chain.splice(index + offset, 0, candidate);
+    setFallbackChain(chain);
+  };
+
+  const setNumber = (key: 'maxAttempts' | 'initialDelayMs' | 'maxDelayMs', value: string) => {
+    const number = Number(value);
+
+    if (Number.isFinite(number) && number >= (key === 'maxAttempts' ? 1 : 0)) {
+      setRetryPolicy({ [key]: number });
+    }
+  };
+
+  const toggleRetryClass = (id: RetryPolicy['retryOn'][number], enabled: boolean) => {
+    setRetryPolicy({
+      retryOn: enabled ? [...retryPolicy.retryOn, id] : retryPolicy.retryOn.filter((x) => x !== id),
+    });
+  };
+
+  return (
+    <motion.div
+      layout
+      className={classNames(
+        'bg-bolt-elements-background-depth-2',
+        'hover:bg-bolt-elements-background-depth-3',
+        'transition-all duration-200',
+        'rounded-lg p-4',
+        'group',
+      )}
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.4 }}
+    >
+      <div className="flex items-center gap-4">
+        <div
+          className={classNames(
+            'p-2 rounded-lg text-xl',
+            'bg-bolt-elements-background-depth-3 group-hover:bg-bolt-elements-background-depth-4',
+            'transition-colors duration-200',
+            'text-purple-500',
+          )}
+        >
+          <div className="i-ph:arrows-split" />
+        </div>
+        <div className="flex-1">
+          <h4 className="text-sm font-medium text-bolt-elements-textPrimary group-hover:text-purple-500 transition-colors">
+            Model Fallback
+          </h4>
+          <p className="text-xs text-bolt-elements-textSecondary mt-0.5">
+            When the selected model fails with a retriable error, it is retried and then the models below are tried in
+            order. A response that breaks off midway is continued by the next model.
+          </p>
+        </div>
+      </div>
+
+      <div className="mt-4 flex flex-col gap-2">
+        {fallbackChain.length === 0 && (
+          <p className="text-xs text-bolt-elements-textTertiary">
+            No fallback models, only the selected model is used.
+          </p>
+        )}
+        {fallbackChain.map((candidate, index) => (
+          <div
+            key={`${candidate.provider}/${candidate.model}`}
+            className="flex items-center gap-2 text-sm text-bolt-elements-textPrimary"
+          >
+            <span className="w-5 text-bolt-elements-textTertiary">{index + 1}.</span>
+            <span className="flex-1 truncate">
+              {candidate.provider} / {candidate.model}
+            </span>
+            <button
+              className="i-ph:arrow-up text-bolt-elements-textSecondary hover:text-purple-500 disabled:opacity-30"
+              disabled={index === 0}
+              onClick={() => moveCandidate(index, -1)}
+              title="Move up"
+            />
+            <button
+              className="i-ph:arrow-down text-bolt-elements-textSecondary hover:text-purple-500 disabled:opacity-30"
+              disabled={index === fallbackChain.length - 1}
+              onClick={() => moveCandidate(index, 1)}
+              title="Move down"
+            />
+            <button
+              className="i-ph:trash text-bolt-elements-textSecondary hover:text-red-500"
+              onClick={() => setFallbackChain(fallbackChain.filter((_, i) => i !== index))}
+              title="Remove"
+            />
+          </div>
+        ))}
+
+        <div className="flex items-center gap-2 mt-2">
+          <select value={selectedProvider} onChange={(e) => setProvider(e.target.value)} className={inputClassName}>
+            {activeProviders.map((x) => (
+              <option key={x.name} value={x.name}>
+                {x.name}
+              </option>
+            ))}
+          </select>
+          <input
+            value={model}
+            onChange={(e) => setModel(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addCandidate()}
+            placeholder="Model name, e.g. gpt-4o-mini"
+            className={classNames(inputClassName, 'flex-1')}
+          />
+          <button
+            onClick={addCandidate}
+            disabled={!selectedProvider || !model.trim()}
+            className={classNames(inputClassName, 'hover:border-purple-500/30 disabled:opacity-50')}
+          >
+            Add
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-4 grid grid-cols-3 gap-2 text-xs text-bolt-elements-textSecondary">
+        <label className="flex flex-col gap-1">
+          Attempts per model
+          <input
+            type="number"
+            min={1}
+            value={retryPolicy.maxAttempts}
+            onChange={(e) => setNumber('maxAttempts', e.target.value)}
+            className={inputClassName}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          First retry delay (ms)
+          <input
+            type="number"
+            min={0}
+            step={100}
+            value={retryPolicy.initialDelayMs}
+            onChange={(e) => setNumber('initialDelayMs', e.target.value)}
+            className={inputClassName}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          Max retry delay (ms)
+          <input
+            type="number"
+            min={0}
+            step={100}
+            value={retryPolicy.maxDelayMs}
+            onChange={(e) => setNumber('maxDelayMs', e.target.value)}
+            className={inputClassName}
+          />
+        </label>
+      </div>
+
+      <div className="mt-3 flex flex-wrap gap-4 text-xs text-bolt-elements-textSecondary">
+        {RETRY_CLASSES.map((x) => (
+          <label key={x.id} className="flex items-center gap-1.5">
+            <input
+              type="checkbox"
+              checked={retryPolicy.retryOn.includes(x.id)}
+              onChange={(e) => toggleRetryClass(x.id, e.target.checked)}
+            />
+            {x.label}
+          </label>
+        ))}
+      </div>
+    </motion.div>
+  );
+}
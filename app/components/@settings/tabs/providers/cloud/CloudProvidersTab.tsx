@@ -15,6 +15,8 @@ import { TbBrain, TbCloudComputing } from 'react-icons/tb';
 import { BiCodeBlock, BiChip } from 'react-icons/bi';
 import { FaCloud, FaBrain } from 'react-icons/fa';
 import type { IconType } from 'react-icons';
+import { getProviderSpend, resetProviderSpend } from '~/lib/persistence/providerSpend';
+import { formatCost } from '~/utils/usage';
 
 type ProviderName =
   | 'AmazonBedrock'
@@ -65,6 +67,7 @@ const CloudProvidersTab = () => {
   const [editingProvider, setEditingProvider] = useState<string | null>(null);
   const [filteredProviders, setFilteredProviders] = useState<IProviderConfig[]>([]);
   const [categoryEnabled, setCategoryEnabled] = useState<boolean>(false);
+  const [spend, setSpend] = useState<Record<string, number>>({});
 
   // monta lista (só cloud)
   useEffect(() => {
@@ -87,6 +90,8 @@ const CloudProvidersTab = () => {
 
     const allEnabled = newFilteredProviders.every((p) => p.settings.enabled);
     setCategoryEnabled(allEnabled);
+
+    setSpend(Object.fromEntries(sorted.map((p) => [p.name, getProviderSpend(p.name)?.cost ?? 0])));
   }, [settings.providers]);
 
   const handleToggleCategory = useCallback(
@@ -129,6 +134,32 @@ const CloudProvidersTab = () => {
     [settings],
   );
 
+  const handleUpdateSpendingCap = useCallback(
+    (provider: IProviderConfig, value: string) => {
+      const parsed = parseFloat(value);
+      const spendingCap = value.trim() && parsed >= 0 ? parsed : undefined;
+
+      if (spendingCap === provider.settings.spendingCap) {
+        return;
+      }
+
+      settings.updateProviderSettings(provider.name, { ...provider.settings, spendingCap });
+      logStore.logProvider(`Spending cap updated for ${provider.name}`, { provider: provider.name, spendingCap });
+      toast.success(
+        spendingCap === undefined
+          ? `${provider.name}: limite de gastos removido`
+          : `${provider.name}: limite de gastos ${formatCost(spendingCap)}`,
+      );
+    },
+    [settings],
+  );
+
+  const handleResetSpend = useCallback((provider: IProviderConfig) => {
+    resetProviderSpend(provider.name);
+    setSpend((prev) => ({ ...prev, [provider.name]: 0 }));
+    toast.success(`${provider.name}: gastos zerados`);
+  }, []);
+
   // Testar conexão: usa getDynamicModels se existir (ele já sabe como autenticar)
   const testConnection = async (provider: IProviderConfig) => {
     try {
@@ -353,6 +384,41 @@ const CloudProvidersTab = () => {
                         As chaves ficam armazenadas <b>localmente</b>.
                       </span>
                     </div>
+
+                    {/* limite de gastos */}
+                    <div className="mt-3 flex items-center gap-2 text-xs text-bolt-elements-textSecondary">
+                      <div className="i-ph:coins" />
+                      <span>
+                        Gasto: {formatCost(spend[provider.name] ?? 0)}
+                        {provider.settings.spendingCap !== undefined &&
+                          ` de ${formatCost(provider.settings.spendingCap)}`}
+                      </span>
+                      <input
+                        type="number"
+                        min={0}
+                        step="0.01"
+                        defaultValue={provider.settings.spendingCap ?? ''}
+                        placeholder="Limite (USD)"
+                        className={classNames(
+                          'w-28 ml-auto px-2 py-1 rounded-md text-xs',
+                          'bg-bolt-elements-background-depth-3 border border-bolt-elements-borderColor',
+                          'text-bolt-elements-textPrimary placeholder-bolt-elements-textTertiary',
+                          'focus:outline-none focus:ring-2 focus:ring-purple-500/30',
+                        )}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') {
+                            e.currentTarget.blur();
+                          }
+                        }}
+                        onBlur={(e) => handleUpdateSpendingCap(provider, e.target.value)}
+                      />
+                      <button
+                        onClick={() => handleResetSpend(provider)}
+                        className="px-2 py-1 rounded-md bg-bolt-elements-item-backgroundDefault hover:bg-bolt-elements-item-backgroundActive text-bolt-elements-textPrimary"
+                      >
+                        Zerar
+                      </button>
+                    </div>
                   </div>
                 </div>
 
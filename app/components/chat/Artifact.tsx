@@ -239,6 +239,16 @@ const ActionList = memo(({ actions }: ActionListProps) => {
                       {action.filePath}
                     </code>
                   </div>
+                ) : type === 'patch' ? (
+                  <div>
+                    Update{' '}
+                    <code
+                      className="bg-bolt-elements-artifacts-inlineCode-background text-bolt-elements-artifacts-inlineCode-text px-1.5 py-1 rounded-md text-bolt-elements-item-contentAccent hover:underline cursor-pointer"
+                      onClick={() => openArtifactInWorkbench(action.filePath)}
+                    >
+                      {action.filePath}
+                    </code>
+                  </div>
                 ) : type === 'shell' ? (
                   <div className="flex items-center w-full min-h-[28px]">
                     <span className="flex-1">Run command</span>
@@ -253,6 +263,10 @@ const ActionList = memo(({ actions }: ActionListProps) => {
                   >
                     <span className="flex-1">Start Application</span>
                   </a>
+                ) : type === 'verify' ? (
+                  <div className="flex items-center w-full min-h-[28px]">
+                    <span className="flex-1">Verify project{content.trim() ? ` (${content.trim()})` : ''}</span>
+                  </div>
                 ) : null}
               </div>
               {(type === 'shell' || type === 'start') && (
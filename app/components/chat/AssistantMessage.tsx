@@ -5,6 +5,10 @@ import Popover from '~/components/ui/Popover';
 import { workbenchStore } from '~/lib/stores/workbench';
 import { WORK_DIR } from '~/utils/constants';
 import WithTooltip from '~/components/ui/Tooltip';
+import { formatCost, getTurnUsage } from '~/utils/usage';
+import type { RulesAnnotation } from '~/types/rules';
+import type { PlanAnnotation } from '~/types/plan';
+import { PlanChecklist } from './PlanChecklist';
 
 interface AssistantMessageProps {
   content: string;
@@ -55,11 +59,9 @@ export const AssistantMessage = memo(({ content, annotations, messageId, onRewin
     codeContext = filteredAnnotations.find((annotation) => annotation.type === 'codeContext')?.files;
   }
 
-  const usage: {
-    completionTokens: number;
-    promptTokens: number;
-    totalTokens: number;
-  } = filteredAnnotations.find((annotation) => annotation.type === 'usage')?.value;
+  const usage = getTurnUsage(annotations);
+  const rules = filteredAnnotations.find((annotation) => annotation.type === 'rules') as RulesAnnotation | undefined;
+  const plan = filteredAnnotations.find((annotation) => annotation.type === 'plan') as PlanAnnotation | undefined;
 
   return (
     <div className="overflow-hidden w-full">
@@ -104,10 +106,38 @@ export const AssistantMessage = memo(({ content, annotations, messageId, onRewin
               <div className="context"></div>
             </Popover>
           )}
+          {rules && (
+            <WithTooltip
+              maxWidth={400}
+              tooltip={
+                <div className="flex flex-col gap-1 text-left">
+                  <span className="font-medium">Instructions applied to this response</span>
+                  {rules.applied.map((rule) => (
+                    <span key={`${rule.source}-${rule.name}`}>
+                      {rule.source === 'template' ? `Template: ${rule.name}` : rule.name}
+                      {rule.scope && ` (${rule.scope.join(', ')})`} · {rule.tokens} tokens
+                      {rule.truncated && ' · truncated'}
+                    </span>
+                  ))}
+                  {rules.skipped.length > 0 && <span>Over the token cap: {rules.skipped.join(', ')}</span>}
+                </div>
+              }
+            >
+              <div className="i-ph:scroll shrink-0" />
+            </WithTooltip>
+          )}
           <div className="flex w-full items-center justify-between">
             {usage && (
-              <div>
+              <div className="flex items-center gap-1">
                 Tokens: {usage.totalTokens} (prompt: {usage.promptTokens}, completion: {usage.completionTokens})
+                {usage.cost !== undefined && <span> · {formatCost(usage.cost)}</span>}
+                {usage.budget && usage.budget.trimmed.length > 0 && (
+                  <WithTooltip
+                    tooltip={`Trimmed to fit the ${usage.budget.contextWindow} token context window: ${usage.budget.trimmed.join(', ')}`}
+                  >
+                    <div className="i-ph:scissors text-yellow-500" />
+                  </WithTooltip>
+                )}
               </div>
             )}
             {(onRewind || onFork) && messageId && (
@@ -135,7 +165,7 @@ export const AssistantMessage = memo(({ content, annotations, messageId, onRewin
           </div>
         </div>
       </>
-      <Markdown html>{content}</Markdown>
+      {plan ? <PlanChecklist plan={plan.plan} /> : <Markdown html>{content}</Markdown>}
     </div>
   );
 });
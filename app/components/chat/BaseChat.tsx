@@ -41,6 +41,7 @@ import { SupabaseChatAlert } from '~/components/chat/SupabaseAlert';
 import { SupabaseConnection } from './SupabaseConnection';
 import { ExpoQrModal } from '~/components/workbench/ExpoQrModal';
 import { expoUrlAtom } from '~/lib/stores/qrCodeStore';
+import { planStore } from '~/lib/stores/plan';
 import { useStore } from '@nanostores/react';
 import { StickToBottom, useStickToBottomContext } from '~/lib/hooks';
 
@@ -82,6 +83,7 @@ interface BaseChatProps {
   clearDeployAlert?: () => void;
   data?: JSONValue[] | undefined;
   actionRunner?: ActionRunner;
+  addToolResult?: (result: { toolCallId: string; result: unknown }) => void;
 }
 
 export const BaseChat = React.forwardRef<HTMLDivElement, BaseChatProps>(
@@ -120,6 +122,7 @@ export const BaseChat = React.forwardRef<HTMLDivElement, BaseChatProps>(
       clearSupabaseAlert,
       data,
       actionRunner,
+      addToolResult,
     },
     ref,
   ) => {
@@ -133,6 +136,7 @@ export const BaseChat = React.forwardRef<HTMLDivElement, BaseChatProps>(
     const [isModelLoading, setIsModelLoading] = useState<string | undefined>('all');
     const [progressAnnotations, setProgressAnnotations] = useState<ProgressAnnotation[]>([]);
     const expoUrl = useStore(expoUrlAtom);
+    const planMode = useStore(planStore.enabled);
     const [qrModalOpen, setQrModalOpen] = useState(false);
 
     useEffect(() => {
@@ -362,6 +366,7 @@ export const BaseChat = React.forwardRef<HTMLDivElement, BaseChatProps>(
                         className="flex flex-col w-full flex-1 max-w-chat pb-6 mx-auto z-1"
                         messages={messages}
                         isStreaming={isStreaming}
+                        addToolResult={addToolResult}
                       />
                     ) : null;
                   }}
@@ -605,6 +610,15 @@ export const BaseChat = React.forwardRef<HTMLDivElement, BaseChatProps>(
                             <div className="i-bolt:stars text-xl"></div>
                           )}
                         </IconButton>
+                        <IconButton
+                          title={planMode ? 'Plan mode: messages draft a plan to approve first' : 'Plan first'}
+                          className={classNames('transition-all', {
+                            'bg-bolt-elements-item-backgroundAccent text-bolt-elements-item-contentAccent': planMode,
+                          })}
+                          onClick={() => planStore.enabled.set(!planMode)}
+                        >
+                          <div className="i-ph:list-checks text-xl"></div>
+                        </IconButton>
 
                         <SpeechRecognitionButton
                           isListening={isListening}
@@ -6,7 +6,7 @@
  */
 import { useStore } from '@nanostores/react';
 import { useSearchParams } from '@remix-run/react';
-import type { Message } from 'ai';
+import type { ChatRequestOptions, Message } from 'ai';
 import { useChat } from 'ai/react';
 import { useAnimate } from 'framer-motion';
 import Cookies from 'js-cookie';
@@ -14,20 +14,36 @@ import { memo, useCallback, useEffect, useRef, useState } from 'react';
 import { cssTransition, toast, ToastContainer } from 'react-toastify';
 import { useMessageParser, usePromptEnhancer, useShortcuts } from '~/lib/hooks';
 import { useSettings } from '~/lib/hooks/useSettings';
-import { description, useChatHistory } from '~/lib/persistence';
+import { chatId, description, useChatHistory } from '~/lib/persistence';
 import { chatStore } from '~/lib/stores/chat';
+import { diagnosticsStore } from '~/lib/stores/diagnostics';
 import { logStore } from '~/lib/stores/logs';
 import { streamingState } from '~/lib/stores/streaming';
 import { supabaseConnection } from '~/lib/stores/supabase';
+import { gitStore } from '~/lib/stores/git';
 import { workbenchStore } from '~/lib/stores/workbench';
 import type { ProviderInfo } from '~/types/model';
-import { DEFAULT_MODEL, DEFAULT_PROVIDER, PROMPT_COOKIE_KEY, PROVIDER_LIST } from '~/utils/constants';
+import {
+  DEFAULT_MODEL,
+  DEFAULT_PROVIDER,
+  MODEL_REGEX,
+  PROMPT_COOKIE_KEY,
+  PROVIDER_LIST,
+  PROVIDER_REGEX,
+} from '~/utils/constants';
 import { debounce } from '~/utils/debounce';
 import { cubicEasingFn } from '~/utils/easings';
 import { filesToArtifacts } from '~/utils/fileUtils';
 import { createScopedLogger, renderLogger } from '~/utils/logger';
 import { createSampler } from '~/utils/sampler';
 import { getTemplates, selectStarterTemplate } from '~/utils/selectStarterTemplate';
+import { formatCost, getTurnUsage } from '~/utils/usage';
+import { getProviderSpend, recordProviderSpend } from '~/lib/persistence/providerSpend';
+import { countVerifyFailures, formatVerifyReport } from '~/lib/runtime/verify';
+import { formatDiagnostics, PREVIEW_DIAGNOSTICS_REGEX } from '~/lib/modules/diagnostics/context';
+import { formatStepPrompt, getNextStep, getRunningStep, PLAN_CONTEXT_REGEX } from '~/lib/modules/plan/plan';
+import { planStore } from '~/lib/stores/plan';
+import type { ChatMode, ChatPlan, PlanAnnotation, PlanStep } from '~/types/plan';
 import { BaseChat } from './BaseChat';
 
 const toastAnimation = cssTransition({
@@ -40,7 +56,7 @@ const logger = createScopedLogger('Chat');
 export function Chat() {
   renderLogger.trace('Chat');
 
-  const { ready, initialMessages, storeMessageHistory, importChat, exportChat } = useChatHistory();
+  const { ready, initialMessages, storeMessageHistory, takeCheckpoint, importChat, exportChat } = useChatHistory();
   const title = useStore(description);
   useEffect(() => {
     workbenchStore.setReloadedMessages(initialMessages.map((m) => m.id));
@@ -54,6 +70,7 @@ export function Chat() {
           initialMessages={initialMessages}
           exportChat={exportChat}
           storeMessageHistory={storeMessageHistory}
+          takeCheckpoint={takeCheckpoint}
           importChat={importChat}
         />
       )}
@@ -104,6 +121,7 @@ const processSampledMessages = createSampler(
 interface ChatProps {
   initialMessages: Message[];
   storeMessageHistory: (messages: Message[]) => Promise<void>;
+  takeCheckpoint: (messageId: string) => Promise<void>;
   importChat: (description: string, messages: Message[]) => Promise<void>;
   exportChat: () => void;
   description?: string;
@@ -191,7 +209,7 @@ async function resolveAutoProviderModel(opts: {
 }
 
 export const ChatImpl = memo(
-  ({ description, initialMessages, storeMessageHistory, importChat, exportChat }: ChatProps) => {
+  ({ description, initialMessages, storeMessageHistory, takeCheckpoint, importChat, exportChat }: ChatProps) => {
     useShortcuts();
 
     const textareaRef = useRef<HTMLTextAreaElement>(null);
@@ -208,7 +226,25 @@ export const ChatImpl = memo(
       (project) => project.id === supabaseConn.selectedProjectId,
     );
     const supabaseAlert = useStore(workbenchStore.supabaseAlert);
-    const { activeProviders, promptId, autoSelectTemplate, contextOptimizationEnabled } = useSettings();
+    const {
+      activeProviders,
+      providers,
+      promptId,
+      autoSelectTemplate,
+      contextOptimizationEnabled,
+      contextMode,
+      fallbackChain,
+      retryPolicy,
+      autoFix,
+      customInstructions,
+      mcpSettings,
+    } = useSettings();
+    const currentChatId = useStore(chatId);
+    const plan = useStore(planStore.plan);
+
+    // repair messages sent in a row by the fix loop, a message sent by the user starts over
+    const autoFixIterations = useRef(0);
+    const lastMessageId = useRef<string>();
 
     const [model, setModel] = useState(() => {
       const savedModel = Cookies.get('selectedModel');
@@ -219,6 +255,11 @@ export const ChatImpl = memo(
       return (PROVIDER_LIST.find((p) => p.name === savedProvider) || DEFAULT_PROVIDER) as ProviderInfo;
     });
 
+    const hasReachedSpendingCap = (providerName: string) => {
+      const spendingCap = providers[providerName]?.settings.spendingCap;
+      return spendingCap !== undefined && (getProviderSpend(providerName)?.cost ?? 0) >= spendingCap;
+    };
+
     const { showChat } = useStore(chatStore);
     const [animationScope, animate] = useAnimate();
     const [apiKeys, setApiKeys] = useState<Record<string, string>>({});
@@ -233,6 +274,7 @@ export const ChatImpl = memo(
       append,
       setMessages,
       reload,
+      addToolResult,
       error,
       data: chatData,
       setData,
@@ -243,6 +285,16 @@ export const ChatImpl = memo(
         files,
         promptId,
         contextOptimization: contextOptimizationEnabled,
+        contextMode,
+        chatId: currentChatId,
+
+        // the server must not fall over to a provider past its spending cap
+        fallback: {
+          chain: fallbackChain.filter((candidate) => !hasReachedSpendingCap(candidate.provider)),
+          retryPolicy,
+        },
+        customInstructions,
+        mcp: mcpSettings,
         supabase: {
           isConnected: supabaseConn.isConnected,
           hasSelectedProject: !!selectedProject,
@@ -263,6 +315,13 @@ export const ChatImpl = memo(
         toast.error(
           'There was an error processing your request: ' + (e.message ? e.message : 'No details were returned'),
         );
+
+        const currentPlan = planStore.plan.get();
+        const runningStep = currentPlan && getRunningStep(currentPlan);
+
+        if (runningStep) {
+          planStore.failStep(runningStep.id, e.message || 'The request failed');
+        }
       },
       onFinish: (message, response) => {
         const usage = response.usage;
@@ -325,6 +384,28 @@ export const ChatImpl = memo(
       chatStore.setKey('started', initialMessages.length > 0);
     }, []);
 
+    // the spend counted for each response, the ones loaded with the chat were counted when they were streamed
+    const recordedSpend = useRef(
+      new Map(initialMessages.map((message) => [message.id, getTurnUsage(message.annotations)?.cost ?? 0])),
+    );
+
+    // spend is recorded from each usage annotation as it arrives, so responses that fail or are stopped count too
+    useEffect(() => {
+      const lastMessage = messages[messages.length - 1];
+      const turnUsage = lastMessage?.role === 'assistant' ? getTurnUsage(lastMessage.annotations) : undefined;
+
+      if (!turnUsage?.provider || !turnUsage.cost) {
+        return;
+      }
+
+      const recorded = recordedSpend.current.get(lastMessage.id) ?? 0;
+
+      if (turnUsage.cost > recorded) {
+        recordProviderSpend(turnUsage.provider, turnUsage.cost - recorded);
+        recordedSpend.current.set(lastMessage.id, turnUsage.cost);
+      }
+    }, [messages]);
+
     useEffect(() => {
       processSampledMessages({
         messages,
@@ -335,6 +416,175 @@ export const ChatImpl = memo(
       });
     }, [messages, isLoading, parseMessages]);
 
+    useEffect(() => {
+      const lastMessage = messages[messages.length - 1];
+      const currentPlan = planStore.plan.get();
+      const runningStep = currentPlan && getRunningStep(currentPlan);
+
+      // a step stopped before the model answered has no response to complete it
+      if (!isLoading && runningStep && lastMessage?.role === 'user' && chatStore.get().aborted) {
+        planStore.failStep(runningStep.id, 'Stopped');
+      }
+
+      // one checkpoint per finished response, once its actions have changed the files
+      if (!isLoading && lastMessage?.role === 'assistant' && messages.length > initialMessages.length) {
+        const committed = takeCheckpoint(lastMessage.id).then(commitResponse);
+        const drafted = lastMessage.annotations?.find(
+          (annotation) => (annotation as PlanAnnotation | null)?.type === 'plan',
+        ) as PlanAnnotation | undefined;
+
+        if (drafted && drafted.plan.id !== currentPlan?.id) {
+          planStore.load(drafted.plan);
+        }
+
+        if (runningStep) {
+          // the next step starts once the files of this one are committed, the checks wait for the last step
+          committed.then(() => {
+            if (chatStore.get().aborted) {
+              planStore.failStep(runningStep.id, 'Stopped');
+              return;
+            }
+
+            planStore.completeStep(runningStep.id, lastMessage.id);
+
+            if (autoFix.enabled && planStore.plan.get()?.status === 'done') {
+              runAutoFix(lastMessage.id);
+            }
+          });
+
+          return;
+        }
+
+        if (autoFix.enabled && !chatStore.get().aborted) {
+          runAutoFix(lastMessage.id);
+        }
+      }
+    }, [isLoading]);
+
+    // an approved plan runs its next step once the chat is idle
+    useEffect(() => {
+      if (!plan || plan.status !== 'running' || isLoading || getRunningStep(plan)) {
+        return;
+      }
+
+      const step = getNextStep(plan);
+
+      if (step) {
+        runPlanStep(plan, step);
+      }
+    }, [plan, isLoading]);
+
+    lastMessageId.current = messages[messages.length - 1]?.id;
+
+    // auto-commit the files of a finished response, with the prompt that asked for them as the message
+    const commitResponse = () => {
+      const prompt = messages.findLast((message) => message.role === 'user');
+      const content = prompt?.content as string | { type: string; text?: string }[] | undefined;
+      const text = Array.isArray(content) ? content.find((part) => part.type === 'text')?.text : content;
+      const message = (text ?? '')
+        .replace(MODEL_REGEX, '')
+        .replace(PROVIDER_REGEX, '')
+        .replace(PREVIEW_DIAGNOSTICS_REGEX, '')
+        .replace(PLAN_CONTEXT_REGEX, '')
+        .trim();
+
+      return gitStore.autoCommit(message || 'Update project');
+    };
+
+    /**
+     * Send a message the chat writes on its own, like an automatic fix. The draft input, attachments
+     * and selected diagnostics of the user are left for the next message they send.
+     * @returns false when the provider that would answer is over its spending cap
+     */
+    const appendGeneratedMessage = async (text: string, options?: ChatRequestOptions) => {
+      const { provider: resolvedProvider, model: resolvedModel } =
+        provider?.name === 'Automatic' || model === 'auto'
+          ? await resolveAutoProviderModel({ message: text, hasImages: false, activeProviders })
+          : { provider, model };
+      const providerName = resolvedProvider?.name ?? provider?.name;
+
+      if (providerName && isOverSpendingCap(providerName)) {
+        return false;
+      }
+
+      if (error != null) {
+        setMessages(messages.slice(0, -1));
+      }
+
+      const modifiedFiles = workbenchStore.getModifiedFiles();
+      const userUpdateArtifact = modifiedFiles !== undefined ? filesToArtifacts(modifiedFiles, `${Date.now()}`) : '';
+      chatStore.setKey('aborted', false);
+
+      append(
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: `[Model: ${resolvedModel ?? model}]\n\n[Provider: ${providerName}]\n\n${userUpdateArtifact}${text}`,
+            },
+          ] as any,
+        },
+        options,
+      );
+
+      if (modifiedFiles !== undefined) {
+        workbenchStore.resetAllFileModifications();
+      }
+
+      return true;
+    };
+
+    /**
+     * Verify the project after a response and send the failures back to the model, up to the
+     * configured number of repairs in a row
+     */
+    const runAutoFix = async (messageId: string) => {
+      let results;
+
+      try {
+        results = await workbenchStore.verifyProject(messageId);
+      } catch (error) {
+        logStore.logError('Project verification failed', error, { component: 'Chat', action: 'autoFix' });
+        return;
+      }
+
+      // the user moved on while the checks were running
+      if (lastMessageId.current !== messageId) {
+        return;
+      }
+
+      const iterations = autoFixIterations.current;
+      const failures = countVerifyFailures(results);
+
+      if (!results.some((result) => result.exitCode !== 0)) {
+        if (iterations > 0) {
+          toast.success(`All checks pass after ${iterations} automatic ${iterations === 1 ? 'fix' : 'fixes'}`);
+        }
+
+        autoFixIterations.current = 0;
+
+        return;
+      }
+
+      if (iterations >= autoFix.maxIterations) {
+        // the verification alert stays open with the remaining failures
+        toast.warning(`Stopped after ${iterations} automatic fixes, ${failures} problems remain`);
+        logStore.logWarning('Automatic fixes stopped', { iterations, failures, report: formatVerifyReport(results) });
+        autoFixIterations.current = 0;
+
+        return;
+      }
+
+      workbenchStore.clearAlert();
+
+      const sent = await appendGeneratedMessage(
+        `*Fix these verification failures (automatic fix ${iterations + 1} of ${autoFix.maxIterations})*\n\`\`\`text\n${formatVerifyReport(results)}\n\`\`\`\n`,
+      );
+
+      autoFixIterations.current = sent ? iterations + 1 : 0;
+    };
+
     const scrollTextArea = () => {
       const textarea = textareaRef.current;
 
@@ -382,6 +632,47 @@ export const ChatImpl = memo(
       setChatStarted(true);
     };
 
+    const isOverSpendingCap = (providerName: string) => {
+      if (!hasReachedSpendingCap(providerName)) {
+        return false;
+      }
+
+      const spendingCap = providers[providerName]?.settings.spendingCap ?? 0;
+      const spent = getProviderSpend(providerName)?.cost ?? 0;
+
+      toast.error(
+        `${providerName} reached its spending cap (${formatCost(spent)} of ${formatCost(spendingCap)}). Raise or reset it in the provider settings.`,
+      );
+
+      return true;
+    };
+
+    // a message sent in plan mode only drafts a plan, the chat runs it once approved
+    const getRequestOptions = () =>
+      planStore.enabled.get() ? { body: { mode: 'plan' satisfies ChatMode } } : undefined;
+
+    /**
+     * Send one step of the current plan as its own user message, with the whole plan as context
+     */
+    const runPlanStep = async (currentPlan: ChatPlan, step: PlanStep) => {
+      // mark the step first so the plan does not start it twice while the model resolves
+      planStore.startStep(step.id);
+
+      const sent = await appendGeneratedMessage(formatStepPrompt(currentPlan, step), {
+        body: {
+          planStep: {
+            index: currentPlan.steps.indexOf(step),
+            total: currentPlan.steps.length,
+            title: step.title,
+          },
+        },
+      });
+
+      if (!sent) {
+        planStore.failStep(step.id, 'Spending cap reached');
+      }
+    };
+
     const sendMessage = async (_event: React.UIEvent, messageInput?: string) => {
       const messageContent = messageInput || input;
 
@@ -389,11 +680,17 @@ export const ChatImpl = memo(
         return;
       }
 
+      autoFixIterations.current = 0;
+
       if (isLoading) {
         abort();
         return;
       }
 
+      if (isOverSpendingCap(provider.name)) {
+        return;
+      }
+
       const finalMessageContent = messageContent;
       runAnimation();
 
@@ -408,6 +705,10 @@ export const ChatImpl = memo(
             })
           : { provider, model };
 
+      if (resolvedProvider && resolvedProvider.name !== provider.name && isOverSpendingCap(resolvedProvider.name)) {
+        return;
+      }
+
       const MODEL_TAG = `[Model: ${resolvedModel ?? model}]`;
       const PROVIDER_TAG = `[Provider: ${resolvedProvider?.name ?? provider.name}]`;
 
@@ -451,7 +752,7 @@ export const ChatImpl = memo(
                   annotations: ['hidden'],
                 },
               ]);
-              reload();
+              reload(getRequestOptions());
               setInput('');
               Cookies.remove(PROMPT_COOKIE_KEY);
               setUploadedFiles([]);
@@ -476,7 +777,7 @@ export const ChatImpl = memo(
             ] as any,
           },
         ]);
-        reload();
+        reload(getRequestOptions());
         setFakeLoading(false);
         setInput('');
         Cookies.remove(PROMPT_COOKIE_KEY);
@@ -493,26 +794,36 @@ export const ChatImpl = memo(
       }
 
       const modifiedFiles = workbenchStore.getModifiedFiles();
+      const diagnostics = formatDiagnostics(diagnosticsStore.takeSelected());
       chatStore.setKey('aborted', false);
 
       if (modifiedFiles !== undefined) {
         const userUpdateArtifact = filesToArtifacts(modifiedFiles, `${Date.now()}`);
-        append({
-          role: 'user',
-          content: [
-            { type: 'text', text: `${MODEL_TAG}\n\n${PROVIDER_TAG}\n\n${userUpdateArtifact}${finalMessageContent}` },
-            ...imageDataList.map((imageData) => ({ type: 'image', image: imageData })),
-          ] as any,
-        });
+        append(
+          {
+            role: 'user',
+            content: [
+              {
+                type: 'text',
+                text: `${MODEL_TAG}\n\n${PROVIDER_TAG}\n\n${userUpdateArtifact}${diagnostics}${finalMessageContent}`,
+              },
+              ...imageDataList.map((imageData) => ({ type: 'image', image: imageData })),
+            ] as any,
+          },
+          getRequestOptions(),
+        );
         workbenchStore.resetAllFileModifications();
       } else {
-        append({
-          role: 'user',
-          content: [
-            { type: 'text', text: `${MODEL_TAG}\n\n${PROVIDER_TAG}\n\n${finalMessageContent}` },
-            ...imageDataList.map((imageData) => ({ type: 'image', image: imageData })),
-          ] as any,
-        });
+        append(
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: `${MODEL_TAG}\n\n${PROVIDER_TAG}\n\n${diagnostics}${finalMessageContent}` },
+              ...imageDataList.map((imageData) => ({ type: 'image', image: imageData })),
+            ] as any,
+          },
+          getRequestOptions(),
+        );
       }
 
       setInput('');
@@ -615,6 +926,7 @@ export const ChatImpl = memo(
         deployAlert={deployAlert}
         clearDeployAlert={() => workbenchStore.clearDeployAlert()}
         data={chatData}
+        addToolResult={addToolResult}
       />
     );
   },
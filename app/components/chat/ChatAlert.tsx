@@ -8,14 +8,50 @@ interface Props {
   postMessage: (message: string) => void;
 }
 
+const alertCopy: Record<
+  NonNullable<ActionAlert['source']>,
+  { title: string; message: string; label: string; lang: string }
+> = {
+  terminal: {
+    title: 'Terminal Error',
+    message:
+      'We encountered an error while running terminal commands. Would you like Kodora to analyze and help resolve this issue?',
+    label: 'terminal',
+    lang: 'sh',
+  },
+  preview: {
+    title: 'Preview Error',
+    message:
+      'We encountered an error while running the preview. Would you like Kodora to analyze and help resolve this issue?',
+    label: 'preview',
+    lang: 'js',
+  },
+  patch: {
+    title: 'Patch Error',
+    message:
+      'A patch could not be applied because it did not match the current file content. Would you like Kodora to analyze and help resolve this issue?',
+    label: 'patch',
+    lang: 'diff',
+  },
+  verify: {
+    title: 'Verification Failed',
+    message: 'The project checks reported problems. Would you like Kodora to analyze and help resolve these failures?',
+    label: 'verification',
+    lang: 'text',
+  },
+  lock: {
+    title: 'Locked Files Protected',
+    message:
+      'Kodora tried to change locked files or folders and those changes were refused. Would you like Kodora to redo the work without touching them?',
+    label: 'locked file',
+    lang: 'text',
+  },
+};
+
 export default function ChatAlert({ alert, clearAlert, postMessage }: Props) {
   const { description, content, source } = alert;
 
-  const isPreview = source === 'preview';
-  const title = isPreview ? 'Preview Error' : 'Terminal Error';
-  const message = isPreview
-    ? 'We encountered an error while running the preview. Would you like Kodora to analyze and help resolve this issue?'
-    : 'We encountered an error while running terminal commands. Would you like Kodora to analyze and help resolve this issue?';
+  const { title, message, label, lang } = alertCopy[source ?? 'terminal'];
 
   return (
     <AnimatePresence>
@@ -69,11 +105,7 @@ export default function ChatAlert({ alert, clearAlert, postMessage }: Props) {
             >
               <div className={classNames(' flex gap-2')}>
                 <button
-                  onClick={() =>
-                    postMessage(
-                      `*Fix this ${isPreview ? 'preview' : 'terminal'} error* \n\`\`\`${isPreview ? 'js' : 'sh'}\n${content}\n\`\`\`\n`,
-                    )
-                  }
+                  onClick={() => postMessage(`*Fix this ${label} error* \n\`\`\`${lang}\n${content}\n\`\`\`\n`)}
                   className={classNames(
                     `px-2 py-1.5 rounded-md text-sm font-medium`,
                     'bg-bolt-elements-button-primary-background',
@@ -0,0 +1,65 @@
+import { useStore } from '@nanostores/react';
+import * as Tooltip from '@radix-ui/react-tooltip';
+import { useEffect, useState } from 'react';
+import { chatId } from '~/lib/persistence/useChatHistory';
+import type { BaseDeployProvider } from '~/lib/modules/deploy/base-provider';
+import { listDeployTargets } from '~/lib/modules/deploy/client';
+import { deployConnections, getDeployCredentials, getDeployTarget } from '~/lib/stores/deploy';
+
+interface DeploymentLinkProps {
+  provider: BaseDeployProvider;
+}
+
+export function DeploymentLink({ provider }: DeploymentLinkProps) {
+  const connections = useStore(deployConnections);
+  const currentChatId = useStore(chatId);
+  const [deploymentUrl, setDeploymentUrl] = useState<string | null>(null);
+
+  useEffect(() => {
+    setDeploymentUrl(null);
+
+    const targetId = currentChatId ? getDeployTarget(provider, currentChatId) : undefined;
+    const credentials = getDeployCredentials(provider);
+
+    if (!targetId || !provider.isConnected(credentials)) {
+      return;
+    }
+
+    listDeployTargets(provider, credentials)
+      .then((targets) => setDeploymentUrl(targets.find((target) => target.id === targetId)?.url ?? null))
+      .catch((error) => console.error(`Error fetching ${provider.label} deployment:`, error));
+  }, [provider, connections[provider.name], currentChatId]);
+
+  if (!deploymentUrl) {
+    return null;
+  }
+
+  return (
+    <Tooltip.Provider>
+      <Tooltip.Root>
+        <Tooltip.Trigger asChild>
+          <a
+            href={deploymentUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-flex items-center justify-center w-8 h-8 rounded hover:bg-bolt-elements-item-backgroundActive text-bolt-elements-textSecondary hover:text-bolt-elements-textPrimary z-50"
+            onClick={(e) => {
+              e.stopPropagation(); // This is to prevent click from bubbling up
+            }}
+          >
+            <div className="i-ph:link w-4 h-4 hover:text-blue-400" />
+          </a>
+        </Tooltip.Trigger>
+        <Tooltip.Portal>
+          <Tooltip.Content
+            className="px-3 py-2 rounded bg-bolt-elements-background-depth-3 text-bolt-elements-textPrimary text-xs z-50"
+            sideOffset={5}
+          >
+            {deploymentUrl}
+            <Tooltip.Arrow className="fill-bolt-elements-background-depth-3" />
+          </Tooltip.Content>
+        </Tooltip.Portal>
+      </Tooltip.Root>
+    </Tooltip.Provider>
+  );
+}
@@ -3,9 +3,10 @@ import { Fragment } from 'react';
 import { classNames } from '~/utils/classNames';
 import { AssistantMessage } from './AssistantMessage';
 import { UserMessage } from './UserMessage';
+import { ToolInvocations } from './ToolInvocations';
 import { useLocation } from '@remix-run/react';
-import { db, chatId } from '~/lib/persistence/useChatHistory';
-import { forkChat } from '~/lib/persistence/db';
+import { db, chatId, forkOpenChat } from '~/lib/persistence/useChatHistory';
+import { getCheckpoints, loadCheckpointFiles } from '~/lib/persistence/checkpoints';
 import { toast } from 'react-toastify';
 import { useStore } from '@nanostores/react';
 import { profileStore } from '~/lib/stores/profile';
@@ -17,11 +18,12 @@ interface MessagesProps {
   className?: string;
   isStreaming?: boolean;
   messages?: Message[];
+  addToolResult?: (result: { toolCallId: string; result: unknown }) => void;
 }
 
 export const Messages = forwardRef<HTMLDivElement, MessagesProps>(
   (props: MessagesProps, ref: ForwardedRef<HTMLDivElement> | undefined) => {
-    const { id, isStreaming = false, messages = [] } = props;
+    const { id, isStreaming = false, messages = [], addToolResult } = props;
     const location = useLocation();
     const profile = useStore(profileStore);
 
@@ -38,7 +40,20 @@ export const Messages = forwardRef<HTMLDivElement, MessagesProps>(
           return;
         }
 
-        const urlId = await forkChat(db, chatId.get()!, messageId);
+        // the fork starts from the files of the last checkpoint up to the message, when there is one
+        const messageIds = messages
+          .slice(0, messages.findIndex((message) => message.id === messageId) + 1)
+          .map((message) => message.id);
+        const checkpoint = (await getCheckpoints(db, chatId.get()!))
+          .filter((item) => messageIds.includes(item.messageId))
+          .pop();
+        const files = checkpoint ? await loadCheckpointFiles(db, checkpoint) : undefined;
+        const { urlId, skipped } = await forkOpenChat(messageId, files);
+
+        if (skipped.length > 0) {
+          toast.warning(`${skipped.length} locked files were left unchanged`);
+        }
+
         window.location.href = `/chat/${urlId}`;
       } catch (error) {
         toast.error('Failed to fork chat: ' + (error as Error).message);
@@ -96,6 +111,14 @@ export const Messages = forwardRef<HTMLDivElement, MessagesProps>(
                         onFork={handleFork}
                       />
                     )}
+                    {!isUserMessage && message.toolInvocations && message.toolInvocations.length > 0 && (
+                      <ToolInvocations
+                        invocations={message.toolInvocations}
+                        isLast={isLast}
+                        isStreaming={isStreaming}
+                        addToolResult={addToolResult}
+                      />
+                    )}
                   </div>
                 </div>
               );
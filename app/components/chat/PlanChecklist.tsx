@@ -0,0 +1,208 @@
+import { useStore } from '@nanostores/react';
+import { isPlanEditable, isStepEditable } from '~/lib/modules/plan/plan';
+import { planStore } from '~/lib/stores/plan';
+import type { ChatPlan, PlanStep, PlanStepStatus } from '~/types/plan';
+import { classNames } from '~/utils/classNames';
+
+const STATUS_ICONS: Record<PlanStepStatus, string> = {
+  pending: 'i-ph:circle text-bolt-elements-textTertiary',
+  running: 'i-svg-spinners:90-ring-with-bg text-bolt-elements-loader-progress',
+  done: 'i-ph:check-circle-fill text-green-500',
+  failed: 'i-ph:x-circle-fill text-red-500',
+  skipped: 'i-ph:minus-circle text-bolt-elements-textTertiary',
+};
+
+const inputClassName =
+  'w-full px-2 py-1 rounded-md bg-bolt-elements-background-depth-1 border border-bolt-elements-borderColor text-bolt-elements-textPrimary placeholder-bolt-elements-textTertiary focus:outline-none focus:border-bolt-elements-focus';
+
+const buttonClassName =
+  'px-3 py-1 rounded-md text-xs bg-bolt-elements-background-depth-3 text-bolt-elements-textPrimary hover:bg-bolt-elements-background-depth-4 disabled:opacity-50';
+
+const primaryButtonClassName = 'px-3 py-1 rounded-md text-xs bg-purple-500 text-white hover:bg-purple-600';
+
+interface PlanChecklistProps {
+  // the plan as the response drafted it, the chat may have edited and run it since
+  plan: ChatPlan;
+}
+
+export function PlanChecklist({ plan: drafted }: PlanChecklistProps) {
+  const current = useStore(planStore.plan);
+  const isCurrent = current?.id === drafted.id;
+  const plan = isCurrent ? current : drafted;
+  const done = plan.steps.filter((step) => step.status === 'done' || step.status === 'skipped').length;
+
+  return (
+    <div className="mt-2 rounded-lg border border-bolt-elements-borderColor bg-bolt-elements-background-depth-2 text-sm">
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-bolt-elements-borderColor text-bolt-elements-textSecondary">
+        <div className="i-ph:list-checks shrink-0" />
+        <span className="flex-1 text-bolt-elements-textPrimary">Plan</span>
+        <span className="text-xs">
+          {isCurrent ? `${done} of ${plan.steps.length} steps done` : 'No longer the plan of this chat'}
+        </span>
+      </div>
+      {plan.summary && <p className="px-3 pt-2 text-bolt-elements-textSecondary">{plan.summary}</p>}
+      <ol className="flex flex-col">
+        {plan.steps.map((step, index) => (
+          <PlanStepItem
+            key={step.id}
+            step={step}
+            index={index}
+            isEditable={isCurrent && isStepEditable(plan, step)}
+            canMoveUp={isCurrent && index > 0 && isStepEditable(plan, plan.steps[index - 1])}
+            canMoveDown={isCurrent && index < plan.steps.length - 1 && isStepEditable(plan, plan.steps[index + 1])}
+            canResolve={isCurrent && plan.status === 'paused'}
+          />
+        ))}
+      </ol>
+      {isCurrent && (
+        <div className="flex flex-wrap items-center gap-2 px-3 py-2 border-t border-bolt-elements-borderColor">
+          {isPlanEditable(plan) && (
+            <button className={buttonClassName} onClick={() => planStore.addStep()}>
+              Add step
+            </button>
+          )}
+          <span className="flex-1 text-xs text-bolt-elements-textTertiary">
+            {plan.status === 'running' && 'Each step runs as its own response, stop the response to pause the plan'}
+            {plan.status === 'paused' && 'Retry or skip the failed step to continue'}
+            {plan.status === 'done' && 'All steps ran'}
+          </span>
+          {plan.status === 'draft' && (
+            <>
+              <button className={buttonClassName} onClick={() => planStore.clear()}>
+                Discard
+              </button>
+              <button
+                className={primaryButtonClassName}
+                disabled={plan.steps.length === 0}
+                onClick={() => planStore.approve()}
+              >
+                Approve and run
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+interface PlanStepItemProps {
+  step: PlanStep;
+  index: number;
+  isEditable: boolean;
+  canMoveUp: boolean;
+  canMoveDown: boolean;
+
+  // a failed step of a paused plan can be retried or skipped
+  canResolve: boolean;
+}
+
+function PlanStepItem({ step, index, isEditable, canMoveUp, canMoveDown, canResolve }: PlanStepItemProps) {
+  return (
+    <li className="flex gap-2 px-3 py-2 border-b last:border-b-0 border-bolt-elements-borderColor">
+      <div className={classNames('mt-1 shrink-0', STATUS_ICONS[step.status])} title={step.status} />
+      <div className="flex-1 min-w-0 flex flex-col gap-1">
+        {isEditable ? (
+          <>
+            <input
+              className={inputClassName}
+              defaultValue={step.title}
+              placeholder="Title"
+              onBlur={(event) => {
+                const title = event.target.value.trim();
+
+                if (title && title !== step.title) {
+                  planStore.updateStep(step.id, { title });
+                }
+              }}
+            />
+            <textarea
+              className={classNames(inputClassName, 'resize-none text-xs')}
+              rows={2}
+              defaultValue={step.goal}
+              placeholder="What the step does"
+              onBlur={(event) => {
+                if (event.target.value.trim() !== step.goal) {
+                  planStore.updateStep(step.id, { goal: event.target.value.trim() });
+                }
+              }}
+            />
+            <input
+              className={classNames(inputClassName, 'text-xs font-mono')}
+              defaultValue={step.files.join(', ')}
+              placeholder="Files, separated by commas"
+              onBlur={(event) => {
+                const files = event.target.value
+                  .split(',')
+                  .map((file) => file.trim())
+                  .filter(Boolean);
+
+                if (files.join(', ') !== step.files.join(', ')) {
+                  planStore.updateStep(step.id, { files });
+                }
+              }}
+            />
+          </>
+        ) : (
+          <>
+            <span
+              className={classNames('text-bolt-elements-textPrimary', {
+                'line-through text-bolt-elements-textTertiary': step.status === 'skipped',
+              })}
+            >
+              {index + 1}. {step.title}
+            </span>
+            {step.goal && <span className="text-xs text-bolt-elements-textSecondary">{step.goal}</span>}
+            {step.files.length > 0 && (
+              <span className="text-xs font-mono text-bolt-elements-textTertiary truncate">
+                {step.files.join(', ')}
+              </span>
+            )}
+          </>
+        )}
+        {step.status === 'failed' && (
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            <span className="flex-1 text-red-500">{step.error || 'The step failed'}</span>
+            {canResolve && (
+              <>
+                <button className={buttonClassName} onClick={() => planStore.skipStep(step.id)}>
+                  Skip
+                </button>
+                <button className={primaryButtonClassName} onClick={() => planStore.retryStep(step.id)}>
+                  Retry
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+      {isEditable && (
+        <div className="flex flex-col shrink-0 text-bolt-elements-textTertiary">
+          <button
+            className="bg-transparent hover:text-bolt-elements-textPrimary disabled:opacity-30"
+            title="Move up"
+            disabled={!canMoveUp}
+            onClick={() => planStore.moveStep(step.id, -1)}
+          >
+            <div className="i-ph:caret-up" />
+          </button>
+          <button
+            className="bg-transparent hover:text-bolt-elements-textPrimary disabled:opacity-30"
+            title="Move down"
+            disabled={!canMoveDown}
+            onClick={() => planStore.moveStep(step.id, 1)}
+          >
+            <div className="i-ph:caret-down" />
+          </button>
+          <button
+            className="bg-transparent hover:text-red-500"
+            title="Remove step"
+            onClick={() => planStore.removeStep(step.id)}
+          >
+            <div className="i-ph:trash" />
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
@@ -2,8 +2,10 @@ import { AnimatePresence, motion } from 'framer-motion';
 import type { SupabaseAlert } from '~/types/actions';
 import { classNames } from '~/utils/classNames';
 import { supabaseConnection } from '~/lib/stores/supabase';
+import { applyProjectMigrations, getMigrationTarget, migrationMetadata } from '~/lib/stores/migrations';
 import { useStore } from '@nanostores/react';
 import { useState } from 'react';
+import { toast } from 'react-toastify';
 
 interface Props {
   alert: SupabaseAlert;
@@ -16,13 +18,17 @@ export function SupabaseChatAlert({ alert, clearAlert, postMessage }: Props) {
   const connection = useStore(supabaseConnection);
   const [isExecuting, setIsExecuting] = useState(false);
   const [isCollapsed, setIsCollapsed] = useState(true);
+  const isMigration = alert.operation === 'migration';
 
-  // Determine connection state
-  const isConnected = !!(connection.token && connection.selectedProjectId);
+  // re-render when the database URL of the chat changes
+  useStore(migrationMetadata);
+
+  // Determine connection state, migrations can also go to a plain Postgres database
+  const isConnected = isMigration ? !!getMigrationTarget() : !!(connection.token && connection.selectedProjectId);
 
   // Set title and description based on connection state
-  const title = isConnected ? 'Supabase Query' : 'Supabase Connection Required';
-  const description = isConnected ? 'Execute database query' : 'Supabase connection required';
+  const title = isConnected ? alert.title : 'Supabase Connection Required';
+  const description = isConnected ? alert.description : 'Supabase connection required';
   const message = isConnected
     ? 'Please review the proposed changes and apply them to your database.'
     : 'Please connect to Supabase to continue with this operation.';
@@ -74,6 +80,23 @@ export function SupabaseChatAlert({ alert, clearAlert, postMessage }: Props) {
     }
   };
 
+  const applyMigrations = async () => {
+    setIsExecuting(true);
+
+    try {
+      const { versions } = await applyProjectMigrations();
+      toast.success(versions.length > 0 ? `Applied ${versions.join(', ')}` : 'All migrations are already applied');
+      clearAlert();
+    } catch (error) {
+      console.error('Failed to apply migrations:', error);
+      postMessage(
+        `*Error applying Supabase migrations please fix the migration and return it again*\n\`\`\`\n${error instanceof Error ? error.message : String(error)}\n\`\`\`\n`,
+      );
+    } finally {
+      setIsExecuting(false);
+    }
+  };
+
   const cleanSqlContent = (content: string) => {
     if (!content) {
       return '';
@@ -162,7 +185,7 @@ export function SupabaseChatAlert({ alert, clearAlert, postMessage }: Props) {
               </button>
             ) : (
               <button
-                onClick={() => executeSupabaseAction(content)}
+                onClick={() => (isMigration ? applyMigrations() : executeSupabaseAction(content))}
                 disabled={isExecuting}
                 className={classNames(
                   `px-3 py-2 rounded-md text-sm font-medium`,
@@ -174,7 +197,22 @@ export function SupabaseChatAlert({ alert, clearAlert, postMessage }: Props) {
                   isExecuting ? 'opacity-70 cursor-not-allowed' : '',
                 )}
               >
-                {isExecuting ? 'Applying...' : 'Apply Changes'}
+                {isExecuting ? 'Applying...' : isMigration ? 'Apply Pending Migrations' : 'Apply Changes'}
+              </button>
+            )}
+            {isMigration && (
+              <button
+                onClick={() => document.dispatchEvent(new CustomEvent('open-supabase-migrations'))}
+                disabled={isExecuting}
+                className={classNames(
+                  `px-3 py-2 rounded-md text-sm font-medium`,
+                  'bg-bolt-elements-background-depth-3 hover:bg-bolt-elements-background-depth-4',
+                  'text-bolt-elements-textPrimary',
+                  'flex items-center gap-1.5',
+                )}
+              >
+                <div className="i-ph:list-checks" />
+                Review Migrations
               </button>
             )}
             <button
@@ -1,10 +1,11 @@
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import { useSupabaseConnection } from '~/lib/hooks/useSupabaseConnection';
 import { classNames } from '~/utils/classNames';
 import { useStore } from '@nanostores/react';
 import { chatId } from '~/lib/persistence/useChatHistory';
 import { fetchSupabaseStats } from '~/lib/stores/supabase';
 import { Dialog, DialogRoot, DialogClose, DialogTitle, DialogButton } from '~/components/ui/Dialog';
+import { SupabaseMigrationsDialog } from './SupabaseMigrations';
 
 export function SupabaseConnection() {
   const {
@@ -25,6 +26,12 @@ export function SupabaseConnection() {
   } = useSupabaseConnection();
 
   const currentChatId = useStore(chatId);
+  const [isMigrationsOpen, setIsMigrationsOpen] = useState(false);
+
+  const openMigrations = () => {
+    setIsDialogOpen(false);
+    setIsMigrationsOpen(true);
+  };
 
   useEffect(() => {
     const handleOpenConnectionDialog = () => {
@@ -32,9 +39,11 @@ export function SupabaseConnection() {
     };
 
     document.addEventListener('open-supabase-connection', handleOpenConnectionDialog);
+    document.addEventListener('open-supabase-migrations', openMigrations);
 
     return () => {
       document.removeEventListener('open-supabase-connection', handleOpenConnectionDialog);
+      document.removeEventListener('open-supabase-migrations', openMigrations);
     };
   }, [setIsDialogOpen]);
 
@@ -144,6 +153,10 @@ export function SupabaseConnection() {
                 </div>
 
                 <div className="flex justify-end gap-2 mt-6">
+                  <DialogButton type="secondary" onClick={openMigrations}>
+                    <div className="i-ph:database w-4 h-4" />
+                    Use a database URL
+                  </DialogButton>
                   <DialogClose asChild>
                     <DialogButton type="secondary">Cancel</DialogButton>
                   </DialogClose>
@@ -292,6 +305,10 @@ export function SupabaseConnection() {
                 )}
 
                 <div className="flex justify-end gap-2 mt-6">
+                  <DialogButton type="secondary" onClick={openMigrations}>
+                    <div className="i-ph:database w-4 h-4" />
+                    Migrations
+                  </DialogButton>
                   <DialogClose asChild>
                     <DialogButton type="secondary">Close</DialogButton>
                   </DialogClose>
@@ -305,6 +322,7 @@ export function SupabaseConnection() {
           </Dialog>
         )}
       </DialogRoot>
+      <SupabaseMigrationsDialog open={isMigrationsOpen} onClose={() => setIsMigrationsOpen(false)} />
     </div>
   );
 }
@@ -0,0 +1,233 @@
+import type { ToolInvocation } from 'ai';
+import { useEffect, useRef, useState } from 'react';
+import { toast } from 'react-toastify';
+import { useSettings } from '~/lib/hooks/useSettings';
+import { runMCPTool } from '~/lib/modules/mcp/client';
+import { findMCPTool } from '~/lib/modules/mcp/tools';
+import type { MCPServerConfig, MCPToolResult } from '~/lib/modules/mcp/types';
+import { classNames } from '~/utils/classNames';
+
+type ToolResult = MCPToolResult & { denied?: boolean };
+
+const DENIED_RESULT: ToolResult = {
+  isError: true,
+  denied: true,
+  content: [{ type: 'text', text: 'The user denied this tool call.' }],
+};
+
+interface ToolInvocationsProps {
+  invocations: ToolInvocation[];
+
+  // calls without a result can only be approved on the last message, once it finished streaming
+  isLast: boolean;
+  isStreaming: boolean;
+  addToolResult?: (result: { toolCallId: string; result: unknown }) => void;
+}
+
+export function ToolInvocations({ invocations, isLast, isStreaming, addToolResult }: ToolInvocationsProps) {
+  const awaitingApproval = isLast && !isStreaming;
+  const { mcpSettings, setMCPSettings } = useSettings();
+  const [running, setRunning] = useState<string[]>([]);
+  const started = useRef(new Set<string>());
+
+  const run = async (invocation: ToolInvocation, server: MCPServerConfig, toolName: string) => {
+    if (started.current.has(invocation.toolCallId)) {
+      return;
+    }
+
+    started.current.add(invocation.toolCallId);
+    setRunning((ids) => [...ids, invocation.toolCallId]);
+
+    try {
+      const result = await runMCPTool(server, toolName, invocation.args);
+      addToolResult?.({ toolCallId: invocation.toolCallId, result });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      toast.error(`${toolName} failed: ${message}`);
+      addToolResult?.({
+        toolCallId: invocation.toolCallId,
+        result: { isError: true, content: [{ type: 'text', text: message }] } satisfies ToolResult,
+      });
+    } finally {
+      setRunning((ids) => ids.filter((id) => id !== invocation.toolCallId));
+    }
+  };
+
+  const alwaysAllow = (server: MCPServerConfig) => {
+    setMCPSettings({
+      servers: mcpSettings.servers.map((item) => (item.id === server.id ? { ...item, alwaysAllow: true } : item)),
+    });
+    toast.success(`Tools of ${server.name} will run without asking`);
+  };
+
+  // calls of servers that are always allowed, including the ones just allowed, run right away
+  useEffect(() => {
+    if (!awaitingApproval) {
+      return;
+    }
+
+    for (const invocation of invocations) {
+      const tool = findMCPTool(mcpSettings.servers, invocation.toolName);
+
+      if (invocation.state === 'call' && tool?.server.alwaysAllow) {
+        run(invocation, tool.server, tool.toolName);
+      }
+    }
+  }, [awaitingApproval, invocations, mcpSettings.servers]);
+
+  return (
+    <div className="flex flex-col gap-2 mt-2">
+      {invocations.map((invocation) => (
+        <ToolInvocationEntry
+          key={invocation.toolCallId}
+          invocation={invocation}
+          tool={findMCPTool(mcpSettings.servers, invocation.toolName)}
+          isLast={isLast}
+          awaitingApproval={awaitingApproval}
+          isRunning={running.includes(invocation.toolCallId)}
+          onRun={run}
+          onAlwaysAllow={alwaysAllow}
+          onDeny={() => addToolResult?.({ toolCallId: invocation.toolCallId, result: DENIED_RESULT })}
+        />
+      ))}
+    </div>
+  );
+}
+
+function formatResult(result: ToolResult) {
+  if (!Array.isArray(result?.content)) {
+    return JSON.stringify(result, null, 2);
+  }
+
+  return result.content
+    .map((part) => {
+      switch (part.type) {
+        case 'text': {
+          return part.text;
+        }
+        case 'resource': {
+          return part.resource.text ?? part.resource.uri;
+        }
+        default: {
+          return `[${part.type}: ${part.mimeType}]`;
+        }
+      }
+    })
+    .join('\n');
+}
+
+interface ToolInvocationEntryProps {
+  invocation: ToolInvocation;
+  tool?: { server: MCPServerConfig; toolName: string };
+  isLast: boolean;
+  awaitingApproval: boolean;
+  isRunning: boolean;
+  onRun: (invocation: ToolInvocation, server: MCPServerConfig, toolName: string) => void;
+  onAlwaysAllow: (server: MCPServerConfig) => void;
+  onDeny: () => void;
+}
+
+function ToolInvocationEntry({
+  invocation,
+  tool,
+  isLast,
+  awaitingApproval,
+  isRunning,
+  onRun,
+  onAlwaysAllow,
+  onDeny,
+}: ToolInvocationEntryProps) {
+  const result = invocation.state === 'result' ? (invocation.result as ToolResult) : undefined;
+  const needsApproval = invocation.state === 'call' && awaitingApproval && !isRunning && !tool?.server.alwaysAllow;
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  let status: { label: string; icon: string; className?: string };
+
+  if (result?.denied) {
+    status = { label: 'Denied', icon: 'i-ph:prohibit', className: 'text-bolt-elements-textTertiary' };
+  } else if (result?.isError) {
+    status = { label: 'Failed', icon: 'i-ph:x-circle', className: 'text-red-500' };
+  } else if (result) {
+    status = { label: 'Done', icon: 'i-ph:check-circle', className: 'text-green-500' };
+  } else if (needsApproval) {
+    status = { label: 'Waiting for approval', icon: 'i-ph:hand', className: 'text-yellow-500' };
+  } else if (invocation.state !== 'call' || isLast) {
+    status = { label: 'Running', icon: 'i-svg-spinners:90-ring-with-bg' };
+  } else {
+    status = { label: 'Not run', icon: 'i-ph:minus-circle', className: 'text-bolt-elements-textTertiary' };
+  }
+
+  return (
+    <div className="rounded-lg border border-bolt-elements-borderColor bg-bolt-elements-background-depth-2 text-sm">
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center gap-2 px-3 py-2 bg-transparent text-left text-bolt-elements-textSecondary"
+      >
+        <div className="i-ph:wrench shrink-0" />
+        <span className="flex-1 truncate">
+          {tool ? (
+            <>
+              <span className="text-bolt-elements-textTertiary">{tool.server.name} / </span>
+              <span className="text-bolt-elements-textPrimary">{tool.toolName}</span>
+            </>
+          ) : (
+            <span className="text-bolt-elements-textPrimary">{invocation.toolName}</span>
+          )}
+        </span>
+        <span className={classNames('flex items-center gap-1 text-xs', status.className)}>
+          <div className={status.icon} />
+          {status.label}
+        </span>
+        <div className={classNames('i-ph:caret-down transition-transform', isExpanded ? 'rotate-180' : '')} />
+      </button>
+
+      {needsApproval && (
+        <div className="flex flex-wrap items-center gap-2 px-3 pb-3">
+          {tool ? (
+            <>
+              <button
+                onClick={() => onRun(invocation, tool.server, tool.toolName)}
+                className="px-3 py-1 rounded-md text-xs bg-purple-500 text-white hover:bg-purple-600"
+              >
+                Run
+              </button>
+              <button
+                onClick={() => onAlwaysAllow(tool.server)}
+                className="px-3 py-1 rounded-md text-xs bg-bolt-elements-background-depth-3 text-bolt-elements-textPrimary hover:bg-bolt-elements-background-depth-4"
+              >
+                Always allow {tool.server.name}
+              </button>
+            </>
+          ) : (
+            <span className="text-xs text-bolt-elements-textTertiary">The MCP server of this tool is not enabled.</span>
+          )}
+          <button
+            onClick={onDeny}
+            className="px-3 py-1 rounded-md text-xs bg-transparent text-bolt-elements-textSecondary hover:text-red-500"
+          >
+            Deny
+          </button>
+        </div>
+      )}
+
+      {isExpanded && (
+        <div className="px-3 pb-3 space-y-2">
+          <div>
+            <div className="text-xs text-bolt-elements-textTertiary mb-1">Arguments</div>
+            <pre className="p-2 rounded-md bg-bolt-elements-background-depth-3 text-xs overflow-auto max-h-60 whitespace-pre-wrap">
+              {JSON.stringify(invocation.args, null, 2)}
+            </pre>
+          </div>
+          {result && (
+            <div>
+              <div className="text-xs text-bolt-elements-textTertiary mb-1">Result</div>
+              <pre className="p-2 rounded-md bg-bolt-elements-background-depth-3 text-xs overflow-auto max-h-60 whitespace-pre-wrap">
+                {formatResult(result)}
+              </pre>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,6 +2,8 @@
  * @ts-nocheck
  * Preventing TS checks with files presented in the video for a better presentation.
  */
+import { PREVIEW_DIAGNOSTICS_REGEX } from '~/lib/modules/diagnostics/context';
+import { PLAN_CONTEXT_REGEX } from '~/lib/modules/plan/plan';
 import { MODEL_REGEX, PROVIDER_REGEX } from '~/utils/constants';
 import { Markdown } from './Markdown';
 
@@ -44,5 +46,10 @@ export function UserMessage({ content }: UserMessageProps) {
 
 function stripMetadata(content: string) {
   const artifactRegex = /<boltArtifact\s+[^>]*>[\s\S]*?<\/boltArtifact>/gm;
-  return content.replace(MODEL_REGEX, '').replace(PROVIDER_REGEX, '').replace(artifactRegex, '');
+  return content
+    .replace(MODEL_REGEX, '')
+    .replace(PROVIDER_REGEX, '')
+    .replace(artifactRegex, '')
+    .replace(PREVIEW_DIAGNOSTICS_REGEX, '')
+    .replace(PLAN_CONTEXT_REGEX, '');
 }
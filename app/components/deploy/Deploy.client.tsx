@@ -0,0 +1,192 @@
+import { toast } from 'react-toastify';
+import { useStore } from '@nanostores/react';
+import { useState } from 'react';
+import { workbenchStore } from '~/lib/stores/workbench';
+import { webcontainer } from '~/lib/webcontainer';
+import { path } from '~/utils/path';
+import type { ActionCallbackData } from '~/lib/runtime/message-parser';
+import { chatId } from '~/lib/persistence/useChatHistory';
+import { description } from '~/lib/persistence';
+import { DeployManager } from '~/lib/modules/deploy/manager';
+import { getDeployStatus, startDeploy } from '~/lib/modules/deploy/client';
+import { encodeDeployFile, pollDeployStatus } from '~/lib/modules/deploy/utils';
+import type { DeployFile } from '~/lib/modules/deploy/types';
+import { getDeployCredentials, getDeployTarget, setDeployTarget } from '~/lib/stores/deploy';
+
+export function useDeploy() {
+  const [deployingTo, setDeployingTo] = useState<string | null>(null);
+  const currentChatId = useStore(chatId);
+
+  const handleDeploy = async (providerName: string) => {
+    const provider = DeployManager.getInstance().getProvider(providerName);
+
+    if (!provider) {
+      toast.error(`Unknown deploy target: ${providerName}`);
+      return false;
+    }
+
+    const credentials = getDeployCredentials(provider);
+
+    if (!provider.isConnected(credentials)) {
+      toast.error(`Please connect to ${provider.label} first in the settings tab!`);
+      return false;
+    }
+
+    if (!currentChatId) {
+      toast.error('No active chat found');
+      return false;
+    }
+
+    const source = provider.name;
+    const label = provider.label;
+
+    try {
+      setDeployingTo(provider.name);
+
+      const artifact = workbenchStore.firstArtifact;
+
+      if (!artifact) {
+        throw new Error('No active project found');
+      }
+
+      // Create a deployment artifact for visual feedback
+      const deploymentId = `deploy-${provider.name}-artifact`;
+      workbenchStore.addArtifact({
+        id: deploymentId,
+        messageId: deploymentId,
+        title: `${label} Deployment`,
+        type: 'standalone',
+      });
+
+      const deployArtifact = workbenchStore.artifacts.get()[deploymentId];
+
+      // Notify that build is starting
+      deployArtifact.runner.handleDeployAction('building', 'running', { source, label });
+
+      const actionId = 'build-' + Date.now();
+      const actionData: ActionCallbackData = {
+        messageId: `${provider.name} build`,
+        artifactId: artifact.id,
+        actionId,
+        action: {
+          type: 'build' as const,
+          content: provider.build.command,
+          outputDirs: provider.build.outputDirs,
+          source,
+        },
+      };
+
+      artifact.runner.addAction(actionData);
+      await artifact.runner.runAction(actionData);
+
+      // a failed build keeps the output of an earlier one, so check the action itself
+      if (artifact.runner.actions.get()[actionId]?.status !== 'complete' || !artifact.runner.buildOutput) {
+        deployArtifact.runner.handleDeployAction('building', 'failed', {
+          error: 'Build failed. Check the terminal for details.',
+          source,
+          label,
+        });
+        throw new Error('Build failed');
+      }
+
+      deployArtifact.runner.handleDeployAction('deploying', 'running', { source, label });
+
+      const container = await webcontainer;
+
+      // the runner already probed the output directories of the provider
+      const buildPath = artifact.runner.buildOutput.path;
+
+      try {
+        await container.fs.readdir(buildPath);
+      } catch {
+        deployArtifact.runner.handleDeployAction('deploying', 'failed', {
+          error: 'Could not find the build output directory. Please check your build configuration.',
+          source,
+          label,
+        });
+        throw new Error('Could not find build output directory. Please check your build configuration.');
+      }
+
+      // read as bytes, build output usually contains images and fonts
+      async function getAllFiles(dirPath: string): Promise<DeployFile[]> {
+        const files: DeployFile[] = [];
+        const entries = await container.fs.readdir(dirPath, { withFileTypes: true });
+
+        for (const entry of entries) {
+          const fullPath = path.join(dirPath, entry.name);
+
+          if (entry.isFile()) {
+            files.push(encodeDeployFile(path.relative(buildPath, fullPath), await container.fs.readFile(fullPath)));
+          } else if (entry.isDirectory()) {
+            files.push(...(await getAllFiles(fullPath)));
+          }
+        }
+
+        return files;
+      }
+
+      const files = await getAllFiles(buildPath);
+
+      if (files.length === 0) {
+        deployArtifact.runner.handleDeployAction('deploying', 'failed', {
+          error: 'The build output directory is empty.',
+          source,
+          label,
+        });
+        throw new Error('The build output directory is empty');
+      }
+
+      const projectName =
+        (description.value ?? '')
+          .toLocaleLowerCase()
+          .replace(/[^a-z0-9-]+/g, '-')
+          .replace(/^-+|-+$/g, '') || 'project';
+
+      let status;
+
+      try {
+        const deploy = await startDeploy(provider, {
+          files,
+          credentials,
+          chatId: currentChatId,
+          projectName,
+          targetId: getDeployTarget(provider, currentChatId),
+          buildDirectory: path.relative(container.workdir, buildPath),
+        });
+
+        setDeployTarget(provider, currentChatId, deploy.targetId);
+
+        status = await pollDeployStatus(deploy, (current) => getDeployStatus(provider, credentials, current), {
+          intervalMs: provider.statusPollIntervalMs,
+          maxAttempts: provider.statusPollAttempts,
+        });
+
+        status.url ??= deploy.url;
+      } catch (error) {
+        status = { state: 'error' as const, error: error instanceof Error ? error.message : 'Deployment failed' };
+      }
+
+      if (status.state !== 'ready') {
+        deployArtifact.runner.handleDeployAction('deploying', 'failed', { error: status.error, source, label });
+        throw new Error(`Deployment failed: ${status.error || 'Unknown error'}`);
+      }
+
+      deployArtifact.runner.handleDeployAction('complete', 'complete', { url: status.url, source, label });
+
+      return true;
+    } catch (error) {
+      console.error('Deploy error:', error);
+      toast.error(error instanceof Error ? error.message : 'Deployment failed');
+
+      return false;
+    } finally {
+      setDeployingTo(null);
+    }
+  };
+
+  return {
+    isDeploying: deployingTo !== null,
+    deployingTo,
+    handleDeploy,
+  };
+}
@@ -0,0 +1,24 @@
+import type { DeployProviderInfo } from '~/lib/modules/deploy/types';
+import { classNames } from '~/utils/classNames';
+
+interface DeployProviderLogoProps {
+  provider: DeployProviderInfo;
+  className?: string;
+}
+
+export function DeployProviderLogo({ provider, className = 'w-5 h-5' }: DeployProviderLogoProps) {
+  if (provider.logoUrl) {
+    return (
+      <img
+        className={className}
+        height="24"
+        width="24"
+        crossOrigin="anonymous"
+        src={provider.logoUrl}
+        alt={provider.label}
+      />
+    );
+  }
+
+  return <div className={classNames(provider.icon, className)} />;
+}
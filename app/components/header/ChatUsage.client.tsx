@@ -0,0 +1,25 @@
+import { useStore } from '@nanostores/react';
+import WithTooltip from '~/components/ui/Tooltip';
+import { chatMetadata } from '~/lib/persistence';
+import { formatCost } from '~/utils/usage';
+
+export function ChatUsage() {
+  const usage = useStore(chatMetadata)?.usage;
+
+  if (!usage || usage.turns === 0) {
+    return null;
+  }
+
+  const breakdown = Object.entries(usage.byProvider).map(
+    ([provider, { cost, totalTokens }]) => `${provider}: ${totalTokens} tokens, ${formatCost(cost)}`,
+  );
+
+  return (
+    <WithTooltip tooltip={breakdown.length > 0 ? breakdown.join(' · ') : `${usage.turns} responses`} position="bottom">
+      <div className="flex items-center gap-1 text-xs text-bolt-elements-textSecondary whitespace-nowrap">
+        <div className="i-ph:coins" />
+        {usage.totalTokens} tokens · {formatCost(usage.cost)}
+      </div>
+    </WithTooltip>
+  );
+}
@@ -4,6 +4,7 @@ import { chatStore } from '~/lib/stores/chat';
 import { classNames } from '~/utils/classNames';
 import { HeaderActionButtons } from './HeaderActionButtons.client';
 import { ChatDescription } from '~/lib/persistence/ChatDescription.client';
+import { ChatUsage } from './ChatUsage.client';
 
 export function Header() {
   const chat = useStore(chatStore);
@@ -29,6 +30,13 @@ export function Header() {
           <span className="flex-1 px-4 truncate text-center text-bolt-elements-textPrimary">
             <ClientOnly>{() => <ChatDescription />}</ClientOnly>
           </span>
+          <ClientOnly>
+            {() => (
+              <div className="mr-4">
+                <ChatUsage />
+              </div>
+            )}
+          </ClientOnly>
           <ClientOnly>
             {() => (
               <div className="mr-1">
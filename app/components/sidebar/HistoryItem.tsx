@@ -11,6 +11,7 @@ interface HistoryItemProps {
   onDelete?: (event: React.UIEvent) => void;
   onDuplicate?: (id: string) => void;
   exportChat: (id?: string) => void;
+  exportBundle?: (id?: string) => void;
   selectionMode?: boolean;
   isSelected?: boolean;
   onToggleSelection?: (id: string) => void;
@@ -21,6 +22,7 @@ export function HistoryItem({
   onDelete,
   onDuplicate,
   exportChat,
+  exportBundle,
   selectionMode = false,
   isSelected = false,
   onToggleSelection,
@@ -109,7 +111,7 @@ export function HistoryItem({
           onClick={selectionMode ? handleItemClick : undefined}
         >
           <WithTooltip tooltip={currentDescription}>
-            <span className="truncate pr-24">{currentDescription}</span>
+            <span className="truncate pr-28">{currentDescription}</span>
           </WithTooltip>
           <div
             className={classNames(
@@ -125,6 +127,16 @@ export function HistoryItem({
                   exportChat(item.id);
                 }}
               />
+              {exportBundle && (
+                <ChatActionButton
+                  toolTipContent="Export project bundle"
+                  icon="i-ph:package h-4 w-4"
+                  onClick={(event) => {
+                    event.preventDefault();
+                    exportBundle(item.id);
+                  }}
+                />
+              )}
               {onDuplicate && (
                 <ChatActionButton
                   toolTipContent="Duplicate"
@@ -64,7 +64,7 @@ function CurrentDateTime() {
 }
 
 export const Menu = () => {
-  const { duplicateCurrentChat, exportChat } = useChatHistory();
+  const { duplicateCurrentChat, exportChat, exportBundle } = useChatHistory();
   const menuRef = useRef<HTMLDivElement>(null);
   const [list, setList] = useState<ChatHistoryItem[]>([]);
   const [open, setOpen] = useState(false);
@@ -431,6 +431,7 @@ export const Menu = () => {
                         key={item.id}
                         item={item}
                         exportChat={exportChat}
+                        exportBundle={exportBundle}
                         onDelete={(event) => {
                           event.preventDefault();
                           event.stopPropagation();
@@ -0,0 +1,239 @@
+import { memo, useEffect, useMemo, useState } from 'react';
+import { toast } from 'react-toastify';
+import { Dialog, DialogButton, DialogDescription, DialogRoot, DialogTitle } from '~/components/ui/Dialog';
+import {
+  diffCheckpointFiles,
+  getCheckpointFile,
+  getCheckpoints,
+  loadCheckpointFiles,
+} from '~/lib/persistence/checkpoints';
+import type { Checkpoint } from '~/lib/persistence/types';
+import { chatId, db, forkOpenChat } from '~/lib/persistence/useChatHistory';
+import { workbenchStore } from '~/lib/stores/workbench';
+import { classNames } from '~/utils/classNames';
+import { extractRelativePath } from '~/utils/diff';
+import { getLanguageFromExtension } from '~/utils/getLanguageFromExtension';
+import { InlineDiffComparison } from './DiffView';
+
+interface CheckpointTimelineProps {
+  open: boolean;
+  onClose: () => void;
+}
+
+// index of the "from" side when comparing against an empty project
+const EMPTY = -1;
+
+const formatCheckpoint = (checkpoint: Checkpoint, index: number) =>
+  `#${index + 1} · ${new Date(checkpoint.timestamp).toLocaleString()} · ${checkpoint.changedFiles.length} changed`;
+
+export const CheckpointTimeline = memo(({ open, onClose }: CheckpointTimelineProps) => {
+  const [checkpoints, setCheckpoints] = useState<Checkpoint[]>([]);
+  const [fromIndex, setFromIndex] = useState(EMPTY);
+  const [toIndex, setToIndex] = useState(EMPTY);
+  const [selectedPath, setSelectedPath] = useState<string>();
+  const [contents, setContents] = useState<{ before: string; after: string }>();
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  useEffect(() => {
+    const id = chatId.get();
+
+    if (!open || !db || !id) {
+      return;
+    }
+
+    getCheckpoints(db, id)
+      .then((list) => {
+        setCheckpoints(list);
+        setToIndex(list.length - 1);
+        setFromIndex(list.length - 2);
+      })
+      .catch((error) => toast.error('Failed to load checkpoints: ' + error.message));
+  }, [open]);
+
+  const from = checkpoints[fromIndex];
+  const to = checkpoints[toIndex];
+
+  const changes = useMemo(() => {
+    if (!to) {
+      return [];
+    }
+
+    const { added, modified, removed } = diffCheckpointFiles(from?.files ?? {}, to.files);
+
+    return [
+      ...added.map((path) => ({ path, status: 'added' as const })),
+      ...modified.map((path) => ({ path, status: 'modified' as const })),
+      ...removed.map((path) => ({ path, status: 'removed' as const })),
+    ].sort((a, b) => a.path.localeCompare(b.path));
+  }, [from, to]);
+
+  useEffect(() => {
+    setSelectedPath(changes[0]?.path);
+  }, [changes]);
+
+  useEffect(() => {
+    if (!db || !to || !selectedPath) {
+      setContents(undefined);
+      return;
+    }
+
+    Promise.all([from ? getCheckpointFile(db, from, selectedPath) : undefined, getCheckpointFile(db, to, selectedPath)])
+      .then(([before, after]) => setContents({ before: before?.content ?? '', after: after?.content ?? '' }))
+      .catch((error) => toast.error('Failed to load file: ' + error.message));
+  }, [from, to, selectedPath]);
+
+  const restoreFile = async () => {
+    if (!db || !to || !selectedPath) {
+      return;
+    }
+
+    try {
+      const file = await getCheckpointFile(db, to, selectedPath);
+
+      if (!file) {
+        toast.info(`${extractRelativePath(selectedPath)} does not exist in this checkpoint`);
+        return;
+      }
+
+      await workbenchStore.restoreFile(selectedPath, file);
+      toast.success(`Restored ${extractRelativePath(selectedPath)}`);
+    } catch (error) {
+      toast.error('Failed to restore file: ' + (error as Error).message);
+    }
+  };
+
+  const restoreWorkbench = async () => {
+    const id = chatId.get();
+
+    if (!db || !to || !id) {
+      return;
+    }
+
+    setIsRestoring(true);
+
+    try {
+      const { urlId, skipped } = await forkOpenChat(to.messageId, await loadCheckpointFiles(db, to));
+
+      if (skipped.length > 0) {
+        toast.warning(`${skipped.length} locked files were left unchanged`);
+      }
+
+      window.location.href = `/chat/${urlId}`;
+    } catch (error) {
+      toast.error('Failed to restore checkpoint: ' + (error as Error).message);
+      setIsRestoring(false);
+    }
+  };
+
+  const selectClassName = classNames(
+    'p-2 rounded-lg text-sm flex-1 min-w-0',
+    'bg-bolt-elements-background-depth-3 border border-bolt-elements-borderColor',
+    'text-bolt-elements-textPrimary focus:outline-none focus:ring-2 focus:ring-purple-500/30',
+  );
+
+  return (
+    <DialogRoot open={open} onOpenChange={(v) => !v && onClose()}>
+      <Dialog className="!w-[90vw] !max-w-6xl" onClose={onClose}>
+        <div className="p-6 flex flex-col gap-4 h-[80vh]">
+          <div>
+            <DialogTitle>
+              <div className="i-ph:clock-counter-clockwise" />
+              Checkpoints
+            </DialogTitle>
+            <DialogDescription>
+              A checkpoint is stored after every response that changed files. Compare any two of them, restore a single
+              file, or restore the whole workbench and continue from there in a fork of this chat.
+            </DialogDescription>
+          </div>
+
+          {checkpoints.length === 0 ? (
+            <div className="flex-1 flex items-center justify-center text-sm text-bolt-elements-textTertiary">
+              No checkpoints yet for this chat.
+            </div>
+          ) : (
+            <>
+              <div className="flex items-center gap-2">
+                <select
+                  value={fromIndex}
+                  onChange={(e) => setFromIndex(Number(e.target.value))}
+                  className={selectClassName}
+                >
+                  <option value={EMPTY}>Empty project</option>
+                  {checkpoints.map((checkpoint, index) => (
+                    <option key={checkpoint.id} value={index}>
+                      {formatCheckpoint(checkpoint, index)}
+                    </option>
+                  ))}
+                </select>
+                <div className="i-ph:arrow-right text-bolt-elements-textTertiary shrink-0" />
+                <select
+                  value={toIndex}
+                  onChange={(e) => setToIndex(Number(e.target.value))}
+                  className={selectClassName}
+                >
+                  {checkpoints.map((checkpoint, index) => (
+                    <option key={checkpoint.id} value={index}>
+                      {formatCheckpoint(checkpoint, index)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="flex-1 flex gap-4 min-h-0">
+                <div className="w-64 shrink-0 overflow-y-auto border border-bolt-elements-borderColor rounded-lg">
+                  {changes.length === 0 && (
+                    <div className="p-3 text-xs text-bolt-elements-textTertiary">No differences</div>
+                  )}
+                  {changes.map(({ path, status }) => (
+                    <button
+                      key={path}
+                      onClick={() => setSelectedPath(path)}
+                      className={classNames(
+                        'w-full flex items-center gap-2 px-3 py-1.5 text-left text-xs',
+                        path === selectedPath
+                          ? 'bg-bolt-elements-item-backgroundActive text-bolt-elements-textPrimary'
+                          : 'text-bolt-elements-textSecondary hover:bg-bolt-elements-item-backgroundActive',
+                      )}
+                    >
+                      <span
+                        className={classNames('shrink-0', {
+                          'i-ph:plus-circle text-green-500': status === 'added',
+                          'i-ph:pencil-simple text-blue-500': status === 'modified',
+                          'i-ph:minus-circle text-red-500': status === 'removed',
+                        })}
+                      />
+                      <span className="truncate">{extractRelativePath(path)}</span>
+                    </button>
+                  ))}
+                </div>
+                <div className="flex-1 min-w-0 border border-bolt-elements-borderColor rounded-lg overflow-hidden">
+                  {selectedPath && contents && (
+                    <InlineDiffComparison
+                      beforeCode={contents.before}
+                      afterCode={contents.after}
+                      language={getLanguageFromExtension(selectedPath.split('.').pop() || '')}
+                      filename={extractRelativePath(selectedPath)}
+                      lightTheme="github-light"
+                      darkTheme="github-dark"
+                    />
+                  )}
+                </div>
+              </div>
+
+              <div className="flex justify-end gap-2">
+                <DialogButton type="secondary" onClick={restoreFile} disabled={!selectedPath || isRestoring}>
+                  <div className="i-ph:file-arrow-down" />
+                  Restore file from checkpoint #{toIndex + 1}
+                </DialogButton>
+                <DialogButton type="primary" onClick={restoreWorkbench} disabled={!to || isRestoring}>
+                  <div className="i-ph:clock-counter-clockwise" />
+                  {isRestoring ? 'Restoring...' : `Restore workbench to checkpoint #${toIndex + 1}`}
+                </DialogButton>
+              </div>
+            </>
+          )}
+        </div>
+      </Dialog>
+    </DialogRoot>
+  );
+});
@@ -0,0 +1,341 @@
+import { useStore } from '@nanostores/react';
+import { memo, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { Dialog, DialogButton, DialogDescription, DialogRoot, DialogTitle } from '~/components/ui/Dialog';
+import { Switch } from '~/components/ui/Switch';
+import { useSettings } from '~/lib/hooks/useSettings';
+import type { GitChange, GitFileStatus } from '~/lib/git/repository';
+import { gitStore } from '~/lib/stores/git';
+import { classNames } from '~/utils/classNames';
+import { getLanguageFromExtension } from '~/utils/getLanguageFromExtension';
+import { InlineDiffComparison } from './DiffView';
+
+interface GitPanelProps {
+  open: boolean;
+  onClose: () => void;
+}
+
+// a file is selected on one side of its change, the staged or the unstaged one
+interface Selection {
+  path: string;
+  staged: boolean;
+}
+
+const inputClassName = classNames(
+  'p-2 rounded-lg text-sm min-w-0',
+  'bg-bolt-elements-background-depth-3 border border-bolt-elements-borderColor',
+  'text-bolt-elements-textPrimary placeholder-bolt-elements-textTertiary',
+  'focus:outline-none focus:ring-2 focus:ring-purple-500/30',
+);
+
+const smallButtonClassName = classNames(
+  'flex items-center gap-1 px-2 py-1 rounded-md text-xs',
+  'bg-bolt-elements-background-depth-3 text-bolt-elements-textPrimary hover:bg-bolt-elements-background-depth-4',
+  'disabled:opacity-50 disabled:cursor-not-allowed',
+);
+
+export const GitPanel = memo(({ open, onClose }: GitPanelProps) => {
+  const initialized = useStore(gitStore.initialized);
+  const branch = useStore(gitStore.branch);
+  const branches = useStore(gitStore.branches);
+  const status = useStore(gitStore.status);
+  const log = useStore(gitStore.log);
+  const remoteUrl = useStore(gitStore.remoteUrl);
+  const busy = useStore(gitStore.busy);
+  const { gitSettings, setGitSettings } = useSettings();
+
+  const [selection, setSelection] = useState<Selection>();
+  const [contents, setContents] = useState<{ before: string; after: string }>();
+  const [message, setMessage] = useState('');
+  const [remoteInput, setRemoteInput] = useState('');
+
+  const staged = status.filter((file) => file.staged);
+  const unstaged = status.filter((file) => file.unstaged);
+
+  useEffect(() => {
+    if (open) {
+      gitStore.refresh().catch((error) => toast.error('Failed to read the repository: ' + error.message));
+    }
+  }, [open]);
+
+  useEffect(() => {
+    setRemoteInput(remoteUrl ?? '');
+  }, [remoteUrl]);
+
+  // keep the selection on a side of a change that still exists
+  useEffect(() => {
+    const file = selection && status.find(({ path }) => path === selection.path);
+
+    if (!file || !(selection.staged ? file.staged : file.unstaged)) {
+      const first = staged[0] ?? unstaged[0];
+      setSelection(first ? { path: first.path, staged: !!first.staged } : undefined);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    if (!selection) {
+      setContents(undefined);
+      return;
+    }
+
+    gitStore
+      .diff(selection.path, selection.staged)
+      .then(setContents)
+      .catch((error) => toast.error('Failed to load the diff: ' + error.message));
+  }, [selection, status]);
+
+  const commit = async () => {
+    if (await gitStore.commit(message.trim())) {
+      setMessage('');
+      toast.success('Changes committed');
+    }
+  };
+
+  const createBranch = async () => {
+    const name = prompt('Name of the new branch')?.trim();
+
+    if (name) {
+      await gitStore.createBranch(name);
+    }
+  };
+
+  // the remote is saved when it is first used
+  const sync = async (direction: 'push' | 'pull') => {
+    const url = remoteInput.trim();
+
+    if (url !== remoteUrl) {
+      await gitStore.setRemoteUrl(url);
+    }
+
+    if (direction === 'push') {
+      await gitStore.push();
+    } else {
+      await gitStore.pull();
+    }
+  };
+
+  return (
+    <DialogRoot open={open} onOpenChange={(v) => !v && onClose()}>
+      <Dialog className="!w-[90vw] !max-w-6xl" onClose={onClose}>
+        <div className="p-6 flex flex-col gap-4 h-[80vh]">
+          <div>
+            <DialogTitle>
+              <div className="i-ph:git-branch" />
+              Git
+              {busy && <span className="text-xs font-normal text-bolt-elements-textTertiary">{busy}...</span>}
+            </DialogTitle>
+            <DialogDescription>
+              Version the project with git right in the browser. Stage and commit changes, work on branches, and push or
+              pull any remote that speaks git over HTTP.
+            </DialogDescription>
+          </div>
+
+          {!initialized ? (
+            <div className="flex-1 flex flex-col items-center justify-center gap-3 text-sm text-bolt-elements-textTertiary">
+              This project is not a git repository yet.
+              <DialogButton type="primary" onClick={() => gitStore.init()} disabled={!!busy}>
+                <div className="i-ph:git-branch" />
+                Initialize repository
+              </DialogButton>
+            </div>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-center gap-2">
+                <select
+                  value={branch ?? ''}
+                  onChange={(e) => gitStore.switchBranch(e.target.value)}
+                  disabled={!!busy}
+                  className={inputClassName}
+                  title="Branch"
+                >
+                  {!branch && <option value="">Detached HEAD</option>}
+                  {(branches.length > 0 ? branches : branch ? [branch] : []).map((name) => (
+                    <option key={name} value={name}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+                <button onClick={createBranch} disabled={!!busy} className={smallButtonClassName}>
+                  <div className="i-ph:git-fork" />
+                  New branch
+                </button>
+                <input
+                  value={remoteInput}
+                  onChange={(e) => setRemoteInput(e.target.value)}
+                  placeholder="Remote URL, e.g. https://github.com/user/repo.git"
+                  className={classNames(inputClassName, 'flex-1')}
+                />
+                <button
+                  onClick={() => sync('pull')}
+                  disabled={!!busy || !remoteInput.trim()}
+                  className={smallButtonClassName}
+                >
+                  <div className="i-ph:arrow-down" />
+                  Pull
+                </button>
+                <button
+                  onClick={() => sync('push')}
+                  disabled={!!busy || !remoteInput.trim() || log.length === 0}
+                  className={smallButtonClassName}
+                >
+                  <div className="i-ph:arrow-up" />
+                  Push
+                </button>
+              </div>
+
+              <div className="flex-1 flex gap-4 min-h-0">
+                <div className="w-72 shrink-0 flex flex-col gap-2 min-h-0">
+                  <div className="flex-1 overflow-y-auto border border-bolt-elements-borderColor rounded-lg">
+                    <ChangeList
+                      title="Staged"
+                      files={staged}
+                      staged
+                      selection={selection}
+                      onSelect={setSelection}
+                      action={{ icon: 'i-ph:minus', label: 'Unstage', run: (paths) => gitStore.unstage(paths) }}
+                      disabled={!!busy}
+                    />
+                    <ChangeList
+                      title="Changes"
+                      files={unstaged}
+                      staged={false}
+                      selection={selection}
+                      onSelect={setSelection}
+                      action={{ icon: 'i-ph:plus', label: 'Stage', run: (paths) => gitStore.stage(paths) }}
+                      disabled={!!busy}
+                    />
+                  </div>
+                  <textarea
+                    value={message}
+                    onChange={(e) => setMessage(e.target.value)}
+                    placeholder="Commit message"
+                    rows={3}
+                    className={classNames(inputClassName, 'resize-none')}
+                  />
+                  <DialogButton
+                    type="primary"
+                    onClick={commit}
+                    disabled={!!busy || !message.trim() || staged.length === 0}
+                  >
+                    <div className="i-ph:check" />
+                    Commit {staged.length > 0 ? `${staged.length} staged` : ''} to {branch ?? 'HEAD'}
+                  </DialogButton>
+                  <label className="flex items-center justify-between gap-2 text-xs text-bolt-elements-textSecondary">
+                    Commit every response with its prompt
+                    <Switch
+                      checked={gitSettings.autoCommit}
+                      onCheckedChange={(autoCommit) => setGitSettings({ autoCommit })}
+                    />
+                  </label>
+                </div>
+
+                <div className="flex-1 min-w-0 flex flex-col gap-2 min-h-0">
+                  <div className="flex-1 min-h-0 border border-bolt-elements-borderColor rounded-lg overflow-hidden">
+                    {selection && contents ? (
+                      <InlineDiffComparison
+                        beforeCode={contents.before}
+                        afterCode={contents.after}
+                        language={getLanguageFromExtension(selection.path.split('.').pop() || '')}
+                        filename={`${selection.path}${selection.staged ? ' (staged)' : ''}`}
+                        lightTheme="github-light"
+                        darkTheme="github-dark"
+                      />
+                    ) : (
+                      <div className="h-full flex items-center justify-center text-sm text-bolt-elements-textTertiary">
+                        Working tree clean
+                      </div>
+                    )}
+                  </div>
+                  <div className="h-32 shrink-0 overflow-y-auto border border-bolt-elements-borderColor rounded-lg text-xs">
+                    {log.length === 0 && <div className="p-3 text-bolt-elements-textTertiary">No commits yet</div>}
+                    {log.map((entry) => (
+                      <div
+                        key={entry.oid}
+                        className="flex items-center gap-2 px-3 py-1 text-bolt-elements-textSecondary"
+                      >
+                        <span className="font-mono text-bolt-elements-textTertiary">{entry.oid.slice(0, 7)}</span>
+                        <span className="flex-1 truncate text-bolt-elements-textPrimary">
+                          {entry.message.split('\n')[0]}
+                        </span>
+                        <span className="shrink-0">{entry.author}</span>
+                        <span className="shrink-0 text-bolt-elements-textTertiary">
+                          {new Date(entry.timestamp).toLocaleString()}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </Dialog>
+    </DialogRoot>
+  );
+});
+
+interface ChangeListProps {
+  title: string;
+  files: GitFileStatus[];
+  staged: boolean;
+  selection?: Selection;
+  onSelect: (selection: Selection) => void;
+  action: { icon: string; label: string; run: (paths: string[]) => void };
+  disabled: boolean;
+}
+
+function ChangeList({ title, files, staged, selection, onSelect, action, disabled }: ChangeListProps) {
+  return (
+    <div>
+      <div className="flex items-center justify-between px-3 py-1.5 text-xs text-bolt-elements-textTertiary bg-bolt-elements-background-depth-3">
+        <span>
+          {title} ({files.length})
+        </span>
+        {files.length > 0 && (
+          <button
+            onClick={() => action.run(files.map(({ path }) => path))}
+            disabled={disabled}
+            className="bg-transparent hover:text-bolt-elements-textPrimary disabled:opacity-50"
+          >
+            {action.label} all
+          </button>
+        )}
+      </div>
+      {files.map((file) => {
+        const change = (staged ? file.staged : file.unstaged) as GitChange;
+        const isSelected = selection?.path === file.path && selection.staged === staged;
+
+        return (
+          <div
+            key={file.path}
+            className={classNames(
+              'group flex items-center gap-2 px-3 py-1.5 text-xs cursor-pointer',
+              isSelected
+                ? 'bg-bolt-elements-item-backgroundActive text-bolt-elements-textPrimary'
+                : 'text-bolt-elements-textSecondary hover:bg-bolt-elements-item-backgroundActive',
+            )}
+            onClick={() => onSelect({ path: file.path, staged })}
+          >
+            <span
+              className={classNames('shrink-0', {
+                'i-ph:plus-circle text-green-500': change === 'added',
+                'i-ph:pencil-simple text-blue-500': change === 'modified',
+                'i-ph:minus-circle text-red-500': change === 'deleted',
+              })}
+            />
+            <span className="flex-1 truncate">{file.path}</span>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                action.run([file.path]);
+              }}
+              disabled={disabled}
+              title={action.label}
+              className={classNames(action.icon, 'shrink-0 opacity-0 group-hover:opacity-100 bg-transparent')}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -3,6 +3,12 @@ import { workbenchStore } from '~/lib/stores/workbench';
 import { classNames } from '~/utils/classNames';
 import { Checkbox } from '~/components/ui/Checkbox';
 import { toast } from '~/components/ui/use-toast';
+import {
+  clearBlockedAttemptsForChat,
+  getBlockedAttemptsForChat,
+  type BlockedAttempt,
+} from '~/lib/persistence/lockAudit';
+import { getCurrentChatId } from '~/utils/fileLocks';
 
 interface LockedItem {
   path: string;
@@ -14,6 +20,8 @@ export function LockManager() {
   const [selectedItems, setSelectedItems] = useState<Set<string>>(new Set());
   const [filter, setFilter] = useState<'all' | 'files' | 'folders'>('all');
   const [searchTerm, setSearchTerm] = useState('');
+  const [view, setView] = useState<'locks' | 'audit'>('locks');
+  const [blockedAttempts, setBlockedAttempts] = useState<BlockedAttempt[]>([]);
 
   // Load locked items
   useEffect(() => {
@@ -44,6 +52,7 @@ export function LockManager() {
       });
 
       setLockedItems(items);
+      setBlockedAttempts(getBlockedAttemptsForChat(getCurrentChatId()));
     };
 
     loadLockedItems();
@@ -130,6 +139,16 @@ export function LockManager() {
     }
   };
 
+  const filteredAttempts = blockedAttempts.filter(
+    (attempt) => !searchTerm || attempt.path.toLowerCase().includes(searchTerm.toLowerCase()),
+  );
+
+  const handleClearAudit = () => {
+    clearBlockedAttemptsForChat(getCurrentChatId());
+    setBlockedAttempts([]);
+    toast.success('Blocked attempts cleared.');
+  };
+
   // Determine the state of the "Select All" checkbox
   const isAllSelected = filteredAndSortedItems.length > 0 && selectedItems.size === filteredAndSortedItems.length;
   const isSomeSelected = selectedItems.size > 0 && selectedItems.size < filteredAndSortedItems.length;
@@ -155,8 +174,23 @@ export function LockManager() {
             style={{ minWidth: 0 }}
           />
         </div>
+        {/* View Toggle */}
+        <button
+          className={classNames(
+            'text-xs px-1.5 h-6 rounded border border-bolt-elements-borderColor flex items-center gap-1',
+            view === 'audit'
+              ? 'bg-bolt-elements-item-backgroundAccent text-bolt-elements-item-contentAccent'
+              : 'bg-bolt-elements-background-depth-2 text-bolt-elements-textPrimary',
+          )}
+          onClick={() => setView(view === 'locks' ? 'audit' : 'locks')}
+          title={view === 'locks' ? 'Show blocked write attempts' : 'Show locked items'}
+        >
+          <span className="i-ph:shield-warning-duotone" />
+          {blockedAttempts.length > 0 && <span>{blockedAttempts.length}</span>}
+        </button>
         {/* Filter Select */}
         <select
+          hidden={view === 'audit'}
           className="text-xs px-1 py-0.5 h-6 bg-bolt-elements-background-depth-2 text-bolt-elements-textPrimary rounded border border-bolt-elements-borderColor focus:outline-none"
           value={filter}
           onChange={(e) => setFilter(e.target.value as any)}
@@ -167,96 +201,143 @@ export function LockManager() {
         </select>
       </div>
 
-      {/* Header Row with Select All */}
-      <div className="flex items-center justify-between px-2 py-1 text-xs text-bolt-elements-textSecondary">
-        <div>
-          <Checkbox
-            checked={selectAllCheckedState}
-            onCheckedChange={handleSelectAll}
-            className="w-3 h-3 rounded border-bolt-elements-borderColor mr-2"
-            aria-label="Select all items"
-            disabled={filteredAndSortedItems.length === 0} // Disable if no items to select
-          />
-          <span>All</span>
-        </div>
-        {selectedItems.size > 0 && (
-          <button
-            className="ml-auto px-2 py-0.5 rounded bg-bolt-elements-button-secondary-background hover:bg-bolt-elements-button-secondary-backgroundHover text-bolt-elements-button-secondary-text text-xs flex items-center gap-1"
-            onClick={handleUnlockSelected}
-            title="Unlock all selected items"
-          >
-            Unlock all
-          </button>
-        )}
-        <div></div>
-      </div>
+      {view === 'audit' ? (
+        <>
+          {/* List of blocked attempts */}
+          <div className="flex-1 overflow-auto modern-scrollbar px-1 py-1">
+            {filteredAttempts.length === 0 ? (
+              <div className="flex flex-col items-center justify-center h-full text-bolt-elements-textTertiary text-xs gap-2">
+                <span className="i-ph:shield-check-duotone text-lg opacity-50" />
+                <span>No blocked attempts in this chat</span>
+              </div>
+            ) : (
+              <ul className="space-y-1">
+                {filteredAttempts.map((attempt) => (
+                  <li
+                    key={`${attempt.timestamp}-${attempt.path}`}
+                    className="text-bolt-elements-textTertiary flex items-center gap-2 px-2 py-1 rounded hover:bg-bolt-elements-background-depth-2 transition-colors"
+                    title={attempt.command ? `$ ${attempt.command}` : `Locked by ${attempt.lockedBy}`}
+                  >
+                    <span className="shrink-0 text-xs i-ph:prohibit-duotone text-red-500" />
+                    <span className="truncate flex-1 text-xs">{attempt.path.replace('/home/project/', '')}</span>
+                    <span className="inline-flex items-center px-1 rounded-sm text-xs bg-red-500/10 text-red-500">
+                      {attempt.actionType}
+                    </span>
+                    <span className="shrink-0 text-xs">{new Date(attempt.timestamp).toLocaleTimeString()}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
 
-      {/* List of locked items */}
-      <div className="flex-1 overflow-auto modern-scrollbar px-1 py-1">
-        {filteredAndSortedItems.length === 0 ? (
-          <div className="flex flex-col items-center justify-center h-full text-bolt-elements-textTertiary text-xs gap-2">
-            <span className="i-ph:lock-open-duotone text-lg opacity-50" />
-            <span>No locked items found</span>
+          {/* Footer */}
+          <div className="px-2 py-1 border-t border-bolt-elements-borderColor bg-bolt-elements-background-depth-2 text-xs text-bolt-elements-textTertiary flex justify-between items-center">
+            <div>{filteredAttempts.length} blocked attempt(s)</div>
+            {blockedAttempts.length > 0 && (
+              <button
+                className="px-2 py-0.5 rounded bg-bolt-elements-button-secondary-background hover:bg-bolt-elements-button-secondary-backgroundHover text-bolt-elements-button-secondary-text text-xs"
+                onClick={handleClearAudit}
+                title="Clear the blocked attempts of this chat"
+              >
+                Clear
+              </button>
+            )}
           </div>
-        ) : (
-          <ul className="space-y-1">
-            {filteredAndSortedItems.map((item) => (
-              <li
-                key={item.path}
-                className={classNames(
-                  'text-bolt-elements-textTertiary flex items-center gap-2 px-2 py-1 rounded hover:bg-bolt-elements-background-depth-2 transition-colors group',
-                  selectedItems.has(item.path) ? 'bg-bolt-elements-background-depth-2' : '',
-                )}
+        </>
+      ) : (
+        <>
+          {/* Header Row with Select All */}
+          <div className="flex items-center justify-between px-2 py-1 text-xs text-bolt-elements-textSecondary">
+            <div>
+              <Checkbox
+                checked={selectAllCheckedState}
+                onCheckedChange={handleSelectAll}
+                className="w-3 h-3 rounded border-bolt-elements-borderColor mr-2"
+                aria-label="Select all items"
+                disabled={filteredAndSortedItems.length === 0} // Disable if no items to select
+              />
+              <span>All</span>
+            </div>
+            {selectedItems.size > 0 && (
+              <button
+                className="ml-auto px-2 py-0.5 rounded bg-bolt-elements-button-secondary-background hover:bg-bolt-elements-button-secondary-backgroundHover text-bolt-elements-button-secondary-text text-xs flex items-center gap-1"
+                onClick={handleUnlockSelected}
+                title="Unlock all selected items"
               >
-                <Checkbox
-                  checked={selectedItems.has(item.path)}
-                  onCheckedChange={() => handleSelectItem(item.path)}
-                  className="w-3 h-3 rounded border-bolt-elements-borderColor"
-                  aria-labelledby={`item-label-${item.path}`} // For accessibility
-                />
-                <span
-                  className={classNames(
-                    'shrink-0 text-bolt-elements-textTertiary text-xs',
-                    item.type === 'file' ? 'i-ph:file-text-duotone' : 'i-ph:folder-duotone',
-                  )}
-                />
-                <span id={`item-label-${item.path}`} className="truncate flex-1 text-xs" title={item.path}>
-                  {item.path.replace('/home/project/', '')}
-                </span>
-                {/* ... rest of the item details and buttons ... */}
-                <span
-                  className={classNames(
-                    'inline-flex items-center px-1 rounded-sm text-xs',
-                    'bg-red-500/10 text-red-500',
-                  )}
-                ></span>
-                <button
-                  className="flex items-center px-1 py-0.5 text-xs rounded bg-transparent hover:bg-bolt-elements-background-depth-3"
-                  onClick={() => {
-                    if (item.type === 'file') {
-                      workbenchStore.unlockFile(item.path);
-                    } else {
-                      workbenchStore.unlockFolder(item.path);
-                    }
-
-                    toast.success(`${item.path.replace('/home/project/', '')} unlocked`);
-                  }}
-                  title="Unlock"
-                >
-                  <span className="i-ph:lock-open text-xs" />
-                </button>
-              </li>
-            ))}
-          </ul>
-        )}
-      </div>
+                Unlock all
+              </button>
+            )}
+            <div></div>
+          </div>
 
-      {/* Footer */}
-      <div className="px-2 py-1 border-t border-bolt-elements-borderColor bg-bolt-elements-background-depth-2 text-xs text-bolt-elements-textTertiary flex justify-between items-center">
-        <div>
-          {filteredAndSortedItems.length} item(s) • {selectedItems.size} selected
-        </div>
-      </div>
+          {/* List of locked items */}
+          <div className="flex-1 overflow-auto modern-scrollbar px-1 py-1">
+            {filteredAndSortedItems.length === 0 ? (
+              <div className="flex flex-col items-center justify-center h-full text-bolt-elements-textTertiary text-xs gap-2">
+                <span className="i-ph:lock-open-duotone text-lg opacity-50" />
+                <span>No locked items found</span>
+              </div>
+            ) : (
+              <ul className="space-y-1">
+                {filteredAndSortedItems.map((item) => (
+                  <li
+                    key={item.path}
+                    className={classNames(
+                      'text-bolt-elements-textTertiary flex items-center gap-2 px-2 py-1 rounded hover:bg-bolt-elements-background-depth-2 transition-colors group',
+                      selectedItems.has(item.path) ? 'bg-bolt-elements-background-depth-2' : '',
+                    )}
+                  >
+                    <Checkbox
+                      checked={selectedItems.has(item.path)}
+                      onCheckedChange={() => handleSelectItem(item.path)}
+                      className="w-3 h-3 rounded border-bolt-elements-borderColor"
+                      aria-labelledby={`item-label-${item.path}`} // For accessibility
+                    />
+                    <span
+                      className={classNames(
+                        'shrink-0 text-bolt-elements-textTertiary text-xs',
+                        item.type === 'file' ? 'i-ph:file-text-duotone' : 'i-ph:folder-duotone',
+                      )}
+                    />
+                    <span id={`item-label-${item.path}`} className="truncate flex-1 text-xs" title={item.path}>
+                      {item.path.replace('/home/project/', '')}
+                    </span>
+                    {/* ... rest of the item details and buttons ... */}
+                    <span
+                      className={classNames(
+                        'inline-flex items-center px-1 rounded-sm text-xs',
+                        'bg-red-500/10 text-red-500',
+                      )}
+                    ></span>
+                    <button
+                      className="flex items-center px-1 py-0.5 text-xs rounded bg-transparent hover:bg-bolt-elements-background-depth-3"
+                      onClick={() => {
+                        if (item.type === 'file') {
+                          workbenchStore.unlockFile(item.path);
+                        } else {
+                          workbenchStore.unlockFolder(item.path);
+                        }
+
+                        toast.success(`${item.path.replace('/home/project/', '')} unlocked`);
+                      }}
+                      title="Unlock"
+                    >
+                      <span className="i-ph:lock-open text-xs" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Footer */}
+          <div className="px-2 py-1 border-t border-bolt-elements-borderColor bg-bolt-elements-background-depth-2 text-xs text-bolt-elements-textTertiary flex justify-between items-center">
+            <div>
+              {filteredAndSortedItems.length} item(s) • {selectedItems.size} selected
+            </div>
+          </div>
+        </>
+      )}
     </div>
   );
 }
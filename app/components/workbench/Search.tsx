@@ -1,169 +1,171 @@
+import { useStore } from '@nanostores/react';
 import { useState, useMemo, useCallback, useEffect } from 'react';
-import type { TextSearchOptions, TextSearchOnProgressCallback, WebContainer } from '@webcontainer/api';
+import { toast } from 'react-toastify';
+import {
+  createReplaceEdits,
+  MAX_MATCHES,
+  previewMatch,
+  searchFiles,
+  type SearchMatch,
+  type SearchOptions,
+} from '~/lib/modules/search/replace';
 import { workbenchStore } from '~/lib/stores/workbench';
-import { webcontainer } from '~/lib/webcontainer';
+import { classNames } from '~/utils/classNames';
 import { WORK_DIR } from '~/utils/constants';
 import { debounce } from '~/utils/debounce';
 
-interface DisplayMatch {
-  path: string;
-  lineNumber: number;
-  previewText: string;
-  matchCharStart: number;
-  matchCharEnd: number;
+interface SearchInput extends SearchOptions {
+  replacement: string;
 }
 
-async function performTextSearch(
-  instance: WebContainer,
-  query: string,
-  options: Omit<TextSearchOptions, 'folders'>,
-  onProgress: (results: DisplayMatch[]) => void,
-): Promise<void> {
-  if (!instance || typeof instance.internal?.textSearch !== 'function') {
-    console.error('WebContainer instance not available or internal searchText method is missing/not a function.');
-
-    return;
-  }
-
-  const searchOptions: TextSearchOptions = {
-    ...options,
-    folders: [WORK_DIR],
-  };
+// characters of the line kept before a match in its preview
+const CONTEXT_CHARS = 12;
 
-  const progressCallback: TextSearchOnProgressCallback = (filePath: any, apiMatches: any[]) => {
-    const displayMatches: DisplayMatch[] = [];
-
-    apiMatches.forEach((apiMatch: { preview: { text: string; matches: string | any[] }; ranges: any[] }) => {
-      const previewLines = apiMatch.preview.text.split('\n');
-
-      apiMatch.ranges.forEach((range: { startLineNumber: number; startColumn: any; endColumn: any }) => {
-        let previewLineText = '(Preview line not found)';
-        let lineIndexInPreview = -1;
-
-        if (apiMatch.preview.matches.length > 0) {
-          const previewStartLine = apiMatch.preview.matches[0].startLineNumber;
-          lineIndexInPreview = range.startLineNumber - previewStartLine;
-        }
-
-        if (lineIndexInPreview >= 0 && lineIndexInPreview < previewLines.length) {
-          previewLineText = previewLines[lineIndexInPreview];
-        } else {
-          previewLineText = previewLines[0] ?? '(Preview unavailable)';
-        }
-
-        displayMatches.push({
-          path: filePath,
-          lineNumber: range.startLineNumber,
-          previewText: previewLineText,
-          matchCharStart: range.startColumn,
-          matchCharEnd: range.endColumn,
-        });
-      });
-    });
+const inputClassName =
+  'w-full px-2 py-1 rounded-md bg-bolt-elements-background-depth-3 text-bolt-elements-textPrimary placeholder-bolt-elements-textTertiary focus:outline-none transition-all';
 
-    if (displayMatches.length > 0) {
-      onProgress(displayMatches);
-    }
-  };
+const splitGlobs = (globs: string) =>
+  globs
+    .split(',')
+    .map((glob) => glob.trim())
+    .filter(Boolean);
 
-  try {
-    await instance.internal.textSearch(query, searchOptions, progressCallback);
-  } catch (error) {
-    console.error('Error during internal text search:', error);
-  }
-}
-
-function groupResultsByFile(results: DisplayMatch[]): Record<string, DisplayMatch[]> {
-  return results.reduce(
-    (acc, result) => {
-      if (!acc[result.path]) {
-        acc[result.path] = [];
+function groupMatchesByFile(matches: SearchMatch[]): Record<string, SearchMatch[]> {
+  return matches.reduce(
+    (acc, match) => {
+      if (!acc[match.path]) {
+        acc[match.path] = [];
       }
 
-      acc[result.path].push(result);
+      acc[match.path].push(match);
 
       return acc;
     },
-    {} as Record<string, DisplayMatch[]>,
+    {} as Record<string, SearchMatch[]>,
   );
 }
 
-export function Search() {
-  const [searchQuery, setSearchQuery] = useState('');
-  const [searchResults, setSearchResults] = useState<DisplayMatch[]>([]);
-  const [isSearching, setIsSearching] = useState(false);
-  const [expandedFiles, setExpandedFiles] = useState<Record<string, boolean>>({});
-  const [hasSearched, setHasSearched] = useState(false);
+function OptionToggle({
+  label,
+  title,
+  active,
+  onToggle,
+}: {
+  label: string;
+  title: string;
+  active: boolean;
+  onToggle: () => void;
+}) {
+  return (
+    <button
+      title={title}
+      className={classNames(
+        'px-1 rounded text-xs font-mono bg-transparent',
+        active
+          ? 'bg-bolt-elements-item-backgroundAccent text-bolt-elements-item-contentAccent'
+          : 'text-bolt-elements-textTertiary hover:text-bolt-elements-textPrimary',
+      )}
+      onClick={onToggle}
+    >
+      {label}
+    </button>
+  );
+}
 
-  const groupedResults = useMemo(() => groupResultsByFile(searchResults), [searchResults]);
+function MatchPreview({
+  content,
+  match,
+  showReplacement,
+}: {
+  content: string;
+  match: SearchMatch;
+  showReplacement: boolean;
+}) {
+  const { prefix, suffix } = previewMatch(content, match);
+  const context = prefix.length > CONTEXT_CHARS ? `...${prefix.slice(-CONTEXT_CHARS)}` : prefix;
 
-  useEffect(() => {
-    if (searchResults.length > 0) {
-      const allExpanded: Record<string, boolean> = {};
-      Object.keys(groupedResults).forEach((file) => {
-        allExpanded[file] = true;
-      });
-      setExpandedFiles(allExpanded);
-    }
-  }, [groupedResults, searchResults]);
+  return (
+    <pre className="font-mono text-xs text-bolt-elements-textTertiary truncate">
+      {context}
+      <span
+        className={classNames(
+          'rounded px-1',
+          showReplacement
+            ? 'bg-red-500/20 text-red-500 line-through'
+            : 'bg-bolt-elements-item-backgroundAccent text-bolt-elements-item-contentAccent',
+        )}
+      >
+        {match.text}
+      </span>
+      {showReplacement && match.replacement && (
+        <span className="rounded px-1 bg-green-500/20 text-green-500">{match.replacement}</span>
+      )}
+      {suffix}
+    </pre>
+  );
+}
 
-  const handleSearch = useCallback(async (query: string) => {
-    if (!query.trim()) {
-      setSearchResults([]);
-      setIsSearching(false);
-      setExpandedFiles({});
-      setHasSearched(false);
+export function Search() {
+  const files = useStore(workbenchStore.files);
+  const lastReplace = useStore(workbenchStore.lastReplace);
+  const [input, setInput] = useState<SearchInput>({
+    query: '',
+    replacement: '',
+    isRegex: false,
+    caseSensitive: false,
+    wholeWord: false,
+    includes: [],
+    excludes: [],
+  });
+  const [includes, setIncludes] = useState('');
+  const [excludes, setExcludes] = useState('');
+  const [search, setSearch] = useState<SearchInput>(input);
+  const [showReplace, setShowReplace] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  const [collapsedFiles, setCollapsedFiles] = useState<Record<string, boolean>>({});
+  const [rejected, setRejected] = useState<Set<string>>(new Set());
+  const [isReplacing, setIsReplacing] = useState(false);
+
+  const debouncedSetSearch = useCallback(debounce(setSearch, 300), []);
 
-      return;
+  useEffect(() => {
+    debouncedSetSearch({ ...input, includes: splitGlobs(includes), excludes: splitGlobs(excludes) });
+  }, [input, includes, excludes, debouncedSetSearch]);
+
+  const result = useMemo(() => {
+    try {
+      return searchFiles(files, search, search.replacement);
+    } catch (error) {
+      return { matches: [], truncated: false, error: error instanceof Error ? error.message : String(error) };
     }
+  }, [files, search]);
 
-    setIsSearching(true);
-    setSearchResults([]);
-    setExpandedFiles({});
-    setHasSearched(true);
+  const groupedMatches = useMemo(() => groupMatchesByFile(result.matches), [result.matches]);
 
-    const minLoaderTime = 300; // ms
-    const start = Date.now();
+  const lockedFiles = useMemo(
+    () => new Set(Object.keys(groupedMatches).filter((path) => workbenchStore.isFileLocked(path).locked)),
+    [groupedMatches],
+  );
 
-    try {
-      const instance = await webcontainer;
-      const options: Omit<TextSearchOptions, 'folders'> = {
-        homeDir: WORK_DIR, // Adjust this path as needed
-        includes: ['**/*.*'],
-        excludes: ['**/node_modules/**', '**/package-lock.json', '**/.git/**', '**/dist/**', '**/*.lock'],
-        gitignore: true,
-        requireGit: false,
-        globalIgnoreFiles: true,
-        ignoreSymlinks: false,
-        resultLimit: 500,
-        isRegex: false,
-        caseSensitive: false,
-        isWordMatch: false,
-      };
-
-      const progressHandler = (batchResults: DisplayMatch[]) => {
-        setSearchResults((prevResults) => [...prevResults, ...batchResults]);
-      };
-
-      await performTextSearch(instance, query, options, progressHandler);
-    } catch (error) {
-      console.error('Failed to initiate search:', error);
-    } finally {
-      const elapsed = Date.now() - start;
+  const acceptedMatches = result.matches.filter((match) => !rejected.has(match.id) && !lockedFiles.has(match.path));
 
-      if (elapsed < minLoaderTime) {
-        setTimeout(() => setIsSearching(false), minLoaderTime - elapsed);
-      } else {
-        setIsSearching(false);
-      }
+  const setOption = <K extends keyof SearchInput>(key: K, value: SearchInput[K]) => {
+    setInput((prev) => ({ ...prev, [key]: value }));
+
+    // a new search accepts every match again
+    if (key !== 'replacement') {
+      setRejected(new Set());
     }
-  }, []);
+  };
 
-  const debouncedSearch = useCallback(debounce(handleSearch, 300), [handleSearch]);
+  const toggleMatches = (matches: SearchMatch[], accept: boolean) => {
+    setRejected((prev) => {
+      const next = new Set(prev);
+      matches.forEach((match) => (accept ? next.delete(match.id) : next.add(match.id)));
 
-  useEffect(() => {
-    debouncedSearch(searchQuery);
-  }, [searchQuery, debouncedSearch]);
+      return next;
+    });
+  };
 
   const handleResultClick = (filePath: string, line?: number) => {
     workbenchStore.setSelectedFile(filePath);
@@ -177,80 +179,232 @@ export function Search() {
     workbenchStore.setCurrentDocumentScrollPosition({ line: adjustedLine, column: 0 });
   };
 
+  const handleReplaceAll = async () => {
+    const edits = createReplaceEdits(files, acceptedMatches);
+
+    if (edits.length === 0) {
+      return;
+    }
+
+    setIsReplacing(true);
+
+    try {
+      const { written, skipped } = await workbenchStore.replaceInFiles(edits);
+      const replaced = acceptedMatches.filter((match) => written.includes(match.path)).length;
+
+      if (written.length > 0) {
+        toast.success(`Replaced ${replaced} ${replaced === 1 ? 'match' : 'matches'} in ${written.length} files`);
+      }
+
+      if (skipped.length > 0) {
+        toast.warning(`Skipped ${skipped.length} files that are locked, unsaved or changed since the search`);
+      }
+    } finally {
+      setIsReplacing(false);
+    }
+  };
+
+  const handleUndo = async () => {
+    setIsReplacing(true);
+
+    try {
+      const skipped = await workbenchStore.undoReplace();
+
+      if (skipped.length > 0) {
+        toast.warning(`Could not undo ${skipped.length} files that changed since the replace`);
+      } else {
+        toast.success('Replace undone');
+      }
+    } finally {
+      setIsReplacing(false);
+    }
+  };
+
   return (
     <div className="flex flex-col h-full bg-bolt-elements-background-depth-2">
       {/* Search Bar */}
-      <div className="flex items-center py-3 px-3">
-        <div className="relative flex-1">
-          <input
-            type="text"
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-            placeholder="Search"
-            className="w-full px-2 py-1 rounded-md bg-bolt-elements-background-depth-3 text-bolt-elements-textPrimary placeholder-bolt-elements-textTertiary focus:outline-none transition-all"
-          />
+      <div className="flex gap-1 py-3 px-3">
+        <button
+          title="Toggle replace"
+          className="self-start mt-1.5 bg-transparent text-bolt-elements-textSecondary hover:text-bolt-elements-textPrimary"
+          onClick={() => setShowReplace(!showReplace)}
+        >
+          <div className={classNames('i-ph:caret-right transition-transform', { 'rotate-90': showReplace })} />
+        </button>
+        <div className="flex flex-col gap-2 flex-1 min-w-0">
+          <div className="relative flex-1">
+            <input
+              type="text"
+              value={input.query}
+              onChange={(e) => setOption('query', e.target.value)}
+              placeholder="Search"
+              className={classNames(inputClassName, 'pr-20')}
+            />
+            <div className="absolute right-1 top-1/2 -translate-y-1/2 flex gap-0.5">
+              <OptionToggle
+                label="Aa"
+                title="Match case"
+                active={input.caseSensitive}
+                onToggle={() => setOption('caseSensitive', !input.caseSensitive)}
+              />
+              <OptionToggle
+                label="ab"
+                title="Match whole word"
+                active={input.wholeWord}
+                onToggle={() => setOption('wholeWord', !input.wholeWord)}
+              />
+              <OptionToggle
+                label=".*"
+                title="Use regular expression"
+                active={input.isRegex}
+                onToggle={() => setOption('isRegex', !input.isRegex)}
+              />
+            </div>
+          </div>
+          {showReplace && (
+            <div className="flex gap-1">
+              <input
+                type="text"
+                value={input.replacement}
+                onChange={(e) => setOption('replacement', e.target.value)}
+                placeholder={input.isRegex ? 'Replace, $1 for capture groups' : 'Replace'}
+                className={inputClassName}
+              />
+              <button
+                title="Replace accepted matches"
+                disabled={acceptedMatches.length === 0 || isReplacing}
+                className="px-2 rounded-md bg-transparent text-bolt-elements-textSecondary hover:text-bolt-elements-textPrimary disabled:opacity-50"
+                onClick={handleReplaceAll}
+              >
+                <div className="i-ph:swap" />
+              </button>
+              {lastReplace && (
+                <button
+                  title="Undo last replace"
+                  disabled={isReplacing}
+                  className="px-2 rounded-md bg-transparent text-bolt-elements-textSecondary hover:text-bolt-elements-textPrimary disabled:opacity-50"
+                  onClick={handleUndo}
+                >
+                  <div className="i-ph:arrow-counter-clockwise" />
+                </button>
+              )}
+            </div>
+          )}
+          <button
+            className="self-end bg-transparent text-xs text-bolt-elements-textTertiary hover:text-bolt-elements-textPrimary"
+            onClick={() => setShowFilters(!showFilters)}
+          >
+            {showFilters ? 'Hide filters' : 'Files to include or exclude'}
+          </button>
+          {showFilters && (
+            <>
+              <input
+                type="text"
+                value={includes}
+                onChange={(e) => {
+                  setIncludes(e.target.value);
+                  setRejected(new Set());
+                }}
+                placeholder="Files to include, e.g. src, *.tsx"
+                className={classNames(inputClassName, 'text-xs')}
+              />
+              <input
+                type="text"
+                value={excludes}
+                onChange={(e) => {
+                  setExcludes(e.target.value);
+                  setRejected(new Set());
+                }}
+                placeholder="Files to exclude, e.g. **/*.test.ts"
+                className={classNames(inputClassName, 'text-xs')}
+              />
+            </>
+          )}
         </div>
       </div>
 
       {/* Results */}
       <div className="flex-1 overflow-auto py-2">
-        {isSearching && (
-          <div className="flex items-center justify-center h-32 text-bolt-elements-textTertiary">
-            <div className="i-ph:circle-notch animate-spin mr-2" /> Searching...
-          </div>
-        )}
-        {!isSearching && hasSearched && searchResults.length === 0 && searchQuery.trim() !== '' && (
+        {'error' in result && <div className="px-3 text-xs text-red-500">{result.error}</div>}
+        {!('error' in result) && search.query !== '' && result.matches.length === 0 && (
           <div className="flex items-center justify-center h-32 text-gray-500">No results found.</div>
         )}
-        {!isSearching &&
-          Object.keys(groupedResults).map((file) => (
+        {result.matches.length > 0 && (
+          <div className="px-3 pb-2 text-xs text-bolt-elements-textTertiary">
+            {result.truncated
+              ? `Showing the first ${MAX_MATCHES} matches, narrow the search to see the rest`
+              : `${result.matches.length} ${result.matches.length === 1 ? 'match' : 'matches'} in ${Object.keys(groupedMatches).length} files`}
+          </div>
+        )}
+        {Object.keys(groupedMatches).map((file) => {
+          const matches = groupedMatches[file];
+          const isLocked = lockedFiles.has(file);
+          const dirent = files[file];
+          const content = dirent?.type === 'file' ? dirent.content : '';
+          const allAccepted = matches.every((match) => !rejected.has(match.id));
+
+          return (
             <div key={file} className="mb-2">
-              <button
-                className="flex gap-2 items-center w-full text-left py-1 px-2 text-bolt-elements-textSecondary bg-transparent hover:bg-bolt-elements-background-depth-3 group"
-                onClick={() => setExpandedFiles((prev) => ({ ...prev, [file]: !prev[file] }))}
-              >
-                <span
-                  className=" i-ph:caret-down-thin w-3 h-3 text-bolt-elements-textSecondary transition-transform"
-                  style={{ transform: expandedFiles[file] ? 'rotate(180deg)' : undefined }}
-                />
-                <span className="font-normal text-sm">{file.split('/').pop()}</span>
+              <div className="flex gap-2 items-center w-full py-1 px-2 text-bolt-elements-textSecondary hover:bg-bolt-elements-background-depth-3 group">
+                <button
+                  className="flex gap-2 items-center flex-1 min-w-0 text-left bg-transparent"
+                  title={file.replace(`${WORK_DIR}/`, '')}
+                  onClick={() => setCollapsedFiles((prev) => ({ ...prev, [file]: !prev[file] }))}
+                >
+                  <span
+                    className=" i-ph:caret-down-thin w-3 h-3 shrink-0 text-bolt-elements-textSecondary transition-transform"
+                    style={{ transform: collapsedFiles[file] ? undefined : 'rotate(180deg)' }}
+                  />
+                  <span className="font-normal text-sm truncate">{file.split('/').pop()}</span>
+                  {isLocked && <span className="i-ph:lock-simple shrink-0 text-red-500" title="Locked, not replaced" />}
+                </button>
+                {showReplace && !isLocked && (
+                  <input
+                    type="checkbox"
+                    title="Replace the matches of this file"
+                    checked={allAccepted}
+                    onChange={() => toggleMatches(matches, !allAccepted)}
+                  />
+                )}
                 <span className="h-5.5 w-5.5 flex items-center justify-center text-xs ml-auto bg-bolt-elements-item-backgroundAccent text-bolt-elements-item-contentAccent rounded-full">
-                  {groupedResults[file].length}
+                  {matches.length}
                 </span>
-              </button>
-              {expandedFiles[file] && (
+              </div>
+              {!collapsedFiles[file] && (
                 <div className="">
-                  {groupedResults[file].map((match, idx) => {
-                    const contextChars = 7;
-                    const isStart = match.matchCharStart <= contextChars;
-                    const previewStart = isStart ? 0 : match.matchCharStart - contextChars;
-                    const previewText = match.previewText.slice(previewStart);
-                    const matchStart = isStart ? match.matchCharStart : contextChars;
-                    const matchEnd = isStart
-                      ? match.matchCharEnd
-                      : contextChars + (match.matchCharEnd - match.matchCharStart);
+                  {matches.map((match) => {
+                    const isRejected = rejected.has(match.id);
 
                     return (
                       <div
-                        key={idx}
-                        className="hover:bg-bolt-elements-background-depth-3 cursor-pointer transition-colors pl-6 py-1"
-                        onClick={() => handleResultClick(match.path, match.lineNumber)}
+                        key={match.id}
+                        className="flex gap-2 items-center hover:bg-bolt-elements-background-depth-3 cursor-pointer transition-colors pl-6 pr-2 py-1"
+                        onClick={() => handleResultClick(match.path, match.line)}
                       >
-                        <pre className="font-mono text-xs text-bolt-elements-textTertiary truncate">
-                          {!isStart && <span>...</span>}
-                          {previewText.slice(0, matchStart)}
-                          <span className="bg-bolt-elements-item-backgroundAccent text-bolt-elements-item-contentAccent rounded px-1">
-                            {previewText.slice(matchStart, matchEnd)}
-                          </span>
-                          {previewText.slice(matchEnd)}
-                        </pre>
+                        <div className={classNames('flex-1 min-w-0', { 'opacity-50': showReplace && isRejected })}>
+                          <MatchPreview
+                            content={content}
+                            match={match}
+                            showReplacement={showReplace && !isRejected && !isLocked}
+                          />
+                        </div>
+                        {showReplace && !isLocked && (
+                          <input
+                            type="checkbox"
+                            title={isRejected ? 'Replace this match' : 'Keep this match'}
+                            checked={!isRejected}
+                            onClick={(e) => e.stopPropagation()}
+                            onChange={() => toggleMatches([match], isRejected)}
+                          />
+                        )}
                       </div>
                     );
                   })}
                 </div>
               )}
             </div>
-          ))}
+          );
+        })}
       </div>
     </div>
   );
@@ -9,6 +9,8 @@ import { ActionRunner } from '~/lib/runtime/action-runner';
 import { getLanguageFromExtension } from '~/utils/getLanguageFromExtension';
 import type { FileHistory } from '~/types/actions';
 import { DiffView } from './DiffView';
+import { CheckpointTimeline } from './CheckpointTimeline';
+import { GitPanel } from './GitPanel';
 import {
   type OnChangeCallback as OnEditorChange,
   type OnScrollCallback as OnEditorScroll,
@@ -283,6 +285,8 @@ export const Workbench = memo(
 
     const [isSyncing, setIsSyncing] = useState(false);
     const [isPushDialogOpen, setIsPushDialogOpen] = useState(false);
+    const [isCheckpointsOpen, setIsCheckpointsOpen] = useState(false);
+    const [isGitPanelOpen, setIsGitPanelOpen] = useState(false);
     const [fileHistory, setFileHistory] = useState<Record<string, FileHistory>>({});
 
     // const modifiedFiles = Array.from(useStore(workbenchStore.unsavedFiles).keys());
@@ -454,8 +458,17 @@ export const Workbench = memo(
                   )}
 
                   {selectedView === 'diff' && (
-                    <FileModifiedDropdown fileHistory={fileHistory} onSelectFile={handleSelectFile} />
+                    <>
+                      <FileModifiedDropdown fileHistory={fileHistory} onSelectFile={handleSelectFile} />
+                      <IconButton
+                        icon="i-ph:clock-counter-clockwise"
+                        size="xl"
+                        title="Checkpoints"
+                        onClick={() => setIsCheckpointsOpen(true)}
+                      />
+                    </>
                   )}
+                  <IconButton icon="i-ph:git-branch" size="xl" title="Git" onClick={() => setIsGitPanelOpen(true)} />
                   <IconButton
                     icon="i-ph:x-circle"
                     className="-mr-1"
@@ -494,6 +507,8 @@ export const Workbench = memo(
               </div>
             </div>
           </div>
+          <CheckpointTimeline open={isCheckpointsOpen} onClose={() => setIsCheckpointsOpen(false)} />
+          <GitPanel open={isGitPanelOpen} onClose={() => setIsGitPanelOpen(false)} />
           <PushToGitHubDialog
             isOpen={isPushDialogOpen}
             onClose={() => setIsPushDialogOpen(false)}
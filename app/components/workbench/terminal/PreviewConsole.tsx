@@ -0,0 +1,209 @@
+import { useStore } from '@nanostores/react';
+import { memo, useEffect, useRef, useState } from 'react';
+import type { DiagnosticEntry } from '~/lib/modules/diagnostics/types';
+import { diagnosticsStore } from '~/lib/stores/diagnostics';
+import { classNames } from '~/utils/classNames';
+
+type ConsoleFilter = 'all' | 'errors' | 'warnings' | 'logs' | 'network';
+
+const FILTERS: { id: ConsoleFilter; label: string; matches: (entry: DiagnosticEntry) => boolean }[] = [
+  { id: 'all', label: 'All', matches: () => true },
+  { id: 'errors', label: 'Errors', matches: (entry) => entry.level === 'error' && entry.kind !== 'network' },
+  { id: 'warnings', label: 'Warnings', matches: (entry) => entry.level === 'warn' },
+  { id: 'logs', label: 'Logs', matches: (entry) => entry.kind === 'console' && entry.level !== 'error' },
+  { id: 'network', label: 'Network', matches: (entry) => entry.kind === 'network' },
+];
+
+const getIcon = (entry: DiagnosticEntry) => {
+  if (entry.kind === 'network') {
+    return 'i-ph:wifi-slash text-bolt-elements-icon-error';
+  }
+
+  switch (entry.level) {
+    case 'error':
+      return 'i-ph:x-circle text-bolt-elements-icon-error';
+    case 'warn':
+      return 'i-ph:warning text-yellow-500';
+    case 'info':
+      return 'i-ph:info text-bolt-elements-textSecondary';
+    default:
+      return 'i-ph:caret-right text-bolt-elements-textTertiary';
+  }
+};
+
+const ConsoleEntry = memo(
+  ({
+    entry,
+    selected,
+    expanded,
+    onToggleExpanded,
+  }: {
+    entry: DiagnosticEntry;
+    selected: boolean;
+    expanded: boolean;
+    onToggleExpanded: () => void;
+  }) => {
+    const hasDetails = !!entry.stack || !!entry.request || entry.message.includes('\n');
+
+    return (
+      <div
+        className={classNames('px-2 py-1 border-b border-bolt-elements-borderColor font-mono text-xs', {
+          'bg-red-500/5': entry.level === 'error',
+          'bg-yellow-500/5': entry.level === 'warn',
+          'bg-purple-500/10': selected,
+        })}
+      >
+        <div className="flex items-start gap-2">
+          <input
+            type="checkbox"
+            className="mt-0.5 shrink-0 cursor-pointer"
+            checked={selected}
+            title="Attach to the next message"
+            onChange={() => diagnosticsStore.toggleSelected(entry.id)}
+          />
+          <div className={classNames('mt-0.5 shrink-0', getIcon(entry))} />
+          <button
+            className={classNames('flex-1 min-w-0 text-left text-bolt-elements-textPrimary bg-transparent', {
+              truncate: !expanded,
+              'whitespace-pre-wrap break-words': expanded,
+              'cursor-default': !hasDetails,
+            })}
+            onClick={() => hasDetails && onToggleExpanded()}
+          >
+            {expanded ? entry.message : entry.message.split('\n')[0]}
+          </button>
+          {entry.count > 1 && (
+            <span className="shrink-0 px-1.5 rounded-full bg-bolt-elements-background-depth-3 text-bolt-elements-textSecondary">
+              {entry.count}
+            </span>
+          )}
+          <span className="shrink-0 text-bolt-elements-textTertiary" title={entry.page}>
+            {new Date(entry.timestamp).toLocaleTimeString()}
+          </span>
+        </div>
+        {expanded && (entry.request || entry.stack) && (
+          <div className="mt-1 ml-10 space-y-1 text-bolt-elements-textSecondary whitespace-pre-wrap break-words">
+            {entry.request && (
+              <div>
+                {entry.request.method} {entry.request.url} {entry.request.status ?? 'no response'} in{' '}
+                {entry.request.duration}ms
+              </div>
+            )}
+            {entry.stack && <div>{entry.stack}</div>}
+          </div>
+        )}
+      </div>
+    );
+  },
+);
+
+export const PreviewConsole = memo(({ className }: { className?: string }) => {
+  const entries = useStore(diagnosticsStore.entries);
+  const selected = useStore(diagnosticsStore.selected);
+  const [filter, setFilter] = useState<ConsoleFilter>('all');
+  const [search, setSearch] = useState('');
+  const [expanded, setExpanded] = useState<Set<string>>(new Set());
+  const listRef = useRef<HTMLDivElement>(null);
+  const followRef = useRef(true);
+
+  const { matches } = FILTERS.find(({ id }) => id === filter)!;
+  const query = search.trim().toLowerCase();
+  const visible = entries.filter(
+    (entry) =>
+      matches(entry) &&
+      (!query || entry.message.toLowerCase().includes(query) || entry.page.toLowerCase().includes(query)),
+  );
+
+  // keep up with new entries unless scrolled up
+  useEffect(() => {
+    if (followRef.current && listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [visible.length]);
+
+  const toggleExpanded = (id: string) => {
+    const next = new Set(expanded);
+
+    if (!next.delete(id)) {
+      next.add(id);
+    }
+
+    setExpanded(next);
+  };
+
+  return (
+    <div className={classNames('flex flex-col bg-bolt-elements-background-depth-1', className)}>
+      <div className="flex items-center gap-1 px-2 py-1 border-b border-bolt-elements-borderColor text-xs">
+        {FILTERS.map(({ id, label, matches }) => (
+          <button
+            key={id}
+            className={classNames('px-2 py-0.5 rounded-md', {
+              'bg-bolt-elements-item-backgroundAccent text-bolt-elements-item-contentAccent': filter === id,
+              'bg-transparent text-bolt-elements-textSecondary hover:text-bolt-elements-textPrimary': filter !== id,
+            })}
+            onClick={() => setFilter(id)}
+          >
+            {label}
+            {id !== 'all' && ` ${entries.filter(matches).length}`}
+          </button>
+        ))}
+        <input
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Filter"
+          className="ml-2 w-40 px-2 py-0.5 rounded-md bg-bolt-elements-background-depth-3 border border-bolt-elements-borderColor text-bolt-elements-textPrimary placeholder-bolt-elements-textTertiary focus:outline-none"
+        />
+        <div className="ml-auto flex items-center gap-2">
+          {selected.size > 0 && (
+            <>
+              <span className="text-bolt-elements-textSecondary">{selected.size} attached to your next message</span>
+              <button
+                className="bg-transparent text-bolt-elements-textTertiary hover:text-bolt-elements-textPrimary"
+                onClick={() => diagnosticsStore.clearSelection()}
+              >
+                Unselect
+              </button>
+            </>
+          )}
+          <button
+            className="flex items-center gap-1 bg-transparent text-bolt-elements-textTertiary hover:text-bolt-elements-textPrimary"
+            title="Clear the console"
+            onClick={() => {
+              diagnosticsStore.clear();
+              setExpanded(new Set());
+            }}
+          >
+            <div className="i-ph:trash" />
+            Clear
+          </button>
+        </div>
+      </div>
+      <div
+        ref={listRef}
+        className="flex-1 overflow-y-auto modern-scrollbar"
+        onScroll={(e) => {
+          const list = e.currentTarget;
+          followRef.current = list.scrollHeight - list.scrollTop - list.clientHeight < 20;
+        }}
+      >
+        {visible.length === 0 ? (
+          <div className="p-3 text-xs text-bolt-elements-textTertiary">
+            {entries.length === 0
+              ? 'Console output, errors and failed requests of the preview show up here.'
+              : 'No entries match the filter.'}
+          </div>
+        ) : (
+          visible.map((entry) => (
+            <ConsoleEntry
+              key={entry.id}
+              entry={entry}
+              selected={selected.has(entry.id)}
+              expanded={expanded.has(entry.id)}
+              onToggleExpanded={() => toggleExpanded(entry.id)}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+});
@@ -3,9 +3,11 @@ import React, { memo, useEffect, useRef, useState } from 'react';
 import { Panel, type ImperativePanelHandle } from 'react-resizable-panels';
 import { IconButton } from '~/components/ui/IconButton';
 import { shortcutEventEmitter } from '~/lib/hooks';
+import { diagnosticsStore } from '~/lib/stores/diagnostics';
 import { themeStore } from '~/lib/stores/theme';
 import { workbenchStore } from '~/lib/stores/workbench';
 import { classNames } from '~/utils/classNames';
+import { PreviewConsole } from './PreviewConsole';
 import { Terminal, type TerminalRef } from './Terminal';
 import { createScopedLogger } from '~/utils/logger';
 
@@ -14,9 +16,13 @@ const logger = createScopedLogger('Terminal');
 const MAX_TERMINALS = 3;
 export const DEFAULT_TERMINAL_SIZE = 25;
 
+// the console of the previews takes a tab next to the terminals
+const CONSOLE_TAB = -1;
+
 export const TerminalTabs = memo(() => {
   const showTerminal = useStore(workbenchStore.showTerminal);
   const theme = useStore(themeStore);
+  const diagnostics = useStore(diagnosticsStore.entries);
 
   const terminalRefs = useRef<Array<TerminalRef | null>>([]);
   const terminalPanelRef = useRef<ImperativePanelHandle>(null);
@@ -25,6 +31,8 @@ export const TerminalTabs = memo(() => {
   const [activeTerminal, setActiveTerminal] = useState(0);
   const [terminalCount, setTerminalCount] = useState(1);
 
+  const errorCount = diagnostics.filter((entry) => entry.level === 'error').length;
+
   const addTerminal = () => {
     if (terminalCount < MAX_TERMINALS) {
       setTerminalCount(terminalCount + 1);
@@ -132,6 +140,24 @@ export const TerminalTabs = memo(() => {
               );
             })}
             {terminalCount < MAX_TERMINALS && <IconButton icon="i-ph:plus" size="md" onClick={addTerminal} />}
+            <button
+              className={classNames(
+                'flex items-center text-sm cursor-pointer gap-1.5 px-3 py-2 h-full whitespace-nowrap rounded-full',
+                {
+                  'bg-bolt-elements-terminals-buttonBackground text-bolt-elements-textPrimary':
+                    activeTerminal === CONSOLE_TAB,
+                  'bg-bolt-elements-background-depth-2 text-bolt-elements-textSecondary hover:bg-bolt-elements-terminals-buttonBackground':
+                    activeTerminal !== CONSOLE_TAB,
+                },
+              )}
+              onClick={() => setActiveTerminal(CONSOLE_TAB)}
+            >
+              <div className="i-ph:bug-beetle text-lg" />
+              Console
+              {errorCount > 0 && (
+                <span className="px-1.5 rounded-full text-xs bg-bolt-elements-icon-error text-white">{errorCount}</span>
+              )}
+            </button>
             <IconButton
               className="ml-auto"
               icon="i-ph:caret-down"
@@ -179,6 +205,9 @@ export const TerminalTabs = memo(() => {
               );
             }
           })}
+          <PreviewConsole
+            className={classNames('h-full overflow-hidden', { hidden: activeTerminal !== CONSOLE_TAB })}
+          />
         </div>
       </div>
     </Panel>
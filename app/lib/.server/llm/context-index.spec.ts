@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest';
+import type { FileMap } from './constants';
+import { chunkFile, ContextIndex, tokenize } from './context-index';
+
+const file = (content: string) => ({ type: 'file' as const, content, isBinary: false });
+
+const files: FileMap = {
+  '/home/project/src/components/LoginForm.tsx': file(
+    'export function LoginForm() {\n  const [password, setPassword] = useState("");\n  return <form onSubmit={submitLogin} />;\n}',
+  ),
+  '/home/project/src/utils/formatDate.ts': file(
+    'export function formatDate(date: Date) {\n  return date.toISOString().slice(0, 10);\n}',
+  ),
+  '/home/project/src/App.tsx': file(
+    'import { LoginForm } from "./components/LoginForm";\n\nexport const App = () => null;',
+  ),
+  '/home/project/public/logo.png': { type: 'file', content: '', isBinary: true },
+};
+
+describe('tokenize', () => {
+  it('should index identifiers whole and split on case and underscores', () => {
+    expect(tokenize('useChatHistory MAX_TOKENS')).toEqual([
+      'usechathistory',
+      'use',
+      'chat',
+      'history',
+      'max_tokens',
+      'max',
+      'tokens',
+    ]);
+  });
+
+  it('should drop stop words and single characters', () => {
+    expect(tokenize('fix the a button in x')).toEqual(['fix', 'button']);
+  });
+});
+
+describe('chunkFile', () => {
+  it('should split long files into overlapping chunks', () => {
+    const content = Array.from({ length: 100 }, (_, i) => `line ${i + 1}`).join('\n');
+
+    expect(chunkFile('a.ts', content).map((chunk) => [chunk.startLine, chunk.endLine])).toEqual([
+      [1, 40],
+      [31, 70],
+      [61, 100],
+    ]);
+  });
+});
+
+describe('ContextIndex', () => {
+  it('should rank the chunks matching the query first', () => {
+    const index = new ContextIndex();
+    index.update(files);
+
+    const results = index.search('the login form should validate the password');
+
+    expect(results[0].chunk.path).toBe('/home/project/src/components/LoginForm.tsx');
+    expect(results.map((result) => result.chunk.path)).not.toContain('/home/project/src/utils/formatDate.ts');
+  });
+
+  it('should mix normalized BM25 and embedding similarity, counting a missing embedding as 0', () => {
+    const index = new ContextIndex();
+    index.update(files);
+
+    const embeddings: Record<string, number[]> = {
+      '/home/project/src/components/LoginForm.tsx': [0, 1],
+      '/home/project/src/utils/formatDate.ts': [1, 0],
+    };
+
+    for (const chunk of index.chunksWithoutEmbedding('test-embedding')) {
+      if (embeddings[chunk.path]) {
+        index.setEmbedding(chunk.id, embeddings[chunk.path]);
+      }
+    }
+
+    const results = index.search('login form', { queryEmbedding: [0.8, 0.6] });
+
+    expect(results.map((result) => result.chunk.path)).toEqual([
+      '/home/project/src/components/LoginForm.tsx',
+      '/home/project/src/utils/formatDate.ts',
+      '/home/project/src/App.tsx',
+    ]);
+    expect(results[0].score).toBeCloseTo(0.875);
+    expect(results[1].score).toBeCloseTo(0.5);
+  });
+
+  it('should skip binary files and paths rejected by the filter', () => {
+    const index = new ContextIndex();
+    index.update(files, (path) => !path.endsWith('App.tsx'));
+
+    expect(index.size).toBe(2);
+  });
+
+  it('should only reindex files whose content changed', () => {
+    const index = new ContextIndex();
+
+    expect(index.update(files)).toBe(3);
+    expect(index.update(files)).toBe(0);
+
+    const updated: FileMap = {
+      ...files,
+      '/home/project/src/utils/formatDate.ts': file('export function formatCurrency(amount: number) {}'),
+    };
+    delete updated['/home/project/src/App.tsx'];
+
+    expect(index.update(updated)).toBe(2);
+    expect(index.search('toISOString')).toHaveLength(0);
+    expect(index.search('currency')[0].chunk.path).toBe('/home/project/src/utils/formatDate.ts');
+  });
+});
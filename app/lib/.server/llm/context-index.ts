@@ -0,0 +1,337 @@
+import { cosineSimilarity } from 'ai';
+import type { FileMap } from './constants';
+
+// number of lines per chunk and how many of them are shared with the next chunk
+const CHUNK_LINES = 40;
+const CHUNK_OVERLAP = 10;
+
+// files larger than this are almost always generated or vendored code
+const MAX_FILE_SIZE = 200_000;
+
+// BM25 tuning, the usual defaults
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'as',
+  'be',
+  'by',
+  'can',
+  'for',
+  'from',
+  'have',
+  'how',
+  'in',
+  'is',
+  'it',
+  'me',
+  'of',
+  'on',
+  'or',
+  'please',
+  'so',
+  'that',
+  'the',
+  'this',
+  'to',
+  'we',
+  'with',
+  'you',
+]);
+
+export interface ContextChunk {
+  id: string;
+  path: string;
+
+  // 1-based, inclusive
+  startLine: number;
+  endLine: number;
+  text: string;
+}
+
+export interface ScoredChunk {
+  chunk: ContextChunk;
+  score: number;
+}
+
+interface IndexedChunk {
+  chunk: ContextChunk;
+  termFrequencies: Map<string, number>;
+  length: number;
+  embedding?: number[];
+}
+
+/**
+ * Splits source text into lowercase search terms. Identifiers are indexed both whole and
+ * split on camelCase / snake_case boundaries so `useChatHistory` matches "chat history".
+ */
+export function tokenize(text: string): string[] {
+  const terms: string[] = [];
+
+  for (const word of text.match(/[A-Za-z_$][A-Za-z0-9_$]*|\d+/g) || []) {
+    const lower = word.toLowerCase();
+    const parts = word
+      .split(/[_$]+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/)
+      .map((part) => part.toLowerCase())
+      .filter(Boolean);
+
+    if (lower.length > 1 && !STOP_WORDS.has(lower)) {
+      terms.push(lower);
+    }
+
+    if (parts.length > 1) {
+      terms.push(...parts.filter((part) => part.length > 1 && !STOP_WORDS.has(part)));
+    }
+  }
+
+  return terms;
+}
+
+export function chunkFile(path: string, content: string): ContextChunk[] {
+  const lines = content.split('\n');
+  const chunks: ContextChunk[] = [];
+  const step = CHUNK_LINES - CHUNK_OVERLAP;
+
+  for (let start = 0; start < lines.length; start += step) {
+    const end = Math.min(start + CHUNK_LINES, lines.length);
+
+    chunks.push({
+      id: `${path}:${start + 1}`,
+      path,
+      startLine: start + 1,
+      endLine: end,
+
+      // the path is part of the text so file names are searchable too
+      text: `${path}\n${lines.slice(start, end).join('\n')}`,
+    });
+
+    if (end === lines.length) {
+      break;
+    }
+  }
+
+  return chunks;
+}
+
+function hashContent(content: string) {
+  // FNV-1a, only used to detect changes between requests
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < content.length; i++) {
+    hash ^= content.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return `${(hash >>> 0).toString(16)}:${content.length}`;
+}
+
+function countTerms(terms: string[]) {
+  const frequencies = new Map<string, number>();
+
+  for (const term of terms) {
+    frequencies.set(term, (frequencies.get(term) ?? 0) + 1);
+  }
+
+  return frequencies;
+}
+
+// scales into 0..1 so scores on different scales can be mixed
+function normalizeScores(scores: number[]) {
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+
+  return scores.map((score) => (max > min ? (score - min) / (max - min) : Number(max > 0)));
+}
+
+/**
+ * Chunked BM25 index over the files of a project, with optional embeddings per chunk.
+ *
+ * `update` only re-chunks files whose content changed since the previous call, so one index
+ * can be kept per chat and refreshed on every request without re-reading the whole project.
+ */
+export class ContextIndex {
+  #files = new Map<string, { hash: string; chunkIds: string[] }>();
+  #chunks = new Map<string, IndexedChunk>();
+  #documentFrequencies = new Map<string, number>();
+  #totalLength = 0;
+  #embeddingModelId?: string;
+
+  get size() {
+    return this.#chunks.size;
+  }
+
+  /**
+   * Brings the index in line with `files`. Returns the number of files that were (re)indexed or removed.
+   * @param files The project files, keyed by path
+   * @param filter Returns false for paths that should not be indexed
+   */
+  update(files: FileMap, filter: (path: string) => boolean = () => true) {
+    const seen = new Set<string>();
+    let changed = 0;
+
+    for (const [path, dirent] of Object.entries(files)) {
+      if (!dirent || dirent.type !== 'file' || dirent.isBinary || dirent.content.length > MAX_FILE_SIZE) {
+        continue;
+      }
+
+      if (!filter(path)) {
+        continue;
+      }
+
+      seen.add(path);
+
+      const hash = hashContent(dirent.content);
+
+      if (this.#files.get(path)?.hash === hash) {
+        continue;
+      }
+
+      this.#removeFile(path);
+      this.#addFile(path, dirent.content, hash);
+      changed++;
+    }
+
+    for (const path of [...this.#files.keys()]) {
+      if (!seen.has(path)) {
+        this.#removeFile(path);
+        changed++;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Ranks chunks against `query` with BM25. When `queryEmbedding` is given, chunks are scored on an
+   * even mix of min-max normalized BM25 and cosine similarity, a chunk without an embedding counts
+   * as a similarity of 0.
+   */
+  search(query: string, options: { limit?: number; queryEmbedding?: number[] } = {}): ScoredChunk[] {
+    const { limit = 20, queryEmbedding } = options;
+    const queryTerms = [...new Set(tokenize(query))];
+    const chunkCount = this.#chunks.size;
+
+    if (chunkCount === 0) {
+      return [];
+    }
+
+    const averageLength = this.#totalLength / chunkCount || 1;
+    const results: ScoredChunk[] = [];
+
+    for (const indexed of this.#chunks.values()) {
+      let score = 0;
+
+      for (const term of queryTerms) {
+        const frequency = indexed.termFrequencies.get(term);
+
+        if (!frequency) {
+          continue;
+        }
+
+        const documentFrequency = this.#documentFrequencies.get(term) ?? 0;
+        const idf = Math.log(1 + (chunkCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const normalization = BM25_K1 * (1 - BM25_B + (BM25_B * indexed.length) / averageLength);
+
+        score += (idf * frequency * (BM25_K1 + 1)) / (frequency + normalization);
+      }
+
+      results.push({ chunk: indexed.chunk, score });
+    }
+
+    if (queryEmbedding) {
+      const lexical = normalizeScores(results.map((result) => result.score));
+      const semantic = normalizeScores(
+        results.map((result) => {
+          const embedding = this.#chunks.get(result.chunk.id)?.embedding;
+          return embedding ? cosineSimilarity(queryEmbedding, embedding) : 0;
+        }),
+      );
+
+      results.forEach((result, i) => {
+        result.score = 0.5 * lexical[i] + 0.5 * semantic[i];
+      });
+    }
+
+    return results
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Returns the chunks that still need an embedding for `modelId`. Switching to another
+   * embedding model drops all existing embeddings since the vectors are not comparable.
+   */
+  chunksWithoutEmbedding(modelId: string): ContextChunk[] {
+    if (this.#embeddingModelId !== modelId) {
+      this.#embeddingModelId = modelId;
+
+      for (const indexed of this.#chunks.values()) {
+        indexed.embedding = undefined;
+      }
+    }
+
+    return [...this.#chunks.values()].filter((indexed) => !indexed.embedding).map((indexed) => indexed.chunk);
+  }
+
+  setEmbedding(chunkId: string, embedding: number[]) {
+    const indexed = this.#chunks.get(chunkId);
+
+    if (indexed) {
+      indexed.embedding = embedding;
+    }
+  }
+
+  #addFile(path: string, content: string, hash: string) {
+    const chunks = chunkFile(path, content);
+
+    for (const chunk of chunks) {
+      const terms = tokenize(chunk.text);
+      const termFrequencies = countTerms(terms);
+
+      for (const term of termFrequencies.keys()) {
+        this.#documentFrequencies.set(term, (this.#documentFrequencies.get(term) ?? 0) + 1);
+      }
+
+      this.#chunks.set(chunk.id, { chunk, termFrequencies, length: terms.length });
+      this.#totalLength += terms.length;
+    }
+
+    this.#files.set(path, { hash, chunkIds: chunks.map((chunk) => chunk.id) });
+  }
+
+  #removeFile(path: string) {
+    const file = this.#files.get(path);
+
+    if (!file) {
+      return;
+    }
+
+    for (const chunkId of file.chunkIds) {
+      const indexed = this.#chunks.get(chunkId);
+
+      if (!indexed) {
+        continue;
+      }
+
+      for (const term of indexed.termFrequencies.keys()) {
+        const documentFrequency = (this.#documentFrequencies.get(term) ?? 1) - 1;
+
+        if (documentFrequency > 0) {
+          this.#documentFrequencies.set(term, documentFrequency);
+        } else {
+          this.#documentFrequencies.delete(term);
+        }
+      }
+
+      this.#totalLength -= indexed.length;
+      this.#chunks.delete(chunkId);
+    }
+
+    this.#files.delete(path);
+  }
+}
@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+import type { FileMap } from './constants';
+import { createRulesPrompt, findProjectRules, parseRuleFile } from './project-rules';
+import { estimateTokens } from './token-budget';
+
+const file = (content: string) => ({ type: 'file' as const, content, isBinary: false });
+
+const files: FileMap = {
+  '/home/project/.kodora/rules.md': file('Use TypeScript everywhere.'),
+  '/home/project/api/.kodora/rules/database.md': file('---\nglobs:\n  - "**/*.sql"\n---\nWrite reversible migrations.'),
+  '/home/project/web/.kodora/rules.md': file('Use Tailwind classes.'),
+  '/home/project/api/schema.sql': file('create table users ();'),
+  '/home/project/web/App.tsx': file('export default function App() {}'),
+};
+
+describe('parseRuleFile', () => {
+  it('should scope nested rules to their directory', () => {
+    expect(parseRuleFile('web/.kodora/rules.md', 'Use Tailwind.')).toEqual({
+      path: 'web/.kodora/rules.md',
+      scope: ['web/**'],
+      content: 'Use Tailwind.',
+    });
+  });
+
+  it('should read inline globs from the frontmatter', () => {
+    const rule = parseRuleFile('.kodora/rules/tests.md', '---\nglobs: [*.spec.ts, "e2e/**"]\n---\nUse vitest.');
+
+    expect(rule.scope).toEqual(['*.spec.ts', 'e2e/**']);
+    expect(rule.content).toBe('Use vitest.');
+  });
+
+  it('should apply root rules without globs to every request', () => {
+    expect(parseRuleFile('.kodora/rules.md', 'Be brief.').scope).toBeUndefined();
+  });
+});
+
+describe('findProjectRules', () => {
+  it('should order project wide rules before nested ones', () => {
+    expect(findProjectRules(files).map((rule) => rule.path)).toEqual([
+      '.kodora/rules.md',
+      'web/.kodora/rules.md',
+      'api/.kodora/rules/database.md',
+    ]);
+  });
+});
+
+describe('createRulesPrompt', () => {
+  it('should only apply scoped rules when a relevant file matches', () => {
+    const { prompt, annotation } = createRulesPrompt({
+      files,
+      relevantFiles: { '/home/project/api/schema.sql': files['/home/project/api/schema.sql'] },
+      maxTokens: 4000,
+    });
+
+    expect(annotation.applied.map((rule) => rule.name)).toEqual(['.kodora/rules.md', 'api/.kodora/rules/database.md']);
+    expect(prompt).toContain('Write reversible migrations.');
+    expect(prompt).not.toContain('Tailwind');
+  });
+
+  it('should add enabled templates after the project rules', () => {
+    const { annotation } = createRulesPrompt({
+      files: { '/home/project/.kodora/rules.md': file('Use TypeScript everywhere.') },
+      templates: [
+        { id: '1', name: 'Conventions', content: 'Use named exports.', enabled: true },
+        { id: '2', name: 'Disabled', content: 'Use default exports.', enabled: false },
+      ],
+      maxTokens: 4000,
+    });
+
+    expect(annotation.applied.map((rule) => `${rule.source}:${rule.name}`)).toEqual([
+      'project:.kodora/rules.md',
+      'template:Conventions',
+    ]);
+  });
+
+  it('should truncate the rule that reaches the token cap and skip the ones after it', () => {
+    const { prompt, annotation } = createRulesPrompt({
+      templates: [
+        { id: '1', name: 'Long', content: 'a'.repeat(3500), enabled: true },
+        { id: '2', name: 'Short', content: 'Use named exports.', enabled: true },
+      ],
+      maxTokens: 500,
+      providerName: 'Ollama',
+    });
+
+    const section = prompt.slice(prompt.indexOf('## Template: Long'), prompt.indexOf('[truncated]') + 11);
+
+    expect(annotation.applied).toEqual([
+      { source: 'template', name: 'Long', tokens: estimateTokens(section, 'Ollama'), truncated: true },
+    ]);
+    expect(annotation.applied[0].tokens).toBeLessThanOrEqual(500);
+    expect(annotation.applied[0].tokens).toBeGreaterThan(490);
+    expect(annotation.skipped).toEqual(['Short']);
+  });
+
+  it('should return an empty prompt when nothing applies', () => {
+    expect(createRulesPrompt({ files: {}, maxTokens: 4000 }).prompt).toBe('');
+  });
+});
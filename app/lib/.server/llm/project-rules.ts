@@ -0,0 +1,195 @@
+import ignore from 'ignore';
+import { WORK_DIR } from '~/utils/constants';
+import type { AppliedRule, PromptTemplate, RulesAnnotation } from '~/types/rules';
+import type { FileMap } from './constants';
+import { estimateTokens } from './token-budget';
+
+export const RULES_DIRECTORY = '.kodora';
+
+// `.kodora/rules.md` and `.kodora/rules/*.md`, in the project root or any directory below it
+const RULE_FILE_REGEX = /^(?:(.+)\/)?\.kodora\/(?:rules\.md|rules\/[^/]+\.md)$/;
+
+const FRONTMATTER_REGEX = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+// a rule is only cut off when at least this much of it still fits, otherwise it is skipped
+const MIN_TRUNCATED_TOKENS = 100;
+const TRUNCATED_MARKER = '\n[truncated]';
+
+export interface ProjectRule {
+  // relative to the project root
+  path: string;
+
+  // globs relative to the project root, undefined applies the rule to every request
+  scope?: string[];
+  content: string;
+}
+
+function toRelativePath(filePath: string) {
+  return filePath.startsWith(`${WORK_DIR}/`) ? filePath.slice(WORK_DIR.length + 1) : filePath.replace(/^\/+/, '');
+}
+
+function parseGlobs(frontmatter: string): string[] {
+  const lines = frontmatter.split(/\r?\n/);
+  const index = lines.findIndex((line) => /^globs\s*:/.test(line));
+
+  if (index === -1) {
+    return [];
+  }
+
+  const inline = lines[index].replace(/^globs\s*:/, '').trim();
+
+  if (inline) {
+    return inline
+      .replace(/^\[|\]$/g, '')
+      .split(',')
+      .map((glob) => glob.trim().replace(/^['"]|['"]$/g, ''))
+      .filter(Boolean);
+  }
+
+  const globs: string[] = [];
+
+  for (const line of lines.slice(index + 1)) {
+    const item = line.match(/^\s*-\s*(.+)$/);
+
+    if (!item) {
+      break;
+    }
+
+    globs.push(item[1].trim().replace(/^['"]|['"]$/g, ''));
+  }
+
+  return globs;
+}
+
+/**
+ * Read a rule file. Rules in a nested `.kodora` directory only apply to the files of that directory,
+ * a `globs` entry in the frontmatter narrows the scope further:
+ *
+ * ```md
+ * ---
+ * globs: src/api/**, *.sql
+ * ---
+ * ```
+ */
+export function parseRuleFile(path: string, content: string): ProjectRule {
+  const directory = path.match(RULE_FILE_REGEX)?.[1];
+  const frontmatter = content.match(FRONTMATTER_REGEX);
+  const body = (frontmatter ? content.slice(frontmatter[0].length) : content).trim();
+  const globs = frontmatter ? parseGlobs(frontmatter[1]) : [];
+
+  if (globs.length === 0) {
+    return { path, scope: directory ? [`${directory}/**`] : undefined, content: body };
+  }
+
+  return {
+    path,
+    scope: globs.map((glob) => (directory ? `${directory}/${glob.replace(/^\//, '')}` : glob)),
+    content: body,
+  };
+}
+
+/**
+ * Find the rule files of a project, project wide rules first and nested ones after their parents
+ */
+export function findProjectRules(files: FileMap): ProjectRule[] {
+  const rules: ProjectRule[] = [];
+
+  for (const [filePath, dirent] of Object.entries(files)) {
+    const path = toRelativePath(filePath);
+
+    if (dirent?.type !== 'file' || dirent.isBinary || !RULE_FILE_REGEX.test(path)) {
+      continue;
+    }
+
+    const rule = parseRuleFile(path, dirent.content);
+
+    if (rule.content) {
+      rules.push(rule);
+    }
+  }
+
+  const depth = (rule: ProjectRule) => rule.path.split('/').length;
+
+  return rules.sort((a, b) => depth(a) - depth(b) || a.path.localeCompare(b.path));
+}
+
+export function isRuleInScope(rule: ProjectRule, relevantPaths: string[]) {
+  if (!rule.scope) {
+    return true;
+  }
+
+  const ig = ignore().add(rule.scope);
+
+  return relevantPaths.some((path) => ig.ignores(path));
+}
+
+/**
+ * Merge the project rules that apply to `relevantFiles` and the enabled templates into a system prompt
+ * section of at most `maxTokens`. Rules are added in order, a rule that no longer fits is truncated to the rest
+ * of the cap when enough of it is left, and skipped otherwise.
+ * @param options.files The project files the rule files are read from
+ * @param options.relevantFiles The files the response is about, scoped rules only apply when one matches
+ */
+export function createRulesPrompt(options: {
+  files?: FileMap;
+  relevantFiles?: FileMap;
+  templates?: PromptTemplate[];
+  maxTokens: number;
+  providerName?: string;
+}): { prompt: string; annotation: RulesAnnotation } {
+  const { files = {}, relevantFiles = files, templates = [], maxTokens, providerName } = options;
+
+  const relevantPaths = Object.entries(relevantFiles)
+    .filter(([, dirent]) => dirent?.type === 'file')
+    .map(([filePath]) => toRelativePath(filePath))
+    .filter((path) => !path.split('/').includes(RULES_DIRECTORY));
+
+  const candidates: (Omit<AppliedRule, 'tokens'> & { content: string })[] = [
+    ...findProjectRules(files)
+      .filter((rule) => isRuleInScope(rule, relevantPaths))
+      .map((rule) => ({ source: 'project' as const, name: rule.path, scope: rule.scope, content: rule.content })),
+    ...templates
+      .filter((template) => template.enabled && template.content.trim())
+      .map((template) => ({ source: 'template' as const, name: template.name, content: template.content.trim() })),
+  ];
+
+  const annotation: RulesAnnotation = { type: 'rules', applied: [], skipped: [] };
+  const sections: string[] = [];
+  let remaining = maxTokens;
+
+  for (const { content, ...rule } of candidates) {
+    const heading = `## ${rule.source === 'template' ? `Template: ${rule.name}` : rule.name}${rule.scope ? ` (applies to ${rule.scope.join(', ')})` : ''}`;
+    const section = `${heading}\n${content}`;
+    const tokens = estimateTokens(section, providerName);
+
+    if (tokens <= remaining) {
+      sections.push(section);
+      annotation.applied.push({ ...rule, tokens });
+      remaining -= tokens;
+    } else if (remaining >= MIN_TRUNCATED_TOKENS) {
+      // the marker counts against the cap too
+      const kept = remaining - estimateTokens(TRUNCATED_MARKER, providerName);
+      const truncated = `${section.slice(0, Math.floor((section.length * kept) / tokens))}${TRUNCATED_MARKER}`;
+      sections.push(truncated);
+      annotation.applied.push({ ...rule, tokens: estimateTokens(truncated, providerName), truncated: true });
+      remaining = 0;
+    } else {
+      annotation.skipped.push(rule.name);
+    }
+  }
+
+  if (sections.length === 0) {
+    return { prompt: '', annotation };
+  }
+
+  const prompt = `
+
+<project_instructions>
+  The user and the rule files of this project define the instructions below. Follow them for this project unless they conflict with the constraints above.
+
+${sections.join('\n\n')}
+</project_instructions>
+`;
+
+  return { prompt, annotation };
+}
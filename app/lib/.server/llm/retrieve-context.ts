@@ -0,0 +1,188 @@
+import { embed, embedMany, type EmbeddingModelUsage, type Message } from 'ai';
+import ignore from 'ignore';
+import type { IProviderSetting } from '~/types/model';
+import { IGNORE_PATTERNS, type FileMap } from './constants';
+import { DEFAULT_PROVIDER, PROVIDER_LIST } from '~/utils/constants';
+import { extractCurrentContext, extractPropertiesFromMessage } from './utils';
+import { createScopedLogger } from '~/utils/logger';
+import { ContextIndex, type ScoredChunk } from './context-index';
+
+const ig = ignore().add(IGNORE_PATTERNS);
+const logger = createScopedLogger('retrieve-context');
+
+// same limit the model is given when it selects the files itself
+const MAX_CONTEXT_FILES = 5;
+
+// how many chunks are considered before they are grouped by file
+const MAX_RANKED_CHUNKS = 50;
+
+// files that are already in the context buffer win ties against new ones
+const CODE_CONTEXT_BOOST = 1.25;
+
+// new chunks embedded per request, the remaining ones are embedded on the next requests
+const MAX_EMBEDDED_CHUNKS = 512;
+
+/*
+ * Indexes live in memory for as long as the server process does and are keyed by chat,
+ * so each request only re-indexes the files that changed since the previous one.
+ */
+const MAX_CACHED_INDEXES = 20;
+const indexes = new Map<string, ContextIndex>();
+
+function getIndex(chatId?: string) {
+  if (!chatId) {
+    return new ContextIndex();
+  }
+
+  let index = indexes.get(chatId);
+
+  if (index) {
+    // re-insert so the map stays ordered from least to most recently used
+    indexes.delete(chatId);
+  } else {
+    index = new ContextIndex();
+  }
+
+  indexes.set(chatId, index);
+
+  if (indexes.size > MAX_CACHED_INDEXES) {
+    indexes.delete(indexes.keys().next().value as string);
+  }
+
+  return index;
+}
+
+/**
+ * Local alternative to `selectContext`: ranks chunks of the project against the last user message
+ * with BM25 (and embeddings in `hybrid` mode) instead of asking the model which files to read.
+ */
+export async function retrieveContext(props: {
+  messages: Message[];
+  env?: Env;
+  apiKeys?: Record<string, string>;
+  files: FileMap;
+  providerSettings?: Record<string, IProviderSetting>;
+  chatId?: string;
+  useEmbeddings?: boolean;
+  onEmbeddingUsage?: (usage: EmbeddingModelUsage) => void;
+}) {
+  const { messages, env: serverEnv, apiKeys, files, providerSettings, chatId, useEmbeddings, onEmbeddingUsage } = props;
+  const lastUserMessage = messages.filter((x) => x.role == 'user').pop();
+
+  if (!lastUserMessage) {
+    throw new Error('No user message found');
+  }
+
+  const { provider: currentProvider, content } = extractPropertiesFromMessage(lastUserMessage);
+  const query = Array.isArray(content)
+    ? content
+        .filter((item) => item.type === 'text')
+        .map((item) => item.text)
+        .join('\n')
+    : content;
+
+  const { codeContext } = extractCurrentContext(messages);
+  const codeContextFiles: string[] = codeContext?.type === 'codeContext' ? codeContext.files : [];
+
+  const index = getIndex(chatId);
+  const changed = index.update(files || {}, (path) => !ig.ignores(path.replace('/home/project/', '')));
+  logger.debug(`Indexed ${changed} changed file(s), ${index.size} chunks in total`);
+
+  let queryEmbedding: number[] | undefined;
+
+  if (useEmbeddings) {
+    const provider = PROVIDER_LIST.find((p) => p.name === currentProvider) || DEFAULT_PROVIDER;
+    queryEmbedding = await embedQuery({
+      index,
+      query,
+      provider,
+      serverEnv,
+      apiKeys,
+      providerSettings,
+      onEmbeddingUsage,
+    });
+  }
+
+  const fileScores = rankFiles(index.search(query, { limit: MAX_RANKED_CHUNKS, queryEmbedding }));
+
+  for (const [path, score] of fileScores) {
+    if (codeContextFiles.includes(path.replace('/home/project/', ''))) {
+      fileScores.set(path, score * CODE_CONTEXT_BOOST);
+    }
+  }
+
+  const selectedPaths = [...fileScores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_CONTEXT_FILES)
+    .map(([path]) => path);
+
+  // nothing in the project matched, keep whatever the previous request worked with
+  if (selectedPaths.length === 0) {
+    selectedPaths.push(...codeContextFiles.map((path) => `/home/project/${path}`).filter((path) => files[path]));
+  }
+
+  const filteredFiles: FileMap = {};
+
+  for (const path of selectedPaths) {
+    filteredFiles[path.replace('/home/project/', '')] = files[path];
+  }
+
+  logger.info(`Total files: ${selectedPaths.length}`);
+
+  return filteredFiles;
+}
+
+/**
+ * Scores each file by its best chunk plus a fraction of its other matching chunks, so a
+ * file with one very relevant section beats a file that mentions the query terms everywhere.
+ */
+function rankFiles(chunks: ScoredChunk[]) {
+  const fileScores = new Map<string, number>();
+
+  for (const { chunk, score } of chunks) {
+    const current = fileScores.get(chunk.path);
+
+    // chunks come sorted by score, so the first one seen for a file is its best
+    fileScores.set(chunk.path, current === undefined ? score : current + score * 0.25);
+  }
+
+  return fileScores;
+}
+
+async function embedQuery(options: {
+  index: ContextIndex;
+  query: string;
+  provider: (typeof PROVIDER_LIST)[number];
+  serverEnv?: Env;
+  apiKeys?: Record<string, string>;
+  providerSettings?: Record<string, IProviderSetting>;
+  onEmbeddingUsage?: (usage: EmbeddingModelUsage) => void;
+}) {
+  const { index, query, provider, serverEnv, apiKeys, providerSettings, onEmbeddingUsage } = options;
+
+  if (!provider.getEmbeddingModelInstance) {
+    logger.debug(`${provider.name} does not provide embeddings, ranking with BM25 only`);
+    return undefined;
+  }
+
+  try {
+    const model = provider.getEmbeddingModelInstance({ serverEnv, apiKeys, providerSettings });
+    const pending = index.chunksWithoutEmbedding(`${provider.name}/${model.modelId}`).slice(0, MAX_EMBEDDED_CHUNKS);
+
+    if (pending.length > 0) {
+      const { embeddings, usage } = await embedMany({ model, values: pending.map((chunk) => chunk.text) });
+
+      pending.forEach((chunk, i) => index.setEmbedding(chunk.id, embeddings[i]));
+      onEmbeddingUsage?.(usage);
+    }
+
+    const { embedding, usage } = await embed({ model, value: query });
+    onEmbeddingUsage?.(usage);
+
+    return embedding;
+  } catch (error) {
+    // embeddings only refine the ranking, a missing embedding model should not fail the request
+    logger.warn(`Embedding with ${provider.name} failed, ranking with BM25 only`, error);
+    return undefined;
+  }
+}
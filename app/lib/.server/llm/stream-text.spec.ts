@@ -0,0 +1,169 @@
+import { APICallError } from 'ai';
+import { MockLanguageModelV1, simulateReadableStream } from 'ai/test';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { streamText } from './stream-text';
+import { LLMManager } from '~/lib/modules/llm/manager';
+import { DEFAULT_RETRY_POLICY, type ModelCandidate } from '~/lib/modules/llm/fallback';
+
+const manager = LLMManager.getInstance();
+const openai = manager.getProvider('OpenAI')!;
+const anthropic = manager.getProvider('Anthropic')!;
+
+const PRIMARY: ModelCandidate = { provider: 'OpenAI', model: openai.staticModels[0].name };
+const FALLBACK: ModelCandidate = { provider: 'Anthropic', model: anthropic.staticModels[0].name };
+
+const fallback = { chain: [FALLBACK], retryPolicy: { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 } };
+
+const messages = [
+  { role: 'user' as const, content: `[Model: ${PRIMARY.model}]\n\n[Provider: ${PRIMARY.provider}]\n\nAdd a button` },
+];
+
+const apiError = (statusCode: number) =>
+  new APICallError({
+    message: `status ${statusCode}`,
+    url: 'https://api.example.com/v1/chat',
+    requestBodyValues: {},
+    statusCode,
+  });
+
+const usage = { promptTokens: 10, completionTokens: 5 };
+
+// the result only settles once its stream was read, like the chat route does
+const readText = async (result: Awaited<ReturnType<typeof streamText>>) => {
+  let text = '';
+
+  for await (const part of result.fullStream) {
+    if (part.type === 'text-delta') {
+      text += part.textDelta;
+    }
+  }
+
+  return text;
+};
+
+const answering = (text: string) =>
+  new MockLanguageModelV1({
+    doStream: async () => ({
+      stream: simulateReadableStream({
+        chunks: [
+          { type: 'text-delta' as const, textDelta: text },
+          { type: 'finish' as const, finishReason: 'stop' as const, usage },
+        ],
+      }),
+      rawCall: { rawPrompt: null, rawSettings: {} },
+    }),
+  });
+
+const failing = (statusCode: number) =>
+  new MockLanguageModelV1({
+    doStream: async () => {
+      throw apiError(statusCode);
+    },
+  });
+
+describe('streamText', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should fail over to the next model when the first one fails before streaming', async () => {
+    vi.spyOn(openai, 'getModelInstance').mockReturnValue(failing(429));
+    vi.spyOn(anthropic, 'getModelInstance').mockReturnValue(answering('from the fallback'));
+
+    const onFailover = vi.fn();
+    const result = await streamText({ messages, fallback, onFailover });
+
+    expect(await readText(result)).toBe('from the fallback');
+    expect(onFailover).toHaveBeenCalledWith({ failed: PRIMARY, next: FALLBACK, errorClass: 'rate_limit', attempt: 1 });
+  });
+
+  it('should pass an abort of the request on to the answering model', async () => {
+    const request = new AbortController();
+    const addEventListener = vi.spyOn(request.signal, 'addEventListener');
+    const model = answering('from the fallback');
+    const doStream = vi.spyOn(model, 'doStream');
+
+    vi.spyOn(openai, 'getModelInstance').mockReturnValue(failing(503));
+    vi.spyOn(anthropic, 'getModelInstance').mockReturnValue(model);
+
+    const result = await streamText({ messages, fallback, options: { abortSignal: request.signal } });
+    const signal = doStream.mock.calls[0][0].abortSignal!;
+
+    expect(signal.aborted).toBe(false);
+
+    request.abort();
+
+    expect(signal.aborted).toBe(true);
+    expect(addEventListener).not.toHaveBeenCalled();
+
+    await readText(result).catch(() => undefined);
+  });
+
+  it('should fail over when a model cannot be called at all', async () => {
+    vi.spyOn(openai, 'getModelInstance').mockImplementation(() => {
+      throw new Error('Missing API key for OpenAI provider');
+    });
+    vi.spyOn(anthropic, 'getModelInstance').mockReturnValue(answering('from the fallback'));
+
+    const onFailover = vi.fn();
+    const result = await streamText({ messages, fallback, onFailover });
+
+    expect(await readText(result)).toBe('from the fallback');
+    expect(onFailover).toHaveBeenCalledWith(expect.objectContaining({ failed: PRIMARY, errorClass: 'auth' }));
+  });
+
+  it('should end an interrupted stream so another model can continue it', async () => {
+    vi.spyOn(openai, 'getModelInstance').mockReturnValue(
+      new MockLanguageModelV1({
+        doStream: async () => ({
+          stream: simulateReadableStream({
+            chunks: [
+              { type: 'text-delta' as const, textDelta: 'Half of the ' },
+              { type: 'error' as const, error: apiError(503) },
+            ],
+          }),
+          rawCall: { rawPrompt: null, rawSettings: {} },
+        }),
+      }),
+    );
+    vi.spyOn(anthropic, 'getModelInstance').mockReturnValue(answering('answer'));
+
+    const onInterrupted = vi.fn();
+    const result = await streamText({ messages, fallback, onInterrupted });
+
+    expect(await readText(result)).toBe('Half of the ');
+    expect(await result.finishReason).toBe('error');
+    expect(onInterrupted).toHaveBeenCalledWith(PRIMARY, expect.any(APICallError));
+
+    // the continuation leaves out the model that failed
+    const continuation = await streamText({ messages, fallback, failedModels: [PRIMARY] });
+
+    expect(await readText(continuation)).toBe('answer');
+  });
+
+  it('should throw once no model is left to fall over to', async () => {
+    vi.spyOn(openai, 'getModelInstance').mockReturnValue(failing(500));
+    vi.spyOn(anthropic, 'getModelInstance').mockReturnValue(failing(503));
+
+    await expect(streamText({ messages, fallback })).rejects.toThrow('status 503');
+  });
+});
+
+describe('LLMManager.getFallbackCandidates', () => {
+  it('should skip unknown, disabled, duplicate and failed models', () => {
+    const chain = [
+      { provider: 'Unknown', model: 'model' },
+      FALLBACK,
+      PRIMARY,
+      { provider: 'Groq', model: 'llama' },
+      { provider: 'Mistral', model: 'mistral-large' },
+    ];
+
+    expect(
+      manager.getFallbackCandidates(PRIMARY, chain, {
+        providerSettings: { Groq: { enabled: false } },
+        exclude: [FALLBACK],
+      }),
+    ).toEqual([PRIMARY, { provider: 'Mistral', model: 'mistral-large' }]);
+  });
+});
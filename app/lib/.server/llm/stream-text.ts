@@ -1,13 +1,37 @@
-import { convertToCoreMessages, streamText as _streamText, type Message } from 'ai';
+import {
+  convertToCoreMessages,
+  experimental_wrapLanguageModel,
+  streamText as _streamText,
+  type CoreTool,
+  type LanguageModelV1StreamPart,
+  type Message,
+} from 'ai';
 import { MAX_TOKENS, type FileMap } from './constants';
-import { getSystemPrompt } from '~/lib/common/prompts/prompts';
+import { getPlanPrompt, getSystemPrompt } from '~/lib/common/prompts/prompts';
 import { DEFAULT_MODEL, DEFAULT_PROVIDER, MODIFICATIONS_TAG_NAME, PROVIDER_LIST, WORK_DIR } from '~/utils/constants';
 import type { IProviderSetting } from '~/types/model';
+import type { ModelInfo } from '~/lib/modules/llm/types';
+import type { PromptBudget } from '~/types/usage';
+import type { CustomInstructionSettings, RulesAnnotation } from '~/types/rules';
+import type { ChatMode } from '~/types/plan';
 import { PromptLibrary } from '~/lib/common/prompt-library';
 import { allowedHTMLElements } from '~/utils/markdown';
 import { LLMManager } from '~/lib/modules/llm/manager';
+import type { BaseProvider } from '~/lib/modules/llm/base-provider';
+import {
+  classifyLLMError,
+  DEFAULT_RETRY_POLICY,
+  getRetryDelay,
+  isRetriableError,
+  type FallbackOptions,
+  type LLMErrorClass,
+  type ModelCandidate,
+  type RetryPolicy,
+} from '~/lib/modules/llm/fallback';
 import { createScopedLogger } from '~/utils/logger';
 import { createFilesContext, extractPropertiesFromMessage } from './utils';
+import { fitPromptToBudget, getPromptTokenLimit } from './token-budget';
+import { createRulesPrompt } from './project-rules';
 
 export type Messages = Message[];
 
@@ -22,8 +46,139 @@ export interface StreamingOptions extends Omit<Parameters<typeof _streamText>[0]
   };
 }
 
+export interface FailoverEvent {
+  failed: ModelCandidate;
+  next: ModelCandidate;
+  errorClass: LLMErrorClass;
+  attempt: number;
+}
+
 const logger = createScopedLogger('stream-text');
 
+async function resolveModelDetails(
+  provider: BaseProvider,
+  modelName: string,
+  options: { apiKeys?: Record<string, string>; providerSettings?: Record<string, IProviderSetting>; serverEnv?: Env },
+): Promise<ModelInfo> {
+  const staticModels = LLMManager.getInstance().getStaticModelListFromProvider(provider);
+  const modelDetails = staticModels.find((m) => m.name === modelName);
+
+  if (modelDetails) {
+    return modelDetails;
+  }
+
+  const modelsList = [
+    ...(provider.staticModels || []),
+    ...(await LLMManager.getInstance().getModelListFromProvider(provider, {
+      apiKeys: options.apiKeys,
+      providerSettings: options.providerSettings,
+      serverEnv: options.serverEnv as any,
+    })),
+  ];
+
+  if (!modelsList.length) {
+    throw new Error(`No models found for provider ${provider.name}`);
+  }
+
+  const dynamicModel = modelsList.find((m) => m.name === modelName);
+
+  if (dynamicModel) {
+    return dynamicModel;
+  }
+
+  // Fallback to first model
+  logger.warn(
+    `MODEL [${modelName}] not found in provider [${provider.name}]. Falling back to first model. ${modelsList[0].name}`,
+  );
+
+  return modelsList[0];
+}
+
+/*
+ * Reads a copy of the stream until the model produces its first output. Returns the error when
+ * the request failed before that, so it can be retried without anything reaching the client.
+ */
+async function waitForFirstChunk(result: ReturnType<typeof _streamText>): Promise<unknown> {
+  const reader = result.fullStream.getReader();
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+
+      if (done) {
+        return undefined;
+      }
+
+      if (value.type === 'error') {
+        return value.error ?? new Error('Unknown error');
+      }
+
+      if (value.type !== 'step-start') {
+        return undefined;
+      }
+    }
+  } catch (error) {
+    return error ?? new Error('Unknown error');
+  } finally {
+    reader.cancel().catch(() => undefined);
+  }
+}
+
+/*
+ * Once a model has started answering, a retriable error ends its stream like a normal finish with
+ * the `error` reason instead of failing the response, so it can be continued with another model.
+ */
+function interceptMidStreamErrors(
+  stream: ReadableStream<LanguageModelV1StreamPart>,
+  retryPolicy: RetryPolicy,
+  onInterrupted: (error: unknown) => void,
+) {
+  const reader = stream.getReader();
+  let started = false;
+
+  const interrupt = (controller: ReadableStreamDefaultController<LanguageModelV1StreamPart>, error: unknown) => {
+    onInterrupted(error);
+    controller.enqueue({
+      type: 'finish',
+      finishReason: 'error',
+      usage: { promptTokens: NaN, completionTokens: NaN },
+    });
+    controller.close();
+    reader.cancel().catch(() => undefined);
+  };
+
+  return new ReadableStream<LanguageModelV1StreamPart>({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+
+        if (done) {
+          controller.close();
+          return;
+        }
+
+        if (value.type === 'error' && started && isRetriableError(value.error, retryPolicy)) {
+          interrupt(controller, value.error);
+          return;
+        }
+
+        started ||= value.type === 'text-delta' || value.type === 'tool-call-delta';
+        controller.enqueue(value);
+      } catch (error) {
+        if (started && isRetriableError(error, retryPolicy)) {
+          interrupt(controller, error);
+          return;
+        }
+
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+}
+
 export async function streamText(props: {
   messages: Omit<Message, 'id'>[];
   env?: Env;
@@ -36,6 +191,22 @@ export async function streamText(props: {
   contextFiles?: FileMap;
   summary?: string;
   messageSliceId?: number;
+  onPromptBudget?: (budget: PromptBudget, model: ModelInfo) => void;
+  customInstructions?: CustomInstructionSettings;
+  onRulesApplied?: (annotation: RulesAnnotation) => void;
+
+  // `plan` answers with a plan instead of the changes, see `getPlanPrompt`
+  mode?: ChatMode;
+
+  // tools of the connected MCP servers, each tool round trip takes one of `maxSteps`
+  tools?: Record<string, CoreTool>;
+  maxSteps?: number;
+  fallback?: FallbackOptions;
+
+  // models that already failed during this response and must not be tried again
+  failedModels?: ModelCandidate[];
+  onFailover?: (event: FailoverEvent) => void;
+  onInterrupted?: (model: ModelCandidate, error: unknown) => void;
 }) {
   const {
     messages,
@@ -48,6 +219,16 @@ export async function streamText(props: {
     contextOptimization,
     contextFiles,
     summary,
+    onPromptBudget,
+    customInstructions,
+    onRulesApplied,
+    mode,
+    tools,
+    maxSteps,
+    fallback,
+    failedModels,
+    onFailover,
+    onInterrupted,
   } = props;
   let currentModel = DEFAULT_MODEL;
   let currentProvider = DEFAULT_PROVIDER.name;
@@ -72,78 +253,49 @@ export async function streamText(props: {
       // Trim whitespace potentially left after removals
       content = content.trim();
 
-      return { ...message, content };
+      // tool calls the user never answered can't be sent back to the model
+      const toolInvocations = message.toolInvocations?.filter((invocation) => invocation.state === 'result');
+
+      return { ...message, content, toolInvocations };
     }
 
     return message;
   });
 
-  const provider = PROVIDER_LIST.find((p) => p.name === currentProvider) || DEFAULT_PROVIDER;
-  const staticModels = LLMManager.getInstance().getStaticModelListFromProvider(provider);
-  let modelDetails = staticModels.find((m) => m.name === currentModel);
-
-  if (!modelDetails) {
-    const modelsList = [
-      ...(provider.staticModels || []),
-      ...(await LLMManager.getInstance().getModelListFromProvider(provider, {
-        apiKeys,
-        providerSettings,
-        serverEnv: serverEnv as any,
-      })),
-    ];
-
-    if (!modelsList.length) {
-      throw new Error(`No models found for provider ${provider.name}`);
-    }
-
-    modelDetails = modelsList.find((m) => m.name === currentModel);
+  const primaryProvider = PROVIDER_LIST.find((p) => p.name === currentProvider) || DEFAULT_PROVIDER;
+  const candidates = LLMManager.getInstance().getFallbackCandidates(
+    { provider: primaryProvider.name, model: currentModel },
+    fallback?.chain,
+    { providerSettings, exclude: failedModels },
+  );
+  const retryPolicy = fallback?.retryPolicy ?? DEFAULT_RETRY_POLICY;
 
-    if (!modelDetails) {
-      // Fallback to first model
-      logger.warn(
-        `MODEL [${currentModel}] not found in provider [${provider.name}]. Falling back to first model. ${modelsList[0].name}`,
-      );
-      modelDetails = modelsList[0];
-    }
+  if (!candidates.length) {
+    throw new Error('All models of the fallback chain failed for this request');
   }
 
-  const dynamicMaxTokens = modelDetails && modelDetails.maxTokenAllowed ? modelDetails.maxTokenAllowed : MAX_TOKENS;
-  logger.info(
-    `Max tokens for model ${modelDetails.name} is ${dynamicMaxTokens} based on ${modelDetails.maxTokenAllowed} or ${MAX_TOKENS}`,
-  );
+  const systemPrompt =
+    mode === 'plan'
+      ? getPlanPrompt(WORK_DIR)
+      : (PromptLibrary.getPropmtFromLibrary(promptId || 'default', {
+          cwd: WORK_DIR,
+          allowedHtmlElements: allowedHTMLElements,
+          modificationTagName: MODIFICATIONS_TAG_NAME,
+          supabase: {
+            isConnected: options?.supabaseConnection?.isConnected || false,
+            hasSelectedProject: options?.supabaseConnection?.hasSelectedProject || false,
+            credentials: options?.supabaseConnection?.credentials || undefined,
+          },
+        }) ?? getSystemPrompt());
 
-  let systemPrompt =
-    PromptLibrary.getPropmtFromLibrary(promptId || 'default', {
-      cwd: WORK_DIR,
-      allowedHtmlElements: allowedHTMLElements,
-      modificationTagName: MODIFICATIONS_TAG_NAME,
-      supabase: {
-        isConnected: options?.supabaseConnection?.isConnected || false,
-        hasSelectedProject: options?.supabaseConnection?.hasSelectedProject || false,
-        credentials: options?.supabaseConnection?.credentials || undefined,
-      },
-    }) ?? getSystemPrompt();
+  let bufferFiles: FileMap | undefined;
+  let bufferSummary: string | undefined;
 
   if (contextFiles && contextOptimization) {
-    const codeContext = createFilesContext(contextFiles, true);
-
-    systemPrompt = `${systemPrompt}
-
-Below is the artifact containing the context loaded into context buffer for you to have knowledge of and might need changes to fullfill current user request.
-CONTEXT BUFFER:
----
-${codeContext}
----
-`;
+    bufferFiles = contextFiles;
 
     if (summary) {
-      systemPrompt = `${systemPrompt}
-      below is the chat history till now
-CHAT SUMMARY:
----
-${props.summary}
----
-`;
+      bufferSummary = summary;
 
       if (props.messageSliceId) {
         processedMessages = processedMessages.slice(props.messageSliceId);
@@ -167,11 +319,13 @@ ${props.summary}
     }
   }
 
+  let lockedFilesPrompt = '';
+
   if (effectiveLockedFilePaths.size > 0) {
     const lockedFilesListString = Array.from(effectiveLockedFilePaths)
       .map((filePath) => `- ${filePath}`)
       .join('\n');
-    systemPrompt = `${systemPrompt}
+    lockedFilesPrompt = `
 
 IMPORTANT: The following files are locked and MUST NOT be modified in any way. Do not suggest or make any changes to these files. You can proceed with the request but DO NOT make any changes to these files specifically:
 ${lockedFilesListString}
@@ -181,20 +335,169 @@ ${lockedFilesListString}
     console.log('No locked files found from any source for prompt.');
   }
 
-  logger.info(`Sending llm call to ${provider.name} with model ${modelDetails.name}`);
-
-  // console.log(systemPrompt, processedMessages);
-
-  return await _streamText({
-    model: provider.getModelInstance({
-      model: modelDetails.name,
-      serverEnv,
-      apiKeys,
-      providerSettings,
-    }),
-    system: systemPrompt,
-    maxTokens: dynamicMaxTokens,
-    messages: convertToCoreMessages(processedMessages as any),
-    ...options,
-  });
+  let rulesPrompt = '';
+
+  if (customInstructions) {
+    const rules = createRulesPrompt({
+      files: customInstructions.projectRules ? files : undefined,
+      relevantFiles: bufferFiles ?? files,
+      templates: customInstructions.templates,
+      maxTokens: customInstructions.maxTokens,
+      providerName: primaryProvider.name,
+    });
+
+    rulesPrompt = rules.prompt;
+    onRulesApplied?.(rules.annotation);
+  }
+
+  const prepareCall = async (candidate: ModelCandidate) => {
+    const provider = PROVIDER_LIST.find((p) => p.name === candidate.provider) || DEFAULT_PROVIDER;
+    const modelDetails = await resolveModelDetails(provider, candidate.model, { apiKeys, providerSettings, serverEnv });
+
+    const dynamicMaxTokens = modelDetails && modelDetails.maxTokenAllowed ? modelDetails.maxTokenAllowed : MAX_TOKENS;
+    logger.info(
+      `Max tokens for model ${modelDetails.name} is ${dynamicMaxTokens} based on ${modelDetails.maxTokenAllowed} or ${MAX_TOKENS}`,
+    );
+
+    const { contextWindow, promptTokenLimit } = getPromptTokenLimit(modelDetails, dynamicMaxTokens);
+    const fitted = fitPromptToBudget({
+      providerName: provider.name,
+      contextWindow,
+      promptTokenLimit,
+      fixedPrompt: systemPrompt + rulesPrompt + lockedFilesPrompt,
+      messages: processedMessages,
+      contextFiles: bufferFiles,
+      summary: bufferSummary,
+    });
+
+    if (fitted.budget.trimmed.length > 0) {
+      logger.warn(`Prompt trimmed to fit ${promptTokenLimit} tokens: ${fitted.budget.trimmed.join(', ')}`);
+    }
+
+    let fittedSystemPrompt = systemPrompt + rulesPrompt;
+
+    if (fitted.contextFiles) {
+      const codeContext = createFilesContext(fitted.contextFiles, true);
+
+      fittedSystemPrompt = `${fittedSystemPrompt}
+
+Below is the artifact containing the context loaded into context buffer for you to have knowledge of and might need changes to fullfill current user request.
+CONTEXT BUFFER:
+---
+${codeContext}
+---
+`;
+
+      if (fitted.summary) {
+        fittedSystemPrompt = `${fittedSystemPrompt}
+      below is the chat history till now
+CHAT SUMMARY:
+---
+${fitted.summary}
+---
+`;
+      }
+    }
+
+    fittedSystemPrompt = `${fittedSystemPrompt}${lockedFilesPrompt}`;
+
+    const model = provider.getModelInstance({ model: modelDetails.name, serverEnv, apiKeys, providerSettings });
+
+    return { provider, modelDetails, model, dynamicMaxTokens, fitted, system: fittedSystemPrompt };
+  };
+
+  for (const [index, candidate] of candidates.entries()) {
+    const hasFallback = index < candidates.length - 1;
+    let call: Awaited<ReturnType<typeof prepareCall>>;
+
+    try {
+      call = await prepareCall(candidate);
+    } catch (error) {
+      // a model that can't be called at all, e.g. without an API key, is not retried but replaced
+      const errorClass = classifyLLMError(error);
+
+      logger.warn(`${candidate.provider}/${candidate.model} could not be called (${errorClass}): ${error}`);
+
+      if (!hasFallback) {
+        throw error;
+      }
+
+      onFailover?.({ failed: candidate, next: candidates[index + 1], errorClass, attempt: 1 });
+      continue;
+    }
+
+    const { provider, modelDetails, model, dynamicMaxTokens, fitted, system } = call;
+    const answering = { provider: provider.name, model: modelDetails.name };
+
+    for (let attempt = 1; attempt <= retryPolicy.maxAttempts; attempt++) {
+      logger.info(`Sending llm call to ${provider.name} with model ${modelDetails.name} (attempt ${attempt})`);
+
+      // ends this attempt only, aborting the request still ends it without a listener left behind per attempt
+      const abortController = new AbortController();
+      const abortSignal = options?.abortSignal
+        ? AbortSignal.any([options.abortSignal, abortController.signal])
+        : abortController.signal;
+
+      // console.log(systemPrompt, processedMessages);
+
+      const result = await _streamText({
+        model: experimental_wrapLanguageModel({
+          model,
+          middleware: {
+            wrapStream: async ({ doStream }) => {
+              const { stream, ...rest } = await doStream();
+
+              if (!hasFallback) {
+                return { stream, ...rest };
+              }
+
+              return {
+                stream: interceptMidStreamErrors(stream, retryPolicy, (error) => onInterrupted?.(answering, error)),
+                ...rest,
+              };
+            },
+          },
+        }),
+        system,
+        maxTokens: dynamicMaxTokens,
+        messages: convertToCoreMessages(fitted.messages as any),
+        maxRetries: 0,
+        ...(tools && Object.keys(tools).length > 0 ? { tools, maxSteps } : {}),
+        ...options,
+        abortSignal,
+      });
+
+      const error = await waitForFirstChunk(result);
+
+      if (error === undefined) {
+        onPromptBudget?.(fitted.budget, modelDetails);
+        return result;
+      }
+
+      abortController.abort();
+
+      if (!isRetriableError(error, retryPolicy)) {
+        throw error;
+      }
+
+      const errorClass = classifyLLMError(error);
+      const retrySameModel = attempt < retryPolicy.maxAttempts;
+      const next = retrySameModel ? answering : candidates[index + 1];
+
+      logger.warn(`${provider.name}/${modelDetails.name} failed before streaming (${errorClass}): ${error}`);
+
+      if (!next) {
+        throw error;
+      }
+
+      onFailover?.({ failed: answering, next, errorClass, attempt });
+
+      if (retrySameModel) {
+        await new Promise((resolve) => setTimeout(resolve, getRetryDelay(retryPolicy, attempt)));
+      }
+    }
+  }
+
+  // every candidate either returned or threw above
+  throw new Error('All models of the fallback chain failed for this request');
 }
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import type { FileMap } from './constants';
+import { fitPromptToBudget, getPromptTokenLimit, PromptBudgetError } from './token-budget';
+
+// 350 characters, 100 tokens at the default estimate
+const text = (marker: string) => marker.padEnd(350, '.');
+
+const messages = [
+  { role: 'user' as const, content: text('first question') },
+  { role: 'assistant' as const, content: text('first answer') },
+  { role: 'user' as const, content: text('second question') },
+  { role: 'assistant' as const, content: text('second answer') },
+  { role: 'user' as const, content: text('last question') },
+];
+
+const contextFiles: FileMap = {
+  'src/App.tsx': { type: 'file', content: text('app'), isBinary: false },
+  'src/utils.ts': { type: 'file', content: text('utils'), isBinary: false },
+};
+
+const fit = (promptTokenLimit: number) =>
+  fitPromptToBudget({
+    providerName: 'Ollama',
+    contextWindow: 4096,
+    promptTokenLimit,
+    fixedPrompt: text('system'),
+    messages,
+    contextFiles,
+    summary: text('summary'),
+  });
+
+describe('fitPromptToBudget', () => {
+  it('should leave prompts that fit untouched', () => {
+    const { messages: fitted, budget } = fit(10000);
+
+    expect(fitted).toHaveLength(5);
+    expect(budget.trimmed).toEqual([]);
+  });
+
+  it('should drop older messages first and keep the conversation starting with a user message', () => {
+    const { messages: fitted, contextFiles: files, summary, budget } = fit(900);
+
+    expect(fitted.map((message) => message.content.split('.')[0])).toEqual([
+      'second question',
+      'second answer',
+      'last question',
+    ]);
+    expect(Object.keys(files!)).toHaveLength(2);
+    expect(summary).toBeDefined();
+    expect(budget.trimmed).toEqual(['2 older messages']);
+  });
+
+  it('should drop context files from the end, then the summary', () => {
+    const { messages: fitted, contextFiles: files, summary, budget } = fit(320);
+
+    expect(fitted).toHaveLength(1);
+    expect(files).toEqual({});
+    expect(summary).toBeUndefined();
+    expect(budget.trimmed).toEqual([
+      '4 older messages',
+      'context file src/utils.ts',
+      'context file src/App.tsx',
+      'chat summary',
+    ]);
+  });
+
+  it('should throw when the fixed prompt and last message do not fit', () => {
+    expect(() => fit(150)).toThrow(PromptBudgetError);
+  });
+});
+
+describe('getPromptTokenLimit', () => {
+  it('should reserve the output tokens inside the context window', () => {
+    const model = { name: 'm', label: 'm', provider: 'OpenAI', maxTokenAllowed: 8000, contextWindow: 128000 };
+
+    expect(getPromptTokenLimit(model, 8000)).toEqual({ contextWindow: 128000, promptTokenLimit: 120000 });
+  });
+
+  it('should never reserve more than half of the window for the output', () => {
+    const model = { name: 'm', label: 'm', provider: 'Groq', maxTokenAllowed: 131072 };
+
+    expect(getPromptTokenLimit(model, 131072).promptTokenLimit).toBe(65536);
+  });
+});
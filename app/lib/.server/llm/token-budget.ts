@@ -0,0 +1,163 @@
+import type { Message } from 'ai';
+import type { ModelInfo } from '~/lib/modules/llm/types';
+import type { PromptBudget } from '~/types/usage';
+import type { FileMap } from './constants';
+import { createFilesContext } from './utils';
+
+// used when neither the model nor its provider report a context window
+export const DEFAULT_CONTEXT_WINDOW = 32768;
+
+/*
+ * Average characters per token of each provider's tokenizer on code-heavy prompts. Estimates
+ * lean high on purpose, trimming a little too much is cheaper than a rejected request.
+ */
+const CHARS_PER_TOKEN: Record<string, number> = {
+  OpenAI: 4,
+  Github: 4,
+  Google: 4,
+  Anthropic: 3.5,
+};
+const DEFAULT_CHARS_PER_TOKEN = 3.5;
+
+// role markers and separators added around every message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// flat estimate for an attached image, the real cost depends on its resolution
+const IMAGE_TOKENS = 1000;
+
+export class PromptBudgetError extends Error {
+  readonly budget: PromptBudget;
+
+  constructor(message: string, budget: PromptBudget) {
+    super(message);
+
+    this.budget = budget;
+
+    Object.setPrototypeOf(this, PromptBudgetError.prototype);
+
+    this.name = 'PromptBudgetError';
+  }
+}
+
+export function estimateTokens(text: string, providerName?: string) {
+  const charsPerToken = (providerName && CHARS_PER_TOKEN[providerName]) || DEFAULT_CHARS_PER_TOKEN;
+
+  return Math.ceil(text.length / charsPerToken);
+}
+
+export function estimateMessageTokens(message: Omit<Message, 'id'>, providerName?: string) {
+  const content = message.content as Message['content'] | Array<{ type: string; text?: string }>;
+
+  // tool calls and their results are sent along with the text
+  const toolTokens = message.toolInvocations?.length
+    ? estimateTokens(JSON.stringify(message.toolInvocations), providerName)
+    : 0;
+
+  if (!Array.isArray(content)) {
+    return estimateTokens(content, providerName) + toolTokens + MESSAGE_OVERHEAD_TOKENS;
+  }
+
+  return content.reduce(
+    (total, part) => total + (part.type === 'text' ? estimateTokens(part.text || '', providerName) : IMAGE_TOKENS),
+    toolTokens + MESSAGE_OVERHEAD_TOKENS,
+  );
+}
+
+/**
+ * Get the number of prompt tokens a model accepts once room is left for the response
+ * @param model The model the prompt is sent to
+ * @param maxOutputTokens The `maxTokens` the response is allowed to use
+ */
+export function getPromptTokenLimit(model: ModelInfo, maxOutputTokens: number) {
+  const contextWindow = model.contextWindow || Math.max(model.maxTokenAllowed, DEFAULT_CONTEXT_WINDOW);
+
+  /*
+   * some providers report the whole context window as `maxTokenAllowed`, never reserve
+   * more than half of the window for the response
+   */
+  return { contextWindow, promptTokenLimit: contextWindow - Math.min(maxOutputTokens, Math.floor(contextWindow / 2)) };
+}
+
+/**
+ * Fits the parts of a prompt into `promptTokenLimit`. When they do not fit, parts are dropped in a
+ * fixed priority order until they do:
+ *
+ * 1. older messages, oldest first (the last message is always kept)
+ * 2. files of the context buffer, last (least relevant) first
+ * 3. the chat summary
+ *
+ * `fixedPrompt` (the system prompt and the locked files list) is never trimmed.
+ *
+ * @throws {PromptBudgetError} when the prompt does not fit even after trimming everything it can
+ */
+export function fitPromptToBudget<M extends Omit<Message, 'id'>>(props: {
+  providerName: string;
+  contextWindow: number;
+  promptTokenLimit: number;
+  fixedPrompt: string;
+  messages: M[];
+  contextFiles?: FileMap;
+  summary?: string;
+}) {
+  const { providerName, contextWindow, promptTokenLimit, fixedPrompt } = props;
+  const messages = [...props.messages];
+  const contextFiles = props.contextFiles ? { ...props.contextFiles } : undefined;
+  let summary = props.summary;
+
+  const trimmed: string[] = [];
+  const fixedTokens = estimateTokens(fixedPrompt, providerName);
+  const messageTokens = messages.map((message) => estimateMessageTokens(message, providerName));
+
+  const contextTokens = () => (contextFiles ? estimateTokens(createFilesContext(contextFiles, true), providerName) : 0);
+  const summaryTokens = () => (summary ? estimateTokens(summary, providerName) : 0);
+
+  let messagesTotal = messageTokens.reduce((total, tokens) => total + tokens, 0);
+  let total = () => fixedTokens + messagesTotal + contextTokens() + summaryTokens();
+
+  if (total() > promptTokenLimit) {
+    let dropped = 0;
+
+    // keep dropping until the prompt fits and the conversation starts with a user message again
+    while (messages.length > 1 && (total() > promptTokenLimit || messages[0].role !== 'user')) {
+      messages.shift();
+      messagesTotal -= messageTokens.shift()!;
+      dropped++;
+    }
+
+    if (dropped > 0) {
+      trimmed.push(`${dropped} older message${dropped === 1 ? '' : 's'}`);
+    }
+  }
+
+  if (contextFiles) {
+    // the buffer is re-rendered on every check, so cache its size while removing files
+    let contextTotal = contextTokens();
+    total = () => fixedTokens + messagesTotal + contextTotal + summaryTokens();
+
+    for (const path of Object.keys(contextFiles).reverse()) {
+      if (total() <= promptTokenLimit) {
+        break;
+      }
+
+      delete contextFiles[path];
+      contextTotal = contextTokens();
+      trimmed.push(`context file ${path}`);
+    }
+  }
+
+  if (summary && total() > promptTokenLimit) {
+    summary = undefined;
+    trimmed.push('chat summary');
+  }
+
+  const budget: PromptBudget = { contextWindow, estimatedPromptTokens: total(), trimmed };
+
+  if (budget.estimatedPromptTokens > promptTokenLimit) {
+    throw new PromptBudgetError(
+      `The prompt needs about ${budget.estimatedPromptTokens} tokens but only ${promptTokenLimit} are available for this model. Shorten your message or start a new chat.`,
+      budget,
+    );
+  }
+
+  return { messages, contextFiles, summary, budget };
+}
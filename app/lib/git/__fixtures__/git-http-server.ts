@@ -0,0 +1,68 @@
+import { spawn, execFileSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import type { AddressInfo } from 'node:net';
+
+/*
+ * Serves the bare repositories below `root` over git's smart HTTP protocol with `git http-backend`,
+ * the same CGI program a real git server runs. Pushes are accepted as an authenticated user.
+ */
+
+export async function startGitHttpServer(root: string) {
+  const backend = `${execFileSync('git', ['--exec-path'], { encoding: 'utf8' }).trim()}/git-http-backend`;
+
+  const server = createServer(async (request, response) => {
+    const chunks: Buffer[] = [];
+
+    for await (const chunk of request) {
+      chunks.push(chunk);
+    }
+
+    const body = Buffer.concat(chunks);
+    const url = new URL(request.url ?? '/', 'http://localhost');
+    const cgi = spawn(backend, [], {
+      env: {
+        ...process.env,
+        GIT_PROJECT_ROOT: root,
+        GIT_HTTP_EXPORT_ALL: '1',
+        REMOTE_USER: 'test',
+        REQUEST_METHOD: request.method ?? 'GET',
+        PATH_INFO: decodeURIComponent(url.pathname),
+        QUERY_STRING: url.search.slice(1),
+        CONTENT_TYPE: request.headers['content-type'] ?? '',
+        CONTENT_LENGTH: String(body.length),
+      },
+    });
+
+    const output: Buffer[] = [];
+    cgi.stdout.on('data', (chunk: Buffer) => output.push(chunk));
+    cgi.stdin.end(body);
+
+    cgi.on('close', () => {
+      const raw = Buffer.concat(output);
+      const separator = raw.indexOf('\r\n\r\n');
+      const headers = raw.subarray(0, separator).toString().split('\r\n');
+
+      let status = 200;
+
+      for (const line of headers) {
+        const [name, ...value] = line.split(':');
+
+        if (name.toLowerCase() === 'status') {
+          status = parseInt(value.join(':'), 10);
+        } else {
+          response.setHeader(name, value.join(':').trim());
+        }
+      }
+
+      response.statusCode = status;
+      response.end(raw.subarray(separator + 4));
+    });
+  });
+
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${(server.address() as AddressInfo).port}`,
+    close: () => new Promise<void>((resolve) => server.close(() => resolve())),
+  };
+}
@@ -0,0 +1,46 @@
+import type { AuthCallback, GitAuth } from 'isomorphic-git';
+import Cookies from 'js-cookie';
+
+// credentials are remembered per host in a `git:<host>` cookie
+
+export const lookupSavedPassword = (url: string) => {
+  const domain = url.split('/')[2];
+  const gitCreds = Cookies.get(`git:${domain}`);
+
+  if (!gitCreds) {
+    return null;
+  }
+
+  try {
+    const { username, password } = JSON.parse(gitCreds || '{}');
+    return { username, password };
+  } catch (error) {
+    console.log(`Failed to parse Git Cookie ${error}`);
+    return null;
+  }
+};
+
+export const saveGitAuth = (url: string, auth: GitAuth) => {
+  const domain = url.split('/')[2];
+  Cookies.set(`git:${domain}`, JSON.stringify(auth));
+};
+
+/**
+ * `onAuth` callback for isomorphic-git, uses the saved credentials of the host or asks for new ones
+ */
+export const requestGitAuth: AuthCallback = (url) => {
+  const saved = lookupSavedPassword(url);
+
+  if (saved) {
+    return saved;
+  }
+
+  if (!confirm(`${url.split('/')[2]} requires authentication. Would you like to enter your credentials?`)) {
+    return { cancel: true };
+  }
+
+  return {
+    username: prompt('Enter username') || '',
+    password: prompt('Enter password or personal access token') || '',
+  };
+};
@@ -0,0 +1,155 @@
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import { mkdtemp, readFile, rm, unlink, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import http from 'isomorphic-git/http/node';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { startGitHttpServer } from './__fixtures__/git-http-server';
+import { GitRepository } from './repository';
+
+const author = () => ({ name: 'Test', email: 'test@example.com' });
+
+describe('GitRepository', () => {
+  let root: string;
+  let dir: string;
+  let repository: GitRepository;
+
+  const createRepository = async (name: string) => {
+    const path = join(root, name);
+
+    await fs.promises.mkdir(path);
+
+    return { path, repository: new GitRepository({ fs, dir: path, http, author }) };
+  };
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'git-repository-'));
+    ({ path: dir, repository } = await createRepository('project'));
+
+    return () => rm(root, { recursive: true, force: true });
+  });
+
+  it('should report changes on both sides of the index', async () => {
+    expect(await repository.isInitialized()).toBe(false);
+    await repository.init();
+    expect(await repository.isInitialized()).toBe(true);
+
+    await fs.promises.mkdir(join(dir, 'node_modules'));
+    await writeFile(join(dir, 'node_modules/ignored.js'), '');
+    await writeFile(join(dir, 'index.js'), 'one\n');
+    await writeFile(join(dir, 'README.md'), '# readme\n');
+
+    expect(await repository.status()).toEqual([
+      { path: 'README.md', unstaged: 'added' },
+      { path: 'index.js', unstaged: 'added' },
+    ]);
+
+    await repository.stage(['index.js']);
+    await writeFile(join(dir, 'index.js'), 'two more\n');
+
+    expect(await repository.status()).toEqual([
+      { path: 'README.md', unstaged: 'added' },
+      { path: 'index.js', staged: 'added', unstaged: 'modified' },
+    ]);
+    expect(await repository.diff('index.js', true)).toEqual({ before: '', after: 'one\n' });
+    expect(await repository.diff('index.js', false)).toEqual({ before: 'one\n', after: 'two more\n' });
+
+    await repository.commit('Add index');
+    await repository.unstage(['index.js']);
+    await repository.stage(['README.md']);
+    await repository.unstage(['README.md']);
+
+    expect(await repository.status()).toEqual([
+      { path: 'README.md', unstaged: 'added' },
+      { path: 'index.js', unstaged: 'modified' },
+    ]);
+    expect(await repository.diff('index.js', false)).toEqual({ before: 'one\n', after: 'two more\n' });
+  });
+
+  it('should commit everything at once and nothing when the tree is clean', async () => {
+    await repository.init();
+    await expect(repository.commit('Empty')).rejects.toThrow('Nothing to commit');
+    expect(await repository.log()).toEqual([]);
+
+    await writeFile(join(dir, 'a.txt'), 'a');
+    await writeFile(join(dir, 'b.txt'), 'b');
+    await repository.commitAll('First');
+    await unlink(join(dir, 'a.txt'));
+    await repository.commitAll('Remove a');
+
+    expect(await repository.commitAll('Nothing')).toBeUndefined();
+    expect(await repository.status()).toEqual([]);
+    expect((await repository.log()).map(({ message, author }) => [message, author])).toEqual([
+      ['Remove a', 'Test'],
+      ['First', 'Test'],
+    ]);
+  });
+
+  it('should create and switch branches', async () => {
+    await repository.init();
+    await writeFile(join(dir, 'app.js'), 'main');
+    await repository.commitAll('Main');
+
+    await repository.createBranch('feature');
+    await writeFile(join(dir, 'app.js'), 'feature');
+    await repository.commitAll('Feature');
+
+    expect(await repository.currentBranch()).toBe('feature');
+    expect((await repository.listBranches()).sort()).toEqual(['feature', 'main']);
+
+    await repository.switchBranch('main');
+
+    expect(await repository.currentBranch()).toBe('main');
+    expect(await readFile(join(dir, 'app.js'), 'utf8')).toBe('main');
+  });
+
+  describe('remotes', () => {
+    let server: Awaited<ReturnType<typeof startGitHttpServer>>;
+    let remotes: string;
+
+    beforeAll(async () => {
+      remotes = await mkdtemp(join(tmpdir(), 'git-remotes-'));
+      server = await startGitHttpServer(remotes);
+    });
+
+    afterAll(async () => {
+      await server.close();
+      await rm(remotes, { recursive: true, force: true });
+    });
+
+    it('should push to and pull from a bare repository over smart HTTP', async () => {
+      execFileSync('git', ['init', '--bare', '--initial-branch=main', join(remotes, 'project.git')]);
+
+      const url = `${server.url}/project.git`;
+
+      await repository.init();
+      await expect(repository.push()).rejects.toThrow('Set a remote URL first');
+      await repository.setRemoteUrl(url);
+      await writeFile(join(dir, 'index.js'), 'first');
+      await repository.commitAll('First');
+      await repository.push();
+
+      expect(
+        execFileSync('git', ['--git-dir', join(remotes, 'project.git'), 'log', '--format=%s'], { encoding: 'utf8' }),
+      ).toBe('First\n');
+
+      const { path: cloneDir, repository: clone } = await createRepository('clone');
+
+      await clone.init();
+      await clone.setRemoteUrl(url);
+      await clone.pull();
+
+      expect(await readFile(join(cloneDir, 'index.js'), 'utf8')).toBe('first');
+
+      await writeFile(join(cloneDir, 'index.js'), 'second');
+      await clone.commitAll('Second');
+      await clone.push();
+      await repository.pull();
+
+      expect(await clone.getRemoteUrl()).toBe(url);
+      expect(await readFile(join(dir, 'index.js'), 'utf8')).toBe('second');
+      expect((await repository.log()).map(({ message }) => message)).toEqual(['Second', 'First']);
+    });
+  });
+});
@@ -0,0 +1,336 @@
+import git, {
+  STAGE,
+  type AuthCallback,
+  type AuthFailureCallback,
+  type AuthSuccessCallback,
+  type HttpClient,
+  type PromiseFsClient,
+} from 'isomorphic-git';
+
+export type GitChange = 'added' | 'modified' | 'deleted';
+
+export interface GitFileStatus {
+  // relative to the repository root
+  path: string;
+
+  // change between HEAD and the index
+  staged?: GitChange;
+
+  // change between the index and the working tree
+  unstaged?: GitChange;
+}
+
+export interface GitCommit {
+  oid: string;
+  message: string;
+  author: string;
+  timestamp: number;
+}
+
+export interface GitAuthor {
+  name: string;
+  email: string;
+}
+
+export interface GitSettings {
+  // commit every assistant turn that changed files, with the user's prompt as the message
+  autoCommit: boolean;
+  authorName: string;
+  authorEmail: string;
+}
+
+export const DEFAULT_GIT_SETTINGS: GitSettings = {
+  autoCommit: false,
+  authorName: '',
+  authorEmail: '',
+};
+
+export interface GitRepositoryOptions {
+  fs: PromiseFsClient;
+  dir: string;
+  http: HttpClient;
+  author: () => GitAuthor;
+
+  // proxy to reach a remote through, when the remote does not allow CORS
+  corsProxy?: (url: string) => string | undefined;
+  onAuth?: AuthCallback;
+  onAuthFailure?: AuthFailureCallback;
+  onAuthSuccess?: AuthSuccessCallback;
+}
+
+export const DEFAULT_REMOTE = 'origin';
+
+// never worth tracking, and too large to walk for every status
+const DEFAULT_EXCLUDES = ['node_modules/', 'dist/', 'build/', '.cache/', '.DS_Store'];
+
+const decoder = new TextDecoder();
+
+/**
+ * A git repository in a project, on top of isomorphic-git so it runs in the browser
+ */
+export class GitRepository {
+  constructor(private readonly _options: GitRepositoryOptions) {}
+
+  private get _base() {
+    return { fs: this._options.fs, dir: this._options.dir };
+  }
+
+  private get _remoteOptions() {
+    const { http, onAuth, onAuthFailure, onAuthSuccess } = this._options;
+    return { http, onAuth, onAuthFailure, onAuthSuccess };
+  }
+
+  async isInitialized() {
+    try {
+      await this._options.fs.promises.readFile(`${this._options.dir}/.git/HEAD`, { encoding: 'utf8' });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async init(defaultBranch = 'main') {
+    await git.init({ ...this._base, defaultBranch });
+    await this._options.fs.promises.writeFile(
+      `${this._options.dir}/.git/info/exclude`,
+      `${DEFAULT_EXCLUDES.join('\n')}\n`,
+      { encoding: 'utf8' },
+    );
+  }
+
+  async status(): Promise<GitFileStatus[]> {
+    const matrix = await git.statusMatrix(this._base);
+
+    return matrix.flatMap(([path, head, workdir, stage]) => {
+      const status: GitFileStatus = { path };
+
+      // stage 1 is the HEAD version, 2 the working tree version and 3 neither of them
+      if (head !== stage) {
+        status.staged = head === 0 ? 'added' : stage === 0 ? 'deleted' : 'modified';
+      }
+
+      if (stage !== 2 && !(stage === 0 && workdir === 0) && !(stage === 1 && workdir === 1)) {
+        status.unstaged = workdir === 0 ? 'deleted' : stage === 0 ? 'added' : 'modified';
+      }
+
+      return status.staged || status.unstaged ? [status] : [];
+    });
+  }
+
+  async stage(paths: string[]) {
+    const matrix = await git.statusMatrix({ ...this._base, filepaths: paths });
+
+    for (const [filepath, , workdir] of matrix) {
+      if (workdir === 0) {
+        await git.remove({ ...this._base, filepath });
+      } else {
+        await git.add({ ...this._base, filepath });
+      }
+    }
+  }
+
+  async unstage(paths: string[]) {
+    for (const filepath of paths) {
+      await git.resetIndex({ ...this._base, filepath });
+    }
+  }
+
+  async commit(message: string) {
+    if (!(await this.status()).some((file) => file.staged)) {
+      throw new Error('Nothing to commit, stage some changes first');
+    }
+
+    return git.commit({ ...this._base, message, author: this._options.author() });
+  }
+
+  /**
+   * Stage every change and commit it, nothing is committed when the working tree is clean
+   */
+  async commitAll(message: string) {
+    const changes = await this.status();
+    const unstaged = changes.filter((file) => file.unstaged).map((file) => file.path);
+
+    if (unstaged.length > 0) {
+      await this.stage(unstaged);
+    }
+
+    if (changes.length === 0) {
+      return undefined;
+    }
+
+    return git.commit({ ...this._base, message, author: this._options.author() });
+  }
+
+  async log(depth = 50): Promise<GitCommit[]> {
+    try {
+      const commits = await git.log({ ...this._base, depth });
+
+      return commits.map(({ oid, commit }) => ({
+        oid,
+        message: commit.message.trim(),
+        author: commit.author.name,
+        timestamp: commit.author.timestamp * 1000,
+      }));
+    } catch (error) {
+      // no commits yet
+      if ((error as { code?: string }).code === 'NotFoundError') {
+        return [];
+      }
+
+      throw error;
+    }
+  }
+
+  async currentBranch() {
+    return (await git.currentBranch({ ...this._base, fullname: false })) ?? undefined;
+  }
+
+  listBranches() {
+    return git.listBranches(this._base);
+  }
+
+  async createBranch(name: string) {
+    await git.branch({ ...this._base, ref: name, checkout: true });
+  }
+
+  /**
+   * Check out a branch, fails instead of overwriting local changes that conflict with it
+   */
+  async switchBranch(name: string) {
+    await git.checkout({ ...this._base, ref: name });
+  }
+
+  /**
+   * Contents of a changed file on both sides of its staged or its unstaged change
+   */
+  async diff(path: string, staged: boolean): Promise<{ before: string; after: string }> {
+    const [head, index] = await Promise.all([this._readHeadFile(path), this._readIndexFile(path)]);
+
+    if (staged) {
+      return { before: head ?? '', after: index ?? '' };
+    }
+
+    return { before: index ?? head ?? '', after: (await this._readWorkdirFile(path)) ?? '' };
+  }
+
+  async getRemoteUrl(): Promise<string | undefined> {
+    return (await git.getConfig({ ...this._base, path: `remote.${DEFAULT_REMOTE}.url` })) ?? undefined;
+  }
+
+  async setRemoteUrl(url: string) {
+    await git.addRemote({ ...this._base, remote: DEFAULT_REMOTE, url, force: true });
+  }
+
+  async push() {
+    const { url, ref } = await this._remoteTarget();
+    const result = await git.push({
+      ...this._base,
+      ...this._remoteOptions,
+      remote: DEFAULT_REMOTE,
+      ref,
+      corsProxy: this._options.corsProxy?.(url),
+    });
+
+    if (!result.ok) {
+      throw new Error(result.error ?? `Failed to push ${ref}`);
+    }
+  }
+
+  async pull() {
+    const { url, ref } = await this._remoteTarget();
+    const options = {
+      ...this._base,
+      ...this._remoteOptions,
+      remote: DEFAULT_REMOTE,
+      ref,
+      singleBranch: true,
+      corsProxy: this._options.corsProxy?.(url),
+    };
+
+    if (await this._resolveHead()) {
+      await git.pull({ ...options, author: this._options.author() });
+      return;
+    }
+
+    // a branch without commits has nothing to merge into, it starts where the remote one is
+    const { fetchHead } = await git.fetch(options);
+
+    if (!fetchHead) {
+      throw new Error(`${ref} does not exist on the remote`);
+    }
+
+    await git.writeRef({ ...this._base, ref: `refs/heads/${ref}`, value: fetchHead });
+    await git.checkout({ ...this._base, ref });
+  }
+
+  private async _remoteTarget() {
+    const url = await this.getRemoteUrl();
+    const ref = await this.currentBranch();
+
+    if (!url) {
+      throw new Error('Set a remote URL first');
+    }
+
+    if (!ref) {
+      throw new Error('Check out a branch first');
+    }
+
+    return { url, ref };
+  }
+
+  private async _resolveHead() {
+    try {
+      return await git.resolveRef({ ...this._base, ref: 'HEAD' });
+    } catch {
+      return undefined;
+    }
+  }
+
+  private async _readHeadFile(filepath: string) {
+    const oid = await this._resolveHead();
+
+    if (!oid) {
+      return undefined;
+    }
+
+    try {
+      const { blob } = await git.readBlob({ ...this._base, oid, filepath });
+
+      return decoder.decode(blob);
+    } catch {
+      return undefined;
+    }
+  }
+
+  private async _readIndexFile(filepath: string) {
+    const results: unknown[] = await git.walk({
+      ...this._base,
+      trees: [STAGE()],
+      map: async (path, [entry]) => {
+        if (path === filepath) {
+          return entry ? await entry.oid() : undefined;
+        }
+
+        // only descend into the directories that lead to the file
+        return path === '.' || filepath.startsWith(`${path}/`) ? true : null;
+      },
+    });
+    const oid = results.find((result): result is string => typeof result === 'string');
+
+    if (!oid) {
+      return undefined;
+    }
+
+    const { blob } = await git.readBlob({ ...this._base, oid });
+
+    return decoder.decode(blob);
+  }
+
+  private async _readWorkdirFile(path: string) {
+    try {
+      return (await this._options.fs.promises.readFile(`${this._options.dir}/${path}`, { encoding: 'utf8' })) as string;
+    } catch {
+      return undefined;
+    }
+  }
+}
@@ -3,6 +3,13 @@ import { toast } from 'react-toastify';
 import { ImportExportService } from '~/lib/services/importExportService';
 import { useIndexedDB } from '~/lib/hooks/useIndexedDB';
 import { generateId } from 'ai';
+import type { ProjectBundle } from '~/lib/persistence/bundle';
+import {
+  downloadProjectBundle,
+  importProjectBundle,
+  type ExportBundleOptions,
+  type ImportBundleOptions,
+} from '~/lib/persistence/projectBundles';
 
 interface UseDataOperationsProps {
   /**
@@ -475,6 +482,107 @@ export function useDataOperations({
     [db, showProgress],
   );
 
+  /**
+   * Export chats as project bundles, one zip per chat
+   * @param chatIds The IDs of the chats to export
+   * @param options What to include besides the chat, files and locks
+   */
+  const handleExportProjectBundles = useCallback(
+    async (chatIds: string[], options: ExportBundleOptions = {}) => {
+      if (!db) {
+        toast.error('Database not available', {
+          position: 'bottom-right',
+          autoClose: 3000,
+        });
+        return;
+      }
+
+      setIsExporting(true);
+      setProgressPercent(0);
+
+      try {
+        for (const [index, chatId] of chatIds.entries()) {
+          showProgress(
+            `Exporting bundle ${index + 1} of ${chatIds.length}`,
+            Math.round((index / chatIds.length) * 100),
+          );
+          await downloadProjectBundle(db, chatId, options);
+        }
+
+        toast.dismiss('progress-toast');
+
+        toast.success(
+          `${chatIds.length} project ${chatIds.length === 1 ? 'bundle' : 'bundles'} exported successfully`,
+          {
+            position: 'bottom-right',
+            autoClose: 3000,
+          },
+        );
+      } catch (error) {
+        console.error('Error exporting project bundles:', error);
+
+        toast.dismiss('progress-toast');
+
+        toast.error(`Failed to export project bundles: ${error instanceof Error ? error.message : 'Unknown error'}`, {
+          position: 'bottom-right',
+          autoClose: 3000,
+        });
+      } finally {
+        setIsExporting(false);
+        setProgressPercent(0);
+        setProgressMessage('');
+      }
+    },
+    [db, showProgress],
+  );
+
+  /**
+   * Import a project bundle as a chat
+   * @param bundle The bundle, as read by `readBundle`
+   * @param options What to do when the chat exists and whether to use the settings of the bundle
+   * @returns The URL ID of the imported chat
+   */
+  const handleImportProjectBundle = useCallback(
+    async (bundle: ProjectBundle, options: ImportBundleOptions = {}) => {
+      if (!db) {
+        toast.error('Database not available', {
+          position: 'bottom-right',
+          autoClose: 3000,
+        });
+        return undefined;
+      }
+
+      setIsImporting(true);
+
+      try {
+        const urlId = await importProjectBundle(db, bundle, options);
+
+        toast.success(`Imported "${bundle.chat.description || 'Untitled chat'}"`, {
+          position: 'bottom-right',
+          autoClose: 3000,
+        });
+
+        if (onReloadChats) {
+          onReloadChats();
+        }
+
+        return urlId;
+      } catch (error) {
+        console.error('Error importing project bundle:', error);
+
+        toast.error(`Failed to import project bundle: ${error instanceof Error ? error.message : 'Unknown error'}`, {
+          position: 'bottom-right',
+          autoClose: 3000,
+        });
+
+        return undefined;
+      } finally {
+        setIsImporting(false);
+      }
+    },
+    [db, onReloadChats],
+  );
+
   /**
    * Import settings from a JSON file
    * @param file The file to import
@@ -1230,6 +1338,8 @@ export function useDataOperations({
     handleExportSelectedChats,
     handleImportSettings,
     handleImportChats,
+    handleExportProjectBundles,
+    handleImportProjectBundle,
     handleImportAPIKeys,
     handleResetSettings,
     handleResetChats,
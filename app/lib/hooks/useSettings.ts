@@ -7,6 +7,14 @@ import {
   latestBranchStore,
   autoSelectStarterTemplate,
   enableContextOptimizationStore,
+  contextModeStore,
+  contextModeByChatStore,
+  fallbackChainStore,
+  retryPolicyStore,
+  autoFixStore,
+  customInstructionsStore,
+  mcpSettingsStore,
+  gitSettingsStore,
   tabConfigurationStore,
   updateTabConfiguration as updateTabConfig,
   resetTabConfiguration as resetTabConfig,
@@ -14,6 +22,13 @@ import {
   updateLatestBranch,
   updateAutoSelectTemplate,
   updateContextOptimization,
+  updateContextMode,
+  updateFallbackChain,
+  updateRetryPolicy,
+  updateAutoFix,
+  updateCustomInstructions,
+  updateMCPSettings,
+  updateGitSettings,
   updateEventLogs,
   updatePromptId,
 } from '~/lib/stores/settings';
@@ -23,6 +38,13 @@ import type { IProviderSetting, ProviderInfo, IProviderConfig } from '~/types/mo
 import type { TabWindowConfig, TabVisibilityConfig } from '~/components/@settings/core/types';
 import { logStore } from '~/lib/stores/logs';
 import { getLocalStorage, setLocalStorage } from '~/lib/persistence';
+import { chatId } from '~/lib/persistence/useChatHistory';
+import type { ContextMode } from '~/types/context';
+import type { ModelCandidate, RetryPolicy } from '~/lib/modules/llm/fallback';
+import type { AutoFixSettings } from '~/lib/runtime/verify';
+import type { CustomInstructionSettings } from '~/types/rules';
+import type { MCPSettings } from '~/lib/modules/mcp/types';
+import type { GitSettings } from '~/lib/git/repository';
 
 export interface Settings {
   theme: 'light' | 'dark' | 'system';
@@ -59,6 +81,20 @@ export interface UseSettingsReturn {
   setAutoSelectTemplate: (enabled: boolean) => void;
   contextOptimizationEnabled: boolean;
   enableContextOptimization: (enabled: boolean) => void;
+  contextMode: ContextMode;
+  setContextMode: (mode: ContextMode) => void;
+  fallbackChain: ModelCandidate[];
+  setFallbackChain: (chain: ModelCandidate[]) => void;
+  retryPolicy: RetryPolicy;
+  setRetryPolicy: (policy: Partial<RetryPolicy>) => void;
+  autoFix: AutoFixSettings;
+  setAutoFix: (settings: Partial<AutoFixSettings>) => void;
+  customInstructions: CustomInstructionSettings;
+  setCustomInstructions: (settings: Partial<CustomInstructionSettings>) => void;
+  mcpSettings: MCPSettings;
+  setMCPSettings: (settings: Partial<MCPSettings>) => void;
+  gitSettings: GitSettings;
+  setGitSettings: (settings: Partial<GitSettings>) => void;
 
   // Tab configuration
   tabConfiguration: TabWindowConfig;
@@ -80,6 +116,16 @@ export function useSettings(): UseSettingsReturn {
   const autoSelectTemplate = useStore(autoSelectStarterTemplate);
   const [activeProviders, setActiveProviders] = useState<ProviderInfo[]>([]);
   const contextOptimizationEnabled = useStore(enableContextOptimizationStore);
+  const currentChatId = useStore(chatId);
+  const defaultContextMode = useStore(contextModeStore);
+  const contextModeByChat = useStore(contextModeByChatStore);
+  const contextMode = (currentChatId && contextModeByChat[currentChatId]) || defaultContextMode;
+  const fallbackChain = useStore(fallbackChainStore);
+  const retryPolicy = useStore(retryPolicyStore);
+  const autoFix = useStore(autoFixStore);
+  const customInstructions = useStore(customInstructionsStore);
+  const mcpSettings = useStore(mcpSettingsStore);
+  const gitSettings = useStore(gitSettingsStore);
   const tabConfiguration = useStore(tabConfigurationStore);
   const [settings, setSettings] = useState<Settings>(() => {
     const storedSettings = getLocalStorage('settings');
@@ -145,6 +191,48 @@ export function useSettings(): UseSettingsReturn {
     logStore.logSystem(`Context optimization ${enabled ? 'enabled' : 'disabled'}`);
   }, []);
 
+  const setContextMode = useCallback((mode: ContextMode) => {
+    updateContextMode(mode, chatId.get());
+    logStore.logSystem(`Context selection mode set to ${mode}`);
+  }, []);
+
+  const setFallbackChain = useCallback((chain: ModelCandidate[]) => {
+    updateFallbackChain(chain);
+    logStore.logSystem(`Fallback chain updated: ${chain.map((x) => `${x.provider}/${x.model}`).join(', ') || 'empty'}`);
+  }, []);
+
+  const setRetryPolicy = useCallback((policy: Partial<RetryPolicy>) => {
+    updateRetryPolicy(policy);
+    logStore.logSystem('Retry policy updated', policy);
+  }, []);
+
+  const setAutoFix = useCallback((settings: Partial<AutoFixSettings>) => {
+    updateAutoFix(settings);
+    logStore.logSystem('Auto fix settings updated', settings);
+  }, []);
+
+  const setCustomInstructions = useCallback((settings: Partial<CustomInstructionSettings>) => {
+    updateCustomInstructions(settings);
+    logStore.logSystem('Custom instructions updated', {
+      projectRules: settings.projectRules,
+      maxTokens: settings.maxTokens,
+      templates: settings.templates?.length,
+    });
+  }, []);
+
+  const setMCPSettings = useCallback((settings: Partial<MCPSettings>) => {
+    updateMCPSettings(settings);
+    logStore.logSystem('MCP settings updated', {
+      servers: settings.servers?.map((server) => server.name),
+      maxSteps: settings.maxSteps,
+    });
+  }, []);
+
+  const setGitSettings = useCallback((settings: Partial<GitSettings>) => {
+    updateGitSettings(settings);
+    logStore.logSystem('Git settings updated', settings);
+  }, []);
+
   const setTheme = useCallback(
     (theme: Settings['theme']) => {
       saveSettings({ theme });
@@ -199,6 +287,20 @@ export function useSettings(): UseSettingsReturn {
     setAutoSelectTemplate,
     contextOptimizationEnabled,
     enableContextOptimization,
+    contextMode,
+    setContextMode,
+    fallbackChain,
+    setFallbackChain,
+    retryPolicy,
+    setRetryPolicy,
+    autoFix,
+    setAutoFix,
+    customInstructions,
+    setCustomInstructions,
+    mcpSettings,
+    setMCPSettings,
+    gitSettings,
+    setGitSettings,
     setTheme,
     setLanguage,
     setNotifications,
@@ -0,0 +1,85 @@
+import type {
+  DeployAction,
+  DeployBuildRequirements,
+  DeployHistoryEntry,
+  DeployConnectionField,
+  DeployProviderInfo,
+  DeployRequest,
+  DeployResult,
+  DeployStatus,
+  DeployTarget,
+  DeployUser,
+} from './types';
+
+export const COMMON_BUILD_DIRS = ['dist', 'build', 'out', 'output', '.next', 'public'];
+
+export abstract class BaseDeployProvider implements DeployProviderInfo {
+  abstract name: string;
+  abstract label: string;
+  abstract icon: string;
+  abstract connectionFields: DeployConnectionField[];
+
+  logoUrl?: string;
+
+  build: DeployBuildRequirements = { command: 'npm run build', outputDirs: COMMON_BUILD_DIRS };
+  runsOn: 'client' | 'server' = 'server';
+  getTokenLink?: string;
+
+  // only listed in development builds
+  devOnly = false;
+
+  // how often and how long `getStatus` is polled after a deploy
+  statusPollIntervalMs = 2000;
+  statusPollAttempts = 60;
+
+  /**
+   * Check the credentials and return the account they belong to. Throws when they are invalid.
+   */
+  abstract verifyConnection(credentials: Record<string, string>): Promise<DeployUser>;
+
+  /**
+   * Upload the build output. The result can still be in progress, `getStatus` is polled until it settles.
+   */
+  abstract deploy(request: DeployRequest): Promise<DeployResult>;
+
+  abstract getStatus(credentials: Record<string, string>, deploy: DeployResult): Promise<DeployStatus>;
+
+  /**
+   * Sites or projects of the connected account, shown in the connection settings
+   */
+  listTargets?(credentials: Record<string, string>): Promise<DeployTarget[]>;
+
+  // management actions offered in the connection settings, run with `runAction`
+  actions: DeployAction[] = [];
+
+  /**
+   * Recent deploys of a site or project, newest first
+   */
+  listDeploys?(credentials: Record<string, string>, targetId: string): Promise<DeployHistoryEntry[]>;
+
+  /**
+   * Run one of `actions` on a site or project, or on one of its deploys
+   */
+  runAction?(credentials: Record<string, string>, action: string, targetId: string, deployId?: string): Promise<void>;
+
+  /**
+   * localStorage key prefix of the site or project id each chat deploys to
+   */
+  get targetKeyPrefix() {
+    return `${this.name}-target-`;
+  }
+
+  isConnected(credentials: Record<string, string>) {
+    return this.connectionFields.every((field) => field.optional || credentials[field.key]);
+  }
+
+  protected requireCredential(credentials: Record<string, string>, key: string) {
+    const value = credentials[key];
+
+    if (!value) {
+      throw new Error(`Not connected to ${this.label}`);
+    }
+
+    return value;
+  }
+}
@@ -0,0 +1,139 @@
+import type { BaseDeployProvider } from './base-provider';
+import type {
+  DeployApiRequest,
+  DeployHistoryEntry,
+  DeployRequest,
+  DeployResult,
+  DeployStatus,
+  DeployTarget,
+  DeployUser,
+} from './types';
+
+/*
+ * Browser side entry points of a provider. Client providers are called directly, the others go
+ * through `/api/deploy` so tokens and uploads are not subject to CORS.
+ */
+
+async function callDeployApi<T>(body: DeployApiRequest): Promise<T> {
+  const response = await fetch('/api/deploy', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = (await response.json()) as T & { error?: string };
+
+  if (!response.ok) {
+    throw new Error(data.error || `Deploy request failed with status ${response.status}`);
+  }
+
+  return data;
+}
+
+export async function verifyDeployConnection(
+  provider: BaseDeployProvider,
+  credentials: Record<string, string>,
+): Promise<DeployUser> {
+  if (provider.runsOn === 'client') {
+    return provider.verifyConnection(credentials);
+  }
+
+  const { user } = await callDeployApi<{ user: DeployUser }>({
+    intent: 'verify',
+    provider: provider.name,
+    credentials,
+  });
+
+  return user;
+}
+
+export async function listDeployTargets(
+  provider: BaseDeployProvider,
+  credentials: Record<string, string>,
+): Promise<DeployTarget[]> {
+  if (!provider.listTargets) {
+    return [];
+  }
+
+  if (provider.runsOn === 'client') {
+    return provider.listTargets(credentials);
+  }
+
+  const { targets } = await callDeployApi<{ targets: DeployTarget[] }>({
+    intent: 'targets',
+    provider: provider.name,
+    credentials,
+  });
+
+  return targets;
+}
+
+export async function startDeploy(provider: BaseDeployProvider, request: DeployRequest): Promise<DeployResult> {
+  if (provider.runsOn === 'client') {
+    return provider.deploy(request);
+  }
+
+  const { deploy } = await callDeployApi<{ deploy: DeployResult }>({
+    intent: 'deploy',
+    provider: provider.name,
+    request,
+  });
+
+  return deploy;
+}
+
+export async function getDeployStatus(
+  provider: BaseDeployProvider,
+  credentials: Record<string, string>,
+  deploy: DeployResult,
+): Promise<DeployStatus> {
+  if (provider.runsOn === 'client') {
+    return provider.getStatus(credentials, deploy);
+  }
+
+  const { status } = await callDeployApi<{ status: DeployStatus }>({
+    intent: 'status',
+    provider: provider.name,
+    credentials,
+    deploy,
+  });
+
+  return status;
+}
+
+export async function listDeploys(
+  provider: BaseDeployProvider,
+  credentials: Record<string, string>,
+  targetId: string,
+): Promise<DeployHistoryEntry[]> {
+  if (!provider.listDeploys) {
+    return [];
+  }
+
+  if (provider.runsOn === 'client') {
+    return provider.listDeploys(credentials, targetId);
+  }
+
+  const { deploys } = await callDeployApi<{ deploys: DeployHistoryEntry[] }>({
+    intent: 'deploys',
+    provider: provider.name,
+    credentials,
+    targetId,
+  });
+
+  return deploys;
+}
+
+export async function runDeployAction(
+  provider: BaseDeployProvider,
+  credentials: Record<string, string>,
+  action: string,
+  targetId: string,
+  deployId?: string,
+): Promise<void> {
+  if (provider.runsOn === 'client') {
+    await provider.runAction?.(credentials, action, targetId, deployId);
+    return;
+  }
+
+  await callDeployApi({ intent: 'action', provider: provider.name, credentials, action, targetId, deployId });
+}
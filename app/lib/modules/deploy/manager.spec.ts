@@ -0,0 +1,165 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { DeployManager } from './manager';
+import type MockDeployProvider from './providers/mock';
+import NetlifyDeployProvider from './providers/netlify';
+import { decodeDeployFile, encodeDeployFile, pollDeployStatus } from './utils';
+import type { DeployStatus } from './types';
+
+describe('DeployManager', () => {
+  it('should register every provider from the registry', () => {
+    const manager = DeployManager.getInstance();
+
+    expect(manager.getAllProviders().map((provider) => provider.name)).toEqual([
+      'netlify',
+      'vercel',
+      'selfhost',
+      'mock',
+    ]);
+    expect(manager.getProvider('selfhost')?.runsOn).toBe('client');
+    expect(manager.getProvider('netlify')?.targetKeyPrefix).toBe('netlify-site-');
+    expect(manager.getProvider('mock')?.targetKeyPrefix).toBe('mock-target-');
+  });
+
+  it('should deploy to the mock provider and poll until it is ready', async () => {
+    const provider = DeployManager.getInstance().getProvider('mock') as MockDeployProvider;
+    provider.buildDurationMs = 20;
+
+    const credentials = { token: 'test' };
+    expect(provider.isConnected({})).toBe(false);
+    expect(await provider.verifyConnection(credentials)).toMatchObject({ name: 'Mock User' });
+
+    const deploy = await provider.deploy({
+      files: [encodeDeployFile('index.html', new TextEncoder().encode('<html></html>'))],
+      credentials,
+      chatId: '42',
+      projectName: 'demo',
+    });
+    const statuses: DeployStatus[] = [];
+    const status = await pollDeployStatus(deploy, (current) => provider.getStatus(credentials, current), {
+      intervalMs: 10,
+      maxAttempts: 20,
+      onStatus: (current) => statuses.push(current),
+    });
+
+    expect(statuses[0].state).toBe('building');
+    expect(status).toEqual({ state: 'ready', url: 'https://mock-site-42.example.com' });
+  });
+
+  it('should report a deploy that never settles as timed out', async () => {
+    const status = await pollDeployStatus(
+      { deployId: '1', targetId: '1', state: 'building' },
+      async () => ({ state: 'building' }),
+      { intervalMs: 1, maxAttempts: 3 },
+    );
+
+    expect(status).toEqual({ state: 'error', error: 'Deployment timed out' });
+  });
+});
+
+describe('NetlifyDeployProvider', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const deployWith = async (status: Record<string, unknown>) => {
+    const uploads: string[] = [];
+
+    vi.stubGlobal('fetch', async (url: string, init?: RequestInit) => {
+      if (init?.method === 'PUT') {
+        uploads.push(url.split('/files/')[1]);
+        return new Response('');
+      }
+
+      return Response.json(url.endsWith('/deploys') ? { id: 'deploy', ...status } : { id: 'site' });
+    });
+
+    const result = await new NetlifyDeployProvider().deploy({
+      files: [
+        encodeDeployFile('index.html', new TextEncoder().encode('<html></html>')),
+        encodeDeployFile('app.js', new TextEncoder().encode('console.log(1);')),
+      ],
+      credentials: { token: 'test' },
+      chatId: '42',
+      projectName: 'demo',
+      targetId: 'site',
+    });
+
+    return { result, uploads };
+  };
+
+  it('should only upload the files Netlify does not have yet', async () => {
+    // sha1 of `console.log(1);`
+    const { result, uploads } = await deployWith({
+      state: 'prepared',
+      required: ['2972476e78a4fa70fb92bc19e8191c736906cfdb'],
+    });
+
+    expect(result.state).toBe('building');
+    expect(uploads).toEqual(['app.js']);
+    expect((await deployWith({ state: 'prepared', required: [] })).uploads).toEqual([]);
+  });
+
+  it('should not upload anything to a deploy that is already ready', async () => {
+    const { result, uploads } = await deployWith({ state: 'ready', required: [], ssl_url: 'https://demo.netlify.app' });
+
+    expect(result).toEqual({ deployId: 'deploy', targetId: 'site', state: 'ready', url: 'https://demo.netlify.app' });
+    expect(uploads).toEqual([]);
+  });
+});
+
+describe('NetlifyDeployProvider actions', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should run site and deploy actions against the Netlify API', async () => {
+    const requests: string[] = [];
+
+    vi.stubGlobal('fetch', async (url: string, init?: RequestInit) => {
+      requests.push(`${init?.method ?? 'GET'} ${url.replace('https://api.netlify.com/api/v1', '')}`);
+      return url.includes('/deploys?')
+        ? Response.json([{ id: 'd1', state: 'ready', deploy_ssl_url: 'https://d1.netlify.app', locked: true }])
+        : new Response(null, { status: 204 });
+    });
+
+    const provider = new NetlifyDeployProvider();
+    const credentials = { token: 'test' };
+    const [deploy] = await provider.listDeploys(credentials, 'site');
+
+    expect(deploy).toEqual({
+      id: 'd1',
+      state: 'ready',
+      url: 'https://d1.netlify.app',
+      createdAt: undefined,
+      locked: true,
+    });
+    expect(
+      provider.actions
+        .filter((action) => action.on === 'deploy' && action.isAvailable?.(deploy) !== false)
+        .map(({ id }) => id),
+    ).toEqual(['publish', 'unlock']);
+
+    await provider.runAction(credentials, 'clear-cache', 'site');
+    await provider.runAction(credentials, 'unlock', 'site', 'd1');
+    await provider.runAction(credentials, 'delete', 'site');
+    await expect(provider.runAction(credentials, 'lock', 'site')).rejects.toThrow('Unknown Netlify action: lock');
+
+    expect(requests).toEqual([
+      'GET /sites/site/deploys?per_page=10',
+      'POST /sites/site/cache',
+      'POST /deploys/d1/unlock',
+      'DELETE /sites/site',
+    ]);
+  });
+});
+
+describe('encodeDeployFile', () => {
+  it('should send text as is and binary files as base64', () => {
+    const text = encodeDeployFile('index.html', new TextEncoder().encode('héllo'));
+    const binary = encodeDeployFile('logo.png', new Uint8Array([137, 80, 78, 71, 255]));
+
+    expect(text).toEqual({ path: 'index.html', content: 'héllo', isBinary: false });
+    expect(binary.isBinary).toBe(true);
+    expect(decodeDeployFile(binary)).toEqual(new Uint8Array([137, 80, 78, 71, 255]));
+  });
+});
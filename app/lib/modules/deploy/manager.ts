@@ -0,0 +1,50 @@
+import { BaseDeployProvider } from './base-provider';
+import * as providers from './registry';
+import { createScopedLogger } from '~/utils/logger';
+
+const logger = createScopedLogger('DeployManager');
+
+export class DeployManager {
+  private static _instance: DeployManager;
+  private _providers: Map<string, BaseDeployProvider> = new Map();
+
+  private constructor() {
+    this._registerProvidersFromRegistry();
+  }
+
+  static getInstance(): DeployManager {
+    if (!DeployManager._instance) {
+      DeployManager._instance = new DeployManager();
+    }
+
+    return DeployManager._instance;
+  }
+
+  private _registerProvidersFromRegistry() {
+    for (const exportedItem of Object.values(providers)) {
+      if (typeof exportedItem === 'function' && exportedItem.prototype instanceof BaseDeployProvider) {
+        this.registerProvider(new exportedItem());
+      }
+    }
+  }
+
+  registerProvider(provider: BaseDeployProvider) {
+    if (this._providers.has(provider.name)) {
+      logger.warn(`Deploy provider ${provider.name} is already registered. Skipping.`);
+      return;
+    }
+
+    this._providers.set(provider.name, provider);
+  }
+
+  getProvider(name: string): BaseDeployProvider | undefined {
+    return this._providers.get(name);
+  }
+
+  /**
+   * Providers offered in the UI, development only providers are left out of production builds
+   */
+  getAllProviders(): BaseDeployProvider[] {
+    return Array.from(this._providers.values()).filter((provider) => !provider.devOnly || import.meta.env.DEV);
+  }
+}
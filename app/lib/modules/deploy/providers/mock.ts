@@ -0,0 +1,52 @@
+import { BaseDeployProvider } from '~/lib/modules/deploy/base-provider';
+import type {
+  DeployConnectionField,
+  DeployRequest,
+  DeployResult,
+  DeployStatus,
+  DeployUser,
+} from '~/lib/modules/deploy/types';
+
+/**
+ * Offline provider for trying out the deploy flow. Accepts any token and reports a deploy as ready
+ * shortly after it started.
+ */
+export default class MockDeployProvider extends BaseDeployProvider {
+  name = 'mock';
+  label = 'Mock (offline)';
+  icon = 'i-ph:flask';
+  statusPollIntervalMs = 500;
+  devOnly = true;
+
+  connectionFields: DeployConnectionField[] = [
+    { key: 'token', label: 'Token', type: 'password', placeholder: 'Any value connects' },
+  ];
+
+  // how long a deploy stays in the building state, kept in the deploy id so status checks are stateless
+  buildDurationMs = 1500;
+
+  async verifyConnection(credentials: Record<string, string>): Promise<DeployUser> {
+    this.requireCredential(credentials, 'token');
+    return { name: 'Mock User', email: 'mock@example.com' };
+  }
+
+  async deploy({ credentials, files, chatId, targetId }: DeployRequest): Promise<DeployResult> {
+    this.requireCredential(credentials, 'token');
+
+    if (files.length === 0) {
+      throw new Error('Nothing to deploy');
+    }
+
+    return { deployId: `mock-${Date.now()}`, targetId: targetId ?? `mock-site-${chatId}`, state: 'building' };
+  }
+
+  async getStatus(_credentials: Record<string, string>, deploy: DeployResult): Promise<DeployStatus> {
+    const startedAt = Number(deploy.deployId.replace('mock-', ''));
+
+    if (Date.now() - startedAt < this.buildDurationMs) {
+      return { state: 'building' };
+    }
+
+    return { state: 'ready', url: `https://${deploy.targetId}.example.com` };
+  }
+}
@@ -0,0 +1,237 @@
+import { BaseDeployProvider } from '~/lib/modules/deploy/base-provider';
+import type {
+  DeployAction,
+  DeployConnectionField,
+  DeployFile,
+  DeployHistoryEntry,
+  DeployRequest,
+  DeployResult,
+  DeployState,
+  DeployStatus,
+  DeployTarget,
+  DeployUser,
+} from '~/lib/modules/deploy/types';
+import { decodeDeployFile } from '~/lib/modules/deploy/utils';
+
+const API_URL = 'https://api.netlify.com/api/v1';
+
+const DEPLOY_STATES: Record<string, DeployState> = { ready: 'ready', error: 'error', new: 'pending' };
+
+export default class NetlifyDeployProvider extends BaseDeployProvider {
+  name = 'netlify';
+  label = 'Netlify';
+  icon = 'i-ph:cloud-arrow-up';
+  logoUrl = 'https://cdn.simpleicons.org/netlify';
+  getTokenLink = 'https://app.netlify.com/user/applications#personal-access-tokens';
+  statusPollIntervalMs = 1000;
+
+  // site ids were stored under this key before deploy providers shared one store
+  get targetKeyPrefix() {
+    return 'netlify-site-';
+  }
+
+  connectionFields: DeployConnectionField[] = [
+    {
+      key: 'token',
+      label: 'Personal Access Token',
+      type: 'password',
+      placeholder: 'Enter your Netlify API token',
+      envKey: 'VITE_NETLIFY_ACCESS_TOKEN',
+    },
+  ];
+
+  actions: DeployAction[] = [
+    { id: 'clear-cache', label: 'Clear Cache', icon: 'i-ph:arrows-clockwise', on: 'target' },
+    {
+      id: 'delete',
+      label: 'Delete Site',
+      icon: 'i-ph:trash',
+      on: 'target',
+      confirm: 'Delete this site and all of its deploys?',
+    },
+    { id: 'publish', label: 'Publish', icon: 'i-ph:rocket-launch', on: 'deploy' },
+    { id: 'lock', label: 'Lock', icon: 'i-ph:lock', on: 'deploy', isAvailable: (deploy) => !deploy.locked },
+    { id: 'unlock', label: 'Unlock', icon: 'i-ph:lock-open', on: 'deploy', isAvailable: (deploy) => !!deploy.locked },
+  ];
+
+  async verifyConnection(credentials: Record<string, string>): Promise<DeployUser> {
+    const user = await this._request<any>(credentials, '/user');
+
+    return { name: user.full_name || user.email, email: user.email, avatarUrl: user.avatar_url };
+  }
+
+  async listTargets(credentials: Record<string, string>): Promise<DeployTarget[]> {
+    const sites = await this._request<any[]>(credentials, '/sites');
+
+    return sites.map((site) => ({
+      id: site.id,
+      name: site.name,
+      url: site.ssl_url || site.url,
+      updatedAt: site.updated_at,
+    }));
+  }
+
+  async deploy(request: DeployRequest): Promise<DeployResult> {
+    const { credentials, files } = request;
+    const siteId = await this._getOrCreateSite(request);
+
+    const digests: Record<string, string> = {};
+
+    for (const file of files) {
+      digests[`/${file.path}`] = await sha1Hex(decodeDeployFile(file));
+    }
+
+    const deploy = await this._request<any>(credentials, `/sites/${siteId}/deploys`, {
+      method: 'POST',
+      body: JSON.stringify({ files: digests, async: true, draft: false }),
+    });
+
+    // files can only be uploaded once Netlify has computed which digests it does not have yet
+    let status = deploy;
+
+    for (let attempt = 0; status.state !== 'prepared' && status.state !== 'ready'; attempt++) {
+      if (status.state === 'error') {
+        throw new Error(status.error_message || 'Deploy preparation failed');
+      }
+
+      if (attempt >= this.statusPollAttempts) {
+        throw new Error('Deploy preparation timed out');
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, this.statusPollIntervalMs));
+      status = await this._request<any>(credentials, `/deploys/${deploy.id}`);
+    }
+
+    // a deploy whose files Netlify already had all of is ready without any upload
+    if (status.state === 'ready') {
+      return { deployId: deploy.id, targetId: siteId, state: 'ready', url: status.ssl_url || status.url };
+    }
+
+    const required = new Set<string>(status.required ?? []);
+
+    for (const file of files) {
+      if (required.has(digests[`/${file.path}`])) {
+        await this._uploadFile(credentials, deploy.id, file);
+      }
+    }
+
+    return { deployId: deploy.id, targetId: siteId, state: 'building', url: status.ssl_url || status.url };
+  }
+
+  async getStatus(credentials: Record<string, string>, deploy: DeployResult): Promise<DeployStatus> {
+    const status = await this._request<any>(credentials, `/deploys/${deploy.deployId}`);
+
+    return {
+      state: DEPLOY_STATES[status.state] ?? 'building',
+      url: status.ssl_url || status.url,
+      error: status.error_message,
+    };
+  }
+
+  async listDeploys(credentials: Record<string, string>, targetId: string): Promise<DeployHistoryEntry[]> {
+    const deploys = await this._request<any[]>(credentials, `/sites/${targetId}/deploys?per_page=10`);
+
+    return deploys.map((deploy) => ({
+      id: deploy.id,
+      state: DEPLOY_STATES[deploy.state] ?? 'building',
+      url: deploy.deploy_ssl_url || deploy.deploy_url,
+      createdAt: deploy.created_at,
+      locked: !!deploy.locked,
+    }));
+  }
+
+  async runAction(credentials: Record<string, string>, action: string, targetId: string, deployId?: string) {
+    const requests: Record<string, [string, string]> = {
+      'clear-cache': ['POST', `/sites/${targetId}/cache`],
+      delete: ['DELETE', `/sites/${targetId}`],
+      publish: ['POST', `/sites/${targetId}/deploys/${deployId}/restore`],
+      lock: ['POST', `/deploys/${deployId}/lock`],
+      unlock: ['POST', `/deploys/${deployId}/unlock`],
+    };
+
+    if (!requests[action] || (!deployId && this.actions.find(({ id }) => id === action)?.on === 'deploy')) {
+      throw new Error(`Unknown Netlify action: ${action}`);
+    }
+
+    const [method, path] = requests[action];
+    const response = await this._fetch(credentials, path, { method });
+
+    if (!response.ok) {
+      throw await this._toError(response);
+    }
+  }
+
+  private async _getOrCreateSite({ credentials, targetId, chatId }: DeployRequest) {
+    if (targetId) {
+      const response = await this._fetch(credentials, `/sites/${targetId}`);
+
+      if (response.ok) {
+        return targetId;
+      }
+    }
+
+    const site = await this._request<any>(credentials, '/sites', {
+      method: 'POST',
+      body: JSON.stringify({ name: `bolt-diy-${chatId}-${Date.now()}`, custom_domain: null }),
+    });
+
+    return site.id as string;
+  }
+
+  private async _uploadFile(credentials: Record<string, string>, deployId: string, file: DeployFile) {
+    let lastError = '';
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        const response = await this._fetch(credentials, `/deploys/${deployId}/files/${file.path}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/octet-stream' },
+          body: decodeDeployFile(file),
+        });
+
+        if (response.ok) {
+          return;
+        }
+
+        lastError = await response.text();
+      } catch (error) {
+        lastError = error instanceof Error ? error.message : String(error);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+    }
+
+    throw new Error(`Failed to upload file ${file.path}: ${lastError}`);
+  }
+
+  private _fetch(credentials: Record<string, string>, path: string, init: RequestInit = {}) {
+    return fetch(`${API_URL}${path}`, {
+      ...init,
+      headers: {
+        Authorization: `Bearer ${this.requireCredential(credentials, 'token')}`,
+        'Content-Type': 'application/json',
+        ...init.headers,
+      },
+    });
+  }
+
+  private async _request<T>(credentials: Record<string, string>, path: string, init?: RequestInit): Promise<T> {
+    const response = await this._fetch(credentials, path, init);
+
+    if (!response.ok) {
+      throw await this._toError(response);
+    }
+
+    return (await response.json()) as T;
+  }
+
+  private async _toError(response: Response) {
+    const data = (await response.json().catch(() => ({}))) as any;
+    return new Error(`Netlify API error (${response.status}): ${data.message || response.statusText}`);
+  }
+}
+
+async function sha1Hex(data: Uint8Array) {
+  const digest = await crypto.subtle.digest('SHA-1', data);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
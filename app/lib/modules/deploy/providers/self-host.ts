@@ -0,0 +1,39 @@
+import fileSaver from 'file-saver';
+import { BaseDeployProvider } from '~/lib/modules/deploy/base-provider';
+import { createSelfHostBundle } from '~/lib/modules/deploy/self-host-bundle';
+import type { DeployRequest, DeployResult, DeployStatus, DeployUser } from '~/lib/modules/deploy/types';
+import { decodeDeployFile } from '~/lib/modules/deploy/utils';
+
+const { saveAs } = fileSaver;
+
+/**
+ * Downloads the build packaged with an nginx config and a Dockerfile instead of uploading it
+ */
+export default class SelfHostDeployProvider extends BaseDeployProvider {
+  name = 'selfhost';
+  label = 'Self-Host Bundle';
+  icon = 'i-ph:hard-drives';
+  runsOn = 'client' as const;
+  connectionFields = [];
+
+  async verifyConnection(): Promise<DeployUser> {
+    return { name: 'Local download' };
+  }
+
+  async deploy({ files, projectName, buildDirectory }: DeployRequest): Promise<DeployResult> {
+    const bundle = await createSelfHostBundle(
+      projectName,
+      buildDirectory ?? 'dist',
+      files.map((file) => ({ path: file.path, content: decodeDeployFile(file) })),
+    );
+    const fileName = `${projectName}-selfhost.zip`;
+
+    saveAs(await bundle.generateAsync({ type: 'blob' }), fileName);
+
+    return { deployId: fileName, targetId: projectName, state: 'ready' };
+  }
+
+  async getStatus(): Promise<DeployStatus> {
+    return { state: 'ready' };
+  }
+}
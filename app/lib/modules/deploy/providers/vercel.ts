@@ -0,0 +1,157 @@
+import { BaseDeployProvider } from '~/lib/modules/deploy/base-provider';
+import type {
+  DeployConnectionField,
+  DeployRequest,
+  DeployResult,
+  DeployState,
+  DeployStatus,
+  DeployTarget,
+  DeployUser,
+} from '~/lib/modules/deploy/types';
+
+const API_URL = 'https://api.vercel.com';
+
+export default class VercelDeployProvider extends BaseDeployProvider {
+  name = 'vercel';
+  label = 'Vercel';
+  icon = 'i-ph:triangle';
+  logoUrl = 'https://cdn.simpleicons.org/vercel/black/white';
+  getTokenLink = 'https://vercel.com/account/tokens';
+
+  // project ids were stored under this key before deploy providers shared one store
+  get targetKeyPrefix() {
+    return 'vercel-project-';
+  }
+
+  connectionFields: DeployConnectionField[] = [
+    {
+      key: 'token',
+      label: 'Personal Access Token',
+      type: 'password',
+      placeholder: 'Enter your Vercel personal access token',
+      envKey: 'VITE_VERCEL_ACCESS_TOKEN',
+    },
+  ];
+
+  async verifyConnection(credentials: Record<string, string>): Promise<DeployUser> {
+    const data = await this._request<any>(credentials, '/v2/user');
+    const user = data.user || data;
+
+    return {
+      name: user.name || user.username,
+      email: user.email,
+      avatarUrl: `https://vercel.com/api/www/avatar?u=${user.username}`,
+    };
+  }
+
+  async listTargets(credentials: Record<string, string>): Promise<DeployTarget[]> {
+    const data = await this._request<any>(credentials, '/v9/projects');
+
+    return (data.projects ?? []).map((project: any) => {
+      // prefer the clean production alias over team scoped `-projects.vercel.app` ones
+      const aliases: string[] = project.targets?.production?.alias ?? [];
+      const alias = aliases.find((a) => a.endsWith('.vercel.app') && !a.includes('-projects.vercel.app')) ?? aliases[0];
+
+      return {
+        id: project.id,
+        name: project.name,
+        url: `https://${alias ?? `${project.name}.vercel.app`}`,
+        updatedAt: project.updatedAt ? new Date(project.updatedAt).toISOString() : undefined,
+      };
+    });
+  }
+
+  async deploy(request: DeployRequest): Promise<DeployResult> {
+    const { credentials, files } = request;
+    const project = await this._getOrCreateProject(request);
+
+    const deployment = await this._request<any>(credentials, '/v13/deployments', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: project.name,
+        project: project.id,
+        target: 'production',
+        files: files.map((file) => ({
+          file: file.path,
+          data: file.content,
+          encoding: file.isBinary ? 'base64' : 'utf-8',
+        })),
+        routes: [{ src: '/(.*)', dest: '/$1' }],
+      }),
+    });
+
+    return {
+      deployId: deployment.id,
+      targetId: project.id,
+      state: toDeployState(deployment.readyState),
+
+      // the production domain of the project rather than the url of this deployment
+      url: `https://${project.name}.vercel.app`,
+    };
+  }
+
+  async getStatus(credentials: Record<string, string>, deploy: DeployResult): Promise<DeployStatus> {
+    const deployment = await this._request<any>(credentials, `/v13/deployments/${deploy.deployId}`);
+
+    return {
+      state: toDeployState(deployment.readyState),
+      url: deploy.url || (deployment.url ? `https://${deployment.url}` : undefined),
+      error: deployment.errorMessage,
+    };
+  }
+
+  private async _getOrCreateProject({ credentials, targetId, chatId }: DeployRequest) {
+    if (targetId) {
+      const response = await this._fetch(credentials, `/v9/projects/${targetId}`);
+
+      if (response.ok) {
+        const project = (await response.json()) as any;
+        return { id: project.id as string, name: project.name as string };
+      }
+    }
+
+    const project = await this._request<any>(credentials, '/v9/projects', {
+      method: 'POST',
+      body: JSON.stringify({ name: `bolt-diy-${chatId}-${Date.now()}`, framework: null }),
+    });
+
+    return { id: project.id as string, name: project.name as string };
+  }
+
+  private _fetch(credentials: Record<string, string>, path: string, init: RequestInit = {}) {
+    return fetch(`${API_URL}${path}`, {
+      ...init,
+      headers: {
+        Authorization: `Bearer ${this.requireCredential(credentials, 'token')}`,
+        'Content-Type': 'application/json',
+        ...init.headers,
+      },
+    });
+  }
+
+  private async _request<T>(credentials: Record<string, string>, path: string, init?: RequestInit): Promise<T> {
+    const response = await this._fetch(credentials, path, init);
+
+    if (!response.ok) {
+      const data = (await response.json().catch(() => ({}))) as any;
+      throw new Error(`Vercel API error (${response.status}): ${data.error?.message || response.statusText}`);
+    }
+
+    return (await response.json()) as T;
+  }
+}
+
+function toDeployState(readyState: string | undefined): DeployState {
+  switch (readyState) {
+    case 'READY':
+      return 'ready';
+    case 'ERROR':
+    case 'CANCELED':
+      return 'error';
+    case 'QUEUED':
+    case 'INITIALIZING':
+      return 'pending';
+    default:
+      return 'building';
+  }
+}
@@ -0,0 +1,6 @@
+import NetlifyDeployProvider from './providers/netlify';
+import VercelDeployProvider from './providers/vercel';
+import SelfHostDeployProvider from './providers/self-host';
+import MockDeployProvider from './providers/mock';
+
+export { NetlifyDeployProvider, VercelDeployProvider, SelfHostDeployProvider, MockDeployProvider };
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { createBundleManifest, createSelfHostBundle } from './self-host-bundle';
+
+const encode = (text: string) => new TextEncoder().encode(text);
+
+describe('createBundleManifest', () => {
+  it('should list every file with its size and SHA-256 hash, sorted by path', async () => {
+    const manifest = await createBundleManifest('demo', 'dist', [
+      { path: 'index.html', content: encode('hello') },
+      { path: 'assets/app.js', content: encode('') },
+    ]);
+
+    expect(manifest.files).toEqual([
+      {
+        path: 'assets/app.js',
+        size: 0,
+        sha256: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+      },
+      {
+        path: 'index.html',
+        size: 5,
+        sha256: '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824',
+      },
+    ]);
+  });
+});
+
+describe('createSelfHostBundle', () => {
+  it('should put the build under site/ next to the server config', async () => {
+    const zip = await createSelfHostBundle('demo', 'dist', [
+      { path: 'index.html', content: encode('<html></html>') },
+      { path: 'logo.png', content: new Uint8Array([137, 80, 78, 71]) },
+    ]);
+
+    expect(Object.keys(zip.files).filter((path) => !zip.files[path].dir)).toEqual([
+      'site/index.html',
+      'site/logo.png',
+      'manifest.json',
+      'nginx.conf',
+      'Dockerfile',
+      'README.md',
+    ]);
+    expect(await zip.file('site/logo.png')!.async('uint8array')).toEqual(new Uint8Array([137, 80, 78, 71]));
+    expect(await zip.file('Dockerfile')!.async('string')).toContain('COPY site/ /usr/share/nginx/html/');
+  });
+});
@@ -0,0 +1,124 @@
+import JSZip from 'jszip';
+
+export interface BundleFile {
+  // path relative to the build output directory, without a leading slash
+  path: string;
+  content: Uint8Array;
+}
+
+export interface BundleManifest {
+  name: string;
+  createdAt: string;
+  buildDirectory: string;
+  files: { path: string; size: number; sha256: string }[];
+}
+
+// the build output is copied here inside the archive and served from the nginx web root
+const SITE_DIRECTORY = 'site';
+
+export async function sha256Hex(data: Uint8Array): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * nginx server block for a static build. Unknown paths fall back to `index.html` so client
+ * side routing keeps working, fingerprinted assets are cached for a year.
+ */
+export function createNginxConfig(): string {
+  return `server {
+    listen 80;
+    server_name _;
+
+    root /usr/share/nginx/html;
+    index index.html;
+
+    gzip on;
+    gzip_types text/plain text/css application/javascript application/json image/svg+xml;
+
+    location /assets/ {
+        expires 1y;
+        add_header Cache-Control "public, immutable";
+        try_files $uri =404;
+    }
+
+    location / {
+        try_files $uri $uri/ /index.html;
+    }
+}
+`;
+}
+
+export function createDockerfile(): string {
+  return `FROM nginx:alpine
+COPY nginx.conf /etc/nginx/conf.d/default.conf
+COPY ${SITE_DIRECTORY}/ /usr/share/nginx/html/
+EXPOSE 80
+`;
+}
+
+function createReadme(name: string): string {
+  return `# ${name}
+
+Static production build, ready to serve from your own infrastructure.
+
+- \`${SITE_DIRECTORY}/\` the build output
+- \`nginx.conf\` server block serving \`${SITE_DIRECTORY}/\` with a fallback to \`index.html\`
+- \`Dockerfile\` nginx image with the build and the config above
+- \`manifest.json\` SHA-256 hash of every file in \`${SITE_DIRECTORY}/\`
+
+Run it with Docker:
+
+\`\`\`sh
+docker build -t ${name} .
+docker run -p 8080:80 ${name}
+\`\`\`
+
+Or copy \`${SITE_DIRECTORY}/\` to an existing web root and include \`nginx.conf\` in your nginx configuration.
+`;
+}
+
+/**
+ * List the files of a build with their size and hash, sorted by path
+ */
+export async function createBundleManifest(
+  name: string,
+  buildDirectory: string,
+  files: BundleFile[],
+): Promise<BundleManifest> {
+  const entries = await Promise.all(
+    files.map(async ({ path, content }) => ({ path, size: content.byteLength, sha256: await sha256Hex(content) })),
+  );
+
+  return {
+    name,
+    createdAt: new Date().toISOString(),
+    buildDirectory,
+    files: entries.sort((a, b) => a.path.localeCompare(b.path)),
+  };
+}
+
+/**
+ * Package a production build for self-hosting: the build output, an nginx config, a Dockerfile
+ * and a manifest of file hashes
+ * @param name The project name, used for the image name in the instructions
+ * @param buildDirectory The build output directory the files were read from, relative to the project
+ * @param files The files of the build output
+ */
+export async function createSelfHostBundle(name: string, buildDirectory: string, files: BundleFile[]): Promise<JSZip> {
+  const zip = new JSZip();
+  const site = zip.folder(SITE_DIRECTORY)!;
+
+  for (const { path, content } of files) {
+    site.file(path, content, { binary: true });
+  }
+
+  const manifest = await createBundleManifest(name, buildDirectory, files);
+
+  zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+  zip.file('nginx.conf', createNginxConfig());
+  zip.file('Dockerfile', createDockerfile());
+  zip.file('README.md', createReadme(name));
+
+  return zip;
+}
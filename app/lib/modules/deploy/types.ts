@@ -0,0 +1,133 @@
+export interface DeployConnectionField {
+  key: string;
+  label: string;
+  type: 'text' | 'password';
+  placeholder?: string;
+  optional?: boolean;
+
+  // Vite env variable that connects the provider without entering the field
+  envKey?: string;
+}
+
+export interface DeployUser {
+  name: string;
+  email?: string;
+  avatarUrl?: string;
+}
+
+export interface DeployConnection {
+  user: DeployUser | null;
+  credentials: Record<string, string>;
+}
+
+export interface DeployBuildRequirements {
+  // command run in the WebContainer before deploying
+  command: string;
+
+  // directories probed for the build output, in order
+  outputDirs: string[];
+}
+
+export interface DeployFile {
+  // path relative to the build output directory, without a leading slash
+  path: string;
+  content: string;
+
+  // binary files are base64 encoded
+  isBinary: boolean;
+}
+
+export interface DeployRequest {
+  files: DeployFile[];
+  credentials: Record<string, string>;
+  chatId: string;
+  projectName: string;
+
+  // site or project created by an earlier deploy of this chat
+  targetId?: string;
+
+  // build output directory the files were read from, relative to the project
+  buildDirectory?: string;
+}
+
+export type DeployState = 'pending' | 'building' | 'ready' | 'error';
+
+export interface DeployResult {
+  deployId: string;
+  targetId: string;
+  state: DeployState;
+  url?: string;
+}
+
+export interface DeployStatus {
+  state: DeployState;
+  url?: string;
+  error?: string;
+}
+
+export interface DeployTarget {
+  id: string;
+  name: string;
+  url?: string;
+  updatedAt?: string;
+}
+
+/**
+ * An earlier deploy of a site or project, listed so actions can run on it
+ */
+export interface DeployHistoryEntry {
+  id: string;
+  state: DeployState;
+  url?: string;
+  createdAt?: string;
+
+  // a locked deploy stays published when newer ones finish
+  locked?: boolean;
+}
+
+/**
+ * A management action a provider offers on a site or project, or on one of its deploys
+ */
+export interface DeployAction {
+  id: string;
+  label: string;
+  icon: string;
+  on: 'target' | 'deploy';
+
+  // asked before the action runs, for actions that can't be undone
+  confirm?: string;
+
+  // whether the action applies to a deploy, all deploys when left out
+  isAvailable?: (deploy: DeployHistoryEntry) => boolean;
+}
+
+export interface DeployProviderInfo {
+  name: string;
+  label: string;
+  icon: string;
+
+  // brand logo shown instead of the icon where available
+  logoUrl?: string;
+  connectionFields: DeployConnectionField[];
+  build: DeployBuildRequirements;
+
+  // client providers deploy from the browser, the others through `/api/deploy`
+  runsOn: 'client' | 'server';
+  getTokenLink?: string;
+}
+
+// body of a `/api/deploy` request
+export type DeployApiRequest =
+  | { intent: 'verify'; provider: string; credentials: Record<string, string> }
+  | { intent: 'targets'; provider: string; credentials: Record<string, string> }
+  | { intent: 'deploy'; provider: string; request: DeployRequest }
+  | { intent: 'status'; provider: string; credentials: Record<string, string>; deploy: DeployResult }
+  | { intent: 'deploys'; provider: string; credentials: Record<string, string>; targetId: string }
+  | {
+      intent: 'action';
+      provider: string;
+      credentials: Record<string, string>;
+      action: string;
+      targetId: string;
+      deployId?: string;
+    };
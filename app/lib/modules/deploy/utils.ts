@@ -0,0 +1,61 @@
+import type { DeployFile, DeployResult, DeployStatus } from './types';
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Wrap file bytes for the deploy request body. Valid UTF-8 is sent as text, anything else as base64.
+ */
+export function encodeDeployFile(path: string, content: Uint8Array): DeployFile {
+  try {
+    return { path, content: utf8Decoder.decode(content), isBinary: false };
+  } catch {
+    let binary = '';
+
+    for (let i = 0; i < content.length; i += 0x8000) {
+      binary += String.fromCharCode(...content.subarray(i, i + 0x8000));
+    }
+
+    return { path, content: btoa(binary), isBinary: true };
+  }
+}
+
+export function decodeDeployFile(file: DeployFile): Uint8Array {
+  if (!file.isBinary) {
+    return new TextEncoder().encode(file.content);
+  }
+
+  return Uint8Array.from(atob(file.content), (char) => char.charCodeAt(0));
+}
+
+export interface PollDeployStatusOptions {
+  intervalMs: number;
+  maxAttempts: number;
+  onStatus?: (status: DeployStatus) => void;
+}
+
+/**
+ * Poll a deploy until it is ready or failed. Resolves with the last status, a deploy that is still
+ * in progress after `maxAttempts` is reported as an error.
+ */
+export async function pollDeployStatus(
+  deploy: DeployResult,
+  getStatus: (deploy: DeployResult) => Promise<DeployStatus>,
+  { intervalMs, maxAttempts, onStatus }: PollDeployStatusOptions,
+): Promise<DeployStatus> {
+  if (deploy.state === 'ready' || deploy.state === 'error') {
+    return { state: deploy.state, url: deploy.url };
+  }
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const status = await getStatus(deploy);
+    onStatus?.(status);
+
+    if (status.state === 'ready' || status.state === 'error') {
+      return status;
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+
+  return { state: 'error', error: 'Deployment timed out' };
+}
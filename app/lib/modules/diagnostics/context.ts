@@ -0,0 +1,40 @@
+import type { DiagnosticEntry } from './types';
+
+// matches the block `formatDiagnostics` adds to a user message, it is hidden when the message is shown
+export const PREVIEW_DIAGNOSTICS_REGEX = /<preview_diagnostics>[\s\S]*?<\/preview_diagnostics>\s*/g;
+
+const describe = (entry: DiagnosticEntry) => {
+  const lines = [`[${entry.kind}:${entry.level}] ${entry.message}${entry.count > 1 ? ` (x${entry.count})` : ''}`];
+
+  lines.push(`Page: ${entry.page}`);
+
+  if (entry.request) {
+    const { method, url, status, duration } = entry.request;
+    lines.push(`Request: ${method} ${url} -> ${status ?? 'no response'} in ${duration}ms`);
+  }
+
+  if (entry.stack) {
+    lines.push(`Stack trace:\n${entry.stack}`);
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Entries of the preview console as context for the next user message, oldest first
+ */
+export function formatDiagnostics(entries: DiagnosticEntry[]) {
+  if (entries.length === 0) {
+    return '';
+  }
+
+  const sorted = [...entries].sort((a, b) => a.timestamp - b.timestamp);
+
+  return `<preview_diagnostics>
+The user attached these entries from the console of the running preview:
+
+${sorted.map(describe).join('\n\n')}
+</preview_diagnostics>
+
+`;
+}
@@ -0,0 +1,260 @@
+import { resolveStack } from './stack';
+import { DIAGNOSTICS_SOURCE, type DiagnosticLevel, type DiagnosticMessage, type DiagnosticReport } from './types';
+
+/**
+ * Reports console output, uncaught errors, the dev server error overlay and failed requests of the page to the
+ * window embedding the preview. Injected as source like `resolveStack`, it must only use its arguments.
+ */
+function instrumentPreview(source: typeof DIAGNOSTICS_SOURCE, resolve: typeof resolveStack) {
+  const target = window.parent !== window ? window.parent : window.opener;
+
+  if (!target || (window as { __boltDiagnostics?: boolean }).__boltDiagnostics) {
+    return;
+  }
+
+  (window as { __boltDiagnostics?: boolean }).__boltDiagnostics = true;
+
+  const MAX_LENGTH = 4000;
+  const originalFetch = window.fetch.bind(window);
+  const scripts = new Map<string, Promise<string | undefined>>();
+  let reporting = false;
+
+  const load = (url: string) => {
+    if (!scripts.has(url)) {
+      scripts.set(
+        url,
+        originalFetch(url)
+          .then((response) => (response.ok ? response.text() : undefined))
+          .catch(() => undefined),
+      );
+    }
+
+    return scripts.get(url)!;
+  };
+
+  const stringify = (value: unknown): string => {
+    if (typeof value === 'string') {
+      return value;
+    }
+
+    if (value instanceof Error) {
+      return `${value.name}: ${value.message}`;
+    }
+
+    if (typeof value === 'function') {
+      return `[Function ${value.name || 'anonymous'}]`;
+    }
+
+    if (typeof Node !== 'undefined' && value instanceof Node) {
+      return value instanceof Element ? `<${value.tagName.toLowerCase()}>` : value.nodeName;
+    }
+
+    if (typeof value !== 'object' || value === null) {
+      return String(value);
+    }
+
+    const seen = new WeakSet<object>();
+
+    try {
+      return JSON.stringify(value, (_key, nested) => {
+        if (typeof nested === 'object' && nested !== null) {
+          if (seen.has(nested)) {
+            return '[Circular]';
+          }
+
+          seen.add(nested);
+        }
+
+        return typeof nested === 'bigint' || typeof nested === 'function' ? String(nested) : nested;
+      });
+    } catch {
+      return Object.prototype.toString.call(value);
+    }
+  };
+
+  const report = (entry: Omit<DiagnosticReport, 'page' | 'timestamp'>) => {
+    const page = location.pathname + location.search + location.hash;
+    const timestamp = Date.now();
+    const message = entry.message.length > MAX_LENGTH ? `${entry.message.slice(0, MAX_LENGTH)}...` : entry.message;
+
+    (entry.stack ? resolve(entry.stack, load).catch(() => entry.stack) : Promise.resolve(undefined)).then((stack) => {
+      const data: DiagnosticMessage = { source, report: { ...entry, message, stack, page, timestamp } };
+      target.postMessage(data, '*');
+    });
+  };
+
+  const levels: DiagnosticLevel[] = ['log', 'info', 'warn', 'error', 'debug'];
+
+  for (const level of levels) {
+    const original = console[level];
+
+    console[level] = (...args: unknown[]) => {
+      original.apply(console, args);
+
+      // whatever reporting logs itself must not be reported again
+      if (reporting) {
+        return;
+      }
+
+      reporting = true;
+
+      try {
+        const error = args.find((arg): arg is Error => arg instanceof Error);
+        report({ kind: 'console', level, message: args.map(stringify).join(' '), stack: error?.stack });
+      } finally {
+        reporting = false;
+      }
+    };
+  }
+
+  window.addEventListener(
+    'error',
+    (event) => {
+      const element = event.target;
+
+      // resources that failed to load, their error events do not bubble
+      if (element instanceof HTMLElement && element !== document.documentElement) {
+        const url = (element as HTMLImageElement).src || (element as HTMLLinkElement).href;
+        report({
+          kind: 'network',
+          level: 'error',
+          message: `Failed to load ${element.tagName.toLowerCase()} ${url}`,
+          request: { method: 'GET', url, duration: 0 },
+        });
+
+        return;
+      }
+
+      report({
+        kind: 'exception',
+        level: 'error',
+        message: event.message,
+        stack: event.error?.stack ?? `    at ${event.filename}:${event.lineno}:${event.colno}`,
+      });
+    },
+    true,
+  );
+
+  window.addEventListener('unhandledrejection', (event) => {
+    const reason = event.reason;
+
+    report({
+      kind: 'rejection',
+      level: 'error',
+      message: reason instanceof Error ? `${reason.name}: ${reason.message}` : stringify(reason),
+      stack: reason instanceof Error ? reason.stack : undefined,
+    });
+  });
+
+  const reportRequest = (
+    method: string,
+    url: string,
+    started: number,
+    response?: { status: number; statusText: string },
+    error?: unknown,
+  ) => {
+    report({
+      kind: 'network',
+      level: 'error',
+      message: response
+        ? `${method} ${url} ${response.status} ${response.statusText}`.trim()
+        : `${method} ${url} failed${error ? `: ${stringify(error)}` : ''}`,
+      request: {
+        method,
+        url,
+        status: response?.status,
+        statusText: response?.statusText,
+        duration: Math.round(performance.now() - started),
+      },
+    });
+  };
+
+  window.fetch = async (input, init) => {
+    const request = input instanceof Request ? input : undefined;
+    const method = (init?.method ?? request?.method ?? 'GET').toUpperCase();
+    const url = new URL(request?.url ?? String(input), location.href).href;
+    const started = performance.now();
+
+    try {
+      const response = await originalFetch(input, init);
+
+      if (!response.ok) {
+        reportRequest(method, url, started, response);
+      }
+
+      return response;
+    } catch (error) {
+      if (!(error instanceof DOMException && error.name === 'AbortError')) {
+        reportRequest(method, url, started, undefined, error);
+      }
+
+      throw error;
+    }
+  };
+
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+  const requests = new WeakMap<XMLHttpRequest, { method: string; url: string }>();
+
+  XMLHttpRequest.prototype.open = function (this: XMLHttpRequest, ...args: unknown[]) {
+    requests.set(this, { method: String(args[0]).toUpperCase(), url: new URL(String(args[1]), location.href).href });
+
+    return (originalOpen as (...args: unknown[]) => void).apply(this, args);
+  } as typeof XMLHttpRequest.prototype.open;
+
+  XMLHttpRequest.prototype.send = function (this: XMLHttpRequest, body) {
+    const request = requests.get(this);
+    const started = performance.now();
+    let aborted = false;
+
+    this.addEventListener('abort', () => (aborted = true));
+    this.addEventListener('loadend', () => {
+      if (request && !aborted && (this.status === 0 || this.status >= 400)) {
+        reportRequest(
+          request.method,
+          request.url,
+          started,
+          this.status ? { status: this.status, statusText: this.statusText } : undefined,
+        );
+      }
+    });
+
+    return originalSend.call(this, body);
+  };
+
+  // the overlay is a custom element with an open shadow root, added to the body on compile and render errors
+  const reportOverlay = (overlay: Element) => {
+    const text = (selector: string) => overlay.shadowRoot?.querySelector(selector)?.textContent?.trim() ?? '';
+    const file = text('.file');
+
+    report({
+      kind: 'overlay',
+      level: 'error',
+      message: [text('.message-body') || 'Error overlay shown', file && `at ${file}`, text('.frame')]
+        .filter(Boolean)
+        .join('\n'),
+      stack: text('.stack') || undefined,
+    });
+  };
+
+  const observeOverlays = () => {
+    new MutationObserver((mutations) => {
+      for (const mutation of mutations) {
+        mutation.addedNodes.forEach((node) => {
+          if (node instanceof Element && node.tagName.toLowerCase() === 'vite-error-overlay') {
+            // the overlay fills its shadow root once connected
+            requestAnimationFrame(() => reportOverlay(node));
+          }
+        });
+      }
+    }).observe(document.body, { childList: true });
+  };
+
+  if (document.body) {
+    observeOverlays();
+  } else {
+    document.addEventListener('DOMContentLoaded', observeOverlays);
+  }
+}
+
+export const PREVIEW_INSTRUMENTATION_SCRIPT = `(${instrumentPreview})(${JSON.stringify(DIAGNOSTICS_SOURCE)}, ${resolveStack});`;
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { PREVIEW_INSTRUMENTATION_SCRIPT } from './instrumentation';
+import { resolveStack } from './stack';
+
+const ORIGIN = 'https://abc--5173--123.local-credentialless.webcontainer-api.io';
+
+const inlineMap = (map: object) =>
+  `//# sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`;
+
+const SCRIPTS: Record<string, string> = {
+  // line 3 maps to line 10 column 5 of App.tsx, from column 7 on to line 11 column 7
+  [`${ORIGIN}/src/App.tsx?t=1`]: `a;\nb;\nthrow new Error();\n${inlineMap({
+    version: 3,
+    sources: ['App.tsx'],
+    mappings: ';;AASI,MACE',
+  })}`,
+  [`${ORIGIN}/assets/index.js`]: 'main();\n//# sourceMappingURL=index.js.map',
+  [`${ORIGIN}/assets/index.js.map`]: JSON.stringify({ version: 3, sources: ['../src/main.ts'], mappings: 'AAAA' }),
+};
+
+const load = async (url: string) => SCRIPTS[url];
+
+describe('resolveStack', () => {
+  it('should map frames through inline and linked source maps', async () => {
+    const stack = [
+      'Error: boom',
+      `    at App (${ORIGIN}/src/App.tsx?t=1:3:1)`,
+      `    at render (${ORIGIN}/src/App.tsx?t=1:3:8)`,
+      `main@${ORIGIN}/assets/index.js:1:5`,
+    ].join('\n');
+
+    expect(await resolveStack(stack, load)).toBe(
+      [
+        'Error: boom',
+        '    at App (/src/App.tsx:10:5)',
+        '    at render (/src/App.tsx:11:7)',
+        'main@/src/main.ts:1:1',
+      ].join('\n'),
+    );
+  });
+
+  it('should keep frames without a source map as they are', async () => {
+    const stack = `    at chunk (${ORIGIN}/node_modules/.vite/deps/react.js:12:3)\n    at native`;
+
+    expect(await resolveStack(stack, load)).toBe(stack);
+  });
+
+  it('should be injectable as source on its own', () => {
+    // functions referencing anything outside their body would fail once the script runs in the preview
+    expect(() => new Function(PREVIEW_INSTRUMENTATION_SCRIPT)).not.toThrow();
+    expect(new Function(`return ${resolveStack}`)()).toBeTypeOf('function');
+  });
+});
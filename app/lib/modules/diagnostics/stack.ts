@@ -0,0 +1,118 @@
+/**
+ * Map the frames of a stack trace back to the original sources, through the source maps of the scripts they
+ * point at. Frames that cannot be mapped stay as they are.
+ *
+ * This runs inside the preview, where the scripts can be fetched, so it must not use anything from outside
+ * its own body: it is injected as source.
+ */
+export async function resolveStack(stack: string, load: (url: string) => Promise<string | undefined>) {
+  const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+  interface SourceMap {
+    sources: string[];
+    sourceRoot?: string;
+    mappings: string;
+  }
+
+  const maps = new Map<string, Promise<{ map: SourceMap; url: string } | undefined>>();
+
+  const readMap = async (url: string) => {
+    const script = await load(url);
+    const reference = script?.match(/\/\/[#@] sourceMappingURL=(\S+)\s*$/)?.[1];
+
+    if (!reference) {
+      return undefined;
+    }
+
+    if (reference.startsWith('data:')) {
+      const bytes = Uint8Array.from(atob(reference.slice(reference.indexOf(',') + 1)), (char) => char.charCodeAt(0));
+      return { map: JSON.parse(new TextDecoder().decode(bytes)) as SourceMap, url };
+    }
+
+    const mapUrl = new URL(reference, url).href;
+    const text = await load(mapUrl);
+
+    return text ? { map: JSON.parse(text) as SourceMap, url: mapUrl } : undefined;
+  };
+
+  // original position of a 0-based generated position, the mappings are only decoded up to its line
+  const lookup = (mappings: string, line: number, column: number) => {
+    let source = 0;
+    let originalLine = 0;
+    let originalColumn = 0;
+    let found: [number, number, number] | undefined;
+    const lines = mappings.split(';');
+
+    for (let index = 0; index <= line && index < lines.length; index++) {
+      let generatedColumn = 0;
+
+      for (const segment of lines[index].split(',')) {
+        const values: number[] = [];
+        let value = 0;
+        let shift = 0;
+
+        for (const char of segment) {
+          const digit = BASE64.indexOf(char);
+          value += (digit & 31) << shift;
+
+          if (digit & 32) {
+            shift += 5;
+          } else {
+            values.push(value & 1 ? -(value >> 1) : value >> 1);
+            value = 0;
+            shift = 0;
+          }
+        }
+
+        if (values.length === 0) {
+          continue;
+        }
+
+        generatedColumn += values[0];
+
+        if (values.length >= 4) {
+          source += values[1];
+          originalLine += values[2];
+          originalColumn += values[3];
+
+          if (index === line && generatedColumn <= column) {
+            found = [source, originalLine, originalColumn];
+          }
+        }
+      }
+    }
+
+    return found;
+  };
+
+  const resolveFrame = async (url: string, line: number, column: number) => {
+    if (!maps.has(url)) {
+      maps.set(
+        url,
+        readMap(url).catch(() => undefined),
+      );
+    }
+
+    const entry = await maps.get(url);
+    const position = entry && lookup(entry.map.mappings, line - 1, column - 1);
+
+    if (!entry || !position || !entry.map.sources[position[0]]) {
+      return undefined;
+    }
+
+    const source = (entry.map.sourceRoot ?? '') + entry.map.sources[position[0]];
+    const path = source.startsWith('/') ? source : new URL(source, entry.url).pathname;
+
+    return `${path}:${position[1] + 1}:${position[2] + 1}`;
+  };
+
+  const FRAME_REGEX = /(https?:\/\/[^\s()@]+?):(\d+):(\d+)/g;
+  const frames = [...stack.matchAll(FRAME_REGEX)];
+  const resolved = await Promise.all(
+    frames.map(([, url, line, column]) => resolveFrame(url, Number(line), Number(column))),
+  );
+
+  let index = 0;
+
+  return stack.replace(FRAME_REGEX, (match) => resolved[index++] ?? match);
+}
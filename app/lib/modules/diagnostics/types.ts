@@ -0,0 +1,52 @@
+// tags the messages the instrumentation script posts, previews post messages of their own too
+export const DIAGNOSTICS_SOURCE = 'bolt-preview-diagnostics';
+
+export type DiagnosticLevel = 'log' | 'info' | 'warn' | 'error' | 'debug';
+
+/**
+ * `overlay` is the error overlay of the dev server, shown for compile and render errors
+ */
+export type DiagnosticKind = 'console' | 'exception' | 'rejection' | 'overlay' | 'network';
+
+export interface DiagnosticRequest {
+  method: string;
+  url: string;
+
+  // missing when the request failed without a response
+  status?: number;
+  statusText?: string;
+  duration: number;
+}
+
+/**
+ * What the instrumentation script reports, stack traces are already source mapped
+ */
+export interface DiagnosticReport {
+  kind: DiagnosticKind;
+  level: DiagnosticLevel;
+  message: string;
+  stack?: string;
+  request?: DiagnosticRequest;
+
+  // path of the page that reported it
+  page: string;
+  timestamp: number;
+}
+
+export interface DiagnosticEntry extends DiagnosticReport {
+  id: string;
+
+  // repeats of the same report in a row are counted on the first one
+  count: number;
+}
+
+export interface DiagnosticMessage {
+  source: typeof DIAGNOSTICS_SOURCE;
+  report: DiagnosticReport;
+}
+
+export const isDiagnosticMessage = (data: unknown): data is DiagnosticMessage =>
+  typeof data === 'object' &&
+  data !== null &&
+  (data as DiagnosticMessage).source === DIAGNOSTICS_SOURCE &&
+  typeof (data as DiagnosticMessage).report?.message === 'string';
@@ -1,4 +1,4 @@
-import type { LanguageModelV1 } from 'ai';
+import type { EmbeddingModel, LanguageModelV1 } from 'ai';
 import type { ProviderInfo, ProviderConfig, ModelInfo } from './types';
 import type { IProviderSetting } from '~/types/model';
 import { createOpenAI } from '@ai-sdk/openai';
@@ -115,6 +115,14 @@ export abstract class BaseProvider implements ProviderInfo {
     apiKeys?: Record<string, string>;
     providerSettings?: Record<string, IProviderSetting>;
   }): LanguageModelV1;
+
+  // Declare the optional getEmbeddingModelInstance method, only providers that serve embedding models implement it
+  getEmbeddingModelInstance?(options: {
+    model?: string;
+    serverEnv?: Env;
+    apiKeys?: Record<string, string>;
+    providerSettings?: Record<string, IProviderSetting>;
+  }): EmbeddingModel<string>;
 }
 
 type OptionalApiKey = string | undefined;
@@ -0,0 +1,41 @@
+import { APICallError } from 'ai';
+import { describe, expect, it } from 'vitest';
+import { classifyLLMError, DEFAULT_RETRY_POLICY, getRetryDelay, isRetriableError } from './fallback';
+
+const apiError = (statusCode: number) =>
+  new APICallError({
+    message: `status ${statusCode}`,
+    url: 'https://api.example.com/v1/chat',
+    requestBodyValues: {},
+    statusCode,
+  });
+
+describe('classifyLLMError', () => {
+  it('should classify API errors by status code', () => {
+    expect(classifyLLMError(apiError(429))).toBe('rate_limit');
+    expect(classifyLLMError(apiError(503))).toBe('server');
+    expect(classifyLLMError(apiError(401))).toBe('auth');
+    expect(classifyLLMError(apiError(400))).toBe('other');
+  });
+
+  it('should classify network failures and errors reported inside a stream', () => {
+    expect(classifyLLMError(new TypeError('fetch failed'))).toBe('network');
+    expect(classifyLLMError({ type: 'overloaded_error', message: 'Overloaded' })).toBe('server');
+    expect(classifyLLMError(new Error('Missing API key for OpenAI provider'))).toBe('auth');
+    expect(classifyLLMError(new Error('Invalid prompt'))).toBe('other');
+  });
+
+  it('should only retry the configured error classes', () => {
+    expect(isRetriableError(apiError(429), DEFAULT_RETRY_POLICY)).toBe(true);
+    expect(isRetriableError(apiError(401), DEFAULT_RETRY_POLICY)).toBe(false);
+    expect(isRetriableError(apiError(429), { ...DEFAULT_RETRY_POLICY, retryOn: ['server'] })).toBe(false);
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('should back off exponentially up to the maximum delay', () => {
+    const policy = { ...DEFAULT_RETRY_POLICY, initialDelayMs: 1000, backoffFactor: 2, maxDelayMs: 5000 };
+
+    expect([1, 2, 3, 4].map((attempt) => getRetryDelay(policy, attempt))).toEqual([1000, 2000, 4000, 5000]);
+  });
+});
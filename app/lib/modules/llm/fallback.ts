@@ -0,0 +1,102 @@
+import { APICallError, RetryError } from 'ai';
+
+export interface ModelCandidate {
+  provider: string;
+  model: string;
+}
+
+export type LLMErrorClass = 'rate_limit' | 'server' | 'network' | 'auth' | 'other';
+
+export interface RetryPolicy {
+  // attempts per model before moving on to the next one in the chain
+  maxAttempts: number;
+  initialDelayMs: number;
+  maxDelayMs: number;
+  backoffFactor: number;
+  retryOn: Exclude<LLMErrorClass, 'other'>[];
+}
+
+export interface FallbackOptions {
+  chain: ModelCandidate[];
+  retryPolicy: RetryPolicy;
+}
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  maxAttempts: 2,
+  initialDelayMs: 1000,
+  maxDelayMs: 10000,
+  backoffFactor: 2,
+  retryOn: ['rate_limit', 'server', 'network'],
+};
+
+const NETWORK_ERROR_PATTERN =
+  /fetch failed|network|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|terminated/i;
+
+export function classifyLLMError(error: unknown): LLMErrorClass {
+  // the SDK wraps the errors of its own retries, the last one is what matters
+  if (RetryError.isInstance(error)) {
+    return classifyLLMError(error.lastError);
+  }
+
+  if (APICallError.isInstance(error) && error.statusCode !== undefined) {
+    const status = error.statusCode;
+
+    if (status === 429) {
+      return 'rate_limit';
+    }
+
+    if (status === 401 || status === 403) {
+      return 'auth';
+    }
+
+    if (status >= 500 || status === 408) {
+      return 'server';
+    }
+
+    return 'other';
+  }
+
+  // errors reported inside a stream are often plain objects, e.g. `{ type: 'overloaded_error', message }`
+  const details =
+    error && typeof error === 'object' ? (error as { name?: string; type?: string; message?: string }) : {};
+  const message = details.message ? `${details.name ?? details.type ?? ''} ${details.message}` : String(error);
+
+  if (/missing api key|invalid api key|unauthorized/i.test(message)) {
+    return 'auth';
+  }
+
+  if (/rate.?limit|too many requests|quota/i.test(message)) {
+    return 'rate_limit';
+  }
+
+  if (/overloaded|internal server error|service unavailable|bad gateway/i.test(message)) {
+    return 'server';
+  }
+
+  if (NETWORK_ERROR_PATTERN.test(message)) {
+    return 'network';
+  }
+
+  return 'other';
+}
+
+export function isRetriableError(error: unknown, policy: RetryPolicy) {
+  const errorClass = classifyLLMError(error);
+
+  return errorClass !== 'other' && policy.retryOn.includes(errorClass);
+}
+
+/**
+ * Get how long to wait before the given retry, growing exponentially up to `maxDelayMs`
+ * @param policy The retry policy in use
+ * @param attempt The number of attempts already made with the current model, starting at 1
+ */
+export function getRetryDelay(policy: RetryPolicy, attempt: number) {
+  const delay = policy.initialDelayMs * Math.pow(policy.backoffFactor, Math.max(attempt - 1, 0));
+
+  return Math.min(delay, policy.maxDelayMs);
+}
+
+export function isSameCandidate(a: ModelCandidate, b: ModelCandidate) {
+  return a.provider === b.provider && a.model === b.model;
+}
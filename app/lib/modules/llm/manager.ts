@@ -1,6 +1,7 @@
 import type { IProviderSetting } from '~/types/model';
 import { BaseProvider } from './base-provider';
 import type { ModelInfo, ProviderInfo } from './types';
+import { isSameCandidate, type ModelCandidate } from './fallback';
 import * as providers from './registry';
 import { createScopedLogger } from '~/utils/logger';
 
@@ -206,4 +207,37 @@ export class LLMManager {
 
     return firstProvider;
   }
+
+  /**
+   * Build the ordered list of models to try for a request: the requested model first, then the
+   * configured fallback chain. Duplicates, excluded models and models of providers that are not
+   * registered or are disabled are left out.
+   */
+  getFallbackCandidates(
+    primary: ModelCandidate,
+    chain: ModelCandidate[] = [],
+    options: { providerSettings?: Record<string, IProviderSetting>; exclude?: ModelCandidate[] } = {},
+  ): ModelCandidate[] {
+    const { providerSettings, exclude = [] } = options;
+    const candidates: ModelCandidate[] = [];
+
+    for (const candidate of [primary, ...chain]) {
+      if (!this._providers.has(candidate.provider)) {
+        logger.warn(`Skipping fallback model ${candidate.model}: provider ${candidate.provider} is not registered`);
+        continue;
+      }
+
+      if (candidate !== primary && providerSettings?.[candidate.provider]?.enabled === false) {
+        continue;
+      }
+
+      if ([...candidates, ...exclude].some((other) => isSameCandidate(other, candidate))) {
+        continue;
+      }
+
+      candidates.push(candidate);
+    }
+
+    return candidates;
+  }
 }
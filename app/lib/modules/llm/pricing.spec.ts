@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { calculateCost, getModelPricing } from './pricing';
+
+const price = (name: string, provider = 'OpenAI') => getModelPricing({ name, provider });
+
+describe('getModelPricing', () => {
+  it('should price dated and tagged names like their model', () => {
+    expect(price('gpt-4')).toEqual({ input: 30, output: 60 });
+    expect(price('gpt-4-0613')).toEqual({ input: 30, output: 60 });
+    expect(price('gpt-4-turbo-2024-04-09')).toEqual({ input: 10, output: 30 });
+    expect(price('gpt-4o-2024-08-06')).toEqual({ input: 2.5, output: 10 });
+    expect(price('gpt-4o-mini')).toEqual({ input: 0.15, output: 0.6 });
+    expect(price('claude-3-5-sonnet-20241022', 'Anthropic')).toEqual({ input: 3, output: 15 });
+    expect(price('anthropic/claude-3.5-sonnet', 'OpenRouter')).toEqual({ input: 3, output: 15 });
+  });
+
+  it('should not price newer minor versions like the model they start with', () => {
+    expect(price('gpt-4.1')).toEqual({ input: 2, output: 8 });
+    expect(price('gpt-4.1-mini-2025-04-14')).toEqual({ input: 0.4, output: 1.6 });
+    expect(price('gpt-4.5-preview')).toEqual({ input: 75, output: 150 });
+    expect(price('gpt-4.2')).toBeUndefined();
+    expect(price('gpt-4omni')).toBeUndefined();
+    expect(price('claude-opus-4-1-20250805', 'Anthropic')).toEqual({ input: 15, output: 75 });
+  });
+
+  it('should prefer reported prices and treat local models as free', () => {
+    expect(getModelPricing({ name: 'gpt-4', provider: 'OpenRouter', pricing: { input: 1, output: 2 } })).toEqual({
+      input: 1,
+      output: 2,
+    });
+    expect(price('llama3.1', 'Ollama')).toEqual({ input: 0, output: 0 });
+  });
+});
+
+describe('calculateCost', () => {
+  it('should charge per million tokens', () => {
+    expect(calculateCost({ promptTokens: 1_000_000, completionTokens: 500_000 }, { input: 2, output: 8 })).toBe(6);
+  });
+});
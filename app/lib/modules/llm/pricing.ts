@@ -0,0 +1,109 @@
+import type { ModelInfo, ModelPricing } from './types';
+
+// models that run on the user's machine never cost anything
+const FREE_PROVIDERS = ['Ollama', 'LMStudio'];
+
+/*
+ * List prices in USD per million tokens, keyed by model name prefix. Only used when the
+ * provider does not report prices itself (OpenRouter and Together do). A prefix covers dated
+ * and tagged names like `gpt-4-0613`, but not newer minor versions like `gpt-4.1`.
+ */
+const PRICE_TABLE: Record<string, ModelPricing> = {
+  // OpenAI
+  'gpt-4.5': { input: 75, output: 150 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'o1-mini': { input: 1.1, output: 4.4 },
+  o1: { input: 15, output: 60 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+
+  // Anthropic
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-opus-4.1': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+
+  // Google
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-1.5-flash-8b': { input: 0.0375, output: 0.15 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+
+  // Deepseek
+  'deepseek-chat': { input: 0.27, output: 1.1 },
+  'deepseek-coder': { input: 0.27, output: 1.1 },
+  'deepseek-reasoner': { input: 0.55, output: 2.19 },
+
+  // Mistral
+  'mistral-large': { input: 2, output: 6 },
+  'mistral-small': { input: 0.2, output: 0.6 },
+  codestral: { input: 0.3, output: 0.9 },
+
+  // xAI
+  'grok-beta': { input: 5, output: 15 },
+  'grok-2': { input: 2, output: 10 },
+};
+
+/**
+ * Normalizes a model name so `anthropic/claude-3.5-sonnet` (OpenRouter style) and
+ * `claude-3-5-sonnet-20241022` (Anthropic style) both match the `claude-3-5-sonnet` entry.
+ */
+function normalizeModelName(name: string) {
+  return name
+    .toLowerCase()
+    .split('/')
+    .pop()!
+    .replace(/(\d)\.(\d)/g, '$1-$2');
+}
+
+const NORMALIZED_PRICE_TABLE = Object.entries(PRICE_TABLE)
+  .map(([name, pricing]) => [normalizeModelName(name), pricing] as const)
+
+  // longest prefix first so `gpt-4o-mini` is not priced as `gpt-4o` or `gpt-4`
+  .sort((a, b) => b[0].length - a[0].length);
+
+/**
+ * Whether a normalized model name belongs to a price table entry. The name has to continue with a new
+ * segment that is not a single digit, `gpt-4-1` is `gpt-4.1` after normalizing and a model of its own.
+ */
+function matchesPrefix(name: string, prefix: string) {
+  return name === prefix || (name.startsWith(`${prefix}-`) && !/^\d(-|$)/.test(name.slice(prefix.length + 1)));
+}
+
+/**
+ * Get the price of a model, or undefined when it is not known
+ * @param model The model to price
+ */
+export function getModelPricing(model: Pick<ModelInfo, 'name' | 'provider' | 'pricing'>): ModelPricing | undefined {
+  if (model.pricing) {
+    return model.pricing;
+  }
+
+  if (FREE_PROVIDERS.includes(model.provider)) {
+    return { input: 0, output: 0 };
+  }
+
+  const name = normalizeModelName(model.name);
+
+  return NORMALIZED_PRICE_TABLE.find(([prefix]) => matchesPrefix(name, prefix))?.[1];
+}
+
+/**
+ * Get the cost in USD of a model call
+ * @param usage The tokens used by the call
+ * @param pricing The price of the model that served it
+ */
+export function calculateCost(usage: { promptTokens: number; completionTokens: number }, pricing: ModelPricing) {
+  return (usage.promptTokens * pricing.input + usage.completionTokens * pricing.output) / 1_000_000;
+}
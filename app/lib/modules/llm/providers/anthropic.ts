@@ -18,28 +18,50 @@ export default class AnthropicProvider extends BaseProvider {
       label: 'Claude 3.7 Sonnet',
       provider: 'Anthropic',
       maxTokenAllowed: 128000,
+      contextWindow: 200000,
     },
     {
       name: 'claude-3-5-sonnet-latest',
       label: 'Claude 3.5 Sonnet (new)',
       provider: 'Anthropic',
       maxTokenAllowed: 8000,
+      contextWindow: 200000,
     },
     {
       name: 'claude-3-5-sonnet-20240620',
       label: 'Claude 3.5 Sonnet (old)',
       provider: 'Anthropic',
       maxTokenAllowed: 8000,
+      contextWindow: 200000,
     },
     {
       name: 'claude-3-5-haiku-latest',
       label: 'Claude 3.5 Haiku (new)',
       provider: 'Anthropic',
       maxTokenAllowed: 8000,
+      contextWindow: 200000,
+    },
+    {
+      name: 'claude-3-opus-latest',
+      label: 'Claude 3 Opus',
+      provider: 'Anthropic',
+      maxTokenAllowed: 8000,
+      contextWindow: 200000,
+    },
+    {
+      name: 'claude-3-sonnet-20240229',
+      label: 'Claude 3 Sonnet',
+      provider: 'Anthropic',
+      maxTokenAllowed: 8000,
+      contextWindow: 200000,
+    },
+    {
+      name: 'claude-3-haiku-20240307',
+      label: 'Claude 3 Haiku',
+      provider: 'Anthropic',
+      maxTokenAllowed: 8000,
+      contextWindow: 200000,
     },
-    { name: 'claude-3-opus-latest', label: 'Claude 3 Opus', provider: 'Anthropic', maxTokenAllowed: 8000 },
-    { name: 'claude-3-sonnet-20240229', label: 'Claude 3 Sonnet', provider: 'Anthropic', maxTokenAllowed: 8000 },
-    { name: 'claude-3-haiku-20240307', label: 'Claude 3 Haiku', provider: 'Anthropic', maxTokenAllowed: 8000 },
   ];
 
   async getDynamicModels(
@@ -76,6 +98,7 @@ export default class AnthropicProvider extends BaseProvider {
       label: `${m.display_name}`,
       provider: this.name,
       maxTokenAllowed: 32000,
+      contextWindow: 200000,
     }));
   }
 
@@ -60,6 +60,7 @@ export default class GoogleProvider extends BaseProvider {
       label: `${m.displayName} - context ${Math.floor((m.inputTokenLimit + m.outputTokenLimit) / 1000) + 'k'}`,
       provider: this.name,
       maxTokenAllowed: m.inputTokenLimit + m.outputTokenLimit || 8000,
+      contextWindow: m.inputTokenLimit + m.outputTokenLimit || undefined,
     }));
   }
 
@@ -61,6 +61,7 @@ export default class GroqProvider extends BaseProvider {
       label: `${m.id} - context ${m.context_window ? Math.floor(m.context_window / 1000) + 'k' : 'N/A'} [ by ${m.owned_by}]`,
       provider: this.name,
       maxTokenAllowed: m.context_window || 8000,
+      contextWindow: m.context_window,
     }));
   }
 
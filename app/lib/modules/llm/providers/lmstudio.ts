@@ -2,7 +2,7 @@ import { BaseProvider } from '~/lib/modules/llm/base-provider';
 import type { ModelInfo } from '~/lib/modules/llm/types';
 import type { IProviderSetting } from '~/types/model';
 import { createOpenAI } from '@ai-sdk/openai';
-import type { LanguageModelV1 } from 'ai';
+import type { EmbeddingModel, LanguageModelV1 } from 'ai';
 import { logger } from '~/utils/logger';
 
 export default class LMStudioProvider extends BaseProvider {
@@ -62,7 +62,28 @@ export default class LMStudioProvider extends BaseProvider {
     apiKeys?: Record<string, string>;
     providerSettings?: Record<string, IProviderSetting>;
   }) => LanguageModelV1 = (options) => {
-    const { apiKeys, providerSettings, serverEnv, model } = options;
+    const { model } = options;
+
+    return this._createClient(options)(model);
+  };
+
+  getEmbeddingModelInstance(options: {
+    model?: string;
+    serverEnv?: Env;
+    apiKeys?: Record<string, string>;
+    providerSettings?: Record<string, IProviderSetting>;
+  }): EmbeddingModel<string> {
+    const { model = 'text-embedding-nomic-embed-text-v1.5' } = options;
+
+    return this._createClient(options).textEmbeddingModel(model);
+  }
+
+  private _createClient(options: {
+    serverEnv?: Env;
+    apiKeys?: Record<string, string>;
+    providerSettings?: Record<string, IProviderSetting>;
+  }) {
+    const { apiKeys, providerSettings, serverEnv } = options;
     let { baseUrl } = this.getProviderBaseUrlAndKey({
       apiKeys,
       providerSettings: providerSettings?.[this.name],
@@ -84,11 +105,9 @@ export default class LMStudioProvider extends BaseProvider {
 
     logger.debug('LMStudio Base Url used: ', baseUrl);
 
-    const lmstudio = createOpenAI({
+    return createOpenAI({
       baseURL: `${baseUrl}/v1`,
       apiKey: '',
     });
-
-    return lmstudio(model);
-  };
+  }
 }
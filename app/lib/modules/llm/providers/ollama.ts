@@ -1,8 +1,8 @@
 import { BaseProvider } from '~/lib/modules/llm/base-provider';
 import type { ModelInfo } from '~/lib/modules/llm/types';
 import type { IProviderSetting } from '~/types/model';
-import type { LanguageModelV1 } from 'ai';
-import { ollama } from 'ollama-ai-provider';
+import type { EmbeddingModel, LanguageModelV1 } from 'ai';
+import { createOllama, ollama } from 'ollama-ai-provider';
 import { logger } from '~/utils/logger';
 
 interface OllamaModelDetails {
@@ -97,6 +97,7 @@ export default class OllamaProvider extends BaseProvider {
       label: `${model.name} (${model.details.parameter_size})`,
       provider: this.name,
       maxTokenAllowed: 8000,
+      contextWindow: this.getDefaultNumCtx(serverEnv as any),
     }));
   }
 
@@ -106,7 +107,35 @@ export default class OllamaProvider extends BaseProvider {
     apiKeys?: Record<string, string>;
     providerSettings?: Record<string, IProviderSetting>;
   }) => LanguageModelV1 = (options) => {
-    const { apiKeys, providerSettings, serverEnv, model } = options;
+    const { serverEnv, model } = options;
+    const baseUrl = this._getBaseUrl(options);
+
+    const ollamaInstance = ollama(model, {
+      numCtx: this.getDefaultNumCtx(serverEnv),
+    }) as LanguageModelV1 & { config: any };
+
+    ollamaInstance.config.baseURL = `${baseUrl}/api`;
+
+    return ollamaInstance;
+  };
+
+  getEmbeddingModelInstance(options: {
+    model?: string;
+    serverEnv?: Env;
+    apiKeys?: Record<string, string>;
+    providerSettings?: Record<string, IProviderSetting>;
+  }): EmbeddingModel<string> {
+    const { model = 'nomic-embed-text' } = options;
+
+    return createOllama({ baseURL: `${this._getBaseUrl(options)}/api` }).embedding(model);
+  }
+
+  private _getBaseUrl(options: {
+    serverEnv?: Env;
+    apiKeys?: Record<string, string>;
+    providerSettings?: Record<string, IProviderSetting>;
+  }) {
+    const { apiKeys, providerSettings, serverEnv } = options;
     const envRecord = this._convertEnvToRecord(serverEnv);
 
     let { baseUrl } = this.getProviderBaseUrlAndKey({
@@ -128,12 +157,6 @@ export default class OllamaProvider extends BaseProvider {
 
     logger.debug('Ollama Base Url used: ', baseUrl);
 
-    const ollamaInstance = ollama(model, {
-      numCtx: this.getDefaultNumCtx(serverEnv),
-    }) as LanguageModelV1 & { config: any };
-
-    ollamaInstance.config.baseURL = `${baseUrl}/api`;
-
-    return ollamaInstance;
-  };
+    return baseUrl;
+  }
 }
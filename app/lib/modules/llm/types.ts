@@ -1,11 +1,23 @@
-import type { LanguageModelV1 } from 'ai';
+import type { EmbeddingModel, LanguageModelV1 } from 'ai';
 import type { IProviderSetting } from '~/types/model';
 
+export interface ModelPricing {
+  // USD per million tokens
+  input: number;
+  output: number;
+}
+
 export interface ModelInfo {
   name: string;
   label: string;
   provider: string;
   maxTokenAllowed: number;
+
+  // total tokens (prompt + completion) the model accepts, when the provider reports it
+  contextWindow?: number;
+
+  // prices reported by the provider, take precedence over the built-in price table
+  pricing?: ModelPricing;
 }
 
 export interface ProviderInfo {
@@ -22,6 +34,12 @@ export interface ProviderInfo {
     apiKeys?: Record<string, string>;
     providerSettings?: Record<string, IProviderSetting>;
   }) => LanguageModelV1;
+  getEmbeddingModelInstance?: (options: {
+    model?: string;
+    serverEnv?: Env;
+    apiKeys?: Record<string, string>;
+    providerSettings?: Record<string, IProviderSetting>;
+  }) => EmbeddingModel<string>;
   getApiKeyLink?: string;
   labelForGetApiKey?: string;
   icon?: string;
@@ -0,0 +1,123 @@
+import type { MCPTool, MCPToolResult } from '~/lib/modules/mcp/types';
+
+/*
+ * In-memory MCP server for the specs, answers like a fetch handler. `POST /mcp` speaks the streamable
+ * HTTP transport, `GET /sse` with `POST /messages` the older SSE one.
+ */
+
+const TOOLS: (MCPTool & { run: (args: any) => MCPToolResult })[] = [
+  {
+    name: 'echo',
+    description: 'Repeat a text',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+    run: ({ text }) => ({ content: [{ type: 'text', text }] }),
+  },
+  {
+    name: 'add',
+    description: 'Add two numbers',
+    inputSchema: {
+      type: 'object',
+      properties: { a: { type: 'number' }, b: { type: 'number' } },
+      required: ['a', 'b'],
+    },
+    run: ({ a, b }) => ({ content: [{ type: 'text', text: String(a + b) }] }),
+  },
+];
+
+const SESSION_ID = 'mock-session';
+
+export function createMockMCPServer() {
+  const encoder = new TextEncoder();
+
+  // methods in the order they were received
+  const received: string[] = [];
+  let eventStream: ReadableStreamDefaultController<Uint8Array> | undefined;
+
+  const sse = (event: string, data: unknown) =>
+    encoder.encode(`event: ${event}\ndata: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+
+  const handle = (message: { id?: number; method: string; params?: any }) => {
+    received.push(message.method);
+
+    switch (message.method) {
+      case 'initialize': {
+        return { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: {} };
+      }
+      case 'tools/list': {
+        return { tools: TOOLS.map(({ run: _run, ...tool }) => tool) };
+      }
+      case 'tools/call': {
+        const tool = TOOLS.find(({ name }) => name === message.params.name);
+
+        return tool
+          ? tool.run(message.params.arguments)
+          : { isError: true, content: [{ type: 'text', text: `Unknown tool ${message.params.name}` }] };
+      }
+      default: {
+        return {};
+      }
+    }
+  };
+
+  const fetch = async (input: RequestInfo | URL, init?: RequestInit): Promise<Response> => {
+    const request = new Request(input, init);
+    const { pathname } = new URL(request.url);
+
+    if (pathname === '/mcp' && request.method === 'DELETE') {
+      received.push('DELETE');
+      return new Response(null, { status: 200 });
+    }
+
+    if (pathname === '/mcp' && request.method === 'POST') {
+      const message = await request.json<{ id?: number; method: string; params?: any }>();
+
+      if (message.method !== 'initialize' && request.headers.get('Mcp-Session-Id') !== SESSION_ID) {
+        return new Response('Missing session', { status: 400 });
+      }
+
+      const result = handle(message);
+
+      if (message.id === undefined) {
+        return new Response(null, { status: 202 });
+      }
+
+      const response = { jsonrpc: '2.0', id: message.id, result };
+
+      // tool calls answer as an event stream, the rest as plain JSON
+      if (message.method === 'tools/call') {
+        return new Response(sse('message', response), {
+          headers: { 'Content-Type': 'text/event-stream', 'Mcp-Session-Id': SESSION_ID },
+        });
+      }
+
+      return Response.json(response, { headers: { 'Mcp-Session-Id': SESSION_ID } });
+    }
+
+    if (pathname === '/sse' && request.method === 'GET') {
+      const body = new ReadableStream<Uint8Array>({
+        start(controller) {
+          eventStream = controller;
+          controller.enqueue(sse('endpoint', '/messages?session=1'));
+          request.signal.addEventListener('abort', () => controller.close());
+        },
+      });
+
+      return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+    }
+
+    if (pathname === '/messages' && request.method === 'POST') {
+      const message = await request.json<{ id?: number; method: string; params?: any }>();
+      const result = handle(message);
+
+      if (message.id !== undefined) {
+        eventStream?.enqueue(sse('message', { jsonrpc: '2.0', id: message.id, result }));
+      }
+
+      return new Response('Accepted', { status: 202 });
+    }
+
+    return new Response('Not found', { status: 404 });
+  };
+
+  return { fetch, received };
+}
@@ -0,0 +1,34 @@
+import type { MCPApiRequest, MCPServerConfig, MCPTool, MCPToolResult } from './types';
+
+/*
+ * Browser side entry points, the servers are reached through `/api/mcp` so they don't need to allow CORS.
+ */
+
+async function callMCPApi<T>(body: MCPApiRequest): Promise<T> {
+  const response = await fetch('/api/mcp', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = (await response.json()) as T & { error?: string };
+
+  if (!response.ok) {
+    throw new Error(data.error || `MCP request failed with status ${response.status}`);
+  }
+
+  return data;
+}
+
+export async function listMCPServerTools(server: MCPServerConfig): Promise<MCPTool[]> {
+  const { tools } = await callMCPApi<{ tools: MCPTool[] }>({ intent: 'tools', server });
+  return tools;
+}
+
+export async function runMCPTool(
+  server: MCPServerConfig,
+  toolName: string,
+  args: Record<string, unknown>,
+): Promise<MCPToolResult> {
+  const { result } = await callMCPApi<{ result: MCPToolResult }>({ intent: 'call', server, toolName, args });
+  return result;
+}
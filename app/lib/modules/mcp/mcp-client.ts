@@ -0,0 +1,400 @@
+import { isHostAllowed, isPrivateHost } from '~/utils/hostAllowlist';
+import { createScopedLogger } from '~/utils/logger';
+import type { MCPServerConfig, MCPTool, MCPToolResult } from './types';
+
+const logger = createScopedLogger('mcp-client');
+
+const PROTOCOL_VERSION = '2025-03-26';
+const DEFAULT_TIMEOUT_MS = 30_000;
+
+interface JSONRPCMessage {
+  jsonrpc: '2.0';
+  id?: number | string;
+  method?: string;
+  params?: unknown;
+  result?: any;
+  error?: { code: number; message: string; data?: unknown };
+}
+
+interface SSEEvent {
+  event: string;
+  data: string;
+}
+
+export interface MCPClientOptions {
+  fetch?: typeof fetch;
+  timeoutMs?: number;
+
+  // hosts that may be reached over plain http or on a private address, from `MCP_SERVER_HOSTS`
+  allowedHosts?: string[];
+}
+
+export class MCPError extends Error {
+  constructor(
+    message: string,
+    readonly code?: number,
+  ) {
+    super(message);
+    this.name = 'MCPError';
+  }
+}
+
+function parseSSEEvent(block: string): SSEEvent | undefined {
+  let event = 'message';
+  const data: string[] = [];
+
+  for (const line of block.split(/\r?\n/)) {
+    if (line.startsWith(':')) {
+      continue;
+    }
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') {
+      event = value;
+    } else if (field === 'data') {
+      data.push(value);
+    }
+  }
+
+  return data.length > 0 ? { event, data: data.join('\n') } : undefined;
+}
+
+async function* readSSE(body: ReadableStream<Uint8Array>): AsyncGenerator<SSEEvent> {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+
+      if (done) {
+        return;
+      }
+
+      buffer += value;
+
+      let boundary = buffer.search(/\r?\n\r?\n/);
+
+      while (boundary !== -1) {
+        const event = parseSSEEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+        boundary = buffer.search(/\r?\n\r?\n/);
+
+        if (event) {
+          yield event;
+        }
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => undefined);
+  }
+}
+
+function withTimeout<T>(promise: Promise<T>, timeoutMs: number, label: string, onTimeout: () => void): Promise<T> {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => {
+      onTimeout();
+      reject(new MCPError(`${label} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Throw unless a server may be reached from here: over https on a public address, or on a host listed in `allowedHosts`.
+ * Names that resolve to a private address are not caught, list only servers you trust in `MCP_SERVER_HOSTS`.
+ */
+export function checkMCPServerUrl(url: string, allowedHosts: string[] = []) {
+  let parsed: URL;
+
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new MCPError(`Invalid MCP server URL ${url}`);
+  }
+
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new MCPError(`Invalid MCP server URL ${url}`);
+  }
+
+  if (isHostAllowed(allowedHosts, parsed.host)) {
+    return;
+  }
+
+  if (parsed.protocol !== 'https:') {
+    throw new MCPError(`MCP servers are only reached over https, add ${parsed.host} to MCP_SERVER_HOSTS to allow it`);
+  }
+
+  if (isPrivateHost(parsed.hostname)) {
+    throw new MCPError(`${parsed.host} is a private address, add it to MCP_SERVER_HOSTS to allow it`);
+  }
+}
+
+/**
+ * Minimal Model Context Protocol client for the HTTP transports, enough to list and call the tools of a server.
+ */
+export class MCPClient {
+  #nextId = 1;
+  #sessionId?: string;
+
+  // where the `sse` transport posts its messages, announced by the server on the event stream
+  #endpoint?: string;
+  #pending = new Map<number | string, { resolve: (message: JSONRPCMessage) => void; reject: (error: Error) => void }>();
+  #abortController = new AbortController();
+  #fetch: typeof fetch;
+  #timeoutMs: number;
+  #allowedHosts: string[];
+
+  constructor(
+    readonly server: MCPServerConfig,
+    options: MCPClientOptions = {},
+  ) {
+    this.#fetch = options.fetch ?? ((input, init) => fetch(input, init));
+    this.#timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    this.#allowedHosts = options.allowedHosts ?? [];
+  }
+
+  async connect() {
+    checkMCPServerUrl(this.server.url, this.#allowedHosts);
+
+    if (this.server.transport === 'sse') {
+      // the event stream carries the whole session, a stream that does not open ends it
+      await withTimeout(this.#openEventStream(), this.#timeoutMs, `Connecting to ${this.server.name}`, () =>
+        this.#abortController.abort(),
+      );
+    }
+
+    await this.#request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'kodora', version: '1.0.0' },
+    });
+    await this.#send({ jsonrpc: '2.0', method: 'notifications/initialized' }, this.#abortController.signal);
+  }
+
+  async listTools(): Promise<MCPTool[]> {
+    const tools: MCPTool[] = [];
+    let cursor: string | undefined;
+
+    do {
+      const result = await this.#request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(result.tools ?? []));
+      cursor = result.nextCursor;
+    } while (cursor);
+
+    return tools;
+  }
+
+  async callTool(name: string, args: Record<string, unknown>): Promise<MCPToolResult> {
+    return this.#request('tools/call', { name, arguments: args });
+  }
+
+  async close() {
+    this.#abortController.abort();
+    this.#rejectPending(new MCPError(`Connection to ${this.server.name} closed`));
+
+    if (this.server.transport === 'streamable-http' && this.#sessionId) {
+      await this.#fetch(this.server.url, { method: 'DELETE', headers: this.#headers(), redirect: 'error' })
+        .then((response) => response.body?.cancel())
+        .catch(() => undefined);
+    }
+  }
+
+  #headers(headers: Record<string, string> = {}) {
+    return {
+      ...this.server.headers,
+      ...(this.#sessionId ? { 'Mcp-Session-Id': this.#sessionId } : {}),
+      ...headers,
+    };
+  }
+
+  #rejectPending(error: Error) {
+    for (const { reject } of this.#pending.values()) {
+      reject(error);
+    }
+
+    this.#pending.clear();
+  }
+
+  async #request(method: string, params: unknown) {
+    const id = this.#nextId++;
+    const message: JSONRPCMessage = { jsonrpc: '2.0', id, method, params };
+
+    // aborts the fetch of this request when it times out, `close` still aborts all of them
+    const requestController = new AbortController();
+    const signal = AbortSignal.any([this.#abortController.signal, requestController.signal]);
+
+    const response = await withTimeout(
+      this.#send(message, signal),
+      this.#timeoutMs,
+      `${this.server.name} ${method}`,
+      () => {
+        requestController.abort();
+        this.#pending.delete(id);
+      },
+    );
+
+    if (!response) {
+      throw new MCPError(`${this.server.name} did not answer ${method}`);
+    }
+
+    if (response.error) {
+      throw new MCPError(`${this.server.name} ${method} failed: ${response.error.message}`, response.error.code);
+    }
+
+    return response.result;
+  }
+
+  #send(message: JSONRPCMessage, signal: AbortSignal): Promise<JSONRPCMessage | undefined> {
+    return this.server.transport === 'sse' ? this.#postToEndpoint(message, signal) : this.#post(message, signal);
+  }
+
+  async #post(message: JSONRPCMessage, signal: AbortSignal): Promise<JSONRPCMessage | undefined> {
+    const response = await this.#fetch(this.server.url, {
+      method: 'POST',
+      headers: this.#headers({ 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' }),
+      body: JSON.stringify(message),
+      redirect: 'error',
+      signal,
+    });
+
+    if (!response.ok) {
+      throw new MCPError(`${this.server.name} responded with ${response.status} ${response.statusText}`.trim());
+    }
+
+    this.#sessionId = response.headers.get('Mcp-Session-Id') ?? this.#sessionId;
+
+    if (message.id === undefined || !response.body) {
+      await response.body?.cancel();
+      return undefined;
+    }
+
+    if (response.headers.get('Content-Type')?.includes('text/event-stream')) {
+      for await (const event of readSSE(response.body)) {
+        const data = event.event === 'message' ? (JSON.parse(event.data) as JSONRPCMessage) : undefined;
+
+        if (data?.id === message.id) {
+          return data;
+        }
+      }
+
+      return undefined;
+    }
+
+    const data = (await response.json()) as JSONRPCMessage | JSONRPCMessage[];
+
+    return Array.isArray(data) ? data.find((item) => item.id === message.id) : data;
+  }
+
+  async #openEventStream() {
+    const response = await this.#fetch(this.server.url, {
+      headers: this.#headers({ Accept: 'text/event-stream' }),
+      redirect: 'error',
+      signal: this.#abortController.signal,
+    });
+
+    if (!response.ok || !response.body) {
+      throw new MCPError(`${this.server.name} responded with ${response.status} ${response.statusText}`.trim());
+    }
+
+    const events = readSSE(response.body);
+
+    while (!this.#endpoint) {
+      const { done, value } = await events.next();
+
+      if (done) {
+        throw new MCPError(`${this.server.name} closed the event stream before announcing its endpoint`);
+      }
+
+      if (value.event === 'endpoint') {
+        const endpoint = new URL(value.data, this.server.url);
+
+        // messages carry the configured headers, they only go to the server that was checked
+        if (endpoint.origin !== new URL(this.server.url).origin) {
+          throw new MCPError(`${this.server.name} announced an endpoint on another origin: ${endpoint.origin}`);
+        }
+
+        this.#endpoint = endpoint.toString();
+      }
+    }
+
+    (async () => {
+      try {
+        for await (const event of events) {
+          if (event.event !== 'message') {
+            continue;
+          }
+
+          const message = JSON.parse(event.data) as JSONRPCMessage;
+          const pending = message.id === undefined ? undefined : this.#pending.get(message.id);
+
+          if (pending && message.id !== undefined) {
+            this.#pending.delete(message.id);
+            pending.resolve(message);
+          }
+        }
+      } catch (error) {
+        if (!this.#abortController.signal.aborted) {
+          logger.warn(`Event stream of ${this.server.name} failed:`, error);
+        }
+      } finally {
+        this.#rejectPending(new MCPError(`${this.server.name} closed the event stream`));
+      }
+    })();
+  }
+
+  async #postToEndpoint(message: JSONRPCMessage, signal: AbortSignal): Promise<JSONRPCMessage | undefined> {
+    const { id } = message;
+    const answer =
+      id === undefined
+        ? undefined
+        : new Promise<JSONRPCMessage>((resolve, reject) => this.#pending.set(id, { resolve, reject }));
+
+    try {
+      const response = await this.#fetch(this.#endpoint!, {
+        method: 'POST',
+        headers: this.#headers({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(message),
+        redirect: 'error',
+        signal,
+      });
+      await response.body?.cancel();
+
+      if (!response.ok) {
+        throw new MCPError(`${this.server.name} responded with ${response.status} ${response.statusText}`.trim());
+      }
+    } catch (error) {
+      if (id !== undefined) {
+        this.#pending.delete(id);
+      }
+
+      throw error;
+    }
+
+    return answer;
+  }
+}
+
+/**
+ * Connect to a server for the duration of `fn`, each call gets its own session.
+ */
+export async function withMCPClient<T>(
+  server: MCPServerConfig,
+  fn: (client: MCPClient) => Promise<T>,
+  options?: MCPClientOptions,
+): Promise<T> {
+  const client = new MCPClient(server, options);
+
+  try {
+    await client.connect();
+    return await fn(client);
+  } finally {
+    await client.close();
+  }
+}
@@ -0,0 +1,149 @@
+import { streamText, type LanguageModelV1StreamPart } from 'ai';
+import { convertArrayToReadableStream, MockLanguageModelV1 } from 'ai/test';
+import { describe, expect, it } from 'vitest';
+import { createMockMCPServer } from './__fixtures__/mock-mcp-server';
+import { checkMCPServerUrl, withMCPClient } from './mcp-client';
+import { createMCPTools, findMCPTool, getMCPToolName } from './tools';
+import type { MCPServerConfig } from './types';
+
+const server = (config: Partial<MCPServerConfig> = {}): MCPServerConfig => ({
+  id: '1',
+  name: 'Mock Server',
+  url: 'https://mcp.example.com/mcp',
+  transport: 'streamable-http',
+  enabled: true,
+  alwaysAllow: false,
+  ...config,
+});
+
+const usage = { promptTokens: 10, completionTokens: 5 };
+
+describe('MCPClient', () => {
+  it('should list and call tools over streamable HTTP and end the session', async () => {
+    const mock = createMockMCPServer();
+
+    const result = await withMCPClient(
+      server(),
+      async (client) => ({ tools: await client.listTools(), sum: await client.callTool('add', { a: 2, b: 3 }) }),
+      { fetch: mock.fetch },
+    );
+
+    expect(result.tools.map((tool) => tool.name)).toEqual(['echo', 'add']);
+    expect(result.sum).toEqual({ content: [{ type: 'text', text: '5' }] });
+    expect(mock.received).toEqual(['initialize', 'notifications/initialized', 'tools/list', 'tools/call', 'DELETE']);
+  });
+
+  it('should post to the endpoint announced over SSE', async () => {
+    const mock = createMockMCPServer();
+
+    const result = await withMCPClient(
+      server({ url: 'https://mcp.example.com/sse', transport: 'sse' }),
+      (client) => client.callTool('echo', { text: 'hello' }),
+      { fetch: mock.fetch },
+    );
+
+    expect(result).toEqual({ content: [{ type: 'text', text: 'hello' }] });
+  });
+
+  it('should only reach public https servers unless their host is listed', () => {
+    expect(() => checkMCPServerUrl('https://mcp.example.com/mcp')).not.toThrow();
+    expect(() => checkMCPServerUrl('http://mcp.example.com/mcp')).toThrow(/only reached over https/);
+    expect(() => checkMCPServerUrl('https://127.0.0.1/mcp')).toThrow(/private address/);
+    expect(() => checkMCPServerUrl('https://169.254.169.254/latest')).toThrow(/private address/);
+    expect(() => checkMCPServerUrl('file:///etc/passwd')).toThrow(/Invalid MCP server URL/);
+    expect(() => checkMCPServerUrl('http://localhost:8931/mcp', ['localhost:8931'])).not.toThrow();
+  });
+
+  it('should refuse a server that is not allowed before fetching it', async () => {
+    const mock = createMockMCPServer();
+
+    await expect(
+      withMCPClient(server({ url: 'http://10.0.0.1/mcp' }), (client) => client.listTools(), { fetch: mock.fetch }),
+    ).rejects.toThrow(/only reached over https/);
+    expect(mock.received).toEqual([]);
+  });
+
+  it('should abort the fetch of a request that timed out', async () => {
+    const signals: AbortSignal[] = [];
+
+    const fetch = (_input: RequestInfo | URL, init?: RequestInit) => {
+      signals.push(init!.signal!);
+      return new Promise<Response>(() => undefined);
+    };
+
+    await expect(withMCPClient(server(), (client) => client.listTools(), { fetch, timeoutMs: 10 })).rejects.toThrow(
+      /initialize timed out after 10ms/,
+    );
+    expect(signals[0].aborted).toBe(true);
+  });
+});
+
+describe('createMCPTools', () => {
+  it('should only execute the tools of always allowed servers', async () => {
+    const mock = createMockMCPServer();
+    const { tools, failed } = await createMCPTools(
+      [server(), server({ id: '2', name: 'Trusted', alwaysAllow: true }), server({ id: '3', enabled: false })],
+      { fetch: mock.fetch },
+    );
+
+    expect(Object.keys(tools).sort()).toEqual([
+      'mock_server__add',
+      'mock_server__echo',
+      'trusted__add',
+      'trusted__echo',
+    ]);
+    expect(tools.mock_server__add.execute).toBeUndefined();
+    expect(tools.trusted__add.execute).toBeTypeOf('function');
+    expect(failed).toEqual([]);
+  });
+
+  it('should report servers that can not be reached', async () => {
+    const { tools, failed } = await createMCPTools([server({ url: 'https://mcp.example.com/missing' })], {
+      fetch: createMockMCPServer().fetch,
+    });
+
+    expect(tools).toEqual({});
+    expect(failed).toEqual([{ server: 'Mock Server', error: 'Mock Server responded with 404' }]);
+  });
+
+  it('should run allowed tool calls in a multi-step loop', async () => {
+    const mock = createMockMCPServer();
+    const trusted = server({ alwaysAllow: true });
+    const { tools } = await createMCPTools([trusted], { fetch: mock.fetch });
+    const toolName = getMCPToolName(trusted, 'add');
+
+    const steps: LanguageModelV1StreamPart[][] = [
+      [
+        { type: 'tool-call', toolCallType: 'function', toolCallId: 'call-1', toolName, args: '{"a":20,"b":22}' },
+        { type: 'finish', finishReason: 'tool-calls', usage },
+      ],
+      [
+        { type: 'text-delta', textDelta: 'The sum is 42.' },
+        { type: 'finish', finishReason: 'stop', usage },
+      ],
+    ];
+
+    const result = streamText({
+      model: new MockLanguageModelV1({
+        doStream: async () => ({
+          stream: convertArrayToReadableStream(steps.shift()!),
+          rawCall: { rawPrompt: null, rawSettings: {} },
+        }),
+      }),
+      prompt: 'What is 20 + 22?',
+      tools,
+      maxSteps: 3,
+    });
+
+    // the results only resolve once the stream was read
+    for await (const part of result.fullStream) {
+      expect(part.type).not.toBe('error');
+    }
+
+    expect(await result.text).toBe('The sum is 42.');
+    expect((await result.steps)[0].toolResults).toMatchObject([
+      { toolName, args: { a: 20, b: 22 }, result: { content: [{ type: 'text', text: '42' }] } },
+    ]);
+    expect(findMCPTool([trusted], toolName)).toEqual({ server: trusted, toolName: 'add' });
+  });
+});
@@ -0,0 +1,106 @@
+import { jsonSchema, type CoreTool } from 'ai';
+import { createScopedLogger } from '~/utils/logger';
+import { withMCPClient, type MCPClientOptions } from './mcp-client';
+import type { MCPServerConfig, MCPToolResult } from './types';
+
+const logger = createScopedLogger('mcp-tools');
+
+const TOOL_NAME_SEPARATOR = '__';
+
+// what the providers accept as a function name
+const TOOL_NAME_REGEX = /^[a-zA-Z0-9_-]{1,64}$/;
+
+function getServerKey(server: Pick<MCPServerConfig, 'name'>) {
+  return (
+    server.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '') || 'server'
+  );
+}
+
+/**
+ * Name a tool is exposed to the model with, prefixed with its server so tools of different servers can't collide
+ */
+export function getMCPToolName(server: Pick<MCPServerConfig, 'name'>, toolName: string) {
+  return `${getServerKey(server)}${TOOL_NAME_SEPARATOR}${toolName}`;
+}
+
+/**
+ * Find the server and the original name of a tool the model called
+ */
+export function findMCPTool(
+  servers: MCPServerConfig[],
+  name: string,
+): { server: MCPServerConfig; toolName: string } | undefined {
+  for (const server of servers) {
+    const prefix = `${getServerKey(server)}${TOOL_NAME_SEPARATOR}`;
+
+    if (server.enabled && name.startsWith(prefix)) {
+      return { server, toolName: name.slice(prefix.length) };
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Call a tool, failures are returned as an error result so the model can react to them
+ */
+export async function callMCPTool(
+  server: MCPServerConfig,
+  toolName: string,
+  args: Record<string, unknown>,
+  options?: MCPClientOptions,
+): Promise<MCPToolResult> {
+  try {
+    return await withMCPClient(server, (client) => client.callTool(toolName, args), options);
+  } catch (error) {
+    logger.warn(`${server.name} ${toolName} failed:`, error);
+    return { isError: true, content: [{ type: 'text', text: error instanceof Error ? error.message : String(error) }] };
+  }
+}
+
+/**
+ * Discover the tools of the enabled servers for a `streamText` call. Only the tools of servers that are
+ * always allowed get an `execute`, the model stops at calls of the others until the user approves them.
+ */
+export async function createMCPTools(
+  servers: MCPServerConfig[],
+  options?: MCPClientOptions,
+): Promise<{ tools: Record<string, CoreTool>; failed: { server: string; error: string }[] }> {
+  const tools: Record<string, CoreTool> = {};
+  const failed: { server: string; error: string }[] = [];
+
+  await Promise.all(
+    servers
+      .filter((server) => server.enabled)
+      .map(async (server) => {
+        try {
+          const serverTools = await withMCPClient(server, (client) => client.listTools(), options);
+
+          for (const mcpTool of serverTools) {
+            const name = getMCPToolName(server, mcpTool.name);
+
+            if (!TOOL_NAME_REGEX.test(name)) {
+              logger.warn(`Skipping tool ${mcpTool.name} of ${server.name}: ${name} is not a valid tool name`);
+              continue;
+            }
+
+            tools[name] = {
+              description: `${mcpTool.description ?? mcpTool.name} (MCP server: ${server.name})`,
+              parameters: jsonSchema(mcpTool.inputSchema as Parameters<typeof jsonSchema>[0]),
+              execute: server.alwaysAllow
+                ? (args: Record<string, unknown>) => callMCPTool(server, mcpTool.name, args, options)
+                : undefined,
+            };
+          }
+        } catch (error) {
+          logger.warn(`Failed to list the tools of ${server.name}:`, error);
+          failed.push({ server: server.name, error: error instanceof Error ? error.message : String(error) });
+        }
+      }),
+  );
+
+  return { tools, failed };
+}
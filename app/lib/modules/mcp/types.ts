@@ -0,0 +1,46 @@
+/**
+ * `streamable-http` posts every message to the server url, `sse` is the older transport that keeps
+ * an event stream open and posts to the endpoint the server announces on it.
+ */
+export type MCPTransport = 'streamable-http' | 'sse';
+
+export interface MCPServerConfig {
+  id: string;
+  name: string;
+  url: string;
+  transport: MCPTransport;
+
+  // sent with every request, e.g. `Authorization`
+  headers?: Record<string, string>;
+  enabled: boolean;
+
+  // run the tools of this server without asking first
+  alwaysAllow: boolean;
+}
+
+export interface MCPSettings {
+  servers: MCPServerConfig[];
+
+  // model calls per response, each tool round trip takes one
+  maxSteps: number;
+}
+
+export interface MCPTool {
+  name: string;
+  description?: string;
+  inputSchema: Record<string, unknown>;
+}
+
+export type MCPContent =
+  | { type: 'text'; text: string }
+  | { type: 'image' | 'audio'; data: string; mimeType: string }
+  | { type: 'resource'; resource: { uri: string; mimeType?: string; text?: string; blob?: string } };
+
+export interface MCPToolResult {
+  content: MCPContent[];
+  isError?: boolean;
+}
+
+export type MCPApiRequest =
+  | { intent: 'tools'; server: MCPServerConfig }
+  | { intent: 'call'; server: MCPServerConfig; toolName: string; args: Record<string, unknown> };
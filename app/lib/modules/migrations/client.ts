@@ -0,0 +1,32 @@
+import type { Migration, MigrationApiRequest, MigrationResult, MigrationTarget } from './types';
+
+/*
+ * Browser side entry points, migrations run on the server so plain Postgres databases can be reached too.
+ */
+
+async function callMigrationsApi(body: MigrationApiRequest, authorization?: string): Promise<MigrationResult> {
+  const response = await fetch('/api/supabase/migrations', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(authorization ? { Authorization: authorization } : {}) },
+    body: JSON.stringify(body),
+  });
+  const data = (await response.json()) as MigrationResult & { error?: string };
+
+  if (!response.ok) {
+    throw new Error(data.error || `Migration request failed with status ${response.status}`);
+  }
+
+  return data;
+}
+
+export const fetchMigrationStatus = (target: MigrationTarget, migrations: Migration[], authorization?: string) =>
+  callMigrationsApi({ intent: 'status', target, migrations }, authorization);
+
+export const applyPendingMigrations = (target: MigrationTarget, migrations: Migration[], authorization?: string) =>
+  callMigrationsApi({ intent: 'apply', target, migrations }, authorization);
+
+export const rollbackLastMigration = (target: MigrationTarget, migrations: Migration[], authorization?: string) =>
+  callMigrationsApi({ intent: 'rollback', target, migrations }, authorization);
+
+export const baselinePendingMigrations = (target: MigrationTarget, migrations: Migration[], authorization?: string) =>
+  callMigrationsApi({ intent: 'baseline', target, migrations }, authorization);
@@ -0,0 +1,99 @@
+import postgres from 'postgres';
+
+/**
+ * A database to run migrations against. Only used on the server, the browser goes through
+ * `/api/supabase/migrations`.
+ */
+export interface MigrationDatabase {
+  query<T = Record<string, unknown>>(sql: string): Promise<T[]>;
+
+  // run the scripts in one transaction, nothing is kept when one of them fails
+  transaction(scripts: string[]): Promise<void>;
+  close(): Promise<void>;
+}
+
+/**
+ * A script of a transaction failed, `index` is unknown when the database ran them as a whole
+ */
+export class TransactionError extends Error {
+  constructor(
+    message: string,
+    readonly index?: number,
+  ) {
+    super(message);
+    this.name = 'TransactionError';
+  }
+}
+
+export function createPostgresDatabase(url: string): MigrationDatabase {
+  const sql = postgres(url, { max: 1, onnotice: () => undefined });
+
+  return {
+    async query<T>(text: string) {
+      return (await sql.unsafe(text)) as unknown as T[];
+    },
+    async transaction(scripts) {
+      await sql.begin(async (tx) => {
+        for (const [index, script] of scripts.entries()) {
+          try {
+            await tx.unsafe(script);
+          } catch (error) {
+            throw new TransactionError(error instanceof Error ? error.message : String(error), index);
+          }
+        }
+      });
+    },
+    close: () => sql.end({ timeout: 5 }),
+  };
+}
+
+interface SupabaseDatabaseOptions {
+  projectId: string;
+
+  // `Authorization` header for the management API
+  authorization: string;
+  fetch?: typeof fetch;
+}
+
+export function createSupabaseDatabase({
+  projectId,
+  authorization,
+  fetch: fetchImpl = fetch,
+}: SupabaseDatabaseOptions): MigrationDatabase {
+  const run = async <T>(query: string) => {
+    const response = await fetchImpl(`https://api.supabase.com/v1/projects/${projectId}/database/query`, {
+      method: 'POST',
+      headers: { Authorization: authorization, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query }),
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      let message = text;
+
+      try {
+        const data = JSON.parse(text) as { message?: string; error?: string };
+        message = data.message || data.error || text;
+      } catch {
+        // not JSON, keep the text
+      }
+
+      throw new Error(message || `Supabase responded with ${response.status}`);
+    }
+
+    return (await response.json()) as T[];
+  };
+
+  return {
+    query: run,
+    async transaction(scripts) {
+      // the management API runs one query string per request, the whole batch goes in at once
+      try {
+        await run(['begin;', ...scripts.map((script) => `${script}\n;`), 'commit;'].join('\n'));
+      } catch (error) {
+        throw new TransactionError(error instanceof Error ? error.message : String(error));
+      }
+    },
+    close: async () => undefined,
+  };
+}
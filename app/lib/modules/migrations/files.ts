@@ -0,0 +1,71 @@
+import type { Migration } from './types';
+
+/*
+ * Migrations are the `.sql` files in `supabase/migrations`, named `<version>_<name>.sql` like the Supabase CLI
+ * expects. An optional rollback goes to `supabase/migrations/down` under the same file name.
+ */
+
+const MIGRATION_REGEX = /(?:^|\/)supabase\/migrations\/(down\/)?([^/]+)\.sql$/;
+
+export const isMigrationPath = (path: string) => MIGRATION_REGEX.test(path);
+
+export function parseMigrationName(fileName: string) {
+  const match = fileName.match(/^(\d+)_?(.*)$/);
+
+  return match ? { version: match[1], name: match[2] || match[1] } : { version: fileName, name: fileName };
+}
+
+// files without a leading number predate the naming convention, their order can't be told from their names
+export const isVersioned = (version: string) => /^\d+$/.test(version);
+
+/**
+ * Version order, unversioned migrations come before all numbered ones
+ */
+export function compareVersions(a: string, b: string) {
+  if (isVersioned(a) !== isVersioned(b)) {
+    return isVersioned(a) ? 1 : -1;
+  }
+
+  return a.localeCompare(b, 'en', { numeric: true });
+}
+
+export async function checksum(sql: string) {
+  const data = new TextEncoder().encode(sql.replace(/\r\n/g, '\n').trim());
+  const digest = await crypto.subtle.digest('SHA-256', data);
+
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Migrations of a project in the order they apply
+ */
+export async function collectMigrations(files: { path: string; content: string }[]): Promise<Migration[]> {
+  const ups = new Map<string, { path: string; content: string }>();
+  const downs = new Map<string, string>();
+
+  for (const file of files) {
+    const match = file.path.match(MIGRATION_REGEX);
+
+    if (!match) {
+      continue;
+    }
+
+    if (match[1]) {
+      downs.set(match[2], file.content);
+    } else {
+      ups.set(match[2], file);
+    }
+  }
+
+  const migrations = await Promise.all(
+    [...ups].map(async ([fileName, file]) => ({
+      ...parseMigrationName(fileName),
+      path: file.path,
+      up: file.content,
+      down: downs.get(fileName)?.trim() || undefined,
+      checksum: await checksum(file.content),
+    })),
+  );
+
+  return migrations.sort((a, b) => compareVersions(a.version, b.version));
+}
@@ -0,0 +1,189 @@
+import { PGlite } from '@electric-sql/pglite';
+import { PGLiteSocketServer } from '@electric-sql/pglite-socket';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { createPostgresDatabase, createSupabaseDatabase, type MigrationDatabase } from './database';
+import { collectMigrations } from './files';
+import { applyMigrations, baselineMigrations, readMigrationStatus, rollbackMigration } from './migrator';
+
+const DIR = '/home/project/supabase/migrations';
+
+const FILES = [
+  { path: `${DIR}/20240102000000_add_posts.sql`, content: 'create table posts (id int, author int);' },
+  { path: `${DIR}/20240101000000_create_users.sql`, content: 'create table users (id int primary key);' },
+  { path: `${DIR}/down/20240102000000_add_posts.sql`, content: 'drop table posts;' },
+  { path: '/home/project/src/main.ts', content: '' },
+];
+
+describe('collectMigrations', () => {
+  it('should order migrations by version and pair them with their down migration', async () => {
+    const migrations = await collectMigrations([...FILES, { path: `${DIR}/seed.sql`, content: 'select 1;' }]);
+
+    // unversioned files predate the naming convention
+    expect(migrations.map(({ version, name, down }) => ({ version, name, down }))).toEqual([
+      { version: 'seed', name: 'seed', down: undefined },
+      { version: '20240101000000', name: 'create_users', down: undefined },
+      { version: '20240102000000', name: 'add_posts', down: 'drop table posts;' },
+    ]);
+    expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
+
+describe('migrator', () => {
+  let pglite: PGlite;
+  let server: PGLiteSocketServer;
+  let db: MigrationDatabase;
+
+  const tables = async () =>
+    (
+      await db.query<{ name: string }>(
+        `select table_name as name from information_schema.tables where table_schema = 'public' order by 1`,
+      )
+    ).map(({ name }) => name);
+
+  beforeAll(async () => {
+    pglite = await PGlite.create();
+    server = new PGLiteSocketServer({ db: pglite, port: 0 });
+    await server.start();
+    db = createPostgresDatabase(`postgres://postgres@${server.getServerConn()}/postgres`);
+  });
+
+  afterAll(async () => {
+    await db.close();
+    await server.stop();
+    await pglite.close();
+  });
+
+  beforeEach(async () => {
+    await db.query('drop schema if exists bolt_migrations cascade; drop schema public cascade; create schema public;');
+  });
+
+  it('should apply pending migrations in order and record them', async () => {
+    const migrations = await collectMigrations(FILES);
+
+    expect((await readMigrationStatus(db, migrations)).map(({ state }) => state)).toEqual(['pending', 'pending']);
+
+    const result = await applyMigrations(db, migrations);
+
+    expect(result.versions).toEqual(['20240101000000', '20240102000000']);
+    expect(result.statuses.map(({ state, hasDown }) => [state, hasDown])).toEqual([
+      ['applied', false],
+      ['applied', true],
+    ]);
+    expect(await tables()).toEqual(['posts', 'users']);
+    expect((await applyMigrations(db, migrations)).versions).toEqual([]);
+  });
+
+  it('should apply nothing when one of the pending migrations fails', async () => {
+    const migrations = await collectMigrations([
+      ...FILES,
+      { path: `${DIR}/20240103000000_broken.sql`, content: 'alter table missing add column x int;' },
+    ]);
+
+    await expect(applyMigrations(db, migrations)).rejects.toMatchObject({
+      message: expect.stringContaining('Migration 20240103000000 (broken) failed'),
+      version: '20240103000000',
+    });
+    expect(await tables()).toEqual([]);
+    expect((await readMigrationStatus(db, migrations)).every(({ state }) => state === 'pending')).toBe(true);
+  });
+
+  it('should detect drift and refuse to apply until it is resolved', async () => {
+    await applyMigrations(db, await collectMigrations(FILES));
+
+    const changed = await collectMigrations([
+      { ...FILES[0], content: 'create table posts (id bigint);' },
+      { path: `${DIR}/20240103000000_comments.sql`, content: 'create table comments (id int);' },
+    ]);
+
+    expect((await readMigrationStatus(db, changed)).map(({ version, state }) => [version, state])).toEqual([
+      ['20240101000000', 'missing'],
+      ['20240102000000', 'drifted'],
+      ['20240103000000', 'pending'],
+    ]);
+    await expect(applyMigrations(db, changed)).rejects.toThrow(
+      'Applied migrations have drifted: 20240101000000 (missing), 20240102000000 (drifted)',
+    );
+  });
+
+  it('should mark the migrations of an existing database as applied without running them', async () => {
+    // run before the project had a ledger, e.g. through `query` actions
+    await db.query('create table users (id int primary key); create table posts (id int, author int);');
+
+    const legacy = await collectMigrations([
+      { path: `${DIR}/create_users.sql`, content: 'create table users (id int primary key);' },
+      { path: `${DIR}/20240102000000_add_posts.sql`, content: 'create table posts (id int, author int);' },
+    ]);
+
+    await expect(applyMigrations(db, legacy)).rejects.toThrow(
+      "Migrations without a version can't be ordered: create_users.sql",
+    );
+    await expect(applyMigrations(db, legacy.slice(1))).rejects.toThrow('already exists');
+
+    const result = await baselineMigrations(db, legacy);
+
+    expect(result.versions).toEqual(['create_users', '20240102000000']);
+    expect(result.statuses.map(({ state }) => state)).toEqual(['applied', 'applied']);
+
+    const migrations = await collectMigrations([
+      ...legacy.map(({ path, up }) => ({ path, content: up })),
+      { path: `${DIR}/20240103000000_comments.sql`, content: 'create table comments (id int);' },
+    ]);
+
+    expect((await applyMigrations(db, migrations)).versions).toEqual(['20240103000000']);
+    expect(await tables()).toEqual(['comments', 'posts', 'users']);
+  });
+
+  it('should roll back the last migration with its down migration', async () => {
+    const migrations = await collectMigrations(FILES);
+    await applyMigrations(db, migrations);
+
+    const result = await rollbackMigration(db, migrations);
+
+    expect(result.versions).toEqual(['20240102000000']);
+    expect(result.statuses.map(({ state }) => state)).toEqual(['applied', 'pending']);
+    expect(await tables()).toEqual(['users']);
+
+    // the down migration stored at apply time is used once its file is gone
+    await applyMigrations(db, migrations);
+    await rollbackMigration(
+      db,
+      migrations.map((migration) => ({ ...migration, down: undefined })),
+    );
+    expect(await tables()).toEqual(['users']);
+
+    await expect(rollbackMigration(db, migrations)).rejects.toThrow(
+      'Migration 20240101000000 (create_users) has no down migration',
+    );
+  });
+
+  it('should run the same ledger through the Supabase management API', async () => {
+    const requests: { url: string; authorization: string | null }[] = [];
+    const supabase = createSupabaseDatabase({
+      projectId: 'project',
+      authorization: 'Bearer token',
+      fetch: async (input, init) => {
+        const request = new Request(input, init);
+        const { query } = await request.json<{ query: string }>();
+        requests.push({ url: request.url, authorization: request.headers.get('Authorization') });
+
+        try {
+          const results = await pglite.exec(query);
+          return Response.json(results.at(-1)?.rows ?? []);
+        } catch (error) {
+          await pglite.exec('rollback');
+          return Response.json({ message: (error as Error).message }, { status: 400 });
+        }
+      },
+    });
+
+    const migrations = await collectMigrations(FILES);
+    const result = await applyMigrations(supabase, migrations);
+
+    expect(result.statuses.map(({ state }) => state)).toEqual(['applied', 'applied']);
+    expect(requests[0]).toEqual({
+      url: 'https://api.supabase.com/v1/projects/project/database/query',
+      authorization: 'Bearer token',
+    });
+    expect((await readMigrationStatus(db, migrations)).map(({ state }) => state)).toEqual(['applied', 'applied']);
+  });
+});
@@ -0,0 +1,200 @@
+import { TransactionError, type MigrationDatabase } from './database';
+import { compareVersions, isVersioned } from './files';
+import type { AppliedMigration, Migration, MigrationResult, MigrationStatus } from './types';
+
+// the ledger of applied migrations lives in the target database, next to what it describes
+export const LEDGER_TABLE = 'bolt_migrations.applied';
+
+export class MigrationError extends Error {
+  constructor(
+    message: string,
+    readonly version?: string,
+  ) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+export const quoteLiteral = (value: string | undefined) =>
+  value === undefined ? 'null' : `'${value.replace(/'/g, "''")}'`;
+
+export async function ensureLedger(db: MigrationDatabase) {
+  await db.query(`
+    create schema if not exists bolt_migrations;
+    create table if not exists ${LEDGER_TABLE} (
+      version text primary key,
+      name text not null,
+      checksum text not null,
+      down text,
+      applied_at timestamptz not null default now()
+    );
+  `);
+}
+
+export async function getAppliedMigrations(db: MigrationDatabase): Promise<AppliedMigration[]> {
+  const rows = await db.query<{
+    version: string;
+    name: string;
+    checksum: string;
+    down: string | null;
+    applied_at: string;
+  }>(`select version, name, checksum, down, applied_at::text from ${LEDGER_TABLE}`);
+
+  return rows
+    .map((row) => ({
+      version: row.version,
+      name: row.name,
+      checksum: row.checksum,
+      down: row.down ?? undefined,
+      appliedAt: row.applied_at,
+    }))
+    .sort((a, b) => compareVersions(a.version, b.version));
+}
+
+/**
+ * Where each migration of the project stands in the database, in version order. Applied migrations without
+ * a file are listed as `missing`.
+ */
+export function getMigrationStatus(migrations: Migration[], applied: AppliedMigration[]): MigrationStatus[] {
+  const byVersion = new Map(applied.map((entry) => [entry.version, entry]));
+  const statuses: MigrationStatus[] = migrations.map((migration) => {
+    const entry = byVersion.get(migration.version);
+
+    return {
+      version: migration.version,
+      name: migration.name,
+      path: migration.path,
+      state: !entry ? 'pending' : entry.checksum === migration.checksum ? 'applied' : 'drifted',
+      appliedAt: entry?.appliedAt,
+      hasDown: !!(migration.down ?? entry?.down),
+    };
+  });
+
+  for (const entry of applied) {
+    if (!migrations.some((migration) => migration.version === entry.version)) {
+      statuses.push({
+        version: entry.version,
+        name: entry.name,
+        state: 'missing',
+        appliedAt: entry.appliedAt,
+        hasDown: !!entry.down,
+      });
+    }
+  }
+
+  return statuses.sort((a, b) => compareVersions(a.version, b.version));
+}
+
+export async function readMigrationStatus(db: MigrationDatabase, migrations: Migration[]) {
+  await ensureLedger(db);
+  return getMigrationStatus(migrations, await getAppliedMigrations(db));
+}
+
+const getPendingMigrations = (migrations: Migration[], statuses: MigrationStatus[]) =>
+  migrations.filter((migration) =>
+    statuses.some((status) => status.version === migration.version && status.state === 'pending'),
+  );
+
+const recordMigration = (migration: Migration) =>
+  `insert into ${LEDGER_TABLE} (version, name, checksum, down) values (${[
+    migration.version,
+    migration.name,
+    migration.checksum,
+    migration.down,
+  ]
+    .map(quoteLiteral)
+    .join(', ')});`;
+
+/**
+ * Apply the pending migrations in order, in one transaction. Refuses to run while applied migrations have
+ * drifted, the project no longer describes the database then.
+ */
+export async function applyMigrations(db: MigrationDatabase, migrations: Migration[]): Promise<MigrationResult> {
+  const statuses = await readMigrationStatus(db, migrations);
+  const drifted = statuses.filter((status) => status.state === 'drifted' || status.state === 'missing');
+
+  if (drifted.length > 0) {
+    throw new MigrationError(
+      `Applied migrations have drifted: ${drifted.map((status) => `${status.version} (${status.state})`).join(', ')}`,
+      drifted[0].version,
+    );
+  }
+
+  const pending = getPendingMigrations(migrations, statuses);
+
+  if (pending.length === 0) {
+    return { statuses, versions: [] };
+  }
+
+  const unversioned = pending.filter((migration) => !isVersioned(migration.version));
+
+  if (unversioned.length > 0) {
+    const names = unversioned.map(({ version }) => `${version}.sql`).join(', ');
+
+    throw new MigrationError(
+      `Migrations without a version can't be ordered: ${names}. Rename them to <version>_<name>.sql, ` +
+        'or mark them as applied if the database already has them',
+      unversioned[0].version,
+    );
+  }
+
+  try {
+    await db.transaction(pending.map((migration) => `${migration.up}\n;\n${recordMigration(migration)}`));
+  } catch (error) {
+    const failed = error instanceof TransactionError && error.index !== undefined ? pending[error.index] : undefined;
+    const message = error instanceof Error ? error.message : String(error);
+
+    throw new MigrationError(
+      failed
+        ? `Migration ${failed.version} (${failed.name}) failed: ${message}`
+        : `Applying migrations failed: ${message}`,
+      failed?.version,
+    );
+  }
+
+  return { statuses: await readMigrationStatus(db, migrations), versions: pending.map(({ version }) => version) };
+}
+
+/**
+ * Roll back the last applied migration with its down migration, from the project or from the ledger
+ */
+export async function rollbackMigration(db: MigrationDatabase, migrations: Migration[]): Promise<MigrationResult> {
+  await ensureLedger(db);
+
+  const last = (await getAppliedMigrations(db)).at(-1);
+
+  if (!last) {
+    throw new MigrationError('No migration has been applied');
+  }
+
+  const down = migrations.find((migration) => migration.version === last.version)?.down ?? last.down;
+
+  if (!down) {
+    throw new MigrationError(`Migration ${last.version} (${last.name}) has no down migration`, last.version);
+  }
+
+  try {
+    await db.transaction([`${down}\n;\ndelete from ${LEDGER_TABLE} where version = ${quoteLiteral(last.version)};`]);
+  } catch (error) {
+    throw new MigrationError(
+      `Rolling back ${last.version} (${last.name}) failed: ${error instanceof Error ? error.message : String(error)}`,
+      last.version,
+    );
+  }
+
+  return { statuses: await readMigrationStatus(db, migrations), versions: [last.version] };
+}
+
+/**
+ * Record the pending migrations as applied without running them, for databases that already have their changes,
+ * e.g. when they were run before the project had a ledger.
+ */
+export async function baselineMigrations(db: MigrationDatabase, migrations: Migration[]): Promise<MigrationResult> {
+  const pending = getPendingMigrations(migrations, await readMigrationStatus(db, migrations));
+
+  if (pending.length > 0) {
+    await db.transaction(pending.map(recordMigration));
+  }
+
+  return { statuses: await readMigrationStatus(db, migrations), versions: pending.map(({ version }) => version) };
+}
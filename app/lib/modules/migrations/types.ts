@@ -0,0 +1,57 @@
+export interface Migration {
+  // leading number of the file name, or the whole name when it has none
+  version: string;
+  name: string;
+  path: string;
+  up: string;
+
+  // rollback from the file of the same name in `migrations/down`
+  down?: string;
+
+  // sha-256 of the up migration, an applied migration whose file changed since has drifted
+  checksum: string;
+}
+
+export interface AppliedMigration {
+  version: string;
+  name: string;
+  checksum: string;
+  down?: string;
+  appliedAt: string;
+}
+
+/**
+ * `drifted` migrations were applied but their file changed since, `missing` ones were applied but have
+ * no file in the project anymore.
+ */
+export type MigrationState = 'applied' | 'pending' | 'drifted' | 'missing';
+
+export interface MigrationStatus {
+  version: string;
+  name: string;
+  state: MigrationState;
+  path?: string;
+  appliedAt?: string;
+
+  // a rollback is possible, from the project or from what was stored when it was applied
+  hasDown: boolean;
+}
+
+/**
+ * The database migrations are applied to, a Supabase project through the management API (the token is sent
+ * as `Authorization` header) or any Postgres database by its connection URL.
+ */
+export type MigrationTarget = { type: 'supabase'; projectId: string } | { type: 'postgres'; url: string };
+
+export type MigrationApiRequest =
+  | { intent: 'status'; target: MigrationTarget; migrations: Migration[] }
+  | { intent: 'apply'; target: MigrationTarget; migrations: Migration[] }
+  | { intent: 'rollback'; target: MigrationTarget; migrations: Migration[] }
+  | { intent: 'baseline'; target: MigrationTarget; migrations: Migration[] };
+
+export interface MigrationResult {
+  statuses: MigrationStatus[];
+
+  // versions changed by the request, in the order they ran
+  versions: string[];
+}
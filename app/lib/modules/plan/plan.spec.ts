@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import {
+  completeStep,
+  failStep,
+  formatStepPrompt,
+  parsePlan,
+  PLAN_CONTEXT_REGEX,
+  PlanError,
+  retryStep,
+  runPlan,
+  skipStep,
+  startStep,
+} from './plan';
+import { WORK_DIR } from '~/utils/constants';
+
+const ANSWER = `Here is the plan:
+
+\`\`\`json
+{
+  "summary": "Add a todo list",
+  "steps": [
+    { "title": "Add the store", "goal": "Keep todos in local storage", "files": ["${WORK_DIR}/src/store.ts"] },
+    { "title": "Add the list", "files": ["/src/List.tsx"] },
+    { "title": "Wire it up" }
+  ]
+}
+\`\`\``;
+
+describe('parsePlan', () => {
+  it('should read a fenced plan as a draft with relative files', () => {
+    const plan = parsePlan(ANSWER);
+
+    expect(plan.status).toBe('draft');
+    expect(plan.summary).toBe('Add a todo list');
+    expect(plan.steps.map((step) => [step.title, step.goal, step.files, step.status])).toEqual([
+      ['Add the store', 'Keep todos in local storage', ['src/store.ts'], 'pending'],
+      ['Add the list', '', ['src/List.tsx'], 'pending'],
+      ['Wire it up', '', [], 'pending'],
+    ]);
+  });
+
+  it('should reject answers without a valid plan', () => {
+    expect(() => parsePlan('I cannot do that')).toThrow(PlanError);
+    expect(() => parsePlan('{ "steps": [ }')).toThrow('not valid JSON');
+    expect(() => parsePlan('{ "steps": [] }')).toThrow(PlanError);
+  });
+});
+
+describe('plan steps', () => {
+  it('should pause on a failed step and finish once every step ran or was skipped', () => {
+    let plan = runPlan(parsePlan(ANSWER));
+    const [first, second, third] = plan.steps;
+
+    plan = completeStep(startStep(plan, first.id), first.id, 'message-1');
+    expect(plan.status).toBe('running');
+    expect(plan.steps[0]).toMatchObject({ status: 'done', messageId: 'message-1' });
+
+    plan = failStep(startStep(plan, second.id), second.id, 'Stopped');
+    expect(plan.status).toBe('paused');
+    expect(plan.steps[1]).toMatchObject({ status: 'failed', error: 'Stopped' });
+
+    plan = retryStep(plan, second.id);
+    expect(plan.status).toBe('running');
+    expect(plan.steps[1].status).toBe('pending');
+
+    plan = failStep(startStep(plan, second.id), second.id, 'Stopped');
+    plan = skipStep(plan, second.id);
+    plan = completeStep(startStep(plan, third.id), third.id, 'message-3');
+    expect(plan.status).toBe('done');
+  });
+
+  it('should hide the plan context of a step prompt', () => {
+    const plan = parsePlan(ANSWER);
+    const prompt = formatStepPrompt(plan, plan.steps[1]);
+
+    expect(prompt).toContain('[pending] 1. Add the store (src/store.ts): Keep todos in local storage');
+    expect(prompt).toContain('[current] 2. Add the list (src/List.tsx)');
+    expect(prompt.replace(PLAN_CONTEXT_REGEX, '')).toBe('Step 2 of 3: Add the list');
+  });
+});
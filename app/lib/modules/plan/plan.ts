@@ -0,0 +1,147 @@
+import { generateId } from 'ai';
+import { z } from 'zod';
+import type { ChatPlan, PlanStep } from '~/types/plan';
+import { WORK_DIR } from '~/utils/constants';
+
+export const MAX_PLAN_STEPS = 20;
+
+// matches the block `formatStepPrompt` adds to a user message, it is hidden when the message is shown
+export const PLAN_CONTEXT_REGEX = /<plan_context>[\s\S]*?<\/plan_context>\s*/g;
+
+export class PlanError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'PlanError';
+  }
+}
+
+const planSchema = z.object({
+  summary: z.string().default(''),
+  steps: z
+    .array(
+      z.object({
+        title: z.string().min(1),
+        goal: z.string().default(''),
+        files: z.array(z.string()).default([]),
+      }),
+    )
+    .min(1)
+    .max(MAX_PLAN_STEPS),
+});
+
+const normalizeFile = (path: string) => path.trim().replace(`${WORK_DIR}/`, '').replace(/^\/+/, '');
+
+export const createStep = (step: Pick<PlanStep, 'title' | 'goal' | 'files'>): PlanStep => ({
+  id: generateId(),
+  title: step.title.trim(),
+  goal: step.goal.trim(),
+  files: step.files.map(normalizeFile).filter(Boolean),
+  status: 'pending',
+});
+
+/**
+ * Read the plan from the answer of a model in plan mode, a JSON object that may be wrapped in a code fence
+ */
+export function parsePlan(text: string): ChatPlan {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start === -1 || end < start) {
+    throw new PlanError('The model did not answer with a plan');
+  }
+
+  let json: unknown;
+
+  try {
+    json = JSON.parse(text.slice(start, end + 1));
+  } catch {
+    throw new PlanError('The plan of the model is not valid JSON');
+  }
+
+  const result = planSchema.safeParse(json);
+
+  if (!result.success) {
+    const issues = result.error.issues.map((issue) => `${issue.path.join('.') || 'plan'}: ${issue.message}`);
+    throw new PlanError(`Invalid plan: ${issues.slice(0, 3).join('; ')}`);
+  }
+
+  return {
+    id: generateId(),
+    createdAt: new Date().toISOString(),
+    summary: result.data.summary.trim(),
+    status: 'draft',
+    steps: result.data.steps.map(createStep),
+  };
+}
+
+const describeStep = (step: PlanStep, index: number) => {
+  const files = step.files.length > 0 ? ` (${step.files.join(', ')})` : '';
+  return `${index + 1}. ${step.title}${files}${step.goal ? `: ${step.goal}` : ''}`;
+};
+
+/**
+ * The plan as the text of the response that drafted it, what the model sees of it in later requests
+ */
+export function formatPlanMarkdown(plan: ChatPlan) {
+  return `${plan.summary ? `${plan.summary}\n\n` : ''}${plan.steps.map(describeStep).join('\n')}`;
+}
+
+/**
+ * The user message running one step of a plan, with the whole plan as context for the model
+ */
+export function formatStepPrompt(plan: ChatPlan, step: PlanStep) {
+  const index = plan.steps.findIndex(({ id }) => id === step.id);
+  const total = plan.steps.length;
+  const progress = plan.steps
+    .map((other, i) => `[${other.id === step.id ? 'current' : other.status}] ${describeStep(other, i)}`)
+    .join('\n');
+
+  return `<plan_context>
+You are carrying out an approved plan one step at a time, each step is its own response.${plan.summary ? `\nThe plan: ${plan.summary}` : ''}
+
+${progress}
+
+Only implement step ${index + 1} now. Earlier steps are already in the project and later steps come in their own responses, do not start them.
+</plan_context>
+
+Step ${index + 1} of ${total}: ${step.title}${step.goal ? `\n\n${step.goal}` : ''}`;
+}
+
+export const isPlanEditable = (plan: ChatPlan) => plan.status === 'draft' || plan.status === 'paused';
+
+// done, failed and skipped steps are history, only the steps still to run can change
+export const isStepEditable = (plan: ChatPlan, step: PlanStep) => isPlanEditable(plan) && step.status === 'pending';
+
+const updateSteps = (plan: ChatPlan, update: (step: PlanStep) => PlanStep): ChatPlan => ({
+  ...plan,
+  steps: plan.steps.map(update),
+});
+
+// a running plan is done once no step is left to run
+const settle = (plan: ChatPlan): ChatPlan =>
+  plan.status === 'running' && plan.steps.every((step) => step.status === 'done' || step.status === 'skipped')
+    ? { ...plan, status: 'done' }
+    : plan;
+
+export const getRunningStep = (plan: ChatPlan) => plan.steps.find((step) => step.status === 'running');
+
+export const getNextStep = (plan: ChatPlan) => plan.steps.find((step) => step.status === 'pending');
+
+export const runPlan = (plan: ChatPlan) => settle({ ...plan, status: 'running' });
+
+export const startStep = (plan: ChatPlan, stepId: string) =>
+  updateSteps(plan, (step) => (step.id === stepId ? { ...step, status: 'running', error: undefined } : step));
+
+export const completeStep = (plan: ChatPlan, stepId: string, messageId?: string) =>
+  settle(updateSteps(plan, (step) => (step.id === stepId ? { ...step, status: 'done', messageId } : step)));
+
+export const failStep = (plan: ChatPlan, stepId: string, error: string): ChatPlan => ({
+  ...updateSteps(plan, (step) => (step.id === stepId ? { ...step, status: 'failed', error } : step)),
+  status: 'paused',
+});
+
+export const retryStep = (plan: ChatPlan, stepId: string) =>
+  runPlan(updateSteps(plan, (step) => (step.id === stepId ? { ...step, status: 'pending' } : step)));
+
+export const skipStep = (plan: ChatPlan, stepId: string) =>
+  runPlan(updateSteps(plan, (step) => (step.id === stepId ? { ...step, status: 'skipped' } : step)));
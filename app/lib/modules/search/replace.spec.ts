@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { createReplaceEdits, previewMatch, searchFiles, SearchError, type SearchOptions } from './replace';
+import type { FileMap } from '~/lib/stores/files';
+import { WORK_DIR } from '~/utils/constants';
+
+const file = (content: string) => ({ type: 'file' as const, content, isBinary: false });
+
+const USER_TS = 'const userName = getUser();\nexport { userName as name };\n';
+
+const FILES: FileMap = {
+  [`${WORK_DIR}/src`]: { type: 'folder' },
+  [`${WORK_DIR}/src/user.ts`]: file(USER_TS),
+  [`${WORK_DIR}/src/user.spec.ts`]: file('expect(getUser()).toBe(userName);\n'),
+  [`${WORK_DIR}/README.md`]: file('Call getUser to read the UserName.\n'),
+  [`${WORK_DIR}/node_modules/lib/index.js`]: file('getUser();\n'),
+  [`${WORK_DIR}/package-lock.json`]: file('{ "getUser": true }\n'),
+};
+
+const options = (changes: Partial<SearchOptions>): SearchOptions => ({
+  query: '',
+  isRegex: false,
+  caseSensitive: false,
+  wholeWord: false,
+  includes: [],
+  excludes: [],
+  ...changes,
+});
+
+describe('searchFiles', () => {
+  it('should skip ignored files and honor the include and exclude globs', () => {
+    const paths = (changes: Partial<SearchOptions>) => [
+      ...new Set(searchFiles(FILES, options({ query: 'getUser', ...changes })).matches.map((match) => match.path)),
+    ];
+
+    expect(paths({})).toEqual([`${WORK_DIR}/README.md`, `${WORK_DIR}/src/user.spec.ts`, `${WORK_DIR}/src/user.ts`]);
+    expect(paths({ includes: ['src'], excludes: ['*.spec.ts'] })).toEqual([`${WORK_DIR}/src/user.ts`]);
+  });
+
+  it('should match case and whole words when asked to', () => {
+    const texts = (changes: Partial<SearchOptions>) =>
+      searchFiles(FILES, options({ query: 'username', ...changes })).matches.map((match) => match.text);
+
+    expect(texts({})).toEqual(['UserName', 'userName', 'userName', 'userName']);
+    expect(texts({ caseSensitive: true })).toEqual([]);
+    expect(texts({ query: 'user', wholeWord: true })).toEqual([]);
+  });
+
+  it('should fill capture groups and locate matches', () => {
+    const { matches } = searchFiles(
+      FILES,
+      options({ query: '(?<kind>const|export) \\{?\\s*(\\w+)', isRegex: true, includes: ['src/user.ts'] }),
+      '$<kind> $2_v2 ($$)',
+    );
+
+    expect(matches.map(({ line, column, text, replacement }) => ({ line, column, text, replacement }))).toEqual([
+      { line: 1, column: 1, text: 'const userName', replacement: 'const userName_v2 ($)' },
+      { line: 2, column: 1, text: 'export { userName', replacement: 'export userName_v2 ($)' },
+    ]);
+    expect(previewMatch(USER_TS, matches[1])).toEqual({ prefix: '', suffix: ' as name };' });
+    expect(() => searchFiles(FILES, options({ query: '(', isRegex: true }))).toThrow(SearchError);
+  });
+
+  it('should replace the accepted matches and skip stale ones', () => {
+    const { matches } = searchFiles(FILES, options({ query: 'userName', caseSensitive: true }), 'currentUser');
+    const accepted = matches.filter((match) => match.line === 1);
+    const edits = createReplaceEdits(
+      { ...FILES, [`${WORK_DIR}/src/user.spec.ts`]: file('// moved\nexpect(getUser()).toBe(userName);\n') },
+      accepted,
+    );
+
+    expect(edits).toEqual([
+      {
+        path: `${WORK_DIR}/src/user.ts`,
+        before: USER_TS,
+        after: 'const currentUser = getUser();\nexport { userName as name };\n',
+      },
+    ]);
+  });
+});
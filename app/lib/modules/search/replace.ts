@@ -0,0 +1,241 @@
+import ignore from 'ignore';
+import type { FileMap } from '~/lib/stores/files';
+import { IGNORE_PATTERNS, WORK_DIR } from '~/utils/constants';
+
+// a search stops collecting once it found this many matches
+export const MAX_MATCHES = 2000;
+
+export class SearchError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'SearchError';
+  }
+}
+
+export interface SearchOptions {
+  query: string;
+  isRegex: boolean;
+  caseSensitive: boolean;
+  wholeWord: boolean;
+
+  // gitignore style globs relative to the project root, no includes means every file
+  includes: string[];
+  excludes: string[];
+}
+
+export interface SearchMatch {
+  // stable while the content of the file does not change
+  id: string;
+  path: string;
+
+  // 1-based line and column of the start of the match
+  line: number;
+  column: number;
+
+  // offsets of the match in the content of the file
+  start: number;
+  end: number;
+  text: string;
+
+  // the text the match becomes, with the capture groups of a regex search filled in
+  replacement: string;
+}
+
+export interface SearchResult {
+  matches: SearchMatch[];
+
+  // the search stopped at `MAX_MATCHES`
+  truncated: boolean;
+}
+
+/**
+ * One file of a replace operation, `before` is checked against the file before `after` is written
+ */
+export interface ReplaceEdit {
+  path: string;
+  before: string;
+  after: string;
+}
+
+const escapeRegex = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The regex a search looks for, a literal query is escaped first
+ */
+export function createSearchRegex({ query, isRegex, caseSensitive, wholeWord }: SearchOptions) {
+  const source = isRegex ? query : escapeRegex(query);
+
+  try {
+    return new RegExp(wholeWord ? `\\b(?:${source})\\b` : source, `g${caseSensitive ? '' : 'i'}m`);
+  } catch (error) {
+    throw new SearchError(`Invalid regular expression: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
+
+/**
+ * Whether a file takes part in a search, by its absolute path. `IGNORE_PATTERNS` always apply.
+ */
+export function createPathFilter(includes: string[], excludes: string[]) {
+  const excluded = ignore().add(IGNORE_PATTERNS).add(excludes);
+  const included = includes.length > 0 ? ignore().add(includes) : undefined;
+
+  return (filePath: string) => {
+    const relativePath = filePath.startsWith(`${WORK_DIR}/`) ? filePath.slice(WORK_DIR.length + 1) : undefined;
+
+    if (!relativePath) {
+      return false;
+    }
+
+    return !excluded.ignores(relativePath) && (!included || included.ignores(relativePath));
+  };
+}
+
+/**
+ * Fill the `$1`, `$<name>`, `$&` and `$$` references of a regex replacement, like `String.replace` does
+ */
+export function expandReplacement(replacement: string, match: RegExpExecArray) {
+  return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, reference: string, name?: string) => {
+    if (reference === '$') {
+      return '$';
+    }
+
+    if (reference === '&') {
+      return match[0];
+    }
+
+    if (name !== undefined) {
+      return match.groups?.[name] ?? '';
+    }
+
+    const group = Number(reference);
+
+    return group > 0 && group < match.length ? (match[group] ?? '') : token;
+  });
+}
+
+/**
+ * Find the matches of a search in the text files of the project, in path order
+ * @throws {SearchError} when the query is not a valid regex
+ */
+export function searchFiles(files: FileMap, options: SearchOptions, replacement = ''): SearchResult {
+  const matches: SearchMatch[] = [];
+
+  if (!options.query) {
+    return { matches, truncated: false };
+  }
+
+  const regex = createSearchRegex(options);
+  const isIncluded = createPathFilter(options.includes, options.excludes);
+  const paths = Object.keys(files).filter(isIncluded).sort();
+
+  for (const path of paths) {
+    const file = files[path];
+
+    if (file?.type !== 'file' || file.isBinary) {
+      continue;
+    }
+
+    const { content } = file;
+    let lineStart = 0;
+    let line = 1;
+
+    regex.lastIndex = 0;
+
+    for (let match = regex.exec(content); match; match = regex.exec(content)) {
+      // an empty match would never move forward, and there is nothing to replace in it
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+
+      if (matches.length === MAX_MATCHES) {
+        return { matches, truncated: true };
+      }
+
+      for (
+        let index = content.indexOf('\n', lineStart);
+        index !== -1 && index < match.index;
+        index = content.indexOf('\n', lineStart)
+      ) {
+        lineStart = index + 1;
+        line++;
+      }
+
+      matches.push({
+        id: `${path}:${match.index}`,
+        path,
+        line,
+        column: match.index - lineStart + 1,
+        start: match.index,
+        end: match.index + match[0].length,
+        text: match[0],
+        replacement: options.isRegex ? expandReplacement(replacement, match) : replacement,
+      });
+    }
+  }
+
+  return { matches, truncated: false };
+}
+
+/**
+ * The rest of the lines a match touches, to preview the match and its replacement as a diff
+ */
+export function previewMatch(content: string, match: SearchMatch) {
+  const lineStart = content.lastIndexOf('\n', match.start - 1) + 1;
+  const lineEnd = content.indexOf('\n', match.end);
+
+  return {
+    prefix: content.slice(lineStart, match.start),
+    suffix: content.slice(match.end, lineEnd === -1 ? content.length : lineEnd),
+  };
+}
+
+/**
+ * The content of a file with the given matches of it replaced
+ */
+export function replaceMatches(content: string, matches: SearchMatch[]) {
+  const sorted = [...matches].sort((a, b) => a.start - b.start);
+  let result = '';
+  let offset = 0;
+
+  for (const match of sorted) {
+    // a match found before the file changed no longer points at its text
+    if (match.start < offset || content.slice(match.start, match.end) !== match.text) {
+      continue;
+    }
+
+    result += content.slice(offset, match.start) + match.replacement;
+    offset = match.end;
+  }
+
+  return result + content.slice(offset);
+}
+
+/**
+ * One edit per file with accepted matches, against the current content of the files
+ */
+export function createReplaceEdits(files: FileMap, matches: SearchMatch[]): ReplaceEdit[] {
+  const byPath = new Map<string, SearchMatch[]>();
+
+  for (const match of matches) {
+    byPath.set(match.path, [...(byPath.get(match.path) ?? []), match]);
+  }
+
+  const edits: ReplaceEdit[] = [];
+
+  for (const [path, fileMatches] of byPath) {
+    const file = files[path];
+
+    if (file?.type !== 'file' || file.isBinary) {
+      continue;
+    }
+
+    const after = replaceMatches(file.content, fileMatches);
+
+    if (after !== file.content) {
+      edits.push({ path, before: file.content, after });
+    }
+  }
+
+  return edits;
+}
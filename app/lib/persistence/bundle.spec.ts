@@ -0,0 +1,99 @@
+import JSZip from 'jszip';
+import { describe, expect, it } from 'vitest';
+import { BUNDLE_FORMAT, BUNDLE_VERSION, BundleError, migrateManifest, readBundle, writeBundle } from './bundle';
+import type { ProjectBundle } from './bundle';
+
+const HASH = 'a'.repeat(64);
+
+const BUNDLE: ProjectBundle = {
+  exportedAt: '2024-01-01T00:00:00.000Z',
+  chat: { id: '3', urlId: 'todo-app', description: 'Todo app', timestamp: '2024-01-01T00:00:00.000Z' },
+  messages: [
+    { id: 'm1', role: 'user', content: 'Build a todo app' },
+    { id: 'm2', role: 'assistant', content: 'Done' },
+  ],
+  snapshot: {
+    chatIndex: 'm2',
+    summary: 'A todo app',
+    files: {
+      '/home/project/src': { type: 'folder' },
+      '/home/project/src/App.tsx': { type: 'file', content: 'export {};', isBinary: false },
+      '/home/project/logo.png': { type: 'file', content: 'iVBORw0KGgo=', isBinary: true },
+    },
+  },
+  locks: [{ path: '/home/project/src/App.tsx', isFolder: false }],
+  checkpoints: {
+    entries: [
+      {
+        messageId: 'm2',
+        timestamp: '2024-01-01T00:00:00.000Z',
+        files: { '/home/project/src/App.tsx': { hash: HASH, isBinary: false } },
+        folders: ['/home/project/src'],
+        changedFiles: ['/home/project/src/App.tsx'],
+      },
+    ],
+    blobs: { [HASH]: 'export {};' },
+  },
+  settings: { model: 'gpt-4o', provider: 'OpenAI', promptId: 'default', contextMode: 'hybrid' },
+};
+
+const manifestOf = (overrides: object) => ({
+  format: BUNDLE_FORMAT,
+  version: BUNDLE_VERSION,
+  exportedAt: BUNDLE.exportedAt,
+  chat: {},
+  messages: [],
+  locks: [],
+  ...overrides,
+});
+
+describe('project bundles', () => {
+  it('should read back what was written', async () => {
+    const bytes = await writeBundle(BUNDLE);
+    const zip = await JSZip.loadAsync(bytes);
+
+    // the files can be used as the project without importing the bundle
+    expect(await zip.file('files/src/App.tsx')?.async('string')).toBe('export {};');
+    expect(await readBundle(bytes)).toEqual(BUNDLE);
+  });
+
+  it('should read chats exported before bundles', async () => {
+    const legacy = { messages: BUNDLE.messages, description: 'Todo app', exportDate: '2024-01-02T00:00:00.000Z' };
+    const bundle = await readBundle(new TextEncoder().encode(JSON.stringify(legacy)));
+
+    expect(bundle).toEqual({
+      exportedAt: '2024-01-02T00:00:00.000Z',
+      chat: { description: 'Todo app' },
+      messages: BUNDLE.messages,
+      snapshot: undefined,
+      locks: [],
+      checkpoints: undefined,
+      settings: undefined,
+    });
+  });
+
+  it('should reject bundles of newer versions', () => {
+    expect(() => migrateManifest(manifestOf({ version: BUNDLE_VERSION + 1 }))).toThrow(/not supported/);
+  });
+
+  it('should reject paths outside of the project', () => {
+    const manifest = manifestOf({ locks: [{ path: '../../etc/passwd', isFolder: false }] });
+
+    expect(() => migrateManifest(manifest)).toThrow(BundleError);
+    expect(() => migrateManifest(manifest)).toThrow('locks.0.path: Paths must be relative to the project');
+  });
+
+  it('should reject bundles missing files of the manifest', async () => {
+    const zip = new JSZip();
+    zip.file(
+      'manifest.json',
+      JSON.stringify(
+        manifestOf({ snapshot: { chatIndex: 'm1', folders: [], files: { 'a.ts': { isBinary: false } } } }),
+      ),
+    );
+
+    await expect(readBundle(await zip.generateAsync({ type: 'uint8array' }))).rejects.toThrow(
+      'Bundle is incomplete: files/a.ts is missing',
+    );
+  });
+});
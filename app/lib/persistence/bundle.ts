@@ -0,0 +1,316 @@
+import type { Message } from 'ai';
+import JSZip from 'jszip';
+import { z } from 'zod';
+import type { FileMap } from '~/lib/stores/files';
+import type { ContextMode } from '~/types/context';
+import { WORK_DIR } from '~/utils/constants';
+import type { IChatMetadata } from './db';
+import type { Checkpoint, Snapshot } from './types';
+
+/*
+ * A project bundle is a zip of a chat with everything needed to continue it elsewhere:
+ *
+ * - `manifest.json`, the chat, its messages and what the rest of the zip holds
+ * - `files/`, the files of the latest snapshot, so the zip can also be used as the project itself
+ * - `checkpoints/`, the file contents of the checkpoints by hash, when they are included
+ *
+ * Paths in the manifest are relative to the project.
+ */
+
+export const BUNDLE_FORMAT = 'kodora-project-bundle';
+export const BUNDLE_VERSION = 1;
+
+export class BundleError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'BundleError';
+  }
+}
+
+export interface BundleChat {
+  // missing for bundles made from chat exports, only `metadata.bundleId` is used to recognize a chat again
+  id?: string;
+  urlId?: string;
+  description?: string;
+  timestamp?: string;
+  metadata?: IChatMetadata;
+}
+
+export interface BundleLock {
+  path: string;
+  isFolder: boolean;
+}
+
+export type BundleCheckpoint = Omit<Checkpoint, 'id' | 'chatId'>;
+
+export interface BundleSettings {
+  model?: string;
+  provider?: string;
+  promptId?: string;
+  contextMode?: ContextMode;
+}
+
+export interface ProjectBundle {
+  exportedAt: string;
+  chat: BundleChat;
+  messages: Message[];
+  snapshot?: Snapshot;
+  locks: BundleLock[];
+  checkpoints?: {
+    entries: BundleCheckpoint[];
+
+    // file contents by hash
+    blobs: Record<string, string>;
+  };
+  settings?: BundleSettings;
+}
+
+const bundlePath = z
+  .string()
+  .refine((path) => path !== '' && !path.startsWith('/') && !path.split('/').includes('..'), {
+    message: 'Paths must be relative to the project',
+  });
+
+const manifestSchema = z.object({
+  format: z.literal(BUNDLE_FORMAT),
+  version: z.literal(BUNDLE_VERSION),
+  exportedAt: z.string(),
+  chat: z.object({
+    id: z.string().optional(),
+    urlId: z.string().optional(),
+    description: z.string().optional(),
+    timestamp: z.string().optional(),
+    metadata: z.record(z.unknown()).optional(),
+  }),
+  messages: z.array(
+    z
+      .object({
+        id: z.string(),
+        role: z.enum(['system', 'user', 'assistant', 'data']),
+        content: z.union([z.string(), z.array(z.unknown())]),
+      })
+      .passthrough(),
+  ),
+  snapshot: z
+    .object({
+      chatIndex: z.string(),
+      summary: z.string().optional(),
+      folders: z.array(bundlePath),
+      files: z.record(bundlePath, z.object({ isBinary: z.boolean() })),
+    })
+    .optional(),
+  locks: z.array(z.object({ path: bundlePath, isFolder: z.boolean() })),
+  checkpoints: z
+    .array(
+      z.object({
+        messageId: z.string(),
+        timestamp: z.string(),
+        files: z.record(bundlePath, z.object({ hash: z.string().regex(/^[0-9a-f]{64}$/), isBinary: z.boolean() })),
+        folders: z.array(bundlePath),
+        changedFiles: z.array(bundlePath),
+      }),
+    )
+    .optional(),
+  settings: z
+    .object({
+      model: z.string().optional(),
+      provider: z.string().optional(),
+      promptId: z.string().optional(),
+      contextMode: z.enum(['llm', 'bm25', 'hybrid']).optional(),
+    })
+    .optional(),
+});
+
+type BundleManifest = z.infer<typeof manifestSchema>;
+
+/**
+ * Upgrades a manifest to the next version, keyed by the version it upgrades from
+ */
+const MIGRATIONS: Record<number, (manifest: any) => any> = {
+  // the chat json of the sidebar export, from before bundles: messages without files
+  0: (manifest) => ({
+    format: BUNDLE_FORMAT,
+    version: 1,
+    exportedAt: manifest.exportDate ?? new Date().toISOString(),
+    chat: { description: manifest.description },
+    messages: manifest.messages,
+    locks: [],
+  }),
+};
+
+export function migrateManifest(manifest: any) {
+  if (typeof manifest !== 'object' || manifest === null) {
+    throw new BundleError('Invalid bundle manifest: expected an object');
+  }
+
+  let version = manifest.format === BUNDLE_FORMAT ? manifest.version : 0;
+
+  if (typeof version !== 'number' || version > BUNDLE_VERSION) {
+    throw new BundleError(`Bundle version ${version} is not supported, the latest supported is ${BUNDLE_VERSION}`);
+  }
+
+  while (version < BUNDLE_VERSION) {
+    manifest = MIGRATIONS[version](manifest);
+    version = manifest.version;
+  }
+
+  const result = manifestSchema.safeParse(manifest);
+
+  if (!result.success) {
+    const issues = result.error.issues.map((issue) => `${issue.path.join('.') || 'manifest'}: ${issue.message}`);
+    throw new BundleError(`Invalid bundle manifest: ${issues.slice(0, 3).join('; ')}`);
+  }
+
+  return result.data;
+}
+
+const toBundlePath = (path: string) => (path.startsWith(`${WORK_DIR}/`) ? path.slice(WORK_DIR.length + 1) : path);
+const fromBundlePath = (path: string) => `${WORK_DIR}/${path}`;
+
+const mapKeys = <T>(record: Record<string, T>, map: (key: string) => string) =>
+  Object.fromEntries(Object.entries(record).map(([key, value]) => [map(key), value]));
+
+function createManifest(bundle: ProjectBundle): BundleManifest {
+  const snapshotFiles = Object.entries(bundle.snapshot?.files ?? {});
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: bundle.exportedAt,
+    chat: bundle.chat as BundleManifest['chat'],
+    messages: bundle.messages as BundleManifest['messages'],
+    snapshot: bundle.snapshot && {
+      chatIndex: bundle.snapshot.chatIndex,
+      summary: bundle.snapshot.summary,
+      folders: snapshotFiles.filter(([, dirent]) => dirent?.type === 'folder').map(([path]) => toBundlePath(path)),
+      files: Object.fromEntries(
+        snapshotFiles.flatMap(([path, dirent]) =>
+          dirent?.type === 'file' ? [[toBundlePath(path), { isBinary: dirent.isBinary }]] : [],
+        ),
+      ),
+    },
+    locks: bundle.locks.map((lock) => ({ ...lock, path: toBundlePath(lock.path) })),
+    checkpoints: bundle.checkpoints?.entries.map((checkpoint) => ({
+      messageId: checkpoint.messageId,
+      timestamp: checkpoint.timestamp,
+      files: mapKeys(checkpoint.files, toBundlePath),
+      folders: checkpoint.folders.map(toBundlePath),
+      changedFiles: checkpoint.changedFiles.map(toBundlePath),
+    })),
+    settings: bundle.settings,
+  };
+}
+
+export async function writeBundle(bundle: ProjectBundle): Promise<Uint8Array> {
+  const zip = new JSZip();
+
+  zip.file('manifest.json', JSON.stringify(createManifest(bundle), null, 2));
+
+  for (const [path, dirent] of Object.entries(bundle.snapshot?.files ?? {})) {
+    if (dirent?.type === 'file') {
+      zip.file(`files/${toBundlePath(path)}`, dirent.content, { base64: dirent.isBinary });
+    }
+  }
+
+  for (const [hash, content] of Object.entries(bundle.checkpoints?.blobs ?? {})) {
+    zip.file(`checkpoints/${hash}`, content);
+  }
+
+  return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+}
+
+/**
+ * Read a bundle, or a chat json exported before bundles, upgrading it to the current version
+ */
+export async function readBundle(data: Blob | ArrayBuffer | Uint8Array): Promise<ProjectBundle> {
+  const bytes = new Uint8Array(data instanceof Blob ? await data.arrayBuffer() : data);
+
+  // zips start with `PK`
+  if (bytes[0] !== 0x50 || bytes[1] !== 0x4b) {
+    let json: unknown;
+
+    try {
+      json = JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+      throw new BundleError('Not a project bundle: expected a zip or a chat export');
+    }
+
+    return toProjectBundle(migrateManifest(json), {}, {});
+  }
+
+  const zip = await JSZip.loadAsync(bytes).catch(() => {
+    throw new BundleError('Not a project bundle: the zip cannot be read');
+  });
+  const manifestFile = zip.file('manifest.json');
+
+  if (!manifestFile) {
+    throw new BundleError('Not a project bundle: manifest.json is missing');
+  }
+
+  const manifest = migrateManifest(JSON.parse(await manifestFile.async('string')));
+
+  const read = async (name: string, base64 = false) => {
+    const file = zip.file(name);
+
+    if (!file) {
+      throw new BundleError(`Bundle is incomplete: ${name} is missing`);
+    }
+
+    return file.async(base64 ? 'base64' : 'string');
+  };
+
+  const files: Record<string, string> = {};
+
+  for (const [path, { isBinary }] of Object.entries(manifest.snapshot?.files ?? {})) {
+    files[path] = await read(`files/${path}`, isBinary);
+  }
+
+  const blobs: Record<string, string> = {};
+  const hashes = manifest.checkpoints?.flatMap((checkpoint) => Object.values(checkpoint.files)) ?? [];
+
+  for (const { hash } of hashes) {
+    blobs[hash] ??= await read(`checkpoints/${hash}`);
+  }
+
+  return toProjectBundle(manifest, files, blobs);
+}
+
+function toProjectBundle(
+  manifest: BundleManifest,
+  files: Record<string, string>,
+  blobs: Record<string, string>,
+): ProjectBundle {
+  let snapshot: Snapshot | undefined;
+
+  if (manifest.snapshot) {
+    const snapshotFiles: FileMap = {};
+
+    for (const folder of manifest.snapshot.folders) {
+      snapshotFiles[fromBundlePath(folder)] = { type: 'folder' };
+    }
+
+    for (const [path, { isBinary }] of Object.entries(manifest.snapshot.files)) {
+      snapshotFiles[fromBundlePath(path)] = { type: 'file', content: files[path], isBinary };
+    }
+
+    snapshot = { chatIndex: manifest.snapshot.chatIndex, summary: manifest.snapshot.summary, files: snapshotFiles };
+  }
+
+  return {
+    exportedAt: manifest.exportedAt,
+    chat: manifest.chat as BundleChat,
+    messages: manifest.messages as Message[],
+    snapshot,
+    locks: manifest.locks.map((lock) => ({ ...lock, path: fromBundlePath(lock.path) })),
+    checkpoints: manifest.checkpoints && {
+      entries: manifest.checkpoints.map((checkpoint) => ({
+        ...checkpoint,
+        files: mapKeys(checkpoint.files, fromBundlePath),
+        folders: checkpoint.folders.map(fromBundlePath),
+        changedFiles: checkpoint.changedFiles.map(fromBundlePath),
+      })),
+      blobs,
+    },
+    settings: manifest.settings,
+  };
+}
@@ -0,0 +1,142 @@
+import 'fake-indexeddb/auto';
+import { beforeAll, describe, expect, it } from 'vitest';
+import {
+  createCheckpoint,
+  diffCheckpointFiles,
+  getCheckpoints,
+  hashContent,
+  loadCheckpointFiles,
+  putCheckpoints,
+} from './checkpoints';
+import { forkChat, getMessages, getMessagesByUrlId, getSnapshot, openDatabase, setMessages } from './db';
+import type { FileMap } from '~/lib/stores/files';
+
+const file = (content: string) => ({ type: 'file' as const, content, isBinary: false });
+
+describe('hashContent', () => {
+  it('should give identical contents the same hash', async () => {
+    expect(await hashContent('export {};')).toBe(await hashContent('export {};'));
+    expect(await hashContent('export {};')).not.toBe(await hashContent('export default {};'));
+  });
+
+  it('should not share a hash between text and binary files with the same content', async () => {
+    expect(await hashContent('aGVsbG8=', true)).not.toBe(await hashContent('aGVsbG8='));
+  });
+});
+
+describe('diffCheckpointFiles', () => {
+  it('should report added, modified and removed files', () => {
+    const before = {
+      '/home/project/a.ts': { hash: '1', isBinary: false },
+      '/home/project/b.ts': { hash: '2', isBinary: false },
+      '/home/project/c.ts': { hash: '3', isBinary: false },
+    };
+    const after = {
+      '/home/project/a.ts': { hash: '1', isBinary: false },
+      '/home/project/b.ts': { hash: '4', isBinary: false },
+      '/home/project/d.ts': { hash: '5', isBinary: false },
+    };
+
+    expect(diffCheckpointFiles(before, after)).toEqual({
+      added: ['/home/project/d.ts'],
+      modified: ['/home/project/b.ts'],
+      removed: ['/home/project/c.ts'],
+    });
+  });
+});
+
+describe('checkpoint storage', () => {
+  let db: IDBDatabase;
+
+  const countBlobs = () =>
+    new Promise<number>((resolve, reject) => {
+      const request = db.transaction('checkpointBlobs', 'readonly').objectStore('checkpointBlobs').count();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+  beforeAll(async () => {
+    db = (await openDatabase())!;
+  });
+
+  it('should store each content once and skip unchanged states', async () => {
+    const files: FileMap = {
+      '/home/project/src': { type: 'folder' },
+      '/home/project/src/a.ts': file('export {};'),
+      '/home/project/src/b.ts': file('export {};'),
+    };
+
+    const first = await createCheckpoint(db, 'dedupe', 'message-1', files);
+
+    expect(first?.changedFiles).toEqual(['/home/project/src/a.ts', '/home/project/src/b.ts']);
+    expect(await countBlobs()).toBe(1);
+
+    expect(await createCheckpoint(db, 'dedupe', 'message-2', files)).toBeUndefined();
+
+    const second = await createCheckpoint(db, 'dedupe', 'message-3', {
+      ...files,
+      '/home/project/src/b.ts': file('export default {};'),
+    });
+
+    expect(second?.changedFiles).toEqual(['/home/project/src/b.ts']);
+    expect(await countBlobs()).toBe(2);
+    expect(await loadCheckpointFiles(db, first!)).toEqual(files);
+  });
+
+  it('should reject imported contents that do not match their hash', async () => {
+    const files: FileMap = { '/home/project/a.ts': file('export const shared = 1;') };
+    const original = await createCheckpoint(db, 'shared', 'message-1', files);
+    const hash = original!.files['/home/project/a.ts'].hash;
+    const blobs = await countBlobs();
+
+    const imported = {
+      messageId: 'message-1',
+      timestamp: original!.timestamp,
+      files: { '/home/project/a.ts': { hash, isBinary: false } },
+      folders: [],
+      changedFiles: ['/home/project/a.ts'],
+    };
+
+    await expect(putCheckpoints(db, 'imported', [imported], { [hash]: 'export const shared = 2;' })).rejects.toThrow(
+      `Checkpoint content does not match its hash ${hash}`,
+    );
+    expect(await getCheckpoints(db, 'imported')).toEqual([]);
+    expect(await loadCheckpointFiles(db, original!)).toEqual(files);
+
+    await putCheckpoints(db, 'imported', [imported], { [hash]: 'export const shared = 1;', unused: 'ignored' });
+
+    expect((await getCheckpoints(db, 'imported')).map((checkpoint) => checkpoint.messageId)).toEqual(['message-1']);
+    expect(await countBlobs()).toBe(blobs);
+  });
+
+  it('should restore a checkpoint into a fork and leave the original chat alone', async () => {
+    const messages = [
+      { id: 'user-1', role: 'user' as const, content: 'Add a button' },
+      { id: 'assistant-1', role: 'assistant' as const, content: 'Added' },
+      { id: 'user-2', role: 'user' as const, content: 'Make it red' },
+      { id: 'assistant-2', role: 'assistant' as const, content: 'Done' },
+    ];
+    const before: FileMap = { '/home/project/button.ts': file('blue') };
+
+    await setMessages(db, 'original', messages, 'original');
+
+    const checkpoint = await createCheckpoint(db, 'original', 'assistant-1', before);
+    await createCheckpoint(db, 'original', 'assistant-2', { '/home/project/button.ts': file('red') });
+
+    const files = await loadCheckpointFiles(db, checkpoint!);
+    const urlId = await forkChat(db, 'original', checkpoint!.messageId, { files });
+    const fork = await getMessagesByUrlId(db, urlId);
+
+    expect(fork.messages.map((message) => message.id)).toEqual(['user-1', 'assistant-1']);
+    expect(await getSnapshot(db, urlId)).toEqual({ files: before, chatIndex: 'assistant-1' });
+    expect((await getCheckpoints(db, fork.id)).map((copy) => copy.messageId)).toEqual(['assistant-1']);
+
+    expect((await getMessages(db, 'original')).messages).toHaveLength(4);
+    expect(await getSnapshot(db, 'original')).toBeUndefined();
+    expect((await getCheckpoints(db, 'original')).map((original) => original.messageId)).toEqual([
+      'assistant-1',
+      'assistant-2',
+    ]);
+  });
+});
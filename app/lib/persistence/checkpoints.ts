@@ -0,0 +1,332 @@
+import type { File, FileMap } from '~/lib/stores/files';
+import { createScopedLogger } from '~/utils/logger';
+import type { Checkpoint, CheckpointEntry } from './types';
+
+const logger = createScopedLogger('Checkpoints');
+
+interface CheckpointBlob {
+  hash: string;
+  content: string;
+}
+
+function requestResult<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+export async function hashContent(content: string, isBinary = false): Promise<string> {
+  const data = new TextEncoder().encode(`${isBinary ? 'binary' : 'text'}:${content}`);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compare the files of two checkpoints
+ * @param before The files of the older checkpoint, empty for the first one
+ * @param after The files of the newer checkpoint
+ */
+export function diffCheckpointFiles(before: Checkpoint['files'], after: Checkpoint['files']) {
+  const added: string[] = [];
+  const modified: string[] = [];
+  const removed: string[] = [];
+
+  for (const [path, entry] of Object.entries(after)) {
+    if (!before[path]) {
+      added.push(path);
+    } else if (before[path].hash !== entry.hash) {
+      modified.push(path);
+    }
+  }
+
+  for (const path of Object.keys(before)) {
+    if (!after[path]) {
+      removed.push(path);
+    }
+  }
+
+  return { added, modified, removed };
+}
+
+/**
+ * Get the checkpoints of a chat, oldest first
+ * @param db The chat history database
+ * @param chatId The id of the chat
+ */
+export async function getCheckpoints(db: IDBDatabase, chatId: string): Promise<Checkpoint[]> {
+  const transaction = db.transaction('checkpoints', 'readonly');
+  const index = transaction.objectStore('checkpoints').index('chatId');
+  const checkpoints = await requestResult(index.getAll(chatId) as IDBRequest<Checkpoint[]>);
+
+  return checkpoints.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Store the current workbench files as the checkpoint of an assistant message. Nothing is stored
+ * when the files did not change since the previous checkpoint.
+ * @param db The chat history database
+ * @param chatId The id of the chat
+ * @param messageId The assistant message that produced this state
+ * @param files The workbench files
+ * @returns the stored checkpoint, or `undefined` when nothing changed
+ */
+export async function createCheckpoint(
+  db: IDBDatabase,
+  chatId: string,
+  messageId: string,
+  files: FileMap,
+): Promise<Checkpoint | undefined> {
+  const entries: Checkpoint['files'] = {};
+  const blobs = new Map<string, string>();
+  const folders: string[] = [];
+
+  for (const [path, dirent] of Object.entries(files)) {
+    if (dirent?.type === 'folder') {
+      folders.push(path);
+    } else if (dirent?.type === 'file') {
+      const hash = await hashContent(dirent.content, dirent.isBinary);
+      entries[path] = { hash, isBinary: dirent.isBinary };
+      blobs.set(hash, dirent.content);
+    }
+  }
+
+  // a message can be stored again, e.g. after a reload, so compare against the checkpoint before it
+  const previous = (await getCheckpoints(db, chatId)).filter((checkpoint) => checkpoint.messageId !== messageId).pop();
+  const { added, modified, removed } = diffCheckpointFiles(previous?.files ?? {}, entries);
+  const changedFiles = [...added, ...modified, ...removed].sort();
+
+  if (changedFiles.length === 0) {
+    return undefined;
+  }
+
+  const checkpoint: Checkpoint = {
+    id: `${chatId}:${messageId}`,
+    chatId,
+    messageId,
+    timestamp: new Date().toISOString(),
+    files: entries,
+    folders,
+    changedFiles,
+  };
+
+  const transaction = db.transaction(['checkpoints', 'checkpointBlobs'], 'readwrite');
+  const blobStore = transaction.objectStore('checkpointBlobs');
+
+  for (const [hash, content] of blobs) {
+    const request = blobStore.getKey(hash);
+
+    request.onsuccess = () => {
+      if (request.result === undefined) {
+        blobStore.put({ hash, content } satisfies CheckpointBlob);
+      }
+    };
+  }
+
+  transaction.objectStore('checkpoints').put(checkpoint);
+  await transactionDone(transaction);
+
+  logger.debug(`Checkpoint ${checkpoint.id} stored with ${changedFiles.length} changed files`);
+
+  return checkpoint;
+}
+
+/**
+ * Read a single file of a checkpoint
+ * @param db The chat history database
+ * @param checkpoint The checkpoint to read from
+ * @param path The full path of the file
+ */
+export async function getCheckpointFile(
+  db: IDBDatabase,
+  checkpoint: Checkpoint,
+  path: string,
+): Promise<File | undefined> {
+  const entry = checkpoint.files[path];
+
+  if (!entry) {
+    return undefined;
+  }
+
+  const transaction = db.transaction('checkpointBlobs', 'readonly');
+  const blob = await requestResult(transaction.objectStore('checkpointBlobs').get(entry.hash));
+
+  return blob ? { type: 'file', content: (blob as CheckpointBlob).content, isBinary: entry.isBinary } : undefined;
+}
+
+/**
+ * Rebuild the whole file map of a checkpoint
+ * @param db The chat history database
+ * @param checkpoint The checkpoint to load
+ */
+export async function loadCheckpointFiles(db: IDBDatabase, checkpoint: Checkpoint): Promise<FileMap> {
+  const files: FileMap = {};
+
+  for (const folder of checkpoint.folders) {
+    files[folder] = { type: 'folder' };
+  }
+
+  const transaction = db.transaction('checkpointBlobs', 'readonly');
+  const blobStore = transaction.objectStore('checkpointBlobs');
+
+  const reads = Object.entries(checkpoint.files).map(async ([path, entry]: [string, CheckpointEntry]) => {
+    const blob = (await requestResult(blobStore.get(entry.hash))) as CheckpointBlob | undefined;
+
+    if (blob) {
+      files[path] = { type: 'file', content: blob.content, isBinary: entry.isBinary };
+    } else {
+      logger.warn(`Missing content for ${path} in checkpoint ${checkpoint.id}`);
+    }
+  });
+
+  await Promise.all(reads);
+
+  return files;
+}
+
+/**
+ * Read the file contents behind checkpoint entries, used to export checkpoints
+ * @param db The chat history database
+ * @param hashes The hashes of the contents
+ * @returns the contents by hash, missing ones are left out
+ */
+export async function getCheckpointBlobs(db: IDBDatabase, hashes: string[]): Promise<Record<string, string>> {
+  const transaction = db.transaction('checkpointBlobs', 'readonly');
+  const blobStore = transaction.objectStore('checkpointBlobs');
+  const blobs: Record<string, string> = {};
+
+  await Promise.all(
+    [...new Set(hashes)].map(async (hash) => {
+      const blob = (await requestResult(blobStore.get(hash))) as CheckpointBlob | undefined;
+
+      if (blob) {
+        blobs[hash] = blob.content;
+      }
+    }),
+  );
+
+  return blobs;
+}
+
+/**
+ * Store checkpoints and their file contents for a chat, used to import checkpoints. The blobs are shared by
+ * all chats, so each content has to match its hash and contents that are already stored are kept.
+ * @param db The chat history database
+ * @param chatId The chat that receives the checkpoints
+ * @param checkpoints The checkpoints, without the chat they belonged to
+ * @param blobs The file contents by hash
+ */
+export async function putCheckpoints(
+  db: IDBDatabase,
+  chatId: string,
+  checkpoints: Omit<Checkpoint, 'id' | 'chatId'>[],
+  blobs: Record<string, string>,
+): Promise<void> {
+  const entries = new Map<string, CheckpointEntry>(
+    checkpoints.flatMap((checkpoint) => Object.values(checkpoint.files).map((entry) => [entry.hash, entry])),
+  );
+  const verified: CheckpointBlob[] = [];
+
+  for (const [hash, content] of Object.entries(blobs)) {
+    const entry = entries.get(hash);
+
+    // contents no checkpoint refers to are not stored
+    if (!entry) {
+      continue;
+    }
+
+    if ((await hashContent(content, entry.isBinary)) !== hash) {
+      throw new Error(`Checkpoint content does not match its hash ${hash}`);
+    }
+
+    verified.push({ hash, content });
+  }
+
+  const transaction = db.transaction(['checkpoints', 'checkpointBlobs'], 'readwrite');
+  const checkpointStore = transaction.objectStore('checkpoints');
+  const blobStore = transaction.objectStore('checkpointBlobs');
+
+  for (const blob of verified) {
+    const request = blobStore.getKey(blob.hash);
+
+    request.onsuccess = () => {
+      if (request.result === undefined) {
+        blobStore.put(blob);
+      }
+    };
+  }
+
+  for (const checkpoint of checkpoints) {
+    checkpointStore.put({ ...checkpoint, id: `${chatId}:${checkpoint.messageId}`, chatId } satisfies Checkpoint);
+  }
+
+  await transactionDone(transaction);
+}
+
+/**
+ * Copy the checkpoints of some messages to another chat, used when a chat is forked
+ * @param db The chat history database
+ * @param fromChatId The chat the checkpoints belong to
+ * @param toChatId The chat that receives the copies
+ * @param messageIds The messages whose checkpoints are copied
+ */
+export async function copyCheckpoints(
+  db: IDBDatabase,
+  fromChatId: string,
+  toChatId: string,
+  messageIds: string[],
+): Promise<void> {
+  const checkpoints = await getCheckpoints(db, fromChatId);
+  const transaction = db.transaction('checkpoints', 'readwrite');
+  const store = transaction.objectStore('checkpoints');
+
+  for (const checkpoint of checkpoints) {
+    if (messageIds.includes(checkpoint.messageId)) {
+      store.put({ ...checkpoint, id: `${toChatId}:${checkpoint.messageId}`, chatId: toChatId });
+    }
+  }
+
+  await transactionDone(transaction);
+}
+
+/**
+ * Delete the checkpoints of a chat, and the file contents no other checkpoint uses
+ * @param db The chat history database
+ * @param chatId The id of the chat
+ */
+export async function deleteCheckpoints(db: IDBDatabase, chatId: string): Promise<void> {
+  const checkpoints = await getCheckpoints(db, chatId);
+
+  if (checkpoints.length === 0) {
+    return;
+  }
+
+  const transaction = db.transaction(['checkpoints', 'checkpointBlobs'], 'readwrite');
+  const checkpointStore = transaction.objectStore('checkpoints');
+
+  for (const checkpoint of checkpoints) {
+    checkpointStore.delete(checkpoint.id);
+  }
+
+  const remaining = (await requestResult(checkpointStore.getAll())) as Checkpoint[];
+  const usedHashes = new Set(remaining.flatMap((checkpoint) => Object.values(checkpoint.files).map((x) => x.hash)));
+  const blobStore = transaction.objectStore('checkpointBlobs');
+  const hashes = (await requestResult(blobStore.getAllKeys())) as string[];
+
+  for (const hash of hashes) {
+    if (!usedHashes.has(hash)) {
+      blobStore.delete(hash);
+    }
+  }
+
+  await transactionDone(transaction);
+}
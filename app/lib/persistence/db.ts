@@ -2,11 +2,21 @@ import type { Message } from 'ai';
 import { createScopedLogger } from '~/utils/logger';
 import type { ChatHistoryItem } from './useChatHistory';
 import type { Snapshot } from './types'; // Import Snapshot type
+import type { ChatUsage } from '~/types/usage';
+import type { ChatPlan } from '~/types/plan';
+import { copyCheckpoints, deleteCheckpoints } from './checkpoints';
 
 export interface IChatMetadata {
-  gitUrl: string;
+  gitUrl?: string;
   gitBranch?: string;
   netlifySiteId?: string;
+  usage?: ChatUsage;
+
+  // identifies the chat on every machine its bundles are imported on, chat ids are only unique per machine
+  bundleId?: string;
+
+  // the plan of the chat and how far its steps ran
+  plan?: ChatPlan;
 }
 
 const logger = createScopedLogger('ChatHistory');
@@ -19,7 +29,7 @@ export async function openDatabase(): Promise<IDBDatabase | undefined> {
   }
 
   return new Promise((resolve) => {
-    const request = indexedDB.open('boltHistory', 2);
+    const request = indexedDB.open('boltHistory', 3);
 
     request.onupgradeneeded = (event: IDBVersionChangeEvent) => {
       const db = (event.target as IDBOpenDBRequest).result;
@@ -38,6 +48,18 @@ export async function openDatabase(): Promise<IDBDatabase | undefined> {
           db.createObjectStore('snapshots', { keyPath: 'chatId' });
         }
       }
+
+      if (oldVersion < 3) {
+        if (!db.objectStoreNames.contains('checkpoints')) {
+          const store = db.createObjectStore('checkpoints', { keyPath: 'id' });
+          store.createIndex('chatId', 'chatId', { unique: false });
+        }
+
+        // file contents of all checkpoints, keyed by their hash so unchanged files are stored once
+        if (!db.objectStoreNames.contains('checkpointBlobs')) {
+          db.createObjectStore('checkpointBlobs', { keyPath: 'hash' });
+        }
+      }
     };
 
     request.onsuccess = (event: Event) => {
@@ -122,6 +144,8 @@ export async function getMessagesById(db: IDBDatabase, id: string): Promise<Chat
 }
 
 export async function deleteById(db: IDBDatabase, id: string): Promise<void> {
+  await deleteCheckpoints(db, id);
+
   return new Promise((resolve, reject) => {
     const transaction = db.transaction(['chats', 'snapshots'], 'readwrite'); // Add snapshots store to transaction
     const chatStore = transaction.objectStore('chats');
@@ -222,7 +246,17 @@ async function getUrlIds(db: IDBDatabase): Promise<string[]> {
   });
 }
 
-export async function forkChat(db: IDBDatabase, chatId: string, messageId: string): Promise<string> {
+/**
+ * Create a new chat with the messages up to and including `messageId`. The checkpoints of those
+ * messages are copied over, and `snapshot` (e.g. the files of a restored checkpoint) is used as the
+ * state the fork starts from.
+ */
+export async function forkChat(
+  db: IDBDatabase,
+  chatId: string,
+  messageId: string,
+  snapshot?: Omit<Snapshot, 'chatIndex'>,
+): Promise<string> {
   const chat = await getMessages(db, chatId);
 
   if (!chat) {
@@ -239,7 +273,25 @@ export async function forkChat(db: IDBDatabase, chatId: string, messageId: strin
   // Get messages up to and including the selected message
   const messages = chat.messages.slice(0, messageIndex + 1);
 
-  return createChatFromMessages(db, chat.description ? `${chat.description} (fork)` : 'Forked chat', messages);
+  const urlId = await createChatFromMessages(
+    db,
+    chat.description ? `${chat.description} (fork)` : 'Forked chat',
+    messages,
+  );
+  const fork = await getMessagesByUrlId(db, urlId);
+
+  await copyCheckpoints(
+    db,
+    chat.id,
+    fork.id,
+    messages.map((message) => message.id),
+  );
+
+  if (snapshot) {
+    await setSnapshot(db, urlId, { ...snapshot, chatIndex: messageId });
+  }
+
+  return urlId;
 }
 
 export async function duplicateChat(db: IDBDatabase, id: string): Promise<string> {
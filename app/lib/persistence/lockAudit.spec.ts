@@ -0,0 +1,53 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  clearBlockedAttemptsForChat,
+  getBlockedAttemptsForChat,
+  recordBlockedAttempts,
+  type BlockedAttempt,
+} from './lockAudit';
+
+const attempt = (chatId: string, timestamp: number): BlockedAttempt => ({
+  chatId,
+  path: `/home/project/${timestamp}.ts`,
+  lockedBy: '/home/project',
+  actionType: 'file',
+  timestamp,
+});
+
+describe('lock audit', () => {
+  beforeEach(() => {
+    const storage = new Map<string, string>();
+
+    vi.stubGlobal('localStorage', {
+      getItem: (key: string) => storage.get(key) ?? null,
+      setItem: (key: string, value: string) => storage.set(key, value),
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should list the attempts of a chat, most recent first', () => {
+    recordBlockedAttempts([attempt('chat', 1), attempt('other-chat', 2)]);
+    recordBlockedAttempts([attempt('chat', 3)]);
+
+    expect(getBlockedAttemptsForChat('chat').map((entry) => entry.timestamp)).toEqual([3, 1]);
+
+    clearBlockedAttemptsForChat('chat');
+
+    expect(getBlockedAttemptsForChat('chat')).toEqual([]);
+    expect(getBlockedAttemptsForChat('other-chat')).toHaveLength(1);
+  });
+
+  it('should drop the oldest attempts of a chat past the limit', () => {
+    recordBlockedAttempts([attempt('other-chat', 0)]);
+    recordBlockedAttempts(Array.from({ length: 205 }, (_, index) => attempt('chat', index + 1)));
+
+    const entries = getBlockedAttemptsForChat('chat');
+
+    expect(entries).toHaveLength(200);
+    expect(entries.at(-1)?.timestamp).toBe(6);
+    expect(getBlockedAttemptsForChat('other-chat')).toHaveLength(1);
+  });
+});
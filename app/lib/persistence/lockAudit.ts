@@ -0,0 +1,94 @@
+import type { BoltAction } from '~/types/actions';
+import { createScopedLogger } from '~/utils/logger';
+
+const logger = createScopedLogger('LockAudit');
+
+// Key for storing blocked write attempts in localStorage
+export const LOCK_AUDIT_KEY = 'bolt.lockAudit';
+
+// Only the most recent attempts are kept per chat so the audit can't grow unbounded
+const MAX_ENTRIES_PER_CHAT = 200;
+
+export interface BlockedAttempt {
+  chatId: string;
+  path: string; // The path the action tried to write
+  lockedBy: string; // The locked file or folder that caused the refusal
+  actionType: BoltAction['type'];
+  command?: string; // The shell command, for shell actions
+  timestamp: number;
+}
+
+function readEntries(): BlockedAttempt[] {
+  try {
+    if (typeof localStorage === 'undefined') {
+      return [];
+    }
+
+    const json = localStorage.getItem(LOCK_AUDIT_KEY);
+    const entries = json ? JSON.parse(json) : [];
+
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    logger.error('Failed to read lock audit from localStorage', error);
+    return [];
+  }
+}
+
+function writeEntries(entries: BlockedAttempt[]): void {
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(LOCK_AUDIT_KEY, JSON.stringify(entries));
+    }
+  } catch (error) {
+    logger.error('Failed to save lock audit to localStorage', error);
+  }
+}
+
+/**
+ * Record writes that were refused because they targeted a locked path
+ * @param attempts The blocked attempts to append to the audit
+ */
+export function recordBlockedAttempts(attempts: BlockedAttempt[]): void {
+  if (attempts.length === 0) {
+    return;
+  }
+
+  const entries = [...readEntries(), ...attempts];
+  const countsByChat = new Map<string, number>();
+  const trimmed: BlockedAttempt[] = [];
+
+  // Walk from the newest entry so the oldest ones of each chat are dropped first
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const count = countsByChat.get(entries[i].chatId) ?? 0;
+
+    if (count < MAX_ENTRIES_PER_CHAT) {
+      trimmed.unshift(entries[i]);
+    }
+
+    countsByChat.set(entries[i].chatId, count + 1);
+  }
+
+  writeEntries(trimmed);
+
+  logger.info(`Recorded ${attempts.length} blocked write attempt(s)`);
+}
+
+/**
+ * Get all blocked attempts for a chat, most recent first
+ * @param chatId The chat ID to get the audit for
+ */
+export function getBlockedAttemptsForChat(chatId: string): BlockedAttempt[] {
+  return readEntries()
+    .filter((entry) => entry.chatId === chatId)
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Remove the audit of a chat
+ * @param chatId The chat ID to clear the audit for
+ */
+export function clearBlockedAttemptsForChat(chatId: string): void {
+  writeEntries(readEntries().filter((entry) => entry.chatId !== chatId));
+
+  logger.info(`Cleared lock audit for chat: ${chatId}`);
+}
@@ -171,7 +171,7 @@ export function addLockedFile(chatId: string, filePath: string): void {
  * Add a folder to the locked items list
  */
 export function addLockedFolder(chatId: string, folderPath: string): void {
-  addLockedItem(chatId, folderPath);
+  addLockedItem(chatId, folderPath, true);
 }
 
 /**
@@ -302,16 +302,24 @@ function checkParentFolderLocks(chatId: string, path: string): { locked: boolean
     return { locked: false };
   }
 
-  // Check each parent folder
+  // Check each parent folder, keeping the leading slash of absolute paths
   const pathParts = path.split('/');
   let currentPath = '';
 
   for (let i = 0; i < pathParts.length - 1; i++) {
-    currentPath = currentPath ? `${currentPath}/${pathParts[i]}` : pathParts[i];
+    currentPath = i === 0 ? pathParts[0] : `${currentPath}/${pathParts[i]}`;
 
+    if (!currentPath) {
+      continue;
+    }
+
+    /*
+     * A locked parent can only be a folder, so we don't require the `isFolder` flag here.
+     * Older folder locks were persisted without it.
+     */
     const folderLock = chatMap.get(currentPath);
 
-    if (folderLock && folderLock.isFolder) {
+    if (folderLock) {
       return { locked: true, lockedBy: currentPath };
     }
   }
@@ -0,0 +1,52 @@
+import 'fake-indexeddb/auto';
+import { beforeAll, describe, expect, it } from 'vitest';
+import { getAll, openDatabase, setMessages } from './db';
+import { exportProjectBundle, findBundleConflict, importProjectBundle } from './projectBundles';
+
+const messages = [
+  { id: 'user-1', role: 'user' as const, content: 'Build a todo app' },
+  { id: 'assistant-1', role: 'assistant' as const, content: 'Done' },
+];
+
+describe('project bundle conflicts', () => {
+  let db: IDBDatabase;
+
+  beforeAll(async () => {
+    db = (await openDatabase())!;
+    await setMessages(db, '1', messages, 'todo-app', 'Todo app');
+  });
+
+  it('should recognize a bundle by the id its chat got on the first export', async () => {
+    const bundle = await exportProjectBundle(db, '1');
+    const bundleId = bundle.chat.metadata?.bundleId;
+
+    expect(bundleId).toMatch(/^[0-9a-f-]{36}$/);
+    expect((await exportProjectBundle(db, '1')).chat.metadata?.bundleId).toBe(bundleId);
+    expect((await findBundleConflict(db, bundle))?.id).toBe('1');
+  });
+
+  it('should not take a chat of another machine with the same id for this one', async () => {
+    const bundle = await exportProjectBundle(db, '1');
+    const foreign = {
+      ...bundle,
+      chat: { ...bundle.chat, description: 'Blog', metadata: { bundleId: crypto.randomUUID() } },
+    };
+
+    expect(await findBundleConflict(db, foreign)).toBeUndefined();
+
+    const urlId = await importProjectBundle(db, foreign);
+    const imported = (await getAll(db)).find((chat) => chat.urlId === urlId);
+
+    expect(imported?.id).not.toBe('1');
+    expect((await findBundleConflict(db, foreign))?.id).toBe(imported?.id);
+  });
+
+  it('should give a copy an id of its own', async () => {
+    const bundle = await exportProjectBundle(db, '1');
+    const urlId = await importProjectBundle(db, bundle, { conflict: 'copy' });
+    const copy = (await getAll(db)).find((chat) => chat.urlId === urlId);
+
+    expect(copy?.metadata?.bundleId).toBeUndefined();
+    expect((await findBundleConflict(db, bundle))?.id).toBe('1');
+  });
+});
@@ -0,0 +1,205 @@
+import fileSaver from 'file-saver';
+import Cookies from 'js-cookie';
+import {
+  contextModeByChatStore,
+  contextModeStore,
+  promptStore,
+  updateContextMode,
+  updatePromptId,
+} from '~/lib/stores/settings';
+import { createScopedLogger } from '~/utils/logger';
+import { writeBundle, type ProjectBundle } from './bundle';
+import { deleteCheckpoints, getCheckpointBlobs, getCheckpoints, putCheckpoints } from './checkpoints';
+import {
+  deleteSnapshot,
+  getMessages,
+  getAll,
+  getNextId,
+  getSnapshot,
+  getUrlId,
+  setMessages,
+  setSnapshot,
+  updateChatMetadata,
+} from './db';
+import { batchLockItems, batchUnlockItems, getLockedItemsForChat } from './lockedFiles';
+import type { ChatHistoryItem } from './useChatHistory';
+
+const { saveAs } = fileSaver;
+const logger = createScopedLogger('ProjectBundles');
+
+/**
+ * What to do when a bundle is imported over a chat that already has its id: `replace` the chat, or import the
+ * bundle as a `copy` next to it
+ */
+export type BundleConflictPolicy = 'replace' | 'copy';
+
+export interface ExportBundleOptions {
+  checkpoints?: boolean;
+
+  // the selected model and provider, the prompt and the context mode
+  settings?: boolean;
+}
+
+export interface ImportBundleOptions {
+  conflict?: BundleConflictPolicy;
+
+  // use the model, prompt and context mode of the bundle from now on
+  applySettings?: boolean;
+}
+
+// snapshots and locks are stored under the id in the url of the chat
+const getChatKey = (chat: Pick<ChatHistoryItem, 'id' | 'urlId'>) => chat.urlId || chat.id;
+
+export async function exportProjectBundle(
+  db: IDBDatabase,
+  id: string,
+  options: ExportBundleOptions = {},
+): Promise<ProjectBundle> {
+  const chat = await getMessages(db, id);
+
+  if (!chat) {
+    throw new Error('Chat not found');
+  }
+
+  // the first export gives the chat the id its bundles are recognized by when they are imported again
+  const metadata = chat.metadata?.bundleId ? chat.metadata : { ...chat.metadata, bundleId: crypto.randomUUID() };
+
+  if (metadata !== chat.metadata) {
+    await updateChatMetadata(db, chat.id, metadata);
+  }
+
+  const snapshot = (await getSnapshot(db, getChatKey(chat))) ?? (await getSnapshot(db, chat.id));
+  let checkpoints: ProjectBundle['checkpoints'];
+
+  if (options.checkpoints) {
+    const entries = await getCheckpoints(db, chat.id);
+    const hashes = entries.flatMap((checkpoint) => Object.values(checkpoint.files).map(({ hash }) => hash));
+
+    checkpoints = {
+      entries: entries.map(({ id: _id, chatId: _chatId, ...checkpoint }) => checkpoint),
+      blobs: await getCheckpointBlobs(db, hashes),
+    };
+  }
+
+  return {
+    exportedAt: new Date().toISOString(),
+    chat: {
+      id: chat.id,
+      urlId: chat.urlId,
+      description: chat.description,
+      timestamp: chat.timestamp,
+      metadata,
+    },
+    messages: chat.messages,
+    snapshot,
+    locks: getLockedItemsForChat(getChatKey(chat)).map(({ path, isFolder }) => ({ path, isFolder })),
+    checkpoints,
+    settings: options.settings
+      ? {
+          model: Cookies.get('selectedModel'),
+          provider: Cookies.get('selectedProvider'),
+          promptId: promptStore.get(),
+          contextMode: contextModeByChatStore.get()[chat.id] ?? contextModeStore.get(),
+        }
+      : undefined,
+  };
+}
+
+export async function downloadProjectBundle(db: IDBDatabase, id: string, options: ExportBundleOptions = {}) {
+  const bundle = await exportProjectBundle(db, id, options);
+  const name = (bundle.chat.description || `chat-${bundle.chat.id}`)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+  saveAs(new Blob([await writeBundle(bundle)], { type: 'application/zip' }), `${name || 'project'}.bundle.zip`);
+}
+
+/**
+ * The chat a bundle would be imported over: the chat it was exported from, or an earlier import of it
+ */
+export async function findBundleConflict(db: IDBDatabase, bundle: ProjectBundle) {
+  const bundleId = bundle.chat.metadata?.bundleId;
+
+  return bundleId ? (await getAll(db)).find((chat) => chat.metadata?.bundleId === bundleId) : undefined;
+}
+
+async function removeChatState(db: IDBDatabase, chat: ChatHistoryItem) {
+  const key = getChatKey(chat);
+
+  await deleteCheckpoints(db, chat.id);
+  await deleteSnapshot(db, key);
+  batchUnlockItems(
+    key,
+    getLockedItemsForChat(key).map(({ path }) => path),
+  );
+}
+
+/**
+ * Store a bundle as a chat
+ * @returns the url id of the chat
+ */
+export async function importProjectBundle(
+  db: IDBDatabase,
+  bundle: ProjectBundle,
+  options: ImportBundleOptions = {},
+): Promise<string> {
+  const existing = await findBundleConflict(db, bundle);
+  let metadata = bundle.chat.metadata;
+  let id: string;
+  let urlId: string;
+
+  if (existing && options.conflict === 'replace') {
+    id = existing.id;
+    urlId = getChatKey(existing);
+    await removeChatState(db, existing);
+  } else {
+    id = await getNextId(db);
+    urlId = await getUrlId(db, bundle.chat.urlId || id);
+
+    // a copy is a chat of its own, its bundles must not be taken for the ones of the chat it was copied from
+    if (existing && metadata) {
+      const { bundleId: _bundleId, ...rest } = metadata;
+      metadata = rest;
+    }
+  }
+
+  // checkpoints go first, a bundle whose contents don't match their hashes is rejected before the chat is stored
+  if (bundle.checkpoints) {
+    await putCheckpoints(db, id, bundle.checkpoints.entries, bundle.checkpoints.blobs);
+  }
+
+  await setMessages(db, id, bundle.messages, urlId, bundle.chat.description, bundle.chat.timestamp, metadata);
+
+  if (bundle.snapshot) {
+    await setSnapshot(db, urlId, bundle.snapshot);
+  }
+
+  if (bundle.locks.length > 0) {
+    batchLockItems(urlId, bundle.locks);
+  }
+
+  if (options.applySettings && bundle.settings) {
+    const { model, provider, promptId, contextMode } = bundle.settings;
+
+    if (model) {
+      Cookies.set('selectedModel', model, { expires: 30 });
+    }
+
+    if (provider) {
+      Cookies.set('selectedProvider', provider, { expires: 30 });
+    }
+
+    if (promptId) {
+      updatePromptId(promptId);
+    }
+
+    if (contextMode) {
+      updateContextMode(contextMode, id);
+    }
+  }
+
+  logger.info(`Imported bundle of ${bundle.messages.length} messages as chat ${id} (${urlId})`);
+
+  return urlId;
+}
@@ -0,0 +1,42 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  getProviderSpend,
+  getProvidersOverSpendingCap,
+  recordProviderSpend,
+  resetProviderSpend,
+} from './providerSpend';
+
+describe('provider spend', () => {
+  beforeEach(() => {
+    const storage = new Map<string, string>();
+
+    vi.stubGlobal('localStorage', {
+      getItem: (key: string) => storage.get(key) ?? null,
+      setItem: (key: string, value: string) => storage.set(key, value),
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should add up the cost of each usage annotation until it is reset', () => {
+    recordProviderSpend('OpenAI', 0.25);
+    recordProviderSpend('OpenAI', 0.5);
+    recordProviderSpend('Anthropic', 0);
+
+    expect(getProviderSpend('OpenAI')?.cost).toBe(0.75);
+    expect(getProviderSpend('Anthropic')).toBeUndefined();
+
+    resetProviderSpend('OpenAI');
+
+    expect(getProviderSpend('OpenAI')).toBeUndefined();
+  });
+
+  it('should report the providers whose spend reached their cap', () => {
+    const settings = { OpenAI: { spendingCap: 1 }, Anthropic: { spendingCap: 5 }, Google: { enabled: true } };
+
+    expect(getProvidersOverSpendingCap(settings, { OpenAI: 1, Anthropic: 4.99, Google: 100 })).toEqual(['OpenAI']);
+    expect(getProvidersOverSpendingCap({ OpenAI: { spendingCap: 0 } }, {})).toEqual(['OpenAI']);
+  });
+});
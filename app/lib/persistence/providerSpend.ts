@@ -0,0 +1,99 @@
+import Cookies from 'js-cookie';
+import type { IProviderSetting } from '~/types/model';
+import { createScopedLogger } from '~/utils/logger';
+
+const logger = createScopedLogger('ProviderSpend');
+
+// Key for storing the running spend of each provider in localStorage
+export const PROVIDER_SPEND_KEY = 'bolt.providerSpend';
+
+// Cookie with the spend of each provider in USD, so the server can refuse providers past their spending cap
+export const PROVIDER_SPEND_COOKIE = 'providerSpend';
+
+export interface ProviderSpend {
+  cost: number; // USD spent since the last reset
+  since: number; // When the spend was last reset
+}
+
+function readSpend(): Record<string, ProviderSpend> {
+  try {
+    if (typeof localStorage === 'undefined') {
+      return {};
+    }
+
+    const json = localStorage.getItem(PROVIDER_SPEND_KEY);
+    const spend = json ? JSON.parse(json) : {};
+
+    return spend && typeof spend === 'object' ? spend : {};
+  } catch (error) {
+    logger.error('Failed to read provider spend from localStorage', error);
+    return {};
+  }
+}
+
+function writeSpend(spend: Record<string, ProviderSpend>): void {
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(PROVIDER_SPEND_KEY, JSON.stringify(spend));
+    }
+
+    Cookies.set(
+      PROVIDER_SPEND_COOKIE,
+      JSON.stringify(Object.fromEntries(Object.entries(spend).map(([provider, { cost }]) => [provider, cost]))),
+      { expires: 365 },
+    );
+  } catch (error) {
+    logger.error('Failed to save provider spend to localStorage', error);
+  }
+}
+
+/**
+ * Add the cost of a response to the running spend of its provider
+ * @param provider The provider that served the response
+ * @param cost The cost of the response in USD
+ */
+export function recordProviderSpend(provider: string, cost: number): void {
+  if (!(cost > 0)) {
+    return;
+  }
+
+  const spend = readSpend();
+  const current = spend[provider] ?? { cost: 0, since: Date.now() };
+
+  spend[provider] = { ...current, cost: current.cost + cost };
+  writeSpend(spend);
+}
+
+/**
+ * Get the spend of a provider since its last reset
+ * @param provider The provider name
+ */
+export function getProviderSpend(provider: string): ProviderSpend | undefined {
+  return readSpend()[provider];
+}
+
+/**
+ * Start counting the spend of a provider from zero again
+ * @param provider The provider name
+ */
+export function resetProviderSpend(provider: string): void {
+  const spend = readSpend();
+  delete spend[provider];
+  writeSpend(spend);
+
+  logger.info(`Reset spend for provider: ${provider}`);
+}
+
+/**
+ * Get the providers whose spend reached their spending cap
+ * @param settings The settings of each provider, with their spending caps
+ * @param spend The spend of each provider in USD
+ */
+export function getProvidersOverSpendingCap(
+  settings: Record<string, IProviderSetting>,
+  spend: Record<string, number>,
+): string[] {
+  return Object.entries(settings)
+    .filter(([provider, { spendingCap }]) => spendingCap !== undefined && (spend[provider] ?? 0) >= spendingCap)
+    .map(([provider]) => provider);
+}
@@ -5,3 +5,23 @@ export interface Snapshot {
   files: FileMap;
   summary?: string;
 }
+
+export interface CheckpointEntry {
+  hash: string; // Key of the content in the `checkpointBlobs` store
+  isBinary: boolean;
+}
+
+/**
+ * State of the workbench files after an assistant message changed them
+ */
+export interface Checkpoint {
+  id: string;
+  chatId: string;
+  messageId: string;
+  timestamp: string;
+  files: Record<string, CheckpointEntry>;
+  folders: string[];
+
+  // files added, modified or removed since the previous checkpoint of the chat
+  changedFiles: string[];
+}
@@ -4,6 +4,7 @@ import { atom } from 'nanostores';
 import { generateId, type JSONValue, type Message } from 'ai';
 import { toast } from 'react-toastify';
 import { workbenchStore } from '~/lib/stores/workbench';
+import { planStore } from '~/lib/stores/plan';
 import { logStore } from '~/lib/stores/logs'; // Import logStore
 import {
   getMessages,
@@ -13,8 +14,10 @@ import {
   setMessages,
   duplicateChat,
   createChatFromMessages,
+  forkChat,
   getSnapshot,
   setSnapshot,
+  updateChatMetadata,
   type IChatMetadata,
 } from './db';
 import type { FileMap } from '~/lib/stores/files';
@@ -22,6 +25,9 @@ import type { Snapshot } from './types';
 import { webcontainer } from '~/lib/webcontainer';
 import { detectProjectCommands, createCommandActionsString } from '~/utils/projectCommands';
 import type { ContextAnnotation } from '~/types/context';
+import { summarizeChatUsage } from '~/utils/usage';
+import { createCheckpoint } from './checkpoints';
+import { downloadProjectBundle } from './projectBundles';
 
 export interface ChatHistoryItem {
   id: string;
@@ -39,6 +45,42 @@ export const db = persistenceEnabled ? await openDatabase() : undefined;
 export const chatId = atom<string | undefined>(undefined);
 export const description = atom<string | undefined>(undefined);
 export const chatMetadata = atom<IChatMetadata | undefined>(undefined);
+
+// writes of the chat record run one after the other, so a later one never loses the changes of an earlier one
+let pendingWrite: Promise<unknown> = Promise.resolve();
+
+function queueWrite<T>(write: () => Promise<T>) {
+  const result = pendingWrite.then(write);
+  pendingWrite = result.catch(() => undefined);
+
+  return result;
+}
+
+/**
+ * Fork the open chat at a message. With `files`, e.g. of a checkpoint, the workspace is restored to them through
+ * the workbench first, locked files keep their content, and the fork starts from the restored files. The snapshot
+ * of the open chat is left as it is.
+ * @returns The url id of the fork and the locked paths that were not restored
+ */
+export async function forkOpenChat(messageId: string, files?: FileMap) {
+  const id = chatId.get();
+
+  if (!db || !id) {
+    throw new Error('Chat persistence is not available');
+  }
+
+  const urlId = await forkChat(db, id, messageId);
+
+  if (!files) {
+    return { urlId, skipped: [] };
+  }
+
+  const skipped = await workbenchStore.restoreFiles(files);
+  await setSnapshot(db, urlId, { chatIndex: messageId, files: workbenchStore.files.get() });
+
+  return { urlId, skipped };
+}
+
 export function useChatHistory() {
   const navigate = useNavigate();
   const { id: mixedId } = useLoaderData<{ id?: string }>();
@@ -179,6 +221,7 @@ ${value.content}
             description.set(storedMessages.description);
             chatId.set(storedMessages.id);
             chatMetadata.set(storedMessages.metadata);
+            planStore.load(storedMessages.metadata?.plan);
           } else {
             navigate('/', { replace: true });
           }
@@ -193,10 +236,38 @@ ${value.content}
         });
     } else {
       // Handle case where there is no mixedId (e.g., new chat)
+      planStore.clear();
       setReady(true);
     }
   }, [mixedId, db, navigate, searchParams]); // Added db, navigate, searchParams dependencies
 
+  // the plan changes while it is edited and run, between the messages that save it too
+  useEffect(
+    () =>
+      planStore.plan.listen((plan) => {
+        const metadata = chatMetadata.get();
+
+        if (metadata?.plan === plan) {
+          return;
+        }
+
+        chatMetadata.set({ ...metadata, plan });
+
+        const id = chatId.get();
+
+        // a new chat is saved with its first messages, the plan with it
+        if (!db || !id) {
+          return;
+        }
+
+        queueWrite(() => updateChatMetadata(db, id, chatMetadata.get())).catch((error) => {
+          console.error('Failed to save plan:', error);
+          toast.error('Failed to save the plan');
+        });
+      }),
+    [],
+  );
+
   const takeSnapshot = useCallback(
     async (chatIdx: string, files: FileMap, _chatId?: string | undefined, chatSummary?: string) => {
       const id = _chatId || chatId.get();
@@ -332,16 +403,40 @@ ${value.content}
         return;
       }
 
-      await setMessages(
-        db,
-        finalChatId, // Use the potentially updated chatId
-        [...archivedMessages, ...messages],
-        urlId,
-        description.get(),
-        undefined,
-        chatMetadata.get(),
+      const allMessages = [...archivedMessages, ...messages];
+      const metadata: IChatMetadata = { ...chatMetadata.get(), usage: summarizeChatUsage(allMessages) };
+      chatMetadata.set(metadata);
+
+      await queueWrite(() =>
+        setMessages(
+          db,
+          finalChatId, // Use the potentially updated chatId
+          allMessages,
+          urlId,
+          description.get(),
+          undefined,
+          metadata,
+        ),
       );
     },
+    takeCheckpoint: async (messageId: string) => {
+      // the last sampled parse can still queue actions, let it run before waiting for them
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      await workbenchStore.whenIdle();
+
+      const id = chatId.get();
+
+      if (!db || !id) {
+        return;
+      }
+
+      try {
+        await createCheckpoint(db, id, messageId, workbenchStore.files.get());
+      } catch (error) {
+        console.error('Failed to save checkpoint:', error);
+        logStore.logError('Failed to save checkpoint', error);
+      }
+    },
     duplicateCurrentChat: async (listItemId: string) => {
       if (!db || (!mixedId && !listItemId)) {
         return;
@@ -395,6 +490,18 @@ ${value.content}
       document.body.removeChild(a);
       URL.revokeObjectURL(url);
     },
+    exportBundle: async (id = urlId) => {
+      if (!db || !id) {
+        return;
+      }
+
+      try {
+        await downloadProjectBundle(db, id, { settings: true });
+      } catch (error) {
+        console.error('Failed to export bundle:', error);
+        toast.error('Failed to export bundle' + (error instanceof Error ? ': ' + error.message : ''));
+      }
+    },
   };
 }
 
@@ -1,11 +1,24 @@
 import type { WebContainer } from '@webcontainer/api';
 import { path as nodePath } from '~/utils/path';
 import { atom, map, type MapStore } from 'nanostores';
-import type { ActionAlert, BoltAction, DeployAlert, FileHistory, SupabaseAction, SupabaseAlert } from '~/types/actions';
+import type {
+  ActionAlert,
+  BoltAction,
+  DeployAlert,
+  FileHistory,
+  SupabaseAction,
+  SupabaseAlert,
+  VerifyResult,
+} from '~/types/actions';
 import { createScopedLogger } from '~/utils/logger';
 import { unreachable } from '~/utils/unreachable';
 import type { ActionCallbackData } from './message-parser';
 import type { BoltShell } from '~/utils/shell';
+import { applyPatch, PatchApplyError } from './patch';
+import { findLockedPathsInCommand, getCurrentChatId, getPathLock } from '~/utils/fileLocks';
+import { recordBlockedAttempts, type BlockedAttempt } from '~/lib/persistence/lockAudit';
+import { detectVerifyCommands } from '~/utils/projectCommands';
+import { formatVerifyReport, parseVerifyChecks, parseVerifyOutput } from './verify';
 
 const logger = createScopedLogger('ActionRunner');
 
@@ -72,7 +85,15 @@ export class ActionRunner {
   onAlert?: (alert: ActionAlert) => void;
   onSupabaseAlert?: (alert: SupabaseAlert) => void;
   onDeployAlert?: (alert: DeployAlert) => void;
+  getFileContent?: (filePath: string) => string | undefined;
   buildOutput?: { path: string; exitCode: number; output: string };
+  verifyResults?: VerifyResult[];
+
+  /**
+   * Writes refused by locks during this runner's lifetime (one runner per artifact), so a
+   * single alert can list everything that was blocked for the message.
+   */
+  #blockedAttempts: BlockedAttempt[] = [];
 
   constructor(
     webcontainerPromise: Promise<WebContainer>,
@@ -80,12 +101,14 @@ export class ActionRunner {
     onAlert?: (alert: ActionAlert) => void,
     onSupabaseAlert?: (alert: SupabaseAlert) => void,
     onDeployAlert?: (alert: DeployAlert) => void,
+    getFileContent?: (filePath: string) => string | undefined,
   ) {
     this.#webcontainer = webcontainerPromise;
     this.#shellTerminal = getShellTerminal;
     this.onAlert = onAlert;
     this.onSupabaseAlert = onSupabaseAlert;
     this.onDeployAlert = onDeployAlert;
+    this.getFileContent = getFileContent;
   }
 
   addAction(data: ActionCallbackData) {
@@ -153,6 +176,11 @@ export class ActionRunner {
 
     this.#updateAction(actionId, { status: 'running' });
 
+    if (await this.#isBlockedByLock(action, isStreaming)) {
+      this.#updateAction(actionId, { status: 'failed', error: 'Blocked by a locked file or folder' });
+      return;
+    }
+
     try {
       switch (action.type) {
         case 'shell': {
@@ -163,6 +191,10 @@ export class ActionRunner {
           await this.#runFileAction(action);
           break;
         }
+        case 'patch': {
+          await this.#runPatchAction(action);
+          break;
+        }
         case 'supabase': {
           try {
             await this.handleSupabaseAction(action as SupabaseAction);
@@ -185,6 +217,10 @@ export class ActionRunner {
           this.buildOutput = buildOutput;
           break;
         }
+        case 'verify': {
+          await this.#runVerifyAction(action);
+          break;
+        }
         case 'start': {
           // making the start app non blocking
 
@@ -237,9 +273,15 @@ export class ActionRunner {
 
       this.onAlert?.({
         type: 'error',
-        title: 'Dev Server Failed',
+        title:
+          action.type === 'patch'
+            ? 'Patch Failed'
+            : action.type === 'verify'
+              ? 'Verification Failed'
+              : 'Dev Server Failed',
         description: error.header,
         content: error.output,
+        source: action.type === 'patch' || action.type === 'verify' ? action.type : undefined,
       });
 
       // re-throw the error to be caught in the promise chain
@@ -329,6 +371,118 @@ export class ActionRunner {
     }
   }
 
+  async #runPatchAction(action: ActionState) {
+    if (action.type !== 'patch') {
+      unreachable('Expected patch action');
+    }
+
+    const webcontainer = await this.#webcontainer;
+    const fullPath = nodePath.isAbsolute(action.filePath)
+      ? action.filePath
+      : nodePath.join(webcontainer.workdir, action.filePath);
+    const relativePath = nodePath.relative(webcontainer.workdir, fullPath);
+
+    // prefer the FilesStore copy so we patch exactly what the user and the model are looking at
+    let currentContent = this.getFileContent?.(fullPath);
+
+    if (currentContent === undefined) {
+      try {
+        currentContent = await webcontainer.fs.readFile(relativePath, 'utf-8');
+      } catch (error) {
+        logger.error('Failed to read file for patch\n\n', error);
+
+        throw new ActionCommandError(`Failed To Apply Patch: ${relativePath} does not exist`, action.content);
+      }
+    }
+
+    let patchedContent: string;
+
+    try {
+      patchedContent = applyPatch(currentContent, action.content);
+    } catch (error) {
+      if (!(error instanceof PatchApplyError)) {
+        throw error;
+      }
+
+      const failedHunk = error.hunk
+        ? `\n\n<<<<<<< SEARCH\n${error.hunk.search.join('\n')}\n=======\n${error.hunk.replace.join('\n')}\n>>>>>>> REPLACE`
+        : '';
+
+      throw new ActionCommandError(
+        `Failed To Apply Patch To ${relativePath}`,
+        `File: ${relativePath}\n${error.message}${failedHunk}`,
+      );
+    }
+
+    // all hunks applied in memory, the file is written once so a failing hunk never leaves it half patched
+    await webcontainer.fs.writeFile(relativePath, patchedContent);
+    logger.debug(`File patched ${relativePath}`);
+  }
+
+  /**
+   * Refuses actions that would modify locked files or folders. Locks are also described to the
+   * model in the system prompt, this is the enforcement for when it ignores them.
+   * @returns True when the action must not run
+   */
+  async #isBlockedByLock(action: ActionState, isStreaming: boolean) {
+    const webcontainer = await this.#webcontainer;
+    const chatId = getCurrentChatId();
+
+    let blocked: Array<{ path: string; lockedBy: string }> = [];
+
+    if (action.type === 'file' || action.type === 'patch' || (action.type === 'supabase' && action.filePath)) {
+      const filePath = action.filePath as string;
+      const fullPath = nodePath.isAbsolute(filePath) ? filePath : nodePath.join(webcontainer.workdir, filePath);
+      const lock = getPathLock(fullPath, chatId);
+
+      if (lock.locked) {
+        blocked = [{ path: fullPath, lockedBy: lock.lockedBy ?? fullPath }];
+      }
+    } else if (action.type === 'shell' || action.type === 'start') {
+      blocked = findLockedPathsInCommand(action.content, webcontainer.workdir, chatId);
+    }
+
+    if (blocked.length === 0) {
+      return false;
+    }
+
+    // streamed file actions are re-run once complete, that's when the refusal gets reported
+    if (isStreaming) {
+      return true;
+    }
+
+    const attempts: BlockedAttempt[] = blocked.map(({ path, lockedBy }) => ({
+      chatId,
+      path,
+      lockedBy,
+      actionType: action.type,
+      command: action.type === 'shell' || action.type === 'start' ? action.content : undefined,
+      timestamp: Date.now(),
+    }));
+
+    recordBlockedAttempts(attempts);
+    this.#blockedAttempts.push(...attempts);
+
+    logger.warn(`[${action.type}]:Blocked write to locked path(s)`, blocked);
+
+    const content = this.#blockedAttempts
+      .map(({ path, lockedBy, actionType, command }) => {
+        const lockInfo = lockedBy === path ? 'locked' : `locked by ${lockedBy}`;
+        return `- ${actionType}: ${path} (${lockInfo})${command ? `\n  $ ${command}` : ''}`;
+      })
+      .join('\n');
+
+    this.onAlert?.({
+      type: 'error',
+      title: 'Locked Files Protected',
+      description: `Refused ${this.#blockedAttempts.length} change(s) to locked files or folders`,
+      content,
+      source: 'lock',
+    });
+
+    return true;
+  }
+
   #updateAction(id: string, newState: ActionStateUpdate) {
     const actions = this.actions.get();
 
@@ -364,6 +518,59 @@ export class ActionRunner {
     return nodePath.join('.history', filePath);
   }
 
+  async #runVerifyAction(action: ActionState) {
+    if (action.type !== 'verify') {
+      unreachable('Expected verify action');
+    }
+
+    const webcontainer = await this.#webcontainer;
+    const requested = parseVerifyChecks(action.content);
+    let packageJson: string | undefined;
+
+    try {
+      packageJson = await webcontainer.fs.readFile('package.json', 'utf-8');
+    } catch {
+      logger.debug('No package.json found, nothing to verify');
+    }
+
+    const commands = detectVerifyCommands(packageJson ? [{ path: 'package.json', content: packageJson }] : []).filter(
+      ({ check }) => requested.length === 0 || requested.includes(check),
+    );
+    const results: VerifyResult[] = [];
+
+    // every check runs even when an earlier one fails, so the report covers all of them
+    for (const { check, script, command } of commands) {
+      if (action.abortSignal.aborted) {
+        break;
+      }
+
+      // CI keeps test runners out of watch mode
+      const verifyProcess = await webcontainer.spawn('npm', ['run', script], { env: { CI: 'true', FORCE_COLOR: '0' } });
+      const abort = () => verifyProcess.kill();
+      action.abortSignal.addEventListener('abort', abort);
+
+      let output = '';
+      verifyProcess.output.pipeTo(
+        new WritableStream({
+          write(data) {
+            output += data;
+          },
+        }),
+      );
+
+      const exitCode = await verifyProcess.exit;
+      action.abortSignal.removeEventListener('abort', abort);
+
+      results.push({ check, command, exitCode, output, failures: parseVerifyOutput(check, output, exitCode) });
+    }
+
+    this.verifyResults = results;
+
+    if (results.some((result) => result.exitCode !== 0)) {
+      throw new ActionCommandError('Verification Failed', formatVerifyReport(results));
+    }
+  }
+
   async #runBuildAction(action: ActionState) {
     if (action.type !== 'build') {
       unreachable('Expected build action');
@@ -377,13 +584,13 @@ export class ActionRunner {
       stage: 'building',
       buildStatus: 'running',
       deployStatus: 'pending',
-      source: 'netlify',
+      source: action.source,
     });
 
     const webcontainer = await this.#webcontainer;
 
-    // Create a new terminal specifically for the build
-    const buildProcess = await webcontainer.spawn('npm', ['run', 'build']);
+    // through a shell so quoting, `&&` and env assignments in the command keep working
+    const buildProcess = await webcontainer.spawn('sh', ['-c', action.content.trim() || 'npm run build']);
 
     let output = '';
     buildProcess.output.pipeTo(
@@ -406,7 +613,7 @@ export class ActionRunner {
         stage: 'building',
         buildStatus: 'failed',
         deployStatus: 'pending',
-        source: 'netlify',
+        source: action.source,
       });
 
       throw new ActionCommandError('Build Failed', output || 'No Output Available');
@@ -420,16 +627,16 @@ export class ActionRunner {
       stage: 'deploying',
       buildStatus: 'complete',
       deployStatus: 'running',
-      source: 'netlify',
+      source: action.source,
     });
 
-    // Check for common build directories
-    const commonBuildDirs = ['dist', 'build', 'out', 'output', '.next', 'public'];
+    // Check for common build directories unless the deploy target names its own
+    const buildDirs = action.outputDirs ?? ['dist', 'build', 'out', 'output', '.next', 'public'];
 
     let buildDir = '';
 
     // Try to find the first existing build directory
-    for (const dir of commonBuildDirs) {
+    for (const dir of buildDirs) {
       const dirPath = nodePath.join(webcontainer.workdir, dir);
 
       try {
@@ -443,9 +650,9 @@ export class ActionRunner {
       }
     }
 
-    // If no build directory was found, use the default (dist)
+    // If no build directory was found, use the first candidate (dist by default)
     if (!buildDir) {
-      buildDir = nodePath.join(webcontainer.workdir, 'dist');
+      buildDir = nodePath.join(webcontainer.workdir, buildDirs[0]);
       logger.debug(`No build directory found, defaulting to: ${buildDir}`);
     }
 
@@ -472,6 +679,7 @@ export class ActionRunner {
           description: `Create migration file: ${filePath}`,
           content,
           source: 'supabase',
+          operation,
         });
 
         // Only create the migration file
@@ -491,6 +699,7 @@ export class ActionRunner {
           description: 'Execute database query',
           content,
           source: 'supabase',
+          operation,
         });
 
         // The actual execution will be triggered from SupabaseChatAlert
@@ -509,7 +718,10 @@ export class ActionRunner {
     details?: {
       url?: string;
       error?: string;
-      source?: 'netlify' | 'vercel' | 'github';
+      source?: DeployAlert['source'];
+
+      // display name of the deploy target
+      label?: string;
     },
   ): void {
     if (!this.onDeployAlert) {
@@ -519,12 +731,13 @@ export class ActionRunner {
 
     const alertType = status === 'failed' ? 'error' : status === 'complete' ? 'success' : 'info';
 
+    const target = details?.label ? ` to ${details.label}` : '';
     const title =
       stage === 'building'
         ? 'Building Application'
         : stage === 'deploying'
-          ? 'Deploying Application'
-          : 'Deployment Complete';
+          ? `Deploying Application${target}`
+          : `Deployment${target} Complete`;
 
     const description =
       status === 'failed'
@@ -549,7 +762,7 @@ export class ActionRunner {
       stage,
       buildStatus: buildStatus as any,
       deployStatus: deployStatus as any,
-      source: details?.source || 'netlify',
+      source: details?.source,
     });
   }
 }
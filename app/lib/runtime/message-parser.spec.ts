@@ -1,5 +1,7 @@
 import { describe, expect, it, vi } from 'vitest';
+import type { BoltAction } from '~/types/actions';
 import { StreamingMessageParser, type ActionCallback, type ArtifactCallback } from './message-parser';
+import { parsePatch } from './patch';
 
 interface ExpectedResult {
   output: string;
@@ -156,8 +158,69 @@ describe('StreamingMessageParser', () => {
       runTest(input, expected);
     });
   });
+
+  describe('valid artifacts with patch actions', () => {
+    it.each<[string | string[], ExpectedResult | string]>([
+      [
+        'Before <boltArtifact title="Some title" id="artifact_1"><boltAction type="patch" filePath="index.js">\n<<<<<<< SEARCH\nconst a = 1;\n=======\nconst a = 2;\n>>>>>>> REPLACE\n</boltAction></boltArtifact> After',
+        {
+          output: 'Before  After',
+          callbacks: { onArtifactOpen: 1, onArtifactClose: 1, onActionOpen: 1, onActionClose: 1 },
+        },
+      ],
+      [
+        [
+          'Before <boltArtifact title="Some title" id="artifact_1"><boltAction type="patch" filePath="src/app.ts">',
+          '```diff\n@@ -1,2 +1,2 @@\n',
+          " import x from 'x';\n-x(&lt;div&gt;);\n+x(&lt;span&gt;);\n```",
+          '</boltAction></boltArtifact> After',
+        ],
+        {
+          output: 'Before  After',
+          callbacks: { onArtifactOpen: 1, onArtifactClose: 1, onActionOpen: 1, onActionClose: 1 },
+        },
+      ],
+    ])('should correctly parse chunks and strip out bolt artifacts (%#)', (input, expected) => {
+      runTest(input, expected);
+    });
+
+    it('should hand the file path and a parsable search/replace patch to the runner', () => {
+      const [action] = parseClosedActions(
+        '<boltArtifact title="Some title" id="artifact_1"><boltAction type="patch" filePath="index.js">\n<<<<<<< SEARCH\nconst a = 1;\n=======\nconst a = 2;\n>>>>>>> REPLACE\n</boltAction></boltArtifact>',
+      );
+
+      expect(action).toMatchObject({ type: 'patch', filePath: 'index.js' });
+      expect(parsePatch(action.content)).toEqual([{ search: ['const a = 1;'], replace: ['const a = 2;'] }]);
+    });
+
+    it('should hand the file path and a parsable unified diff with its line hint to the runner', () => {
+      const [action] = parseClosedActions(
+        '<boltArtifact title="Some title" id="artifact_1"><boltAction type="patch" filePath="src/app.ts">```diff\n@@ -4,2 +4,2 @@\n' +
+          " import x from 'x';\n-x(&lt;div&gt;);\n+x(&lt;span&gt;);\n```</boltAction></boltArtifact>",
+      );
+
+      expect(action).toMatchObject({ type: 'patch', filePath: 'src/app.ts' });
+      expect(parsePatch(action.content)).toEqual([
+        { search: ["import x from 'x';", 'x(<div>);'], replace: ["import x from 'x';", 'x(<span>);'], lineHint: 4 },
+      ]);
+    });
+  });
 });
 
+function parseClosedActions(input: string) {
+  const actions: BoltAction[] = [];
+  const parser = new StreamingMessageParser({
+    callbacks: { onActionClose: ({ action }) => actions.push(action) },
+  });
+
+  // streamed one character at a time like a model response
+  for (let i = 1; i <= input.length; i++) {
+    parser.parse('message_1', input.slice(0, i));
+  }
+
+  return actions;
+}
+
 function runTest(input: string | string[], outputOrExpectedResult: string | ExpectedResult) {
   let expected: ExpectedResult;
 
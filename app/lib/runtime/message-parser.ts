@@ -1,4 +1,12 @@
-import type { ActionType, BoltAction, BoltActionData, FileAction, ShellAction, SupabaseAction } from '~/types/actions';
+import type {
+  ActionType,
+  BoltAction,
+  BoltActionData,
+  FileAction,
+  PatchAction,
+  ShellAction,
+  SupabaseAction,
+} from '~/types/actions';
 import type { BoltArtifactData } from '~/types/artifact';
 import { createScopedLogger } from '~/utils/logger';
 import { unreachable } from '~/utils/unreachable';
@@ -118,6 +126,10 @@ export class StreamingMessageParser {
               }
 
               content += '\n';
+            } else if ('type' in currentAction && currentAction.type === 'patch') {
+              // patches are never markdown, but models still like to wrap them in ```diff fences
+              content = cleanoutMarkdownSyntax(content);
+              content = cleanEscapedTags(content);
             }
 
             currentAction.content = content;
@@ -321,11 +333,19 @@ export class StreamingMessageParser {
       }
 
       (actionAttributes as FileAction).filePath = filePath;
-    } else if (!['shell', 'start'].includes(actionType)) {
+    } else if (actionType === 'patch') {
+      const filePath = this.#extractAttribute(actionTag, 'filePath') as string;
+
+      if (!filePath) {
+        logger.warn('Patch requires a filePath');
+      }
+
+      (actionAttributes as PatchAction).filePath = filePath;
+    } else if (!['shell', 'start', 'verify'].includes(actionType)) {
       logger.warn(`Unknown action type '${actionType}'`);
     }
 
-    return actionAttributes as FileAction | ShellAction;
+    return actionAttributes as FileAction | PatchAction | ShellAction;
   }
 
   #extractAttribute(tag: string, attributeName: string): string | undefined {
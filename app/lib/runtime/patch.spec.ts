@@ -0,0 +1,162 @@
+import { describe, expect, it } from 'vitest';
+import { applyPatch, parsePatch, PatchApplyError } from './patch';
+
+const source = `import { useState } from 'react';
+
+export function Counter() {
+  const [count, setCount] = useState(0);
+
+  return <button onClick={() => setCount(count + 1)}>{count}</button>;
+}
+`;
+
+describe('parsePatch', () => {
+  it('should parse search/replace blocks', () => {
+    const patch = [
+      '<<<<<<< SEARCH',
+      '  const [count, setCount] = useState(0);',
+      '=======',
+      '  const [count, setCount] = useState(10);',
+      '>>>>>>> REPLACE',
+      '<<<<<<< SEARCH',
+      "import { useState } from 'react';",
+      '=======',
+      "import { useEffect, useState } from 'react';",
+      '>>>>>>> REPLACE',
+    ].join('\n');
+
+    expect(parsePatch(patch)).toEqual([
+      {
+        search: ['  const [count, setCount] = useState(0);'],
+        replace: ['  const [count, setCount] = useState(10);'],
+      },
+      {
+        search: ["import { useState } from 'react';"],
+        replace: ["import { useEffect, useState } from 'react';"],
+      },
+    ]);
+  });
+
+  it('should parse unified diff hunks and ignore file headers', () => {
+    const patch = [
+      '--- a/src/Counter.tsx',
+      '+++ b/src/Counter.tsx',
+      '@@ -3,3 +3,3 @@',
+      ' export function Counter() {',
+      '-  const [count, setCount] = useState(0);',
+      '+  const [count, setCount] = useState(10);',
+      '',
+    ].join('\n');
+
+    expect(parsePatch(patch)).toEqual([
+      {
+        search: ['export function Counter() {', '  const [count, setCount] = useState(0);'],
+        replace: ['export function Counter() {', '  const [count, setCount] = useState(10);'],
+        lineHint: 3,
+      },
+    ]);
+  });
+
+  it('should reject content without hunks', () => {
+    expect(() => parsePatch('const a = 1;')).toThrow(PatchApplyError);
+  });
+
+  it('should reject unterminated blocks', () => {
+    expect(() => parsePatch('<<<<<<< SEARCH\nfoo\n=======\nbar')).toThrow('not terminated');
+  });
+});
+
+describe('applyPatch', () => {
+  it('should apply search/replace blocks in order', () => {
+    const patch = [
+      '<<<<<<< SEARCH',
+      "import { useState } from 'react';",
+      '=======',
+      "import { useEffect, useState } from 'react';",
+      '>>>>>>> REPLACE',
+      '<<<<<<< SEARCH',
+      '  const [count, setCount] = useState(0);',
+      '=======',
+      '  const [count, setCount] = useState(0);',
+      '',
+      '  useEffect(() => {',
+      '    document.title = `${count}`;',
+      '  }, [count]);',
+      '>>>>>>> REPLACE',
+    ].join('\n');
+
+    expect(applyPatch(source, patch)).toMatchSnapshot();
+  });
+
+  it('should apply unified diff hunks', () => {
+    const patch = [
+      '@@ -5,3 +5,3 @@',
+      ' ',
+      '-  return <button onClick={() => setCount(count + 1)}>{count}</button>;',
+      '+  return <button onClick={() => setCount(count - 1)}>{count}</button>;',
+      ' }',
+    ].join('\n');
+
+    expect(applyPatch(source, patch)).toMatchSnapshot();
+  });
+
+  it('should tolerate trailing whitespace differences', () => {
+    const patch = [
+      '<<<<<<< SEARCH',
+      'export function Counter() {   ',
+      '=======',
+      'export function Clicker() {',
+      '>>>>>>> REPLACE',
+    ];
+
+    expect(applyPatch(source, patch.join('\n'))).toContain('export function Clicker() {');
+  });
+
+  it('should use the hunk header to pick between identical matches', () => {
+    const content = ['a', 'x', 'b', 'x', 'c'].join('\n');
+    const patch = ['@@ -4,1 +4,1 @@', '-x', '+y'].join('\n');
+
+    expect(applyPatch(content, patch)).toBe(['a', 'x', 'b', 'y', 'c'].join('\n'));
+  });
+
+  it('should fail on ambiguous search blocks', () => {
+    const content = ['a', 'x', 'b', 'x', 'c'].join('\n');
+    const patch = ['<<<<<<< SEARCH', 'x', '=======', 'y', '>>>>>>> REPLACE'].join('\n');
+
+    expect(() => applyPatch(content, patch)).toThrow('matches 2 locations');
+  });
+
+  it('should fail without partially applying when a later hunk does not match', () => {
+    const patch = [
+      '<<<<<<< SEARCH',
+      "import { useState } from 'react';",
+      '=======',
+      "import { useEffect, useState } from 'react';",
+      '>>>>>>> REPLACE',
+      '<<<<<<< SEARCH',
+      '  const [total, setTotal] = useState(0);',
+      '=======',
+      '  const [total, setTotal] = useState(1);',
+      '>>>>>>> REPLACE',
+    ].join('\n');
+
+    let error: unknown;
+
+    try {
+      applyPatch(source, patch);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(PatchApplyError);
+    expect((error as PatchApplyError).hunkIndex).toBe(1);
+    expect((error as PatchApplyError).message).toMatchSnapshot();
+  });
+
+  it('should allow an empty search block only for empty files', () => {
+    const patch = ['<<<<<<< SEARCH', '=======', 'hello', '>>>>>>> REPLACE'].join('\n');
+
+    expect(applyPatch('', patch)).toBe('hello\n');
+    expect(() => applyPatch(source, patch)).toThrow('empty search block');
+  });
+});
@@ -0,0 +1,249 @@
+const SEARCH_MARKER = /^<{7} SEARCH\s*$/;
+const DIVIDER_MARKER = /^={7}\s*$/;
+const REPLACE_MARKER = /^>{7} REPLACE\s*$/;
+const HUNK_HEADER = /^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/;
+const DIFF_FILE_HEADER = /^(---|\+\+\+|diff |index )/;
+
+export interface PatchHunk {
+  search: string[];
+  replace: string[];
+
+  /**
+   * 1-based line number hint taken from a unified diff hunk header. Only used to
+   * pick between several identical matches, never to locate the hunk by itself.
+   */
+  lineHint?: number;
+}
+
+export class PatchApplyError extends Error {
+  readonly hunkIndex: number;
+  readonly hunk?: PatchHunk;
+
+  constructor(message: string, hunkIndex = -1, hunk?: PatchHunk) {
+    super(message);
+
+    this.hunkIndex = hunkIndex;
+    this.hunk = hunk;
+
+    Object.setPrototypeOf(this, PatchApplyError.prototype);
+
+    this.name = 'PatchApplyError';
+  }
+}
+
+/**
+ * Parses the body of a `patch` action into hunks. Two formats are accepted:
+ *
+ * ```
+ * <<<<<<< SEARCH
+ * const a = 1;
+ * =======
+ * const a = 2;
+ * >>>>>>> REPLACE
+ * ```
+ *
+ * or one or more unified diff hunks (file headers are optional and ignored):
+ *
+ * ```
+ * @@ -1,3 +1,3 @@
+ *  import x from 'x';
+ * -const a = 1;
+ * +const a = 2;
+ * ```
+ */
+export function parsePatch(patch: string): PatchHunk[] {
+  const lines = patch.replace(/\r\n/g, '\n').split('\n');
+
+  if (lines.some((line) => SEARCH_MARKER.test(line))) {
+    return parseSearchReplaceBlocks(lines);
+  }
+
+  if (lines.some((line) => HUNK_HEADER.test(line))) {
+    return parseUnifiedDiffHunks(lines);
+  }
+
+  throw new PatchApplyError('Patch does not contain any SEARCH/REPLACE blocks or unified diff hunks');
+}
+
+function parseSearchReplaceBlocks(lines: string[]) {
+  const hunks: PatchHunk[] = [];
+
+  let current: PatchHunk | undefined;
+  let section: 'search' | 'replace' | undefined;
+
+  for (const line of lines) {
+    if (SEARCH_MARKER.test(line)) {
+      if (current) {
+        throw new PatchApplyError('SEARCH block opened before the previous block was closed', hunks.length, current);
+      }
+
+      current = { search: [], replace: [] };
+      section = 'search';
+    } else if (current && section === 'search' && DIVIDER_MARKER.test(line)) {
+      section = 'replace';
+    } else if (current && section === 'replace' && REPLACE_MARKER.test(line)) {
+      hunks.push(current);
+      current = undefined;
+      section = undefined;
+    } else if (current && section) {
+      current[section].push(line);
+    }
+  }
+
+  if (current) {
+    throw new PatchApplyError('SEARCH/REPLACE block is not terminated', hunks.length, current);
+  }
+
+  return hunks;
+}
+
+function parseUnifiedDiffHunks(lines: string[]) {
+  const hunks: PatchHunk[] = [];
+
+  let current: PatchHunk | undefined;
+
+  for (const line of lines) {
+    const header = line.match(HUNK_HEADER);
+
+    if (header) {
+      if (current) {
+        hunks.push(current);
+      }
+
+      current = { search: [], replace: [], lineHint: Number(header[1]) };
+      continue;
+    }
+
+    if (!current) {
+      if (DIFF_FILE_HEADER.test(line) || line.trim() === '') {
+        continue;
+      }
+
+      throw new PatchApplyError(`Unexpected line before the first hunk header: ${line}`);
+    }
+
+    if (line.startsWith('\\')) {
+      // "\ No newline at end of file"
+      continue;
+    }
+
+    const marker = line[0];
+    const text = line.slice(1);
+
+    if (marker === '-') {
+      current.search.push(text);
+    } else if (marker === '+') {
+      current.replace.push(text);
+    } else {
+      // context line, models often drop the leading space of empty context lines
+      const context = marker === ' ' ? text : line;
+      current.search.push(context);
+      current.replace.push(context);
+    }
+  }
+
+  if (current) {
+    hunks.push(current);
+  }
+
+  // trailing blank lines are an artifact of how the action body is trimmed, not real context
+  for (const hunk of hunks) {
+    while (
+      hunk.search.length > 0 &&
+      hunk.replace.length > 0 &&
+      hunk.search[hunk.search.length - 1] === '' &&
+      hunk.replace[hunk.replace.length - 1] === ''
+    ) {
+      hunk.search.pop();
+      hunk.replace.pop();
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Applies every hunk of `patch` to `content` and returns the new content.
+ *
+ * Hunks are applied in order against the result of the previous hunk. Nothing is returned
+ * unless all hunks apply, so callers can write the result without risking a half-patched file.
+ *
+ * @throws {PatchApplyError} when the patch is malformed or a hunk does not match exactly one location
+ */
+export function applyPatch(content: string, patch: string) {
+  const hunks = parsePatch(patch);
+
+  if (hunks.length === 0) {
+    throw new PatchApplyError('Patch does not contain any hunks');
+  }
+
+  let lines = content.split('\n');
+
+  hunks.forEach((hunk, index) => {
+    if (hunk.search.length === 0) {
+      if (lines.join('\n').trim() !== '') {
+        throw new PatchApplyError(`Hunk ${index + 1} has an empty search block`, index, hunk);
+      }
+
+      lines = [...hunk.replace, ''];
+
+      return;
+    }
+
+    const start = findHunk(lines, hunk, index);
+
+    lines = [...lines.slice(0, start), ...hunk.replace, ...lines.slice(start + hunk.search.length)];
+  });
+
+  return lines.join('\n');
+}
+
+function findHunk(lines: string[], hunk: PatchHunk, index: number) {
+  let matches = findMatches(lines, hunk.search, (a, b) => a === b);
+
+  if (matches.length === 0) {
+    // fall back to ignoring trailing whitespace, which models frequently get wrong
+    matches = findMatches(lines, hunk.search, (a, b) => a.trimEnd() === b.trimEnd());
+  }
+
+  if (matches.length === 0) {
+    throw new PatchApplyError(`Hunk ${index + 1} did not match the current file content`, index, hunk);
+  }
+
+  if (matches.length === 1) {
+    return matches[0];
+  }
+
+  if (hunk.lineHint !== undefined) {
+    const hint = hunk.lineHint - 1;
+
+    return matches.reduce((closest, match) => (Math.abs(match - hint) < Math.abs(closest - hint) ? match : closest));
+  }
+
+  throw new PatchApplyError(
+    `Hunk ${index + 1} matches ${matches.length} locations, include more surrounding lines to make it unique`,
+    index,
+    hunk,
+  );
+}
+
+function findMatches(lines: string[], search: string[], equals: (a: string, b: string) => boolean) {
+  const matches: number[] = [];
+
+  for (let i = 0; i <= lines.length - search.length; i++) {
+    let matched = true;
+
+    for (let j = 0; j < search.length; j++) {
+      if (!equals(lines[i + j], search[j])) {
+        matched = false;
+        break;
+      }
+    }
+
+    if (matched) {
+      matches.push(i);
+    }
+  }
+
+  return matches;
+}
@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import { formatVerifyReport, parseVerifyChecks, parseVerifyOutput } from './verify';
+
+describe('parseVerifyOutput', () => {
+  it('should parse TypeScript errors in both output formats', () => {
+    const output = [
+      "src/App.tsx(12,5): error TS2322: Type 'string' is not assignable to type 'number'.",
+      "/home/project/src/main.tsx:3:10 - error TS2305: Module './App' has no exported member 'App'.",
+      '',
+      'Found 2 errors in 2 files.',
+    ].join('\n');
+
+    expect(parseVerifyOutput('typecheck', output, 2)).toEqual([
+      {
+        check: 'typecheck',
+        file: 'src/App.tsx',
+        line: 12,
+        column: 5,
+        message: "TS2322: Type 'string' is not assignable to type 'number'.",
+      },
+      {
+        check: 'typecheck',
+        file: 'src/main.tsx',
+        line: 3,
+        column: 10,
+        message: "TS2305: Module './App' has no exported member 'App'.",
+      },
+    ]);
+  });
+
+  it('should parse eslint errors and skip warnings', () => {
+    const output = [
+      '',
+      '/home/project/src/App.tsx',
+      "   4:7   error    'count' is assigned a value but never used  @typescript-eslint/no-unused-vars",
+      '  10:1   warning  Unexpected console statement                no-console',
+      '',
+      '✖ 2 problems (1 error, 1 warning)',
+    ].join('\n');
+
+    expect(parseVerifyOutput('lint', output, 1)).toEqual([
+      {
+        check: 'lint',
+        file: 'src/App.tsx',
+        line: 4,
+        column: 7,
+        message: "'count' is assigned a value but never used (@typescript-eslint/no-unused-vars)",
+      },
+    ]);
+  });
+
+  it('should report each failed vitest test once with its error and location', () => {
+    const output = [
+      ' ❯ src/sum.test.ts  (2 tests | 1 failed) 4ms',
+      '   × sum > adds numbers',
+      '',
+      '⎯⎯⎯⎯⎯⎯⎯ Failed Tests 1 ⎯⎯⎯⎯⎯⎯⎯',
+      '',
+      ' FAIL  src/sum.test.ts > sum > adds numbers',
+      'AssertionError: expected 3 to be 4 // Object.is equality',
+      ' ❯ src/sum.test.ts:5:19',
+    ].join('\n');
+
+    expect(parseVerifyOutput('test', output, 1)).toEqual([
+      {
+        check: 'test',
+        file: 'src/sum.test.ts',
+        line: 5,
+        column: 19,
+        message: 'sum > adds numbers: AssertionError: expected 3 to be 4 // Object.is equality',
+      },
+    ]);
+  });
+
+  it('should keep the end of unrecognized output', () => {
+    expect(parseVerifyOutput('lint', 'Oops\nSomething broke\n', 1)).toEqual([
+      { check: 'lint', message: 'Oops\nSomething broke' },
+    ]);
+    expect(parseVerifyOutput('lint', 'Oops', 0)).toEqual([]);
+  });
+});
+
+describe('parseVerifyChecks', () => {
+  it('should read the requested checks and ignore unknown ones', () => {
+    expect(parseVerifyChecks('lint, test build')).toEqual(['lint', 'test']);
+    expect(parseVerifyChecks('')).toEqual([]);
+  });
+});
+
+describe('formatVerifyReport', () => {
+  it('should only list failed checks', () => {
+    const report = formatVerifyReport([
+      { check: 'typecheck', command: 'npm run typecheck', exitCode: 0, output: '', failures: [] },
+      {
+        check: 'lint',
+        command: 'npm run lint',
+        exitCode: 1,
+        output: '',
+        failures: [{ check: 'lint', file: 'src/App.tsx', line: 4, column: 7, message: 'no-unused-vars' }],
+      },
+    ]);
+
+    expect(report).toBe('lint (`npm run lint`) failed:\n- src/App.tsx:4:7 no-unused-vars');
+  });
+});
@@ -0,0 +1,227 @@
+import type { VerifyCheck, VerifyFailure, VerifyResult } from '~/types/actions';
+
+const VERIFY_CHECKS: VerifyCheck[] = ['typecheck', 'lint', 'test'];
+
+const ANSI_ESCAPE = /\u001b\[[0-9;?]*[A-Za-z]/g;
+const WORKDIR_PREFIX = /^(?:\/home\/project\/|\.\/)/;
+
+// src/App.tsx(12,5): error TS2322: ... and the `--pretty` form src/App.tsx:12:5 - error TS2322: ...
+const TSC_ERROR = /^(.+?)(?:\((\d+),(\d+)\)|:(\d+):(\d+)) ?[:-] error (TS\d+): (.+)$/;
+
+// eslint's stylish formatter prints the file on its own line and then one indented line per problem
+const ESLINT_PROBLEM = /^\s+(\d+):(\d+)\s+error\s+(.+?)(?:\s{2,}(\S+))?$/;
+const ESLINT_FILE = /^(?:\/|\.{0,2}[\w@-])[^\s:]*\.[a-z]+$/i;
+
+// unix style file:line:col: message, printed by most other linters and compilers
+const LOCATED_MESSAGE = /^(.+?\.[a-z]+):(\d+):(\d+):?\s+-?\s*(.+)$/i;
+
+// vitest prints ` FAIL  file > suite > test`, jest prints `FAIL file` and then `● suite › test`
+const VITEST_FAIL = /^\s*FAIL\s+(\S+)\s+>\s+(.+)$/;
+const JEST_FILE = /^\s*FAIL\s+(\S+)\s*$/;
+const JEST_FAIL = /^\s*●\s+(.+)$/;
+const TEST_ERROR = /^\s*((?:\w*Error|Expected|Received|expected)\b.*)$/;
+const STACK_LOCATION = /(?:❯|at\s.*?\(?)\s*([^\s()]+?):(\d+):(\d+)\)?\s*$/;
+
+// lines of raw output kept when nothing could be parsed
+const OUTPUT_TAIL_LINES = 20;
+const MAX_REPORTED_FAILURES = 20;
+
+export interface AutoFixSettings {
+  enabled: boolean;
+  maxIterations: number;
+}
+
+export const DEFAULT_AUTO_FIX: AutoFixSettings = {
+  enabled: false,
+  maxIterations: 3,
+};
+
+const toRelativePath = (file: string) => file.replace(WORKDIR_PREFIX, '');
+
+/**
+ * Read the checks requested by a `verify` action, e.g. `lint typecheck`
+ * @returns the requested checks, empty when every check should run
+ */
+export function parseVerifyChecks(content: string): VerifyCheck[] {
+  const names = content.split(/[\s,]+/).filter(Boolean);
+
+  return VERIFY_CHECKS.filter((check) => names.includes(check));
+}
+
+/**
+ * Turn the output of a verify script into structured failures. Output that no parser
+ * recognizes is kept as a single failure holding its last lines.
+ * @param check The check that produced the output
+ * @param output The combined stdout and stderr of the script
+ * @param exitCode The exit code of the script, nothing is reported when it is 0
+ */
+export function parseVerifyOutput(check: VerifyCheck, output: string, exitCode: number): VerifyFailure[] {
+  if (exitCode === 0) {
+    return [];
+  }
+
+  const lines = output.replace(ANSI_ESCAPE, '').replace(/\r/g, '').split('\n');
+  const failures = check === 'test' ? parseTestOutput(lines) : parseCompilerOutput(check, lines);
+
+  if (failures.length > 0) {
+    return failures;
+  }
+
+  const tail = lines.filter((line) => line.trim()).slice(-OUTPUT_TAIL_LINES);
+
+  return [{ check, message: tail.join('\n') || `Exited with code ${exitCode}` }];
+}
+
+function parseCompilerOutput(check: VerifyCheck, lines: string[]): VerifyFailure[] {
+  const failures: VerifyFailure[] = [];
+  let currentFile: string | undefined;
+
+  for (const line of lines) {
+    const tscMatch = line.match(TSC_ERROR);
+
+    if (tscMatch) {
+      const [, file, line1, column1, line2, column2, code, message] = tscMatch;
+      failures.push({
+        check,
+        file: toRelativePath(file.trim()),
+        line: Number(line1 ?? line2),
+        column: Number(column1 ?? column2),
+        message: `${code}: ${message}`,
+      });
+      continue;
+    }
+
+    const problemMatch = line.match(ESLINT_PROBLEM);
+
+    if (problemMatch && currentFile) {
+      const [, line1, column, message, rule] = problemMatch;
+      failures.push({
+        check,
+        file: currentFile,
+        line: Number(line1),
+        column: Number(column),
+        message: rule ? `${message} (${rule})` : message,
+      });
+      continue;
+    }
+
+    const locatedMatch = line.match(LOCATED_MESSAGE);
+
+    if (locatedMatch) {
+      const [, file, line1, column, message] = locatedMatch;
+      failures.push({
+        check,
+        file: toRelativePath(file.trim()),
+        line: Number(line1),
+        column: Number(column),
+        message,
+      });
+      continue;
+    }
+
+    if (ESLINT_FILE.test(line)) {
+      currentFile = toRelativePath(line.trim());
+    }
+  }
+
+  return failures;
+}
+
+function parseTestOutput(lines: string[]): VerifyFailure[] {
+  const failures = new Map<string, VerifyFailure>();
+  let currentFile: string | undefined;
+  let current: VerifyFailure | undefined;
+  let hasDetail = false;
+
+  const start = (file: string | undefined, name: string) => {
+    const key = `${file}:${name}`;
+
+    // vitest lists failed tests in its summary and again with their errors
+    current = failures.get(key) ?? { check: 'test', file, message: name };
+    hasDetail = current.message !== name;
+    failures.set(key, current);
+  };
+
+  for (const line of lines) {
+    const vitestMatch = line.match(VITEST_FAIL);
+
+    if (vitestMatch) {
+      start(toRelativePath(vitestMatch[1]), vitestMatch[2].trim());
+      continue;
+    }
+
+    const jestFileMatch = line.match(JEST_FILE);
+
+    if (jestFileMatch) {
+      currentFile = toRelativePath(jestFileMatch[1]);
+      current = undefined;
+      continue;
+    }
+
+    const jestMatch = line.match(JEST_FAIL);
+
+    if (jestMatch) {
+      start(currentFile, jestMatch[1].trim());
+      continue;
+    }
+
+    if (!current) {
+      continue;
+    }
+
+    const errorMatch = line.match(TEST_ERROR);
+
+    if (errorMatch && !hasDetail) {
+      current.message = `${current.message}: ${errorMatch[1].trim()}`;
+      hasDetail = true;
+      continue;
+    }
+
+    const locationMatch = line.match(STACK_LOCATION);
+
+    if (locationMatch && current.line === undefined) {
+      const file = toRelativePath(locationMatch[1]);
+
+      if (!current.file || file === current.file) {
+        current.file = file;
+        current.line = Number(locationMatch[2]);
+        current.column = Number(locationMatch[3]);
+      }
+    }
+  }
+
+  return [...failures.values()];
+}
+
+export function formatVerifyFailure({ file, line, column, message }: VerifyFailure) {
+  if (!file) {
+    return message;
+  }
+
+  const location = line === undefined ? file : column === undefined ? `${file}:${line}` : `${file}:${line}:${column}`;
+
+  return `${location} ${message}`;
+}
+
+/**
+ * Summarize verify results for the chat, listing the failures of every check that failed
+ */
+export function formatVerifyReport(results: VerifyResult[]): string {
+  const sections = results
+    .filter((result) => result.exitCode !== 0)
+    .map(({ check, command, failures }) => {
+      const listed = failures.slice(0, MAX_REPORTED_FAILURES).map((failure) => `- ${formatVerifyFailure(failure)}`);
+
+      if (failures.length > MAX_REPORTED_FAILURES) {
+        listed.push(`- ...and ${failures.length - MAX_REPORTED_FAILURES} more`);
+      }
+
+      return `${check} (\`${command}\`) failed:\n${listed.join('\n')}`;
+    });
+
+  return sections.join('\n\n');
+}
+
+export function countVerifyFailures(results: VerifyResult[]): number {
+  return results.reduce((count, result) => count + result.failures.length, 0);
+}
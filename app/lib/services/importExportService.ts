@@ -99,6 +99,14 @@ export class ImportExportService {
 
           // Context optimization
           contextOptimizationEnabled: this._safeGetItem('contextOptimizationEnabled'),
+          contextMode: this._safeGetItem('contextMode'),
+          contextModeByChat: this._safeGetItem('contextModeByChat'),
+          fallbackChain: this._safeGetItem('fallbackChain'),
+          retryPolicy: this._safeGetItem('retryPolicy'),
+          autoFix: this._safeGetItem('autoFix'),
+          customInstructions: this._safeGetItem('customInstructions'),
+          mcpSettings: this._safeGetItem('mcpSettings'),
+          gitSettings: this._safeGetItem('gitSettings'),
 
           // Auto-select template
           autoSelectTemplate: this._safeGetItem('autoSelectTemplate'),
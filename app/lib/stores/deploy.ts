@@ -0,0 +1,88 @@
+import { map } from 'nanostores';
+import { DeployManager } from '~/lib/modules/deploy/manager';
+import type { BaseDeployProvider } from '~/lib/modules/deploy/base-provider';
+import type { DeployConnection, DeployUser } from '~/lib/modules/deploy/types';
+
+const connectionKey = (providerName: string) => `${providerName}_connection`;
+
+/**
+ * Connections used to be stored as `{ user, token }` with the raw account object of the provider API.
+ */
+function normalizeStoredConnection(stored: any): DeployConnection {
+  if (stored?.credentials) {
+    return { user: stored.user ?? null, credentials: stored.credentials };
+  }
+
+  const user = stored?.user?.user ?? stored?.user;
+  const normalizedUser: DeployUser | null = user
+    ? {
+        name: user.full_name || user.name || user.username || user.email || 'Unknown user',
+        email: user.email,
+        avatarUrl:
+          user.avatar_url || (user.username ? `https://vercel.com/api/www/avatar?u=${user.username}` : undefined),
+      }
+    : null;
+
+  return { user: stored?.token ? normalizedUser : null, credentials: stored?.token ? { token: stored.token } : {} };
+}
+
+function getInitialConnections() {
+  const connections: Record<string, DeployConnection> = {};
+
+  if (typeof window === 'undefined') {
+    return connections;
+  }
+
+  for (const provider of DeployManager.getInstance().getAllProviders()) {
+    try {
+      const stored = localStorage.getItem(connectionKey(provider.name));
+      connections[provider.name] = normalizeStoredConnection(stored ? JSON.parse(stored) : null);
+    } catch {
+      connections[provider.name] = { user: null, credentials: {} };
+    }
+  }
+
+  return connections;
+}
+
+export const deployConnections = map<Record<string, DeployConnection>>(getInitialConnections());
+
+export function updateDeployConnection(providerName: string, connection: DeployConnection | null) {
+  const next = connection ?? { user: null, credentials: {} };
+  deployConnections.setKey(providerName, next);
+
+  if (typeof window === 'undefined') {
+    return;
+  }
+
+  if (connection) {
+    localStorage.setItem(connectionKey(providerName), JSON.stringify(next));
+  } else {
+    localStorage.removeItem(connectionKey(providerName));
+  }
+}
+
+/**
+ * Stored credentials of a provider, fields that were not entered fall back to their env variable
+ */
+export function getDeployCredentials(provider: BaseDeployProvider): Record<string, string> {
+  const credentials = { ...deployConnections.get()[provider.name]?.credentials };
+
+  for (const field of provider.connectionFields) {
+    const envValue = field.envKey ? (import.meta.env[field.envKey] as string | undefined) : undefined;
+
+    if (!credentials[field.key] && envValue) {
+      credentials[field.key] = envValue;
+    }
+  }
+
+  return credentials;
+}
+
+export function getDeployTarget(provider: BaseDeployProvider, chatId: string): string | undefined {
+  return localStorage.getItem(`${provider.targetKeyPrefix}${chatId}`) ?? undefined;
+}
+
+export function setDeployTarget(provider: BaseDeployProvider, chatId: string, targetId: string) {
+  localStorage.setItem(`${provider.targetKeyPrefix}${chatId}`, targetId);
+}
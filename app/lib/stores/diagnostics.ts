@@ -0,0 +1,97 @@
+import { atom } from 'nanostores';
+import { isDiagnosticMessage, type DiagnosticEntry, type DiagnosticReport } from '~/lib/modules/diagnostics/types';
+
+const MAX_ENTRIES = 500;
+
+// previews opened in their own tab relay their reports on this channel, see `webcontainer.preview.$id.tsx`
+const PREVIEW_CHANNEL = 'preview-updates';
+const PREVIEW_ORIGIN_REGEX = /^https:\/\/[^/]+\.webcontainer-api\.io$/;
+
+/**
+ * Console output, errors and failed requests of the running previews
+ */
+export class DiagnosticsStore {
+  #nextId = 0;
+
+  entries = atom<DiagnosticEntry[]>([]);
+
+  // ids of the entries to attach to the next chat message
+  selected = atom<Set<string>>(new Set());
+
+  constructor() {
+    if (typeof window === 'undefined') {
+      return;
+    }
+
+    window.addEventListener('message', (event) => {
+      if (PREVIEW_ORIGIN_REGEX.test(event.origin) && isDiagnosticMessage(event.data)) {
+        this.add(event.data.report);
+      }
+    });
+
+    new BroadcastChannel(PREVIEW_CHANNEL).addEventListener('message', (event) => {
+      if (event.data?.type === 'preview-diagnostic' && isDiagnosticMessage(event.data.message)) {
+        this.add(event.data.message.report);
+      }
+    });
+  }
+
+  add(report: DiagnosticReport) {
+    const entries = this.entries.get();
+    const last = entries.at(-1);
+
+    if (
+      last &&
+      last.kind === report.kind &&
+      last.level === report.level &&
+      last.message === report.message &&
+      last.stack === report.stack
+    ) {
+      this.entries.set([...entries.slice(0, -1), { ...last, count: last.count + 1, timestamp: report.timestamp }]);
+      return;
+    }
+
+    const entry: DiagnosticEntry = { ...report, id: `${this.#nextId++}`, count: 1 };
+    const next = [...entries, entry].slice(-MAX_ENTRIES);
+
+    // stack traces are mapped before they are reported, reports can arrive out of order
+    if (last && last.timestamp > entry.timestamp) {
+      next.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    this.entries.set(next);
+  }
+
+  clear() {
+    this.entries.set([]);
+    this.selected.set(new Set());
+  }
+
+  toggleSelected(id: string) {
+    const selected = new Set(this.selected.get());
+
+    if (!selected.delete(id)) {
+      selected.add(id);
+    }
+
+    this.selected.set(selected);
+  }
+
+  clearSelection() {
+    this.selected.set(new Set());
+  }
+
+  /**
+   * The selected entries, the selection is cleared as they get attached to a message
+   */
+  takeSelected() {
+    const selected = this.selected.get();
+    const entries = this.entries.get().filter(({ id }) => selected.has(id));
+
+    this.clearSelection();
+
+    return entries;
+  }
+}
+
+export const diagnosticsStore = new DiagnosticsStore();
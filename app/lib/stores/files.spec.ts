@@ -0,0 +1,75 @@
+import type { WebContainer } from '@webcontainer/api';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { FilesStore, type FileMap } from './files';
+import { addLockedFile, addLockedFolder, saveLockedItems } from '~/lib/persistence/lockedFiles';
+
+// outside of a chat url the locks of the `default` chat apply
+const CHAT_ID = 'default';
+
+const file = (content: string) => ({ type: 'file' as const, content, isBinary: false });
+
+async function createStore(files: FileMap) {
+  const webcontainer = {
+    workdir: '/home/project',
+    fs: {
+      mkdir: vi.fn(async () => undefined),
+      writeFile: vi.fn(async () => undefined),
+      rm: vi.fn(async () => undefined),
+    },
+    internal: { watchPaths: vi.fn() },
+  };
+  const store = new FilesStore(Promise.resolve(webcontainer as unknown as WebContainer));
+
+  store.files.set(files);
+
+  // let the store start watching, it reloads the locks when it does
+  await vi.advanceTimersByTimeAsync(0);
+
+  return { store, fs: webcontainer.fs };
+}
+
+describe('FilesStore.restoreFiles', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    saveLockedItems([]);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should write changed files, delete removed ones and leave locked ones alone', async () => {
+    const { store, fs } = await createStore({
+      '/home/project/src': { type: 'folder' },
+      '/home/project/src/app.ts': file('red'),
+      '/home/project/src/extra.ts': file('extra'),
+      '/home/project/.env': file('SECRET=new'),
+      '/home/project/unchanged.ts': file('same'),
+      '/home/project/old': { type: 'folder' },
+      '/home/project/old/legacy.ts': file('legacy'),
+    });
+
+    addLockedFile(CHAT_ID, '/home/project/.env');
+    addLockedFolder(CHAT_ID, '/home/project/vendor');
+
+    const skipped = await store.restoreFiles({
+      '/home/project/src': { type: 'folder' },
+      '/home/project/src/app.ts': file('blue'),
+      '/home/project/.env': file('SECRET=old'),
+      '/home/project/unchanged.ts': file('same'),
+      '/home/project/vendor/lib.ts': file('vendored'),
+    });
+
+    expect(skipped).toEqual(['/home/project/.env', '/home/project/vendor/lib.ts']);
+    expect(fs.writeFile.mock.calls).toEqual([['src/app.ts', 'blue']]);
+    expect(fs.rm.mock.calls).toEqual([['src/extra.ts'], ['old/legacy.ts'], ['old', { recursive: true }]]);
+
+    const files = store.files.get();
+
+    expect(files['/home/project/src/app.ts']).toMatchObject(file('blue'));
+    expect(files['/home/project/.env']).toMatchObject(file('SECRET=new'));
+    expect(files['/home/project/src/extra.ts']).toBeUndefined();
+    expect(files['/home/project/old']).toBeUndefined();
+    expect(files['/home/project/vendor/lib.ts']).toBeUndefined();
+  });
+});
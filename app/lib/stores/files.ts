@@ -20,7 +20,7 @@ import {
   migrateLegacyLocks,
   clearCache,
 } from '~/lib/persistence/lockedFiles';
-import { getCurrentChatId } from '~/utils/fileLocks';
+import { getCurrentChatId, getPathLock } from '~/utils/fileLocks';
 
 const logger = createScopedLogger('FilesStore');
 
@@ -951,6 +951,94 @@ export class FilesStore {
     }
   }
 
+  /**
+   * Make WebContainer match a previous state of the files: missing and changed files are written
+   * and files that are not part of `files` are removed. Locked files, and anything inside a locked folder, are never
+   * touched.
+   * @param files The complete file map to restore
+   * @returns The paths that were left as they are because they are locked
+   */
+  async restoreFiles(files: FileMap) {
+    const currentFiles = this.files.get();
+    const skipped: string[] = [];
+
+    // new paths can't be locked themselves, but they can be inside a locked folder
+    const isLocked = (path: string) => this.isFileLocked(path).locked || getPathLock(path).locked;
+
+    // restored paths must not be hidden by an earlier deletion of them or of one of their parents
+    for (const deletedPath of [...this.#deletedPaths]) {
+      if (Object.keys(files).some((path) => path === deletedPath || path.startsWith(deletedPath + '/'))) {
+        this.#deletedPaths.delete(deletedPath);
+      }
+    }
+
+    this.#persistDeletedPaths();
+
+    for (const [filePath, dirent] of Object.entries(files)) {
+      if (dirent?.type !== 'folder' || currentFiles[filePath]?.type === 'folder') {
+        continue;
+      }
+
+      if (isLocked(filePath)) {
+        skipped.push(filePath);
+        continue;
+      }
+
+      await this.createFolder(filePath);
+    }
+
+    for (const [filePath, dirent] of Object.entries(files)) {
+      if (dirent?.type !== 'file') {
+        continue;
+      }
+
+      const current = currentFiles[filePath];
+
+      if (current?.type === 'file' && current.content === dirent.content && current.isBinary === dirent.isBinary) {
+        continue;
+      }
+
+      if (isLocked(filePath)) {
+        skipped.push(filePath);
+        continue;
+      }
+
+      await this.createFile(filePath, dirent.isBinary ? Buffer.from(dirent.content, 'base64') : dirent.content);
+    }
+
+    for (const [filePath, dirent] of Object.entries(currentFiles)) {
+      if (dirent?.type !== 'file' || files[filePath]) {
+        continue;
+      }
+
+      if (isLocked(filePath)) {
+        skipped.push(filePath);
+        continue;
+      }
+
+      await this.deleteFile(filePath);
+    }
+
+    // deepest folders first, and only once nothing is left inside them
+    const removedFolders = Object.keys(currentFiles)
+      .filter((folderPath) => currentFiles[folderPath]?.type === 'folder' && !files[folderPath])
+      .sort((a, b) => b.length - a.length);
+
+    for (const folderPath of removedFolders) {
+      const remaining = Object.entries(this.files.get()).some(
+        ([path, dirent]) => dirent && path.startsWith(folderPath + '/'),
+      );
+
+      if (!remaining && !isLocked(folderPath)) {
+        await this.deleteFolder(folderPath);
+      }
+    }
+
+    logger.info(`Files restored, ${skipped.length} locked paths skipped`);
+
+    return skipped;
+  }
+
   // method to persist deleted paths to localStorage
   #persistDeletedPaths() {
     try {
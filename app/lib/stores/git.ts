@@ -0,0 +1,184 @@
+import { atom } from 'nanostores';
+import http from 'isomorphic-git/http/web';
+import { toast } from 'react-toastify';
+import { webcontainer } from '~/lib/webcontainer';
+import { requestGitAuth, saveGitAuth } from '~/lib/git/auth';
+import { GitRepository, type GitCommit, type GitFileStatus } from '~/lib/git/repository';
+import { createWebContainerFs } from '~/lib/git/webcontainer-fs';
+import { profileStore } from './profile';
+import { gitSettingsStore } from './settings';
+import { createScopedLogger } from '~/utils/logger';
+
+const logger = createScopedLogger('GitStore');
+
+// remotes are reached through our proxy, which needs to know when a remote is plain http
+const corsProxy = (url: string) => (url.startsWith('http://') ? '/api/git-proxy/http:' : '/api/git-proxy');
+
+/**
+ * State of the git repository in the project, refreshed after every operation
+ */
+export class GitStore {
+  #repository?: Promise<GitRepository>;
+
+  initialized = atom(false);
+  branch = atom<string | undefined>(undefined);
+  branches = atom<string[]>([]);
+  status = atom<GitFileStatus[]>([]);
+  log = atom<GitCommit[]>([]);
+  remoteUrl = atom<string | undefined>(undefined);
+
+  // the operation in progress, operations never run side by side
+  busy = atom<string | undefined>(undefined);
+
+  async refresh() {
+    const repository = await this.#getRepository();
+    const initialized = await repository.isInitialized();
+
+    this.initialized.set(initialized);
+
+    if (!initialized) {
+      return;
+    }
+
+    const [branch, branches, status, log, remoteUrl] = await Promise.all([
+      repository.currentBranch(),
+      repository.listBranches(),
+      repository.status(),
+      repository.log(),
+      repository.getRemoteUrl(),
+    ]);
+
+    this.branch.set(branch);
+    this.branches.set(branches);
+    this.status.set(status);
+    this.log.set(log);
+    this.remoteUrl.set(remoteUrl);
+  }
+
+  init() {
+    return this.#run('Initializing', (repository) => repository.init());
+  }
+
+  stage(paths: string[]) {
+    return this.#run('Staging', (repository) => repository.stage(paths));
+  }
+
+  unstage(paths: string[]) {
+    return this.#run('Unstaging', (repository) => repository.unstage(paths));
+  }
+
+  commit(message: string) {
+    return this.#run('Committing', (repository) => repository.commit(message));
+  }
+
+  createBranch(name: string) {
+    return this.#run('Creating branch', (repository) => repository.createBranch(name));
+  }
+
+  switchBranch(name: string) {
+    return this.#run('Switching branch', (repository) => repository.switchBranch(name));
+  }
+
+  setRemoteUrl(url: string) {
+    return this.#run('Saving remote', (repository) => repository.setRemoteUrl(url));
+  }
+
+  push() {
+    return this.#run('Pushing', (repository) => repository.push());
+  }
+
+  pull() {
+    return this.#run('Pulling', (repository) => repository.pull());
+  }
+
+  async diff(path: string, staged: boolean) {
+    const repository = await this.#getRepository();
+    return repository.diff(path, staged);
+  }
+
+  /**
+   * Commit all changes of an assistant turn when auto-commit is on and the project has a repository
+   */
+  async autoCommit(message: string) {
+    if (!gitSettingsStore.get().autoCommit || this.busy.get()) {
+      return;
+    }
+
+    try {
+      const repository = await this.#getRepository();
+
+      if (!(await repository.isInitialized())) {
+        return;
+      }
+
+      this.busy.set('Committing');
+
+      const oid = await repository.commitAll(message);
+
+      if (oid) {
+        logger.debug(`Committed ${oid}`);
+      }
+
+      await this.refresh();
+    } catch (error) {
+      logger.error('Auto-commit failed', error);
+      toast.error(`Auto-commit failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      this.busy.set(undefined);
+    }
+  }
+
+  async #run<T>(label: string, operation: (repository: GitRepository) => Promise<T>): Promise<T | undefined> {
+    if (this.busy.get()) {
+      toast.info(`${this.busy.get()}, please wait`);
+      return undefined;
+    }
+
+    this.busy.set(label);
+
+    try {
+      const result = await operation(await this.#getRepository());
+      await this.refresh();
+
+      return result;
+    } catch (error) {
+      logger.error(`${label} failed`, error);
+      toast.error(error instanceof Error ? error.message : `${label} failed`);
+
+      return undefined;
+    } finally {
+      this.busy.set(undefined);
+    }
+  }
+
+  #getRepository() {
+    if (!this.#repository) {
+      this.#repository = webcontainer.then(
+        (container) =>
+          new GitRepository({
+            fs: createWebContainerFs(container),
+            dir: container.workdir,
+            http,
+            corsProxy,
+            author: () => {
+              const { authorName, authorEmail } = gitSettingsStore.get();
+
+              return {
+                name: authorName || profileStore.get().username || 'bolt.diy',
+                email: authorEmail || 'bolt@users.noreply.bolt.diy',
+              };
+            },
+            onAuth: requestGitAuth,
+            onAuthFailure: (url) => {
+              throw new Error(`Authentication failed for ${url.split('/')[2]}`);
+            },
+            onAuthSuccess: saveGitAuth,
+          }),
+      );
+    }
+
+    return this.#repository;
+  }
+}
+
+export const gitStore = new GitStore();
@@ -0,0 +1,130 @@
+import { atom, map } from 'nanostores';
+import {
+  applyPendingMigrations,
+  baselinePendingMigrations,
+  fetchMigrationStatus,
+  rollbackLastMigration,
+} from '~/lib/modules/migrations/client';
+import { collectMigrations } from '~/lib/modules/migrations/files';
+import type { MigrationResult, MigrationStatus, MigrationTarget } from '~/lib/modules/migrations/types';
+import { chatId } from '~/lib/persistence/useChatHistory';
+import { supabaseConnection } from './supabase';
+import { workbenchStore } from './workbench';
+
+const STORAGE_KEY = 'supabaseMigrations';
+
+/**
+ * What a chat last saw of its database: the ledger is the source of truth, this only notices a database that
+ * lost migrations it had, e.g. after a reset or when a project was imported against another one.
+ */
+interface ChatMigrationMetadata {
+  // apply to this Postgres database instead of the selected Supabase project
+  databaseUrl?: string;
+  target?: string;
+  applied: string[];
+}
+
+function getInitialMetadata(): Record<string, ChatMigrationMetadata> {
+  if (typeof localStorage === 'undefined') {
+    return {};
+  }
+
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+export const migrationMetadata = map<Record<string, ChatMigrationMetadata>>(getInitialMetadata());
+export const migrationStatuses = atom<MigrationStatus[]>([]);
+
+// the request in progress, and what the last one noticed about the database
+export const migrationsBusy = atom<string | undefined>(undefined);
+export const migrationWarning = atom<string | undefined>(undefined);
+
+const getChatMetadata = (): ChatMigrationMetadata => migrationMetadata.get()[chatId.get() ?? ''] ?? { applied: [] };
+
+function updateChatMetadata(update: Partial<ChatMigrationMetadata>) {
+  const id = chatId.get();
+
+  if (!id) {
+    return;
+  }
+
+  migrationMetadata.setKey(id, { ...getChatMetadata(), ...update });
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(migrationMetadata.get()));
+}
+
+export function setMigrationDatabaseUrl(databaseUrl: string) {
+  updateChatMetadata({ databaseUrl: databaseUrl || undefined });
+}
+
+export function getMigrationTarget(): MigrationTarget | undefined {
+  const { databaseUrl } = getChatMetadata();
+  const { token, selectedProjectId } = supabaseConnection.get();
+
+  if (databaseUrl) {
+    return { type: 'postgres', url: databaseUrl };
+  }
+
+  return token && selectedProjectId ? { type: 'supabase', projectId: selectedProjectId } : undefined;
+}
+
+function getProjectMigrations() {
+  const files = Object.entries(workbenchStore.files.get()).flatMap(([path, dirent]) =>
+    dirent?.type === 'file' && !dirent.isBinary ? [{ path, content: dirent.content }] : [],
+  );
+
+  return collectMigrations(files);
+}
+
+async function runMigrations(label: string, request: typeof fetchMigrationStatus): Promise<MigrationResult> {
+  const target = getMigrationTarget();
+
+  if (!target) {
+    throw new Error('Connect a Supabase project or set a database URL first');
+  }
+
+  migrationsBusy.set(label);
+
+  try {
+    const { token } = supabaseConnection.get();
+    const result = await request(
+      target,
+      await getProjectMigrations(),
+      target.type === 'supabase' ? `Bearer ${token}` : undefined,
+    );
+
+    const key = target.type === 'supabase' ? `supabase:${target.projectId}` : `postgres:${target.url}`;
+    const applied = result.statuses.filter(({ state }) => state !== 'pending').map(({ version }) => version);
+    const previous = getChatMetadata();
+    const lost = previous.target === key ? previous.applied.filter((version) => !applied.includes(version)) : [];
+
+    // a rollback removes its migration on purpose
+    const unexpected = lost.filter(
+      (version) => !(request === rollbackLastMigration && result.versions.includes(version)),
+    );
+
+    migrationWarning.set(
+      unexpected.length > 0
+        ? `The database no longer records ${unexpected.length} migration(s) applied before: ${unexpected.join(', ')}`
+        : undefined,
+    );
+    migrationStatuses.set(result.statuses);
+    updateChatMetadata({ target: key, applied });
+
+    return result;
+  } finally {
+    migrationsBusy.set(undefined);
+  }
+}
+
+export const refreshMigrationStatus = () => runMigrations('Checking', fetchMigrationStatus);
+
+export const applyProjectMigrations = () => runMigrations('Applying', applyPendingMigrations);
+
+export const rollbackProjectMigration = () => runMigrations('Rolling back', rollbackLastMigration);
+
+// for databases that already have the changes, e.g. from before the project tracked its migrations
+export const baselineProjectMigrations = () => runMigrations('Marking as applied', baselinePendingMigrations);
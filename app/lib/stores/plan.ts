@@ -0,0 +1,115 @@
+import { atom } from 'nanostores';
+import {
+  completeStep,
+  createStep,
+  failStep,
+  isPlanEditable,
+  isStepEditable,
+  retryStep,
+  runPlan,
+  skipStep,
+  startStep,
+} from '~/lib/modules/plan/plan';
+import type { ChatPlan, PlanStep } from '~/types/plan';
+
+/**
+ * The plan of the current chat, edited in its checklist and run step by step by the chat
+ */
+export class PlanStore {
+  // the next messages only ask for a plan
+  enabled = atom(false);
+
+  plan = atom<ChatPlan | undefined>(undefined);
+
+  load(plan?: ChatPlan) {
+    // a step still running when the chat was closed never finished
+    this.plan.set(
+      plan && plan.steps.some((step) => step.status === 'running')
+        ? failStep(plan, plan.steps.find((step) => step.status === 'running')!.id, 'Interrupted')
+        : plan,
+    );
+  }
+
+  clear() {
+    this.plan.set(undefined);
+  }
+
+  updateStep(stepId: string, changes: Partial<Pick<PlanStep, 'title' | 'goal' | 'files'>>) {
+    this.#edit((plan) => ({
+      ...plan,
+      steps: plan.steps.map((step) =>
+        step.id === stepId && isStepEditable(plan, step) ? { ...step, ...changes } : step,
+      ),
+    }));
+  }
+
+  moveStep(stepId: string, offset: -1 | 1) {
+    this.#edit((plan) => {
+      const index = plan.steps.findIndex((step) => step.id === stepId);
+      const target = plan.steps[index + offset];
+
+      // steps that already ran keep their place
+      if (index === -1 || !target || !isStepEditable(plan, plan.steps[index]) || !isStepEditable(plan, target)) {
+        return plan;
+      }
+
+      const steps = [...plan.steps];
+      [steps[index], steps[index + offset]] = [target, steps[index]];
+
+      return { ...plan, steps };
+    });
+  }
+
+  removeStep(stepId: string) {
+    this.#edit((plan) => ({
+      ...plan,
+      steps: plan.steps.filter((step) => step.id !== stepId || !isStepEditable(plan, step)),
+    }));
+  }
+
+  addStep() {
+    this.#edit((plan) => ({ ...plan, steps: [...plan.steps, createStep({ title: 'New step', goal: '', files: [] })] }));
+  }
+
+  approve() {
+    this.#edit(runPlan);
+  }
+
+  startStep(stepId: string) {
+    this.#update((plan) => startStep(plan, stepId));
+  }
+
+  completeStep(stepId: string, messageId: string) {
+    this.#update((plan) => completeStep(plan, stepId, messageId));
+  }
+
+  failStep(stepId: string, error: string) {
+    this.#update((plan) => failStep(plan, stepId, error));
+  }
+
+  retryStep(stepId: string) {
+    this.#update((plan) => retryStep(plan, stepId));
+  }
+
+  skipStep(stepId: string) {
+    this.#update((plan) => skipStep(plan, stepId));
+  }
+
+  #edit(edit: (plan: ChatPlan) => ChatPlan) {
+    this.#update((plan) => (isPlanEditable(plan) ? edit(plan) : plan));
+  }
+
+  #update(update: (plan: ChatPlan) => ChatPlan) {
+    const plan = this.plan.get();
+
+    if (plan) {
+      const next = update(plan);
+
+      if (next !== plan) {
+        this.plan.set(next);
+      }
+    }
+  }
+}
+
+export const planStore = new PlanStore();
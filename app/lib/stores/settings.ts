@@ -8,7 +8,13 @@ import type {
   TabWindowConfig,
   UserTabConfig,
 } from '~/components/@settings/core/types';
+import type { ContextMode } from '~/types/context';
+import { DEFAULT_RETRY_POLICY, type ModelCandidate, type RetryPolicy } from '~/lib/modules/llm/fallback';
+import { DEFAULT_AUTO_FIX, type AutoFixSettings } from '~/lib/runtime/verify';
 import type { IProviderConfig } from '~/types/model';
+import type { CustomInstructionSettings } from '~/types/rules';
+import type { MCPSettings } from '~/lib/modules/mcp/types';
+import { DEFAULT_GIT_SETTINGS, type GitSettings } from '~/lib/git/repository';
 import { PROVIDER_LIST } from '~/utils/constants';
 import { toggleTheme } from './theme';
 
@@ -128,11 +134,30 @@ const SETTINGS_KEYS = {
   LATEST_BRANCH: 'isLatestBranch',
   AUTO_SELECT_TEMPLATE: 'autoSelectTemplate',
   CONTEXT_OPTIMIZATION: 'contextOptimizationEnabled',
+  CONTEXT_MODE: 'contextMode',
+  CONTEXT_MODE_BY_CHAT: 'contextModeByChat',
+  FALLBACK_CHAIN: 'fallbackChain',
+  RETRY_POLICY: 'retryPolicy',
+  AUTO_FIX: 'autoFix',
+  CUSTOM_INSTRUCTIONS: 'customInstructions',
+  MCP: 'mcpSettings',
+  GIT: 'gitSettings',
   EVENT_LOGS: 'isEventLogsEnabled',
   PROMPT_ID: 'promptId',
   DEVELOPER_MODE: 'isDeveloperMode',
 } as const;
 
+export const DEFAULT_CUSTOM_INSTRUCTIONS: CustomInstructionSettings = {
+  projectRules: true,
+  maxTokens: 4000,
+  templates: [],
+};
+
+export const DEFAULT_MCP_SETTINGS: MCPSettings = {
+  servers: [],
+  maxSteps: 5,
+};
+
 // Initialize settings from localStorage or defaults
 const getInitialSettings = () => {
   const getStoredBoolean = (key: string, defaultValue: boolean): boolean => {
@@ -153,10 +178,34 @@ const getInitialSettings = () => {
     }
   };
 
+  const getStoredJson = <T>(key: string, defaultValue: T): T => {
+    if (!isBrowser) {
+      return defaultValue;
+    }
+
+    try {
+      const stored = localStorage.getItem(key);
+      return stored === null ? defaultValue : JSON.parse(stored);
+    } catch {
+      return defaultValue;
+    }
+  };
+
   return {
     latestBranch: getStoredBoolean(SETTINGS_KEYS.LATEST_BRANCH, false),
     autoSelectTemplate: getStoredBoolean(SETTINGS_KEYS.AUTO_SELECT_TEMPLATE, true),
     contextOptimization: getStoredBoolean(SETTINGS_KEYS.CONTEXT_OPTIMIZATION, true),
+    contextMode: getStoredJson<ContextMode>(SETTINGS_KEYS.CONTEXT_MODE, 'llm'),
+    contextModeByChat: getStoredJson<Record<string, ContextMode>>(SETTINGS_KEYS.CONTEXT_MODE_BY_CHAT, {}),
+    fallbackChain: getStoredJson<ModelCandidate[]>(SETTINGS_KEYS.FALLBACK_CHAIN, []),
+    retryPolicy: { ...DEFAULT_RETRY_POLICY, ...getStoredJson<Partial<RetryPolicy>>(SETTINGS_KEYS.RETRY_POLICY, {}) },
+    autoFix: { ...DEFAULT_AUTO_FIX, ...getStoredJson<Partial<AutoFixSettings>>(SETTINGS_KEYS.AUTO_FIX, {}) },
+    customInstructions: {
+      ...DEFAULT_CUSTOM_INSTRUCTIONS,
+      ...getStoredJson<Partial<CustomInstructionSettings>>(SETTINGS_KEYS.CUSTOM_INSTRUCTIONS, {}),
+    },
+    mcp: { ...DEFAULT_MCP_SETTINGS, ...getStoredJson<Partial<MCPSettings>>(SETTINGS_KEYS.MCP, {}) },
+    git: { ...DEFAULT_GIT_SETTINGS, ...getStoredJson<Partial<GitSettings>>(SETTINGS_KEYS.GIT, {}) },
     eventLogs: getStoredBoolean(SETTINGS_KEYS.EVENT_LOGS, true),
     promptId: isBrowser ? localStorage.getItem(SETTINGS_KEYS.PROMPT_ID) || 'default' : 'default',
     developerMode: getStoredBoolean(SETTINGS_KEYS.DEVELOPER_MODE, false),
@@ -169,6 +218,26 @@ const initialSettings = getInitialSettings();
 export const latestBranchStore = atom<boolean>(initialSettings.latestBranch);
 export const autoSelectStarterTemplate = atom<boolean>(initialSettings.autoSelectTemplate);
 export const enableContextOptimizationStore = atom<boolean>(initialSettings.contextOptimization);
+
+// The mode new chats start with, and the mode picked for each chat so far
+export const contextModeStore = atom<ContextMode>(initialSettings.contextMode);
+export const contextModeByChatStore = map<Record<string, ContextMode>>(initialSettings.contextModeByChat);
+
+// Models tried in order when the selected one fails, and how failed requests are retried
+export const fallbackChainStore = atom<ModelCandidate[]>(initialSettings.fallbackChain);
+export const retryPolicyStore = atom<RetryPolicy>(initialSettings.retryPolicy);
+
+// Whether verify failures are sent back to the model after a response, and how many times in a row
+export const autoFixStore = atom<AutoFixSettings>(initialSettings.autoFix);
+
+// Project rule files and prompt templates merged into the system prompt
+export const customInstructionsStore = atom<CustomInstructionSettings>(initialSettings.customInstructions);
+
+// MCP servers whose tools the model can call
+export const mcpSettingsStore = atom<MCPSettings>(initialSettings.mcp);
+
+// Auto-commit and the author of commits in the project repository
+export const gitSettingsStore = atom<GitSettings>(initialSettings.git);
 export const isEventLogsEnabled = atom<boolean>(initialSettings.eventLogs);
 export const promptStore = atom<string>(initialSettings.promptId);
 
@@ -188,6 +257,60 @@ export const updateContextOptimization = (enabled: boolean) => {
   localStorage.setItem(SETTINGS_KEYS.CONTEXT_OPTIMIZATION, JSON.stringify(enabled));
 };
 
+/**
+ * Set how context files are selected. The mode is remembered for the given chat and
+ * becomes the default for chats that have not picked one yet.
+ */
+export const updateContextMode = (mode: ContextMode, chatId?: string) => {
+  contextModeStore.set(mode);
+  localStorage.setItem(SETTINGS_KEYS.CONTEXT_MODE, JSON.stringify(mode));
+
+  if (chatId) {
+    contextModeByChatStore.setKey(chatId, mode);
+    localStorage.setItem(SETTINGS_KEYS.CONTEXT_MODE_BY_CHAT, JSON.stringify(contextModeByChatStore.get()));
+  }
+};
+
+export const updateFallbackChain = (chain: ModelCandidate[]) => {
+  fallbackChainStore.set(chain);
+  localStorage.setItem(SETTINGS_KEYS.FALLBACK_CHAIN, JSON.stringify(chain));
+};
+
+export const updateRetryPolicy = (policy: Partial<RetryPolicy>) => {
+  const updated = { ...retryPolicyStore.get(), ...policy };
+
+  retryPolicyStore.set(updated);
+  localStorage.setItem(SETTINGS_KEYS.RETRY_POLICY, JSON.stringify(updated));
+};
+
+export const updateAutoFix = (settings: Partial<AutoFixSettings>) => {
+  const updated = { ...autoFixStore.get(), ...settings };
+
+  autoFixStore.set(updated);
+  localStorage.setItem(SETTINGS_KEYS.AUTO_FIX, JSON.stringify(updated));
+};
+
+export const updateCustomInstructions = (settings: Partial<CustomInstructionSettings>) => {
+  const updated = { ...customInstructionsStore.get(), ...settings };
+
+  customInstructionsStore.set(updated);
+  localStorage.setItem(SETTINGS_KEYS.CUSTOM_INSTRUCTIONS, JSON.stringify(updated));
+};
+
+export const updateMCPSettings = (settings: Partial<MCPSettings>) => {
+  const updated = { ...mcpSettingsStore.get(), ...settings };
+
+  mcpSettingsStore.set(updated);
+  localStorage.setItem(SETTINGS_KEYS.MCP, JSON.stringify(updated));
+};
+
+export const updateGitSettings = (settings: Partial<GitSettings>) => {
+  const updated = { ...gitSettingsStore.get(), ...settings };
+
+  gitSettingsStore.set(updated);
+  localStorage.setItem(SETTINGS_KEYS.GIT, JSON.stringify(updated));
+};
+
 export const updateEventLogs = (enabled: boolean) => {
   isEventLogsEnabled.set(enabled);
   localStorage.setItem(SETTINGS_KEYS.EVENT_LOGS, JSON.stringify(enabled));
@@ -13,11 +13,13 @@ import JSZip from 'jszip';
 import fileSaver from 'file-saver';
 import { Octokit, type RestEndpointMethodTypes } from '@octokit/rest';
 import { path } from '~/utils/path';
+import { getPathLock } from '~/utils/fileLocks';
 import { extractRelativePath } from '~/utils/diff';
 import { description } from '~/lib/persistence';
 import Cookies from 'js-cookie';
 import { createSampler } from '~/utils/sampler';
-import type { ActionAlert, DeployAlert, SupabaseAlert } from '~/types/actions';
+import type { ActionAlert, DeployAlert, SupabaseAlert, VerifyResult } from '~/types/actions';
+import type { ReplaceEdit } from '~/lib/modules/search/replace';
 
 const { saveAs } = fileSaver;
 
@@ -54,6 +56,9 @@ export class WorkbenchStore {
     import.meta.hot?.data.supabaseAlert ?? atom<SupabaseAlert | undefined>(undefined);
   deployAlert: WritableAtom<DeployAlert | undefined> =
     import.meta.hot?.data.deployAlert ?? atom<DeployAlert | undefined>(undefined);
+
+  // the files written by the last project-wide replace, until it is undone
+  lastReplace = atom<ReplaceEdit[] | undefined>(undefined);
   modifiedFiles = new Set<string>();
   artifactIdList: string[] = [];
   #globalExecutionQueue = Promise.resolve();
@@ -83,6 +88,18 @@ export class WorkbenchStore {
     this.#globalExecutionQueue = this.#globalExecutionQueue.then(() => callback());
   }
 
+  /**
+   * Resolves once every action queued so far has finished running
+   */
+  async whenIdle() {
+    let queue: Promise<void>;
+
+    do {
+      queue = this.#globalExecutionQueue;
+      await queue.catch(() => undefined);
+    } while (queue !== this.#globalExecutionQueue);
+  }
+
   get previews() {
     return this.#previewsStore.previews;
   }
@@ -453,6 +470,141 @@ export class WorkbenchStore {
     }
   }
 
+  /**
+   * Replace all files with a previous state, e.g. a checkpoint. Unsaved editor changes are discarded.
+   * @returns The locked paths that were not restored
+   */
+  async restoreFiles(files: FileMap) {
+    const skipped = await this.#filesStore.restoreFiles(files);
+
+    this.unsavedFiles.set(new Set<string>());
+    this.resetAllFileModifications();
+
+    return skipped;
+  }
+
+  /**
+   * Write a single file back from a previous state
+   */
+  async restoreFile(filePath: string, file: { content: string; isBinary: boolean }) {
+    if (this.isFileLocked(filePath).locked) {
+      throw new Error(`File ${filePath} is locked`);
+    }
+
+    await this.#filesStore.createFile(filePath, file.isBinary ? Buffer.from(file.content, 'base64') : file.content);
+
+    const newUnsavedFiles = new Set(this.unsavedFiles.get());
+    newUnsavedFiles.delete(filePath);
+    this.unsavedFiles.set(newUnsavedFiles);
+  }
+
+  /**
+   * Write a project-wide replace as one operation that `undoReplace` reverts. Locked files, files with
+   * unsaved changes and files that changed since the search are skipped.
+   * @returns The paths that were written and the paths that were skipped
+   */
+  async replaceInFiles(edits: ReplaceEdit[]) {
+    const written = await this.#writeEdits(edits);
+
+    if (written.length > 0) {
+      this.lastReplace.set(written);
+    }
+
+    return {
+      written: written.map((edit) => edit.path),
+      skipped: edits.filter((edit) => !written.includes(edit)).map((edit) => edit.path),
+    };
+  }
+
+  /**
+   * Revert the last project-wide replace, files changed since then are left as they are
+   * @returns The paths that were not reverted
+   */
+  async undoReplace() {
+    const edits = this.lastReplace.get();
+
+    if (!edits) {
+      return [];
+    }
+
+    this.lastReplace.set(undefined);
+
+    const reverts = edits.map(({ path, before, after }) => ({ path, before: after, after: before }));
+    const written = await this.#writeEdits(reverts);
+
+    return reverts.filter((edit) => !written.includes(edit)).map((edit) => edit.path);
+  }
+
+  async #writeEdits(edits: ReplaceEdit[]) {
+    const written: ReplaceEdit[] = [];
+
+    for (const edit of edits) {
+      const file = this.#filesStore.getFile(edit.path);
+
+      if (
+        file?.content !== edit.before ||
+        this.isFileLocked(edit.path).locked ||
+        this.unsavedFiles.get().has(edit.path)
+      ) {
+        continue;
+      }
+
+      try {
+        await this.#filesStore.saveFile(edit.path, edit.after);
+      } catch (error) {
+        console.error(`Failed to write ${edit.path}:`, error);
+        continue;
+      }
+
+      // open documents show the new content without waiting for the file watcher
+      this.#editorStore.updateFile(edit.path, edit.after);
+      written.push(edit);
+    }
+
+    return written;
+  }
+
+  /**
+   * Run the project's typecheck, lint and test scripts once the queued actions have finished.
+   * When the given message already ran a verify action, its results are reused.
+   * @param messageId The assistant message the verification belongs to
+   * @returns one result per check, empty when the project has no verify scripts
+   */
+  async verifyProject(messageId?: string): Promise<VerifyResult[]> {
+    await this.whenIdle();
+
+    const previous = messageId ? this.#getArtifact(messageId)?.runner.verifyResults : undefined;
+
+    if (previous) {
+      return previous;
+    }
+
+    const verifyArtifactId = 'verify-artifact';
+
+    if (!this.#getArtifact(verifyArtifactId)) {
+      this.addArtifact({
+        id: verifyArtifactId,
+        messageId: verifyArtifactId,
+        title: 'Project Verification',
+        type: 'standalone',
+      });
+    }
+
+    const { runner } = this.#getArtifact(verifyArtifactId);
+    const data: ActionCallbackData = {
+      messageId: verifyArtifactId,
+      artifactId: verifyArtifactId,
+      actionId: `verify-${Date.now()}`,
+      action: { type: 'verify', content: '' },
+    };
+
+    runner.verifyResults = undefined;
+    runner.addAction(data);
+    await runner.runAction(data);
+
+    return runner.verifyResults ?? [];
+  }
+
   abortAllActions() {
     // TODO: what do we wanna do and how do we wanna recover from this?
   }
@@ -501,6 +653,7 @@ export class WorkbenchStore {
 
           this.deployAlert.set(alert);
         },
+        (filePath) => this.#filesStore.getFile(filePath)?.content,
       ),
     });
   }
@@ -563,6 +716,12 @@ export class WorkbenchStore {
        * This is a more complex feature that would be implemented in a future update
        */
 
+      // a locked file never reaches the editor, the runner refuses the action and reports it
+      if (getPathLock(fullPath).locked) {
+        await artifact.runner.runAction(data, isStreaming);
+        return;
+      }
+
       if (this.selectedFile.value !== fullPath) {
         this.setSelectedFile(fullPath);
       }
@@ -587,6 +746,20 @@ export class WorkbenchStore {
         await artifact.runner.runAction(data);
         this.resetAllFileModifications();
       }
+    } else if (data.action.type === 'patch') {
+      const wc = await webcontainer;
+      const fullPath = path.join(wc.workdir, data.action.filePath);
+
+      if (this.selectedFile.value !== fullPath) {
+        this.setSelectedFile(fullPath);
+      }
+
+      if (this.currentView.value !== 'code') {
+        this.currentView.set('code');
+      }
+
+      // the runner patches the FilesStore content and the watcher syncs the editor document back
+      await artifact.runner.runAction(data);
     } else {
       await artifact.runner.runAction(data);
     }
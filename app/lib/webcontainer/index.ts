@@ -1,4 +1,5 @@
 import { WebContainer } from '@webcontainer/api';
+import { PREVIEW_INSTRUMENTATION_SCRIPT } from '~/lib/modules/diagnostics/instrumentation';
 import { WORK_DIR_NAME } from '~/utils/constants';
 import { cleanStackTrace } from '~/utils/stacktrace';
 
@@ -32,6 +33,13 @@ if (!import.meta.env.SSR) {
       .then(async (webcontainer) => {
         webcontainerContext.loaded = true;
 
+        // previews report their console output, errors and failed requests to the workbench console
+        try {
+          await webcontainer.setPreviewScript(PREVIEW_INSTRUMENTATION_SCRIPT);
+        } catch (error) {
+          console.error('Failed to set the preview instrumentation script:', error);
+        }
+
         const { workbenchStore } = await import('~/lib/stores/workbench');
 
         // Listen for preview errors
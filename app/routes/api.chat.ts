@@ -1,16 +1,28 @@
 import { type ActionFunctionArgs } from '@remix-run/cloudflare';
-import { createDataStream, generateId } from 'ai';
+import { createDataStream, formatDataStreamPart, generateId, type CoreTool, type JSONValue } from 'ai';
 import { MAX_RESPONSE_SEGMENTS, MAX_TOKENS, type FileMap } from '~/lib/.server/llm/constants';
 import { CONTINUE_PROMPT } from '~/lib/common/prompts/prompts';
-import { streamText, type Messages, type StreamingOptions } from '~/lib/.server/llm/stream-text';
+import { streamText, type FailoverEvent, type Messages, type StreamingOptions } from '~/lib/.server/llm/stream-text';
 import SwitchableStream from '~/lib/.server/llm/switchable-stream';
 import type { IProviderSetting } from '~/types/model';
 import { createScopedLogger } from '~/utils/logger';
 import { getFilePaths, selectContext } from '~/lib/.server/llm/select-context';
-import type { ContextAnnotation, ProgressAnnotation } from '~/types/context';
+import { retrieveContext } from '~/lib/.server/llm/retrieve-context';
+import type { ContextAnnotation, ContextMode, ProgressAnnotation } from '~/types/context';
 import { WORK_DIR } from '~/utils/constants';
 import { createSummary } from '~/lib/.server/llm/create-summary';
 import { extractPropertiesFromMessage } from '~/lib/.server/llm/utils';
+import { calculateCost, getModelPricing } from '~/lib/modules/llm/pricing';
+import type { ModelInfo } from '~/lib/modules/llm/types';
+import { classifyLLMError, type FallbackOptions, type ModelCandidate } from '~/lib/modules/llm/fallback';
+import type { PromptBudget, TurnUsage } from '~/types/usage';
+import type { CustomInstructionSettings, RulesAnnotation } from '~/types/rules';
+import { createMCPTools } from '~/lib/modules/mcp/tools';
+import type { MCPSettings } from '~/lib/modules/mcp/types';
+import { getAllowedHosts } from '~/utils/hostAllowlist';
+import { getProvidersOverSpendingCap, PROVIDER_SPEND_COOKIE } from '~/lib/persistence/providerSpend';
+import { formatPlanMarkdown, parsePlan } from '~/lib/modules/plan/plan';
+import type { ChatMode, PlanAnnotation, PlanStepRequest } from '~/types/plan';
 
 export async function action(args: ActionFunctionArgs) {
   return chatAction(args);
@@ -37,11 +49,31 @@ function parseCookies(cookieHeader: string): Record<string, string> {
 }
 
 async function chatAction({ context, request }: ActionFunctionArgs) {
-  const { messages, files, promptId, contextOptimization, supabase } = await request.json<{
+  const {
+    messages,
+    files,
+    promptId,
+    contextOptimization,
+    contextMode,
+    chatId,
+    fallback: requestedFallback,
+    customInstructions,
+    mcp,
+    mode,
+    planStep,
+    supabase,
+  } = await request.json<{
     messages: Messages;
     files: any;
     promptId?: string;
     contextOptimization: boolean;
+    contextMode?: ContextMode;
+    chatId?: string;
+    fallback?: FallbackOptions;
+    customInstructions?: CustomInstructionSettings;
+    mcp?: MCPSettings;
+    mode?: ChatMode;
+    planStep?: PlanStepRequest;
     supabase?: {
       isConnected: boolean;
       hasSelectedProject: boolean;
@@ -58,6 +90,26 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
     parseCookies(cookieHeader || '').providers || '{}',
   );
 
+  // the spend is counted by the client from the usage annotations, the caps are enforced here as well
+  const overSpendingCap = getProvidersOverSpendingCap(
+    providerSettings,
+    JSON.parse(parseCookies(cookieHeader || '')[PROVIDER_SPEND_COOKIE] || '{}'),
+  );
+  const lastUserMessage = messages.filter((x) => x.role == 'user').slice(-1)[0];
+  const requestedProvider = lastUserMessage && extractPropertiesFromMessage(lastUserMessage).provider;
+
+  if (requestedProvider && overSpendingCap.includes(requestedProvider)) {
+    return new Response(`${requestedProvider} reached its spending cap. Raise or reset it in the provider settings.`, {
+      status: 403,
+      statusText: 'Spending Cap Reached',
+    });
+  }
+
+  const fallback: FallbackOptions | undefined = requestedFallback && {
+    ...requestedFallback,
+    chain: requestedFallback.chain.filter(({ provider }) => !overSpendingCap.includes(provider)),
+  };
+
   const stream = new SwitchableStream();
 
   const cumulativeUsage = {
@@ -67,6 +119,36 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
   };
   const encoder: TextEncoder = new TextEncoder();
   let progressCounter: number = 1;
+  let promptBudget: PromptBudget | undefined;
+  let resolvedModel: ModelInfo | undefined;
+
+  const onPromptBudget = (budget: PromptBudget, model: ModelInfo) => {
+    promptBudget = budget;
+    resolvedModel = model;
+  };
+
+  const createTurnUsage = (): TurnUsage => {
+    const pricing = resolvedModel ? getModelPricing(resolvedModel) : undefined;
+
+    return {
+      completionTokens: cumulativeUsage.completionTokens,
+      promptTokens: cumulativeUsage.promptTokens,
+      totalTokens: cumulativeUsage.totalTokens,
+      provider: resolvedModel?.provider,
+      model: resolvedModel?.name,
+      cost: pricing ? calculateCost(cumulativeUsage, pricing) : undefined,
+      budget: promptBudget,
+    };
+  };
+
+  // models that failed while answering, continuations skip them
+  const failedModels: ModelCandidate[] = [];
+  let interruption: { model: ModelCandidate; error: unknown } | undefined;
+
+  const onInterrupted = (model: ModelCandidate, error: unknown) => {
+    logger.warn(`${model.provider}/${model.model} failed mid-stream: ${error}`);
+    interruption = { model, error };
+  };
 
   try {
     const totalMessageContent = messages.reduce((acc, message) => acc + message.content, '');
@@ -140,24 +222,42 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
 
           // Select context files
           console.log(`Messages count: ${messages.length}`);
-          filteredFiles = await selectContext({
-            messages: [...messages],
-            env: context.cloudflare?.env,
-            apiKeys,
-            files,
-            providerSettings,
-            promptId,
-            contextOptimization,
-            summary,
-            onFinish(resp) {
-              if (resp.usage) {
-                logger.debug('selectContext token usage', JSON.stringify(resp.usage));
-                cumulativeUsage.completionTokens += resp.usage.completionTokens || 0;
-                cumulativeUsage.promptTokens += resp.usage.promptTokens || 0;
-                cumulativeUsage.totalTokens += resp.usage.totalTokens || 0;
-              }
-            },
-          });
+
+          if (contextMode === 'bm25' || contextMode === 'hybrid') {
+            filteredFiles = await retrieveContext({
+              messages: [...messages],
+              env: context.cloudflare?.env,
+              apiKeys,
+              files,
+              providerSettings,
+              chatId,
+              useEmbeddings: contextMode === 'hybrid',
+              onEmbeddingUsage(usage) {
+                logger.debug('retrieveContext embedding usage', JSON.stringify(usage));
+                cumulativeUsage.promptTokens += usage.tokens || 0;
+                cumulativeUsage.totalTokens += usage.tokens || 0;
+              },
+            });
+          } else {
+            filteredFiles = await selectContext({
+              messages: [...messages],
+              env: context.cloudflare?.env,
+              apiKeys,
+              files,
+              providerSettings,
+              promptId,
+              contextOptimization,
+              summary,
+              onFinish(resp) {
+                if (resp.usage) {
+                  logger.debug('selectContext token usage', JSON.stringify(resp.usage));
+                  cumulativeUsage.completionTokens += resp.usage.completionTokens || 0;
+                  cumulativeUsage.promptTokens += resp.usage.promptTokens || 0;
+                  cumulativeUsage.totalTokens += resp.usage.totalTokens || 0;
+                }
+              },
+            });
+          }
 
           if (filteredFiles) {
             logger.debug(`files in context : ${JSON.stringify(Object.keys(filteredFiles))}`);
@@ -187,9 +287,76 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
           // logger.debug('Code Files Selected');
         }
 
+        let tools: Record<string, CoreTool> | undefined;
+
+        // a plan only describes the changes, the tools are loaded for its steps
+        if (mode !== 'plan' && mcp?.servers.some((server) => server.enabled)) {
+          dataStream.writeData({
+            type: 'progress',
+            label: 'mcp',
+            status: 'in-progress',
+            order: progressCounter++,
+            message: 'Loading MCP Tools',
+          } satisfies ProgressAnnotation);
+
+          const discovered = await createMCPTools(mcp.servers, {
+            allowedHosts: getAllowedHosts(context.cloudflare?.env, 'MCP_SERVER_HOSTS'),
+          });
+          tools = discovered.tools;
+
+          const unavailable = discovered.failed.map(({ server }) => server);
+
+          dataStream.writeData({
+            type: 'progress',
+            label: 'mcp',
+            status: 'complete',
+            order: progressCounter++,
+            message: `${Object.keys(tools).length} MCP Tools Loaded${unavailable.length ? ` (${unavailable.join(', ')} unavailable)` : ''}`,
+          } satisfies ProgressAnnotation);
+        }
+
+        const onFailover = ({ failed, next, errorClass, attempt }: FailoverEvent) => {
+          const retrying = failed.provider === next.provider && failed.model === next.model;
+
+          dataStream.writeData({
+            type: 'progress',
+            label: 'model',
+            status: 'in-progress',
+            order: progressCounter++,
+            message: retrying
+              ? `${failed.model} failed (${errorClass}), retrying (attempt ${attempt + 1})`
+              : `${failed.model} failed (${errorClass}), switching to ${next.provider}/${next.model}`,
+          } satisfies ProgressAnnotation);
+        };
+
+        // continuations build the same system prompt, the rules are only reported once
+        let rulesAnnotated = false;
+
+        const onRulesApplied = (annotation: RulesAnnotation) => {
+          if (rulesAnnotated || (annotation.applied.length === 0 && annotation.skipped.length === 0)) {
+            return;
+          }
+
+          rulesAnnotated = true;
+          dataStream.writeMessageAnnotation(annotation as unknown as JSONValue);
+        };
+
+        const writeAnsweringModel = () => {
+          if (!resolvedModel) {
+            return;
+          }
+
+          dataStream.writeData({
+            type: 'progress',
+            label: 'model',
+            status: 'complete',
+            order: progressCounter++,
+            message: `Answered by ${resolvedModel.provider}/${resolvedModel.name}`,
+          } satisfies ProgressAnnotation);
+        };
+
         const options: StreamingOptions = {
           supabaseConnection: supabase,
-          toolChoice: 'none',
           onFinish: async ({ text: content, finishReason, usage }) => {
             logger.debug('usage', JSON.stringify(usage));
 
@@ -199,15 +366,27 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
               cumulativeUsage.totalTokens += usage.totalTokens || 0;
             }
 
-            if (finishReason !== 'length') {
-              dataStream.writeMessageAnnotation({
-                type: 'usage',
-                value: {
-                  completionTokens: cumulativeUsage.completionTokens,
-                  promptTokens: cumulativeUsage.promptTokens,
-                  totalTokens: cumulativeUsage.totalTokens,
-                },
-              });
+            const interrupted = interruption;
+            interruption = undefined;
+
+            if (interrupted) {
+              failedModels.push(interrupted.model);
+            }
+
+            // every segment reports the usage so far, the client counts the spend even if a later one fails
+            dataStream.writeMessageAnnotation({ type: 'usage', value: createTurnUsage() } as JSONValue);
+
+            if (finishReason !== 'length' && !interrupted) {
+              if (planStep) {
+                dataStream.writeData({
+                  type: 'progress',
+                  label: 'plan',
+                  status: 'complete',
+                  order: progressCounter++,
+                  message: `Step ${planStep.index + 1} of ${planStep.total} Done`,
+                } satisfies ProgressAnnotation);
+              }
+
               dataStream.writeData({
                 type: 'progress',
                 label: 'response',
@@ -227,7 +406,15 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
 
             const switchesLeft = MAX_RESPONSE_SEGMENTS - stream.switches;
 
-            logger.info(`Reached max token limit (${MAX_TOKENS}): Continuing message (${switchesLeft} switches left)`);
+            if (interrupted) {
+              logger.info(
+                `${interrupted.model.provider}/${interrupted.model.model} stopped (${classifyLLMError(interrupted.error)}): Continuing message with the next model (${switchesLeft} switches left)`,
+              );
+            } else {
+              logger.info(
+                `Reached max token limit (${MAX_TOKENS}): Continuing message (${switchesLeft} switches left)`,
+              );
+            }
 
             const lastUserMessage = messages.filter((x) => x.role == 'user').slice(-1)[0];
             const { model, provider } = extractPropertiesFromMessage(lastUserMessage);
@@ -250,8 +437,21 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
               contextFiles: filteredFiles,
               summary,
               messageSliceId,
+              onPromptBudget,
+              customInstructions,
+              onRulesApplied,
+              tools,
+              maxSteps: mcp?.maxSteps,
+              fallback,
+              failedModels,
+              onFailover,
+              onInterrupted,
             });
 
+            if (interrupted) {
+              writeAnsweringModel();
+            }
+
             result.mergeIntoDataStream(dataStream);
 
             (async () => {
@@ -269,6 +469,83 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
           },
         };
 
+        if (mode === 'plan') {
+          dataStream.writeData({
+            type: 'progress',
+            label: 'plan',
+            status: 'in-progress',
+            order: progressCounter++,
+            message: 'Drafting Plan',
+          } satisfies ProgressAnnotation);
+
+          const result = await streamText({
+            messages,
+            env: context.cloudflare?.env,
+            options: { supabaseConnection: supabase },
+            apiKeys,
+            files,
+            providerSettings,
+            promptId,
+            contextOptimization,
+            contextFiles: filteredFiles,
+            summary,
+            messageSliceId,
+            onPromptBudget,
+            customInstructions,
+            onRulesApplied,
+            mode,
+            fallback,
+            failedModels,
+            onFailover,
+          });
+
+          writeAnsweringModel();
+
+          // the plan is sent once it is complete and valid, as an annotation the chat shows as a checklist
+          for await (const part of result.fullStream) {
+            if (part.type === 'error') {
+              throw part.error;
+            }
+          }
+
+          const plan = parsePlan(await result.text);
+          const usage = await result.usage;
+
+          cumulativeUsage.completionTokens += usage.completionTokens || 0;
+          cumulativeUsage.promptTokens += usage.promptTokens || 0;
+          cumulativeUsage.totalTokens += usage.totalTokens || 0;
+
+          dataStream.writeMessageAnnotation({ type: 'plan', plan } satisfies PlanAnnotation as unknown as JSONValue);
+          dataStream.writeMessageAnnotation({ type: 'usage', value: createTurnUsage() } as JSONValue);
+          dataStream.merge(
+            new ReadableStream({
+              start(controller) {
+                controller.enqueue(formatDataStreamPart('text', formatPlanMarkdown(plan)));
+                controller.close();
+              },
+            }),
+          );
+          dataStream.writeData({
+            type: 'progress',
+            label: 'plan',
+            status: 'complete',
+            order: progressCounter++,
+            message: `Plan of ${plan.steps.length} Steps Drafted`,
+          } satisfies ProgressAnnotation);
+
+          return;
+        }
+
+        if (planStep) {
+          dataStream.writeData({
+            type: 'progress',
+            label: 'plan',
+            status: 'in-progress',
+            order: progressCounter++,
+            message: `Step ${planStep.index + 1} of ${planStep.total}: ${planStep.title}`,
+          } satisfies ProgressAnnotation);
+        }
+
         dataStream.writeData({
           type: 'progress',
           label: 'response',
@@ -289,8 +566,19 @@ async function chatAction({ context, request }: ActionFunctionArgs) {
           contextFiles: filteredFiles,
           summary,
           messageSliceId,
+          onPromptBudget,
+          customInstructions,
+          onRulesApplied,
+          tools,
+          maxSteps: mcp?.maxSteps,
+          fallback,
+          failedModels,
+          onFailover,
+          onInterrupted,
         });
 
+        writeAnsweringModel();
+
         (async () => {
           for await (const part of result.fullStream) {
             if (part.type === 'error') {
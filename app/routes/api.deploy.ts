@@ -0,0 +1,54 @@
+import { type ActionFunctionArgs, json } from '@remix-run/cloudflare';
+import { DeployManager } from '~/lib/modules/deploy/manager';
+import type { DeployApiRequest } from '~/lib/modules/deploy/types';
+import { createScopedLogger } from '~/utils/logger';
+
+const logger = createScopedLogger('api.deploy');
+
+export async function action({ request }: ActionFunctionArgs) {
+  const body = (await request.json()) as DeployApiRequest;
+  const provider = DeployManager.getInstance().getProvider(body.provider);
+
+  if (!provider) {
+    return json({ error: `Unknown deploy provider: ${body.provider}` }, { status: 400 });
+  }
+
+  try {
+    switch (body.intent) {
+      case 'verify': {
+        return json({ user: await provider.verifyConnection(body.credentials) });
+      }
+      case 'targets': {
+        return json({ targets: (await provider.listTargets?.(body.credentials)) ?? [] });
+      }
+      case 'deploy': {
+        if (!provider.isConnected(body.request.credentials)) {
+          return json({ error: `Not connected to ${provider.label}` }, { status: 401 });
+        }
+
+        return json({ deploy: await provider.deploy(body.request) });
+      }
+      case 'status': {
+        return json({ status: await provider.getStatus(body.credentials, body.deploy) });
+      }
+      case 'deploys': {
+        return json({ deploys: (await provider.listDeploys?.(body.credentials, body.targetId)) ?? [] });
+      }
+      case 'action': {
+        if (!provider.runAction || !provider.actions.some((action) => action.id === body.action)) {
+          return json({ error: `${provider.label} has no action ${body.action}` }, { status: 400 });
+        }
+
+        await provider.runAction(body.credentials, body.action, body.targetId, body.deployId);
+
+        return json({ ok: true });
+      }
+      default: {
+        return json({ error: 'Unknown intent' }, { status: 400 });
+      }
+    }
+  } catch (error) {
+    logger.error(`${provider.label} ${body.intent} failed:`, error);
+    return json({ error: error instanceof Error ? error.message : 'Deployment failed' }, { status: 500 });
+  }
+}
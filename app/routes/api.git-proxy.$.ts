@@ -1,5 +1,6 @@
 import { json } from '@remix-run/cloudflare';
 import type { ActionFunctionArgs, LoaderFunctionArgs } from '@remix-run/cloudflare';
+import { getAllowedHosts, isHostAllowed } from '~/utils/hostAllowlist';
 
 // Allowed headers to forward to the target server
 const ALLOW_HEADERS = [
@@ -43,15 +44,15 @@ const EXPOSE_HEADERS = [
 ];
 
 // Handle all HTTP methods
-export async function action({ request, params }: ActionFunctionArgs) {
-  return handleProxyRequest(request, params['*']);
+export async function action({ request, params, context }: ActionFunctionArgs) {
+  return handleProxyRequest(request, params['*'], getAllowedHosts(context.cloudflare?.env, 'GIT_PROXY_HTTP_HOSTS'));
 }
 
-export async function loader({ request, params }: LoaderFunctionArgs) {
-  return handleProxyRequest(request, params['*']);
+export async function loader({ request, params, context }: LoaderFunctionArgs) {
+  return handleProxyRequest(request, params['*'], getAllowedHosts(context.cloudflare?.env, 'GIT_PROXY_HTTP_HOSTS'));
 }
 
-async function handleProxyRequest(request: Request, path: string | undefined) {
+async function handleProxyRequest(request: Request, path: string | undefined, httpHosts: string[]) {
   try {
     if (!path) {
       return json({ error: 'Invalid proxy URL format' }, { status: 400 });
@@ -71,19 +72,28 @@ async function handleProxyRequest(request: Request, path: string | undefined) {
       });
     }
 
-    // Extract domain and remaining path
-    const parts = path.match(/([^\/]+)\/?(.*)/);
+    // Extract protocol, domain and remaining path, remotes are https unless prefixed with `http:/`
+    const parts = path.match(/^(?:(https?):\/)?([^\/]+)\/?(.*)/);
 
     if (!parts) {
       return json({ error: 'Invalid path format' }, { status: 400 });
     }
 
-    const domain = parts[1];
-    const remainingPath = parts[2] || '';
+    const protocol = parts[1] || 'https';
+    const domain = parts[2];
+    const remainingPath = parts[3] || '';
+
+    // plain http only reaches the hosts listed in `GIT_PROXY_HTTP_HOSTS`, so internal services stay out of reach
+    if (protocol === 'http' && !isHostAllowed(httpHosts, domain)) {
+      return json(
+        { error: `Plain http is not allowed for ${domain}, add it to GIT_PROXY_HTTP_HOSTS to allow it` },
+        { status: 403 },
+      );
+    }
 
     // Reconstruct the target URL with query parameters
     const url = new URL(request.url);
-    const targetURL = `https://${domain}/${remainingPath}${url.search}`;
+    const targetURL = `${protocol}://${domain}/${remainingPath}${url.search}`;
 
     console.log('Target URL:', targetURL);
 
@@ -0,0 +1,41 @@
+import { type ActionFunctionArgs, json } from '@remix-run/cloudflare';
+import { checkMCPServerUrl, withMCPClient, type MCPClientOptions } from '~/lib/modules/mcp/mcp-client';
+import { callMCPTool } from '~/lib/modules/mcp/tools';
+import type { MCPApiRequest } from '~/lib/modules/mcp/types';
+import { getAllowedHosts } from '~/utils/hostAllowlist';
+import { createScopedLogger } from '~/utils/logger';
+
+const logger = createScopedLogger('api.mcp');
+
+export async function action({ request, context }: ActionFunctionArgs) {
+  const body = (await request.json()) as MCPApiRequest;
+
+  if (!body.server?.url) {
+    return json({ error: 'Missing MCP server' }, { status: 400 });
+  }
+
+  const options: MCPClientOptions = { allowedHosts: getAllowedHosts(context.cloudflare?.env, 'MCP_SERVER_HOSTS') };
+
+  try {
+    checkMCPServerUrl(body.server.url, options.allowedHosts);
+  } catch (error) {
+    return json({ error: error instanceof Error ? error.message : 'Invalid MCP server URL' }, { status: 403 });
+  }
+
+  try {
+    switch (body.intent) {
+      case 'tools': {
+        return json({ tools: await withMCPClient(body.server, (client) => client.listTools(), options) });
+      }
+      case 'call': {
+        return json({ result: await callMCPTool(body.server, body.toolName, body.args ?? {}, options) });
+      }
+      default: {
+        return json({ error: 'Unknown intent' }, { status: 400 });
+      }
+    }
+  } catch (error) {
+    logger.error(`${body.server.name} ${body.intent} failed:`, error);
+    return json({ error: error instanceof Error ? error.message : 'MCP request failed' }, { status: 500 });
+  }
+}
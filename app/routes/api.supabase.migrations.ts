@@ -0,0 +1,107 @@
+import { type ActionFunctionArgs, json } from '@remix-run/cloudflare';
+import {
+  createPostgresDatabase,
+  createSupabaseDatabase,
+  type MigrationDatabase,
+} from '~/lib/modules/migrations/database';
+import {
+  applyMigrations,
+  baselineMigrations,
+  MigrationError,
+  readMigrationStatus,
+  rollbackMigration,
+} from '~/lib/modules/migrations/migrator';
+import type { MigrationApiRequest, MigrationTarget } from '~/lib/modules/migrations/types';
+import { getAllowedHosts, isHostAllowed } from '~/utils/hostAllowlist';
+import { createScopedLogger } from '~/utils/logger';
+
+const logger = createScopedLogger('api.supabase.migrations');
+
+function openDatabase(
+  target: MigrationTarget,
+  authorization: string | null,
+  databaseHosts: string[],
+): MigrationDatabase | string {
+  if (target.type === 'postgres') {
+    if (!target.url) {
+      return 'Missing database URL';
+    }
+
+    let host: string;
+
+    try {
+      host = new URL(target.url).host;
+    } catch {
+      return 'Invalid database URL';
+    }
+
+    if (!host) {
+      return 'Invalid database URL';
+    }
+
+    // the server connects to the database, so only hosts the deployment allows are reachable
+    if (!isHostAllowed(databaseHosts, host)) {
+      return `Database host ${host} is not allowed, add it to MIGRATION_DATABASE_HOSTS to allow it`;
+    }
+
+    return createPostgresDatabase(target.url);
+  }
+
+  if (!authorization) {
+    return 'No authorization token provided';
+  }
+
+  return target.projectId ? createSupabaseDatabase({ projectId: target.projectId, authorization }) : 'Missing project';
+}
+
+export async function action({ request, context }: ActionFunctionArgs) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405 });
+  }
+
+  const body = (await request.json()) as MigrationApiRequest;
+
+  if (!body.target || !Array.isArray(body.migrations)) {
+    return json({ error: 'Missing migration target' }, { status: 400 });
+  }
+
+  const db = openDatabase(
+    body.target,
+    request.headers.get('Authorization'),
+    getAllowedHosts(context.cloudflare?.env, 'MIGRATION_DATABASE_HOSTS'),
+  );
+
+  if (typeof db === 'string') {
+    return json({ error: db }, { status: 400 });
+  }
+
+  try {
+    switch (body.intent) {
+      case 'status': {
+        return json({ statuses: await readMigrationStatus(db, body.migrations), versions: [] });
+      }
+      case 'apply': {
+        return json(await applyMigrations(db, body.migrations));
+      }
+      case 'rollback': {
+        return json(await rollbackMigration(db, body.migrations));
+      }
+      case 'baseline': {
+        return json(await baselineMigrations(db, body.migrations));
+      }
+      default: {
+        return json({ error: 'Unknown intent' }, { status: 400 });
+      }
+    }
+  } catch (error) {
+    if (error instanceof MigrationError) {
+      return json({ error: error.message, version: error.version }, { status: 422 });
+    }
+
+    logger.error(`Migration ${body.intent} failed:`, error);
+
+    return json({ error: error instanceof Error ? error.message : 'Migration request failed' }, { status: 500 });
+  } finally {
+    await db.close();
+  }
+}
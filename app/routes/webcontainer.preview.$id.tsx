@@ -1,6 +1,7 @@
 import { json, type LoaderFunctionArgs } from '@remix-run/cloudflare';
 import { useLoaderData } from '@remix-run/react';
 import { useCallback, useEffect, useRef, useState } from 'react';
+import { isDiagnosticMessage } from '~/lib/modules/diagnostics/types';
 
 const PREVIEW_CHANNEL = 'preview-updates';
 
@@ -58,6 +59,15 @@ export default function WebContainerPreview() {
       }
     };
 
+    // Relay what the preview reports to the workbench, it only reaches the window embedding it
+    const relayDiagnostics = (event: MessageEvent) => {
+      if (event.source === iframeRef.current?.contentWindow && isDiagnosticMessage(event.data)) {
+        broadcastChannelRef.current?.postMessage({ type: 'preview-diagnostic', previewId, message: event.data });
+      }
+    };
+
+    window.addEventListener('message', relayDiagnostics);
+
     // Construct the WebContainer preview URL
     const url = `https://${previewId}.local-credentialless.webcontainer-api.io`;
     setPreviewUrl(url);
@@ -72,6 +82,7 @@ export default function WebContainerPreview() {
 
     // Cleanup
     return () => {
+      window.removeEventListener('message', relayDiagnostics);
       broadcastChannelRef.current?.close();
     };
   }, [previewId, handleRefresh, notifyPreviewReady]);
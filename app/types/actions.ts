@@ -1,6 +1,6 @@
 import type { Change } from 'diff';
 
-export type ActionType = 'file' | 'shell' | 'supabase';
+export type ActionType = 'file' | 'patch' | 'shell' | 'supabase' | 'verify';
 
 export interface BaseAction {
   content: string;
@@ -11,6 +11,11 @@ export interface FileAction extends BaseAction {
   filePath: string;
 }
 
+export interface PatchAction extends BaseAction {
+  type: 'patch';
+  filePath: string;
+}
+
 export interface ShellAction extends BaseAction {
   type: 'shell';
 }
@@ -21,6 +26,38 @@ export interface StartAction extends BaseAction {
 
 export interface BuildAction extends BaseAction {
   type: 'build';
+
+  // deploy target the build runs for, its alerts are tagged with it
+  source?: DeployAlert['source'];
+
+  // directories probed for the build output, in order
+  outputDirs?: string[];
+}
+
+export type VerifyCheck = 'test' | 'lint' | 'typecheck';
+
+/**
+ * Runs the project's test, lint and typecheck scripts. The content lists the checks to run,
+ * an empty content runs every check the project has a script for.
+ */
+export interface VerifyAction extends BaseAction {
+  type: 'verify';
+}
+
+export interface VerifyFailure {
+  check: VerifyCheck;
+  file?: string;
+  line?: number;
+  column?: number;
+  message: string;
+}
+
+export interface VerifyResult {
+  check: VerifyCheck;
+  command: string;
+  exitCode: number;
+  output: string;
+  failures: VerifyFailure[];
 }
 
 export interface SupabaseAction extends BaseAction {
@@ -30,7 +67,14 @@ export interface SupabaseAction extends BaseAction {
   projectId?: string;
 }
 
-export type BoltAction = FileAction | ShellAction | StartAction | BuildAction | SupabaseAction;
+export type BoltAction =
+  | FileAction
+  | PatchAction
+  | ShellAction
+  | StartAction
+  | BuildAction
+  | VerifyAction
+  | SupabaseAction;
 
 export type BoltActionData = BoltAction | BaseAction;
 
@@ -39,7 +83,7 @@ export interface ActionAlert {
   title: string;
   description: string;
   content: string;
-  source?: 'terminal' | 'preview'; // Add source to differentiate between terminal and preview errors
+  source?: 'terminal' | 'preview' | 'patch' | 'lock' | 'verify'; // Add source to differentiate between terminal, preview, patch, lock and verify errors
 }
 
 export interface SupabaseAlert {
@@ -48,6 +92,9 @@ export interface SupabaseAlert {
   description: string;
   content: string;
   source?: 'supabase';
+
+  // migrations apply through the ledger with every other pending one, queries run as they are
+  operation?: SupabaseAction['operation'];
 }
 
 export interface DeployAlert {
@@ -59,7 +106,9 @@ export interface DeployAlert {
   stage?: 'building' | 'deploying' | 'complete';
   buildStatus?: 'pending' | 'running' | 'complete' | 'failed';
   deployStatus?: 'pending' | 'running' | 'complete' | 'failed';
-  source?: 'vercel' | 'netlify' | 'github';
+
+  // name of the deploy provider, or 'github' for repository pushes
+  source?: string;
 }
 
 export interface FileHistory {
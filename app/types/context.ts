@@ -16,3 +16,10 @@ export type ProgressAnnotation = {
   order: number;
   message: string;
 };
+
+/**
+ * How files are picked for the context buffer when context optimization is enabled:
+ * `llm` asks the model, `bm25` ranks chunks of the project locally and `hybrid` adds
+ * embeddings from the selected provider on top of the local ranking.
+ */
+export type ContextMode = 'llm' | 'bm25' | 'hybrid';
@@ -17,6 +17,9 @@ export type ProviderInfo = {
 export interface IProviderSetting {
   enabled?: boolean;
   baseUrl?: string;
+
+  // requests are refused once the spend recorded for the provider reaches this many USD
+  spendingCap?: number;
 }
 
 export type IProviderConfig = ProviderInfo & {
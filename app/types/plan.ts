@@ -0,0 +1,49 @@
+/**
+ * How a chat request is answered: `build` makes the changes right away, `plan` only drafts the steps
+ * to make them, which run one by one once the user approved the plan
+ */
+export type ChatMode = 'build' | 'plan';
+
+export type PlanStepStatus = 'pending' | 'running' | 'done' | 'failed' | 'skipped';
+
+export interface PlanStep {
+  id: string;
+  title: string;
+  goal: string;
+
+  // files the step is expected to touch, relative to the project root
+  files: string[];
+  status: PlanStepStatus;
+
+  // the response that carried the step out
+  messageId?: string;
+
+  // why the last run of the step failed
+  error?: string;
+}
+
+/**
+ * `draft` until approved, `paused` when a step failed and waits to be retried or skipped
+ */
+export type PlanStatus = 'draft' | 'running' | 'paused' | 'done';
+
+export interface ChatPlan {
+  id: string;
+  createdAt: string;
+  summary: string;
+  status: PlanStatus;
+  steps: PlanStep[];
+}
+
+// Value of the `plan` message annotation, the plan drafted by a response in plan mode
+export type PlanAnnotation = {
+  type: 'plan';
+  plan: ChatPlan;
+};
+
+// Sent with the request running a step of a plan, `index` counts from 0
+export interface PlanStepRequest {
+  index: number;
+  total: number;
+  title: string;
+}
@@ -0,0 +1,37 @@
+// Instructions written in the settings, sent with every chat request while enabled
+export interface PromptTemplate {
+  id: string;
+  name: string;
+  content: string;
+  enabled: boolean;
+}
+
+export interface CustomInstructionSettings {
+  // read `.kodora/rules.md` and the other rule files of the project
+  projectRules: boolean;
+
+  // cap on the tokens all rules and templates together may add to the system prompt
+  maxTokens: number;
+  templates: PromptTemplate[];
+}
+
+export interface AppliedRule {
+  source: 'project' | 'template';
+  name: string;
+
+  // globs the rule is limited to, relative to the project root
+  scope?: string[];
+  tokens: number;
+
+  // cut off at the token cap
+  truncated?: boolean;
+}
+
+// Value of the `rules` message annotation, the rules merged into the system prompt of a response
+export type RulesAnnotation = {
+  type: 'rules';
+  applied: AppliedRule[];
+
+  // rules left out because the token cap was reached
+  skipped: string[];
+};
@@ -0,0 +1,32 @@
+export type TokenUsage = {
+  completionTokens: number;
+  promptTokens: number;
+  totalTokens: number;
+};
+
+export type PromptBudget = {
+  contextWindow: number;
+  estimatedPromptTokens: number;
+
+  // what was left out of the prompt to make it fit, in the order it was dropped
+  trimmed: string[];
+};
+
+/**
+ * Value of the `usage` message annotations written at the end of each segment of a response, totals of the
+ * response so far.
+ * `cost` is missing when the price of the model is not known.
+ */
+export type TurnUsage = TokenUsage & {
+  provider?: string;
+  model?: string;
+  cost?: number;
+  budget?: PromptBudget;
+};
+
+// Totals of a chat, kept in the chat metadata
+export type ChatUsage = TokenUsage & {
+  cost: number;
+  turns: number;
+  byProvider: Record<string, { cost: number; totalTokens: number }>;
+};
@@ -0,0 +1,84 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { findLockedPathsInCommand, getLockedDescendant, getPathLock } from './fileLocks';
+import { addLockedFile, addLockedFolder, saveLockedItems } from '~/lib/persistence/lockedFiles';
+
+const CHAT_ID = 'chat';
+const CWD = '/home/project';
+
+const lockedPaths = (command: string, cwd = CWD) =>
+  findLockedPathsInCommand(command, cwd, CHAT_ID).map(({ path, lockedBy }) => `${path} <- ${lockedBy}`);
+
+describe('file locks', () => {
+  beforeEach(() => {
+    saveLockedItems([]);
+    addLockedFile(CHAT_ID, '/home/project/.env');
+    addLockedFolder(CHAT_ID, '/home/project/src/config');
+    addLockedFile('other-chat', '/home/project/README.md');
+  });
+
+  describe('getPathLock', () => {
+    it('should lock a path itself and everything inside a locked folder', () => {
+      expect(getPathLock('/home/project/.env', CHAT_ID)).toEqual({ locked: true, lockedBy: '/home/project/.env' });
+      expect(getPathLock('/home/project/src/config/', CHAT_ID).locked).toBe(true);
+      expect(getPathLock('/home/project/src/config/new/db.ts', CHAT_ID)).toEqual({
+        locked: true,
+        lockedBy: '/home/project/src/config',
+      });
+      expect(getPathLock('/home/project/src/./config/../app.ts', CHAT_ID).locked).toBe(false);
+      expect(getPathLock('/home/project/src/configuration.ts', CHAT_ID).locked).toBe(false);
+    });
+
+    it('should only apply the locks of the chat', () => {
+      expect(getPathLock('/home/project/README.md', CHAT_ID).locked).toBe(false);
+      expect(getPathLock('/home/project/README.md', 'other-chat').locked).toBe(true);
+    });
+  });
+
+  describe('getLockedDescendant', () => {
+    it('should find a locked item below a folder', () => {
+      expect(getLockedDescendant('/home/project/src', CHAT_ID)).toBe('/home/project/src/config');
+      expect(getLockedDescendant('/home/project/', CHAT_ID)).toBe('/home/project/.env');
+      expect(getLockedDescendant('/home/project/public', CHAT_ID)).toBeUndefined();
+    });
+  });
+
+  describe('findLockedPathsInCommand', () => {
+    it('should find removed and moved paths', () => {
+      expect(lockedPaths('rm -rf src')).toEqual(['/home/project/src <- /home/project/src/config']);
+      expect(lockedPaths('rm -rf /home/project/src/config/*.ts')).toEqual([
+        '/home/project/src/config <- /home/project/src/config',
+      ]);
+      expect(lockedPaths('mv .env .env.old')).toEqual(['/home/project/.env <- /home/project/.env']);
+      expect(lockedPaths('cp .env.example .env && rm -f src/app.ts')).toEqual([
+        '/home/project/.env <- /home/project/.env',
+      ]);
+    });
+
+    it('should find redirected output but not redirected input', () => {
+      expect(lockedPaths('echo SECRET=1 >> .env')).toEqual(['/home/project/.env <- /home/project/.env']);
+      expect(lockedPaths('node build.js 2>src/config/log.txt')).toEqual([
+        '/home/project/src/config/log.txt <- /home/project/src/config',
+      ]);
+      expect(lockedPaths('node build.js 2>&1 | tee build.log')).toEqual([]);
+      expect(lockedPaths('cat .env > /dev/null')).toEqual([]);
+      expect(lockedPaths('cat < .env')).toEqual([]);
+    });
+
+    it('should handle quoted, relative and in-place edited paths', () => {
+      expect(lockedPaths(`rm "src/config/db.ts"`)).toEqual([
+        '/home/project/src/config/db.ts <- /home/project/src/config',
+      ]);
+      expect(lockedPaths(`sed -i 's/a/b/' '.env'`)).toEqual(['/home/project/.env <- /home/project/.env']);
+      expect(lockedPaths('rm ../.env', '/home/project/src')).toEqual(['/home/project/.env <- /home/project/.env']);
+      expect(lockedPaths('rm db.ts', '/home/project/src/config')).toEqual([
+        '/home/project/src/config/db.ts <- /home/project/src/config',
+      ]);
+    });
+
+    it('should leave commands alone that only read locked paths', () => {
+      expect(lockedPaths('cat .env && ls src/config')).toEqual([]);
+      expect(lockedPaths('sed s/a/b/ .env')).toEqual([]);
+      expect(lockedPaths('NODE_ENV=production npm run build')).toEqual([]);
+    });
+  });
+});
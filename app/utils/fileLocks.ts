@@ -1,10 +1,13 @@
 import {
   getLockedItems,
+  getLockedItemsForChat,
   isFileLocked as isFileLockedInternal,
   isFolderLocked as isFolderLockedInternal,
+  isPathDirectlyLocked,
   isPathInLockedFolder,
 } from '~/lib/persistence/lockedFiles';
 import { createScopedLogger } from './logger';
+import { path as nodePath } from './path';
 
 const logger = createScopedLogger('FileLocks');
 
@@ -94,3 +97,116 @@ export function hasLockedItems(chatId?: string): boolean {
     return false;
   }
 }
+
+/**
+ * Check if writing to a path would modify a locked item, either because the path itself
+ * is locked or because it lives inside a locked folder. Unlike `isFileLocked` this also
+ * works for paths that don't exist yet.
+ * @param path The absolute path that is about to be written, moved or deleted
+ * @param chatId Optional chat ID (will be extracted from URL if not provided)
+ */
+export function getPathLock(path: string, chatId?: string): { locked: boolean; lockedBy?: string } {
+  try {
+    const currentChatId = chatId || getCurrentChatId();
+    const normalizedPath = nodePath.normalize(path).replace(/\/+$/, '');
+
+    if (isPathDirectlyLocked(currentChatId, normalizedPath).locked) {
+      return { locked: true, lockedBy: normalizedPath };
+    }
+
+    return isPathInLockedFolder(currentChatId, normalizedPath);
+  } catch (error) {
+    logger.error('Failed to check path lock', error);
+    return { locked: false };
+  }
+}
+
+/**
+ * Find a locked item below a folder, e.g. to refuse `rm -rf src` when `src/config.ts` is locked
+ * @param folderPath The absolute path of the folder
+ * @param chatId Optional chat ID (will be extracted from URL if not provided)
+ * @returns The path of the first locked descendant, if any
+ */
+export function getLockedDescendant(folderPath: string, chatId?: string): string | undefined {
+  const currentChatId = chatId || getCurrentChatId();
+  const prefix = `${nodePath.normalize(folderPath).replace(/\/+$/, '')}/`;
+
+  return getLockedItemsForChat(currentChatId).find((item) => item.path.startsWith(prefix))?.path;
+}
+
+// Commands whose non-flag arguments are all modified, and commands where only the last one is
+const MODIFYING_COMMANDS = new Set(['rm', 'rmdir', 'unlink', 'mv', 'touch', 'truncate', 'tee', 'shred']);
+const DESTINATION_COMMANDS = new Set(['cp', 'ln', 'install']);
+const GLOB_CHARS = /[*?[{]/;
+
+/**
+ * Best-effort detection of shell commands that touch locked paths. This only understands
+ * simple commands (`rm`, `mv`, `cp`, `sed -i`, `tee`, ...) and output redirection, it is not
+ * a shell parser and scripts can always bypass it.
+ * @param command The shell command as emitted by the model
+ * @param cwd The directory the command runs in
+ * @param chatId Optional chat ID (will be extracted from URL if not provided)
+ * @returns The targets of the command that are locked, with the lock that protects them
+ */
+export function findLockedPathsInCommand(
+  command: string,
+  cwd: string,
+  chatId?: string,
+): Array<{ path: string; lockedBy: string }> {
+  const currentChatId = chatId || getCurrentChatId();
+  const targets = new Set<string>();
+
+  for (const segment of command.split(/&&|\|\||;|\||\n/)) {
+    // output redirection: `> file`, `>> file`, `2> file`, but not `2>&1`
+    for (const match of segment.matchAll(/\d*>>?\s*([^\s;&|<>]+)/g)) {
+      targets.add(match[1]);
+    }
+
+    const tokens = segment
+      .replace(/\d*>>?\s*[^\s;&|<>]+/g, ' ')
+      .trim()
+      .split(/\s+/)
+      .map((token) => token.replace(/^['"]|['"]$/g, ''))
+      .filter((token) => token && !/^\w+=/.test(token) && token !== 'sudo');
+
+    const [program, ...args] = tokens;
+    const operands = args.filter((arg) => !arg.startsWith('-'));
+
+    if (!program) {
+      continue;
+    }
+
+    if (MODIFYING_COMMANDS.has(program)) {
+      operands.forEach((operand) => targets.add(operand));
+    } else if (DESTINATION_COMMANDS.has(program) && operands.length > 1) {
+      targets.add(operands[operands.length - 1]);
+    } else if (program === 'sed' && args.some((arg) => /^-[a-zA-Z]*i/.test(arg) || arg.startsWith('--in-place'))) {
+      // the first operand is the sed script, the rest are files edited in place
+      operands.slice(1).forEach((operand) => targets.add(operand));
+    }
+  }
+
+  const lockedPaths: Array<{ path: string; lockedBy: string }> = [];
+
+  for (const target of targets) {
+    if (target.startsWith('/dev/')) {
+      continue;
+    }
+
+    // for globs we can only reason about the folder they expand in
+    const globIndex = target.search(GLOB_CHARS);
+    const literal = globIndex === -1 ? target : target.slice(0, target.lastIndexOf('/', globIndex) + 1) || '.';
+    const absolutePath = (
+      nodePath.isAbsolute(literal) ? nodePath.normalize(literal) : nodePath.join(cwd, literal)
+    ).replace(/(.)\/+$/, '$1');
+
+    const lock = getPathLock(absolutePath, currentChatId);
+    const lockedBy = lock.locked ? lock.lockedBy : getLockedDescendant(absolutePath, currentChatId);
+
+    if (lockedBy) {
+      lockedPaths.push({ path: absolutePath, lockedBy });
+    }
+  }
+
+  return lockedPaths;
+}
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { getAllowedHosts, isHostAllowed, isPrivateHost } from './hostAllowlist';
+
+describe('host allowlist', () => {
+  it('should read the listed hosts from the environment', () => {
+    expect(
+      getAllowedHosts({ GIT_PROXY_HTTP_HOSTS: ' Git.Internal , localhost:3000,' } as Env, 'GIT_PROXY_HTTP_HOSTS'),
+    ).toEqual(['git.internal', 'localhost:3000']);
+    expect(getAllowedHosts({} as Env, 'MIGRATION_DATABASE_HOSTS')).toEqual([]);
+  });
+
+  it('should allow every port of a host listed without one', () => {
+    const hosts = ['git.internal', 'localhost:3000'];
+
+    expect(isHostAllowed(hosts, 'GIT.internal:8080')).toBe(true);
+    expect(isHostAllowed(hosts, 'localhost:3000')).toBe(true);
+    expect(isHostAllowed(hosts, 'localhost:5432')).toBe(false);
+    expect(isHostAllowed(hosts, '169.254.169.254')).toBe(false);
+    expect(isHostAllowed([], 'git.internal')).toBe(false);
+  });
+
+  it('should recognize loopback, private and link-local addresses', () => {
+    for (const host of ['localhost', 'app.localhost', '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1']) {
+      expect(isPrivateHost(host)).toBe(true);
+    }
+
+    for (const host of ['169.254.169.254', '[::1]', '[fd00::1]', '[fe80::1]', '[::ffff:7f00:1]']) {
+      expect(isPrivateHost(host)).toBe(true);
+    }
+
+    for (const host of ['example.com', '8.8.8.8', '172.32.0.1', '[2606:4700::1111]']) {
+      expect(isPrivateHost(host)).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,55 @@
+/*
+ * Server routes that connect to a host the caller picks only reach the hosts an env variable lists,
+ * comma separated as `host` or `host:port`. Nothing is allowed while the variable is not set.
+ */
+
+export function getAllowedHosts(env: Env | undefined, key: keyof Env) {
+  const hosts = (env?.[key] as string | undefined) || process.env[key] || '';
+
+  return hosts
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Whether a host is listed, a listed host without a port allows all of its ports
+ * @param allowedHosts The hosts from `getAllowedHosts`
+ * @param host The host to check, with or without a port
+ */
+export function isHostAllowed(allowedHosts: string[], host: string) {
+  const normalized = host.toLowerCase();
+
+  return allowedHosts.some((allowed) => allowed === normalized || allowed === normalized.replace(/:\d+$/, ''));
+}
+
+/**
+ * Whether a host name is a loopback, private or link-local address, which a server route must not be steered to
+ * @param hostname The host name of a URL, without a port
+ */
+export function isPrivateHost(hostname: string) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return true;
+  }
+
+  const ipv4 = host.match(/^(\d+)\.(\d+)\.\d+\.\d+$/);
+
+  if (ipv4) {
+    const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168)
+    );
+  }
+
+  // loopback, unspecified, unique local, link-local and ipv4-mapped ipv6 addresses
+  return host === '::1' || host === '::' || /^(f[cd]|fe[89ab])[0-9a-f]*:/.test(host) || host.startsWith('::ffff:');
+}
@@ -1,4 +1,5 @@
 import type { Message } from 'ai';
+import type { VerifyCheck } from '~/types/actions';
 import { generateId } from './fileUtils';
 
 export interface ProjectCommands {
@@ -8,11 +9,27 @@ export interface ProjectCommands {
   followupMessage: string;
 }
 
+export interface VerifyCommand {
+  check: VerifyCheck;
+  script: string;
+  command: string;
+}
+
 interface FileContent {
   content: string;
   path: string;
 }
 
+// package.json scripts looked up for each check, in priority order
+const VERIFY_SCRIPTS: Record<VerifyCheck, string[]> = {
+  typecheck: ['typecheck', 'type-check', 'check-types', 'tsc'],
+  lint: ['lint'],
+  test: ['test', 'test:unit'],
+};
+
+// the script `npm init` generates, it always fails
+const PLACEHOLDER_TEST_SCRIPT = /no test specified/;
+
 export async function detectProjectCommands(files: FileContent[]): Promise<ProjectCommands> {
   const hasFile = (name: string) => files.some((f) => f.path.endsWith(name));
 
@@ -63,6 +80,42 @@ export async function detectProjectCommands(files: FileContent[]): Promise<Proje
   return { type: '', setupCommand: '', followupMessage: '' };
 }
 
+/**
+ * Find the package.json scripts that verify a project: typecheck, lint and test
+ * @param files The project files, only the root package.json is read
+ * @returns one command per check the project has a script for
+ */
+export function detectVerifyCommands(files: FileContent[]): VerifyCommand[] {
+  const packageJsonFile =
+    files.find((f) => f.path === 'package.json' || f.path === '/home/project/package.json') ??
+    files.find((f) => f.path.endsWith('package.json') && !f.path.includes('node_modules'));
+
+  if (!packageJsonFile) {
+    return [];
+  }
+
+  let scripts: Record<string, string>;
+
+  try {
+    scripts = JSON.parse(packageJsonFile.content)?.scripts || {};
+  } catch (error) {
+    console.error('Error parsing package.json:', error);
+    return [];
+  }
+
+  const commands: VerifyCommand[] = [];
+
+  for (const [check, candidates] of Object.entries(VERIFY_SCRIPTS) as [VerifyCheck, string[]][]) {
+    const script = candidates.find((name) => scripts[name] && !PLACEHOLDER_TEST_SCRIPT.test(scripts[name]));
+
+    if (script) {
+      commands.push({ check, script, command: `npm run ${script}` });
+    }
+  }
+
+  return commands;
+}
+
 export function createCommandsMessage(commands: ProjectCommands): Message | null {
   if (!commands.setupCommand && !commands.startCommand) {
     return null;
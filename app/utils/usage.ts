@@ -0,0 +1,47 @@
+import type { JSONValue, Message } from 'ai';
+import type { ChatUsage, TurnUsage } from '~/types/usage';
+
+// each segment of a response adds the usage so far, the last annotation holds the whole turn
+export function getTurnUsage(annotations?: JSONValue[]): TurnUsage | undefined {
+  const annotation = annotations?.findLast(
+    (annotation) =>
+      annotation && typeof annotation === 'object' && !Array.isArray(annotation) && annotation.type === 'usage',
+  ) as { value?: TurnUsage } | undefined;
+
+  return annotation?.value;
+}
+
+export function summarizeChatUsage(messages: Message[]): ChatUsage {
+  const usage: ChatUsage = { completionTokens: 0, promptTokens: 0, totalTokens: 0, cost: 0, turns: 0, byProvider: {} };
+
+  for (const message of messages) {
+    const turn = message.role === 'assistant' ? getTurnUsage(message.annotations) : undefined;
+
+    if (!turn) {
+      continue;
+    }
+
+    usage.completionTokens += turn.completionTokens;
+    usage.promptTokens += turn.promptTokens;
+    usage.totalTokens += turn.totalTokens;
+    usage.cost += turn.cost ?? 0;
+    usage.turns++;
+
+    if (turn.provider) {
+      const provider = (usage.byProvider[turn.provider] ??= { cost: 0, totalTokens: 0 });
+      provider.cost += turn.cost ?? 0;
+      provider.totalTokens += turn.totalTokens;
+    }
+  }
+
+  return usage;
+}
+
+export function formatCost(cost: number): string {
+  if (cost === 0) {
+    return '$0';
+  }
+
+  // sub-cent amounts are the norm for a single turn, keep them readable
+  return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
@@ -18,4 +18,7 @@ interface Env {
   XAI_API_KEY: string;
   PERPLEXITY_API_KEY: string;
   AWS_BEDROCK_CONFIG: string;
+  GIT_PROXY_HTTP_HOSTS: string;
+  MIGRATION_DATABASE_HOSTS: string;
+  MCP_SERVER_HOSTS: string;
 }